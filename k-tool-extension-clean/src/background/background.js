@@ -1,6 +1,14 @@
 // K-Tool Extension Background Script
+import { GenerationJobRunner } from './generationJobRunner.js';
+import { SecretStore } from '../shared/secretStore.js';
+
 console.log('🚀 K-Tool Extension Background Script loaded');
 
+// A plain API key must not stay in the synced settings
+SecretStore.migrateLegacyApiKey().catch(error => {
+  console.error('❌ Error migrating API key:', error);
+});
+
 // Handle extension installation
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('📦 K-Tool Extension installed:', details.reason);
@@ -9,14 +17,22 @@ chrome.runtime.onInstalled.addListener((details) => {
     // Set default settings on first install
     chrome.storage.sync.set({
       extensionSettings: {
-        apiKey: '',
         urlTemplate: '',
         customPrompt: '',
         documentUrl: '',
         databaseUrl: '',
         instructionUrl: '',
         isEnabled: true,
-        selectedModel: 'sonar-pro'
+        selectedModel: 'sonar-pro',
+        titlePattern: '',
+        profiles: [],
+        activeProfileId: 'default',
+        environments: [],
+        activeEnvironmentId: 'production',
+        siteEnvironments: { 'http://localhost:8090': 'local' },
+        autoLockMinutes: 30,
+        featureModels: {},
+        mockBackend: false
       }
     });
   }
@@ -39,6 +55,22 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       handleCheckPermissions(sendResponse);
       return true;
 
+    case 'startGenerationJob':
+      handleStartGenerationJob(request.job, sendResponse);
+      return true;
+
+    case 'cancelGenerationJob':
+      handleCancelGenerationJob(request.jobId, sendResponse);
+      return true;
+
+    case 'removeGenerationJob':
+      handleRemoveGenerationJob(request.jobId, sendResponse);
+      return true;
+
+    case 'getApiKey':
+      handleGetApiKey(sendResponse);
+      return true;
+
     default:
       console.warn('❓ Unknown action:', request.action);
       sendResponse({ success: false, error: 'Unknown action' });
@@ -93,13 +125,155 @@ async function handleCheckPermissions(sendResponse) {
   }
 }
 
+// Start tracking a generation job in the background
+async function handleStartGenerationJob(job, sendResponse) {
+  try {
+    const savedJob = await GenerationJobRunner.start(job);
+    sendResponse({ success: true, job: savedJob });
+  } catch (error) {
+    console.error('❌ Error starting generation job:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Cancel a running generation job
+async function handleCancelGenerationJob(jobId, sendResponse) {
+  try {
+    const job = await GenerationJobRunner.cancel(jobId);
+    sendResponse({ success: true, job: job });
+  } catch (error) {
+    console.error('❌ Error cancelling generation job:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Remove a generation job from history
+async function handleRemoveGenerationJob(jobId, sendResponse) {
+  try {
+    const removed = await GenerationJobRunner.remove(jobId);
+    sendResponse({ success: removed });
+  } catch (error) {
+    console.error('❌ Error removing generation job:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Give the decrypted API key to content scripts, they cannot read session storage
+async function handleGetApiKey(sendResponse) {
+  try {
+    const { apiKey, locked } = await SecretStore.getApiKey();
+    sendResponse({ success: true, apiKey: apiKey, locked: locked });
+  } catch (error) {
+    console.error('❌ Error reading API key:', error);
+    sendResponse({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// ========== SECRET AUTO-LOCK ==========
+
+// Lock the API key once the machine is idle for autoLockMinutes (0 = never)
+async function getAutoLockMinutes() {
+  const result = await chrome.storage.sync.get(['extensionSettings']);
+  return result.extensionSettings?.autoLockMinutes ?? 30;
+}
+
+async function syncAutoLock() {
+  const minutes = await getAutoLockMinutes();
+  if (minutes > 0) {
+    // Chrome accepts 15 seconds at least
+    chrome.idle.setDetectionInterval(Math.max(15, minutes * 60));
+  }
+}
+
+chrome.idle.onStateChanged.addListener(async (state) => {
+  if (state === 'active' || (await getAutoLockMinutes()) === 0) return;
+
+  console.log('💤 Machine is', state, '- locking API key');
+  SecretStore.lock().catch(error => {
+    console.error('❌ Error locking API key:', error);
+  });
+});
+
+// ========== SITE CONTENT SCRIPTS ==========
+
+// Sites pinned to an environment in the popup get the content script once their
+// optional host permission is granted, without editing the manifest
+const SITE_CONTENT_SCRIPT_ID = 'ktool-site-content';
+
+// Origins of the sites pinned to an environment
+async function getSiteOrigins() {
+  const result = await chrome.storage.sync.get(['extensionSettings']);
+  return Object.keys(result.extensionSettings?.siteEnvironments || {});
+}
+
+// Register the content script on granted sites the manifest does not cover
+async function syncSiteContentScripts() {
+  try {
+    const manifest = chrome.runtime.getManifest();
+    const staticMatches = manifest.content_scripts.flatMap(script => script.matches);
+    const { origins: grantedOrigins = [] } = await chrome.permissions.getAll();
+
+    const matches = (await getSiteOrigins())
+      .map(origin => `${origin}/*`)
+      .filter(pattern => !staticMatches.includes(pattern) && grantedOrigins.includes(pattern));
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({
+      ids: [SITE_CONTENT_SCRIPT_ID]
+    });
+
+    if (matches.length === 0) {
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [SITE_CONTENT_SCRIPT_ID] });
+      }
+      return;
+    }
+
+    const script = {
+      id: SITE_CONTENT_SCRIPT_ID,
+      matches: matches,
+      js: manifest.content_scripts[0].js,
+      css: manifest.content_scripts[0].css,
+      runAt: 'document_idle'
+    };
+    if (registered.length > 0) {
+      await chrome.scripting.updateContentScripts([script]);
+    } else {
+      await chrome.scripting.registerContentScripts([script]);
+    }
+    console.log('🌐 K-Tool content script registered on:', matches);
+  } catch (error) {
+    console.error('❌ Error registering site content scripts:', error);
+  }
+}
+
+chrome.permissions.onAdded.addListener(syncSiteContentScripts);
+chrome.permissions.onRemoved.addListener(syncSiteContentScripts);
+
+// Check if a tab is a Confluence page K-Tool runs on
+function isConfluenceTab(url, siteOrigins) {
+  return url.includes('confluence') ||
+    url.includes('atlassian') ||
+    url.includes('localhost:8090') ||
+    siteOrigins.some(origin => url.startsWith(`${origin}/`));
+}
+
 // Handle tab updates to inject content script if needed
-chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url) {
     // Check if this is a Confluence page
-    const isConfluencePage = tab.url.includes('confluence') ||
-                            tab.url.includes('atlassian') ||
-                            tab.url.includes('localhost:8090');
+    const isConfluencePage = isConfluenceTab(tab.url, await getSiteOrigins());
 
     if (isConfluencePage) {
       console.log('🔍 Confluence page detected:', tab.url);
@@ -127,15 +301,20 @@ function checkKToolInjection() {
 // Handle storage changes
 chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === 'sync' && changes.extensionSettings) {
-    console.log('⚙️ Settings changed:', changes.extensionSettings);
+    syncSiteContentScripts();
+    syncAutoLock();
 
     // Notify all content scripts about settings change
+    // A plain API key saved before SecretStore existed is never sent to pages
+    const { apiKey, ...settings } = changes.extensionSettings.newValue || {};
+    console.log('⚙️ Settings changed:', settings);
+    const siteOrigins = Object.keys(settings.siteEnvironments || {});
     chrome.tabs.query({}, (tabs) => {
       tabs.forEach(tab => {
-        if (tab.url && (tab.url.includes('confluence') || tab.url.includes('atlassian') || tab.url.includes('localhost:8090'))) {
+        if (tab.url && isConfluenceTab(tab.url, siteOrigins)) {
           chrome.tabs.sendMessage(tab.id, {
             action: 'settingsChanged',
-            settings: changes.extensionSettings.newValue
+            settings: settings
           }).catch(error => {
             // Ignore errors for tabs without content script
           });
@@ -166,6 +345,15 @@ function stopKeepAlive() {
 // Start keep alive when extension starts
 keepAlive();
 
+// Registered scripts persist, this only catches permissions changed while the worker was stopped
+syncSiteContentScripts();
+syncAutoLock();
+
+// Continue polling jobs that were running before the service worker restarted
+GenerationJobRunner.resumeAll().catch(error => {
+  console.error('❌ Error resuming generation jobs:', error);
+});
+
 // Clean up on suspend
 chrome.runtime.onSuspend.addListener(() => {
   console.log('💤 Background script suspending');
@@ -0,0 +1,442 @@
+// Tracks document generation jobs from the background service worker,
+// so a job keeps running when the Confluence tab that started it is closed or reloaded.
+// Progress is streamed (Server-Sent Events) when the backend supports it, polled otherwise.
+import { ApiClient } from "../shared/api.js";
+import {
+  GENERATION_JOB_POLLING,
+  GENERATION_JOB_STATUS,
+} from "../shared/constants.js";
+import { GenerationJobStore } from "../shared/generationJobs.js";
+
+export class GenerationJobRunner {
+  // jobId -> timeout handle of the next poll
+  static timers = new Map();
+  // jobId -> AbortController of the open status stream
+  static streams = new Map();
+
+  /**
+   * Register a new job and start tracking it
+   * @param {Object} job - Job data sent by the content script
+   * @returns {Promise<Object>} Saved job
+   */
+  static async start(job) {
+    const startedAt = job.startedAt || Date.now();
+    const savedJob = await GenerationJobStore.saveJob({
+      attempts: 0,
+      progressMessage: "",
+      progress: null,
+      error: null,
+      result: null,
+      finishedAt: null,
+      ...job,
+      status: GENERATION_JOB_STATUS.RUNNING,
+      startedAt,
+      lastProgressAt: startedAt,
+      transport: "stream",
+    });
+
+    console.log(`🚀 Tracking generation job ${savedJob.id} in background`);
+    this.notifyTabs(savedJob);
+    this.track(savedJob);
+    return savedJob;
+  }
+
+  /**
+   * Resume tracking jobs left running when the service worker was stopped
+   */
+  static async resumeAll() {
+    const runningJobs = await GenerationJobStore.getRunningJobs();
+    runningJobs.forEach((job) => {
+      if (!this.timers.has(job.id) && !this.streams.has(job.id)) {
+        console.log(`🔁 Resuming generation job ${job.id}`);
+        this.track(job);
+      }
+    });
+  }
+
+  /**
+   * Start streaming or polling depending on what the job last used
+   * @param {Object} job - Job
+   */
+  static track(job) {
+    if (job.transport === "polling") {
+      this.schedule(job.id, 0);
+    } else {
+      this.stream(job.id);
+    }
+  }
+
+  /**
+   * Follow job status through Server-Sent Events, falling back to polling
+   * when the backend does not stream or the connection drops
+   * @param {string} jobId - Job id
+   */
+  static async stream(jobId) {
+    const job = await GenerationJobStore.getJob(jobId);
+    if (!job || job.status !== GENERATION_JOB_STATUS.RUNNING) {
+      return;
+    }
+
+    const controller = new AbortController();
+    this.streams.set(jobId, controller);
+
+    // Streams can stay open without sending anything, check timeouts on the side
+    let timeoutError = null;
+    const watchdog = setInterval(async () => {
+      const currentJob = await GenerationJobStore.getJob(jobId);
+      timeoutError = currentJob && this.getTimeoutError(currentJob);
+      if (timeoutError) {
+        controller.abort();
+      }
+    }, GENERATION_JOB_POLLING.INTERVAL_MS);
+
+    try {
+      console.log(`📡 Opening status stream for job ${jobId}`);
+      const { supported } = await ApiClient.streamEvents(
+        `${job.endpoints.status}?job_id=${encodeURIComponent(jobId)}`,
+        async (data) =>
+          (await this.handleStatus(jobId, data)) ===
+          GENERATION_JOB_STATUS.RUNNING,
+        { signal: controller.signal }
+      );
+
+      if (!supported) {
+        console.log(`ℹ️ Status streaming not supported, polling job ${jobId}`);
+      }
+    } catch (error) {
+      if (!timeoutError && !controller.signal.aborted) {
+        console.warn(`⚠️ Status stream for job ${jobId} failed:`, error);
+      }
+    } finally {
+      clearInterval(watchdog);
+      this.streams.delete(jobId);
+    }
+
+    if (timeoutError) {
+      await this.finish(jobId, {
+        status: GENERATION_JOB_STATUS.ERROR,
+        error: timeoutError,
+      });
+      return;
+    }
+
+    // Stream ended (or was never available) while the job is still running
+    const updatedJob = await GenerationJobStore.updateJob(jobId, {
+      transport: "polling",
+    });
+    if (updatedJob && updatedJob.status === GENERATION_JOB_STATUS.RUNNING) {
+      this.schedule(jobId);
+    }
+  }
+
+  /**
+   * Schedule the next poll for a job
+   * @param {string} jobId - Job id
+   * @param {number} delay - Delay in milliseconds
+   */
+  static schedule(jobId, delay = GENERATION_JOB_POLLING.INTERVAL_MS) {
+    clearTimeout(this.timers.get(jobId));
+    this.timers.set(
+      jobId,
+      setTimeout(() => this.poll(jobId), delay)
+    );
+  }
+
+  /**
+   * Check job status once and update the store
+   * @param {string} jobId - Job id
+   */
+  static async poll(jobId) {
+    this.timers.delete(jobId);
+
+    const job = await GenerationJobStore.getJob(jobId);
+    if (!job || job.status !== GENERATION_JOB_STATUS.RUNNING) {
+      return;
+    }
+
+    const timeoutError = this.getTimeoutError(job);
+    if (timeoutError) {
+      await this.finish(jobId, {
+        status: GENERATION_JOB_STATUS.ERROR,
+        error: timeoutError,
+      });
+      return;
+    }
+
+    const attempts = (job.attempts || 0) + 1;
+    console.log(`🔄 Polling attempt ${attempts} for job ${jobId}`);
+
+    const statusResult = await ApiClient.request(
+      `${job.endpoints.status}?job_id=${encodeURIComponent(jobId)}`
+    );
+
+    if (!statusResult.success) {
+      // A rejected API key will not recover by itself, fail the job right away
+      if (statusResult.status === 401) {
+        await this.finish(jobId, {
+          status: GENERATION_JOB_STATUS.ERROR,
+          error: statusResult.error,
+        });
+        return;
+      }
+
+      // Temporary network errors are retried until the job times out
+      await GenerationJobStore.updateJob(jobId, { attempts });
+      this.schedule(jobId);
+      return;
+    }
+
+    await GenerationJobStore.updateJob(jobId, { attempts });
+    const status = await this.handleStatus(jobId, statusResult.data);
+    if (status === GENERATION_JOB_STATUS.RUNNING) {
+      this.schedule(jobId);
+    }
+  }
+
+  /**
+   * Apply a status update coming from the stream or from polling
+   * @param {string} jobId - Job id
+   * @param {Object} data - Status data from backend
+   * @returns {Promise<string>} Job status after the update
+   */
+  static async handleStatus(jobId, data) {
+    try {
+      if (data.status === "done") {
+        const { endpoints } = await GenerationJobStore.getJob(jobId);
+        const result = await ApiClient.request(
+          `${endpoints.result}?job_id=${encodeURIComponent(jobId)}`
+        );
+        if (!result.success) {
+          throw new Error(
+            result.error || "Error getting document generation result"
+          );
+        }
+
+        await this.finish(jobId, {
+          status: GENERATION_JOB_STATUS.DONE,
+          result: result.data.result,
+        });
+        return GENERATION_JOB_STATUS.DONE;
+      }
+
+      if (data.status === GENERATION_JOB_STATUS.CANCELLED) {
+        await this.finish(jobId, { status: GENERATION_JOB_STATUS.CANCELLED });
+        return GENERATION_JOB_STATUS.CANCELLED;
+      }
+
+      if (data.status === "error") {
+        throw new Error(
+          data.error ||
+            data.progress_message ||
+            "Document generation job failed on server"
+        );
+      }
+
+      const job = await GenerationJobStore.getJob(jobId);
+      if (!job || job.status !== GENERATION_JOB_STATUS.RUNNING) {
+        return job ? job.status : GENERATION_JOB_STATUS.ERROR;
+      }
+
+      const progress = this.normalizeProgress(data, job);
+      const moved =
+        !job.progress ||
+        progress.percent !== job.progress.percent ||
+        progress.completed !== job.progress.completed ||
+        progress.currentPlaceholder !== job.progress.currentPlaceholder;
+
+      const updatedJob = await GenerationJobStore.updateJob(jobId, {
+        progress,
+        progressMessage: progress.message,
+        lastProgressAt: moved ? Date.now() : job.lastProgressAt,
+      });
+      this.notifyTabs(updatedJob);
+      return GENERATION_JOB_STATUS.RUNNING;
+    } catch (error) {
+      console.error(`❌ Generation job ${jobId} failed:`, error);
+      await this.finish(jobId, {
+        status: GENERATION_JOB_STATUS.ERROR,
+        error: error.message,
+      });
+      return GENERATION_JOB_STATUS.ERROR;
+    }
+  }
+
+  /**
+   * Normalize backend progress fields
+   * Backend may report progress as 0..1 or 0..100 and may omit the ETA,
+   * in which case it is estimated from elapsed time
+   * @param {Object} data - Status data from backend
+   * @param {Object} job - Current job
+   * @returns {Object} { percent, currentPlaceholder, completed, total, etaSeconds, message }
+   */
+  static normalizeProgress(data, job) {
+    const completed = Number(data.completed_placeholders) || 0;
+    const total =
+      Number(data.total_placeholders) || job.payloadSummary?.placeholders || 0;
+
+    let percent = Number(data.progress);
+    if (Number.isNaN(percent) || data.progress === undefined) {
+      percent = total > 0 ? (completed / total) * 100 : 0;
+    } else if (percent > 0 && percent <= 1) {
+      percent = percent * 100;
+    }
+    percent = Math.max(0, Math.min(100, Math.round(percent)));
+
+    let etaSeconds = Number(data.eta_seconds);
+    if (Number.isNaN(etaSeconds) || data.eta_seconds === undefined) {
+      const elapsedSeconds = (Date.now() - job.startedAt) / 1000;
+      etaSeconds =
+        percent > 0
+          ? Math.round((elapsedSeconds * (100 - percent)) / percent)
+          : null;
+    }
+
+    return {
+      percent,
+      currentPlaceholder: data.current_placeholder || "",
+      completed,
+      total,
+      etaSeconds,
+      message: data.progress_message || "",
+    };
+  }
+
+  /**
+   * Decide whether a job should be given up
+   * Allowed time grows with the estimated total time reported by the backend,
+   * between MIN_TIMEOUT_MS and MAX_TIMEOUT_MS, and a job whose reported
+   * progress does not move for STALL_TIMEOUT_MS is considered dead
+   * @param {Object} job - Job
+   * @returns {string|null} Error message, or null if the job may continue
+   */
+  static getTimeoutError(job) {
+    const now = Date.now();
+    const elapsed = now - job.startedAt;
+    const sinceLastProgress = now - (job.lastProgressAt || job.startedAt);
+
+    // Older backends report no progress at all, only judge stalls once progress was seen
+    const reportsProgress =
+      job.progress && (job.progress.percent > 0 || job.progress.completed > 0);
+
+    if (
+      reportsProgress &&
+      sinceLastProgress > GENERATION_JOB_POLLING.STALL_TIMEOUT_MS
+    ) {
+      return "⏰ Timeout: Document generation stopped making progress. Please try again.";
+    }
+
+    // Without reported progress there is no estimate, keep the minimum timeout
+    const estimatedTotal = reportsProgress
+      ? elapsed + (job.progress.etaSeconds || 0) * 1000
+      : 0;
+    const allowed = Math.min(
+      GENERATION_JOB_POLLING.MAX_TIMEOUT_MS,
+      Math.max(
+        GENERATION_JOB_POLLING.MIN_TIMEOUT_MS,
+        estimatedTotal * GENERATION_JOB_POLLING.TIMEOUT_MARGIN
+      )
+    );
+
+    if (elapsed > allowed) {
+      return "⏰ Timeout: Document generation is taking too long. Please try again.";
+    }
+    return null;
+  }
+
+  /**
+   * Cancel a running job: stop tracking it and ask the backend to stop
+   * The job is marked cancelled locally even if the backend call fails
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object|null>} Cancelled job
+   */
+  static async cancel(jobId) {
+    const job = await GenerationJobStore.getJob(jobId);
+    if (!job || job.status !== GENERATION_JOB_STATUS.RUNNING) {
+      return job;
+    }
+
+    this.stop(jobId);
+
+    let cancelError = null;
+    if (job.endpoints.cancel) {
+      const response = await ApiClient.request(job.endpoints.cancel, {
+        method: "POST",
+        body: JSON.stringify({ job_id: jobId }),
+      });
+      if (!response.success) {
+        cancelError = response.error;
+        console.warn(`⚠️ Backend could not cancel job ${jobId}:`, cancelError);
+      }
+    }
+
+    await this.finish(jobId, {
+      status: GENERATION_JOB_STATUS.CANCELLED,
+      error: cancelError ? `Backend cancel failed: ${cancelError}` : null,
+    });
+    return await GenerationJobStore.getJob(jobId);
+  }
+
+  /**
+   * Stop polling/streaming a job without touching its stored state
+   * @param {string} jobId - Job id
+   */
+  static stop(jobId) {
+    clearTimeout(this.timers.get(jobId));
+    this.timers.delete(jobId);
+    this.streams.get(jobId)?.abort();
+    this.streams.delete(jobId);
+  }
+
+  /**
+   * Mark a job as finished and notify tabs
+   * A job that already finished (e.g. cancelled while a poll was in flight) is left as is
+   * @param {string} jobId - Job id
+   * @param {Object} changes - Final job fields
+   */
+  static async finish(jobId, changes) {
+    const currentJob = await GenerationJobStore.getJob(jobId);
+    if (!currentJob || currentJob.status !== GENERATION_JOB_STATUS.RUNNING) {
+      return;
+    }
+
+    const job = await GenerationJobStore.updateJob(jobId, {
+      ...changes,
+      finishedAt: Date.now(),
+    });
+    console.log(`🏁 Generation job ${jobId} finished: ${changes.status}`);
+    this.notifyTabs(job);
+  }
+
+  /**
+   * Remove a job, stopping its polling/stream if needed
+   * @param {string} jobId - Job id
+   * @returns {Promise<boolean>} Success status
+   */
+  static async remove(jobId) {
+    this.stop(jobId);
+    return await GenerationJobStore.removeJob(jobId);
+  }
+
+  /**
+   * Tell every open tab that a job changed
+   * The generated document itself is not sent, tabs read it from the store
+   * @param {Object|null} job - Updated job
+   */
+  static notifyTabs(job) {
+    if (!job) return;
+
+    const { result, ...jobInfo } = job;
+    chrome.tabs.query({}, (tabs) => {
+      tabs.forEach((tab) => {
+        chrome.tabs
+          .sendMessage(tab.id, {
+            action: "generationJobUpdated",
+            job: { ...jobInfo, hasResult: !!result },
+          })
+          .catch(() => {
+            // Ignore tabs without content script
+          });
+      });
+    });
+  }
+}
@@ -1,11 +1,14 @@
 // Confluence Content Editor with Rich Text Editing
 // Handles editing interface when Confluence content is returned from API
 
-import { API_URLS } from "../shared/constants.js";
+import { ApiClient, ConfluenceApi } from "../shared/api.js";
+import { SNAPSHOT_ACTIONS } from "../shared/constants.js";
+import { ContentDiff } from "./utils/contentDiff.js";
 import { ContentSynchronizer } from "./utils/contentSynchronizer.js";
 import { DOMHelpers } from "./utils/domHelpers.js";
 import { HTMLTemplates } from "./utils/htmlTemplates.js";
 import { MermaidRenderer } from "./utils/mermaidRenderer.js";
+import { StorageFormatValidator } from "./utils/storageFormatValidator.js";
 import { StorageManager } from "./utils/storageManager.js";
 import { XMLFormatter } from "./utils/xmlFormatter.js";
 // TipTapEditor is loaded from global scope via tiptap.js
@@ -29,6 +32,26 @@ class ConfluenceEditor {
     this.autoSaveTimer = null;
     this.isModified = false;
     this.richTextNeedsRefresh = false; // Flag to track if Rich Text tab needs refresh
+    this.currentTab = "rich-text";
+
+    // Snapshot history
+    this.snapshots = [];
+    this.selectedSnapshotId = null;
+    this.historyMode = "preview";
+    this.historyIndex = null; // Snapshot the draft was undone/redone to
+    this.diagramSnapshotTimer = null;
+    this.pendingDiagramSnapshot = null;
+
+    // Storage format tab
+    this.storageMatches = []; // Search matches { start, end } in the source
+    this.storageMatchIndex = -1;
+    this.storageIssues = []; // Validation errors with their line in the editor
+    this.storageValidationTimer = null;
+
+    // Version comparison
+    this.compareBase = "generated";
+    this.compareTarget = "draft";
+    this.livePage = null; // Target page loaded for the comparison
 
     // Zoom controls
     this.currentZoom = 1;
@@ -160,6 +183,18 @@ class ConfluenceEditor {
       this.editorContainer,
       "#mermaid-tab"
     );
+    const storageTab = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#storage-tab"
+    );
+    const historyTab = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#history-tab"
+    );
+    const compareTab = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#compare-tab"
+    );
 
     DOMHelpers.addEventListener(richTextTab, "click", () =>
       this.switchTab("rich-text")
@@ -167,6 +202,177 @@ class ConfluenceEditor {
     DOMHelpers.addEventListener(mermaidTab, "click", () =>
       this.switchTab("mermaid")
     );
+    DOMHelpers.addEventListener(storageTab, "click", () =>
+      this.switchTab("storage")
+    );
+    DOMHelpers.addEventListener(historyTab, "click", () =>
+      this.switchTab("history")
+    );
+    DOMHelpers.addEventListener(compareTab, "click", () =>
+      this.switchTab("compare")
+    );
+
+    // Storage format tab elements
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    const storageSearch = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#storage-search"
+    );
+    DOMHelpers.addEventListener(rawEditor, "input", () =>
+      this.handleStorageInput()
+    );
+    DOMHelpers.addEventListener(rawEditor, "scroll", () =>
+      this.syncStorageScroll()
+    );
+    DOMHelpers.addEventListener(rawEditor, "keydown", (e) => {
+      if (e.key === "Tab") {
+        e.preventDefault();
+        rawEditor.setRangeText(
+          "    ",
+          rawEditor.selectionStart,
+          rawEditor.selectionEnd,
+          "end"
+        );
+        this.handleStorageInput();
+      } else if ((e.ctrlKey || e.metaKey) && e.key === "f") {
+        e.preventDefault();
+        storageSearch.focus();
+        storageSearch.select();
+      }
+    });
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#storage-gutter"),
+      "click",
+      (e) => {
+        const toggle = e.target.closest(
+          "[data-fold-line], [data-unfold-line]"
+        );
+        if (!toggle) return;
+        if (toggle.dataset.foldLine !== undefined) {
+          this.foldStorageLine(Number(toggle.dataset.foldLine));
+        } else {
+          this.unfoldStorageLine(Number(toggle.dataset.unfoldLine));
+        }
+      }
+    );
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#storage-status"),
+      "click",
+      (e) => {
+        const issue = e.target.closest("[data-line]");
+        if (issue) this.goToStorageLine(Number(issue.dataset.line));
+      }
+    );
+    DOMHelpers.addEventListener(storageSearch, "input", () =>
+      this.searchStorageSource()
+    );
+    DOMHelpers.addEventListener(storageSearch, "keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.goToStorageMatch(e.shiftKey ? -1 : 1);
+      }
+    });
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#storage-search-prev"),
+      "click",
+      () => this.goToStorageMatch(-1)
+    );
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#storage-search-next"),
+      "click",
+      () => this.goToStorageMatch(1)
+    );
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#storage-fold-all"),
+      "click",
+      () => this.foldAllStorage()
+    );
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#storage-unfold-all"),
+      "click",
+      () => this.unfoldAllStorage()
+    );
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#storage-format-btn"),
+      "click",
+      () => this.formatStorageSource()
+    );
+
+    // History tab elements
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#history-list"),
+      "click",
+      (e) => {
+        const item = e.target.closest("[data-snapshot-id]");
+        if (item) this.selectSnapshot(item.dataset.snapshotId);
+      }
+    );
+    DOMHelpers.querySelectorAll(
+      this.editorContainer,
+      "[data-history-mode]"
+    ).forEach((button) => {
+      DOMHelpers.addEventListener(button, "click", () => {
+        this.historyMode = button.dataset.historyMode;
+        this.renderSnapshotPreview();
+      });
+    });
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#history-restore-btn"),
+      "click",
+      () => this.restoreSelectedSnapshot()
+    );
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#history-undo"),
+      "click",
+      () => this.undoSnapshot()
+    );
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#history-redo"),
+      "click",
+      () => this.redoSnapshot()
+    );
+
+    // Compare tab elements
+    const compareBase = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#compare-base"
+    );
+    const compareTarget = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#compare-target"
+    );
+    DOMHelpers.addEventListener(compareBase, "change", (e) => {
+      this.compareBase = e.target.value;
+      this.renderComparison();
+    });
+    DOMHelpers.addEventListener(compareTarget, "change", (e) => {
+      this.compareTarget = e.target.value;
+      this.renderComparison();
+    });
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#compare-swap"),
+      "click",
+      () => {
+        [this.compareBase, this.compareTarget] = [
+          this.compareTarget,
+          this.compareBase,
+        ];
+        compareBase.value = this.compareBase;
+        compareTarget.value = this.compareTarget;
+        this.renderComparison();
+      }
+    );
+    DOMHelpers.addEventListener(
+      DOMHelpers.querySelector(this.editorContainer, "#compare-refresh"),
+      "click",
+      () => {
+        this.livePage = null;
+        this.renderComparison();
+      }
+    );
 
     // Mermaid tab elements
     const mermaidSelector = DOMHelpers.querySelector(
@@ -249,6 +455,16 @@ class ConfluenceEditor {
 
   // Switch between tabs
   switchTab(tabName) {
+    const previousTab = this.currentTab;
+    if (
+      previousTab === "storage" &&
+      tabName !== "storage" &&
+      !this.flushStorageEdits()
+    ) {
+      return; // Malformed storage format edits were kept
+    }
+    this.currentTab = tabName;
+
     // Update tab buttons
     const tabs = DOMHelpers.querySelectorAll(
       this.editorContainer,
@@ -295,6 +511,12 @@ class ConfluenceEditor {
       }
     } else if (tabName === "mermaid") {
       this.initializeMermaidTab();
+    } else if (tabName === "storage") {
+      this.initializeStorageTab(previousTab);
+    } else if (tabName === "history") {
+      this.initializeHistoryTab(previousTab);
+    } else if (tabName === "compare") {
+      this.initializeCompareTab(previousTab);
     }
 
     console.log(`Switched to ${tabName} tab`);
@@ -327,15 +549,7 @@ class ConfluenceEditor {
       console.warn("⚠️ Rich Text editor container not found");
       return;
     }
-    // Show TipTap container, hide raw editor for Rich Text tab
     richTextEditorContainer.style.display = "block";
-    const rawEditor = DOMHelpers.querySelector(
-      this.editorContainer,
-      "#raw-content-editor"
-    );
-    if (rawEditor) {
-      rawEditor.classList.add("hidden");
-    }
     try {
       // Check if TipTapEditor is available in global scope
       if (!window.TipTapEditor) {
@@ -858,6 +1072,7 @@ ${newCode}
             this.currentSelectedDiagramId,
             newCode
           );
+          this.scheduleDiagramSnapshot(this.currentSelectedDiagram.title);
 
           console.log(
             `📝 Updated diagram ${this.currentSelectedDiagramId} in draft mappings and synced with draft content`
@@ -1060,36 +1275,23 @@ ${newCode}
     this.addAIMessage("ai", "🤖 Processing your request...");
 
     try {
-      // Get current settings for AI model
-      const settings = await StorageManager.getSettings();
-
       // Prepare request payload similar to extension
+      // The model of the active profile is added by ApiClient
       const requestBody = {
         content: this.currentContent?.full_storage_format || "",
         diagram_code: this.currentSelectedDiagram.code,
         user_request: prompt,
-        selectedModel: settings.selectedModel || "sonar-pro",
       };
 
       console.log("🤖 Sending AI request:", requestBody);
 
       // Call AI API (same endpoint as extension)
-      const response = await fetch(API_URLS.EDIT_DIAGRAM, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(requestBody),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(
-          errorData.error || `HTTP ${response.status}: ${response.statusText}`
-        );
+      const response = await ApiClient.editDiagram(requestBody);
+      if (!response.success) {
+        throw new Error(response.error);
       }
 
-      const data = await response.json();
+      const data = response.data;
 
       if (data.success && data.edited_diagram) {
         // Clean and validate the AI response
@@ -1151,6 +1353,10 @@ ${cleanedDiagram}
             this.currentSelectedDiagramId,
             cleanedDiagram
           );
+          await this.recordSnapshot(
+            `AI edited ${this.currentSelectedDiagram.title}: ${prompt}`,
+            SNAPSHOT_ACTIONS.AI_EDIT
+          );
 
           // Mark content as modified for synchronization
           console.log(
@@ -1537,6 +1743,972 @@ ${cleanedDiagram}
     this.storageManager.saveMermaidDiagramMappings(existingMappings);
   }
 
+  // Initialize storage format tab
+  async initializeStorageTab(previousTab) {
+    await this.syncDraftWithEditors(previousTab);
+    this.loadStorageSource();
+  }
+
+  // Load the draft into the storage format editor, pretty-printed
+  loadStorageSource() {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    if (!rawEditor) return;
+
+    const draft =
+      this.storageManager.loadFromDraft() ||
+      this.storageManager.loadFromLocalStorage();
+    const storage = XMLFormatter.cleanXMLMarkers(
+      draft?.full_storage_format || draft?.content || ""
+    );
+
+    this.contentSynchronizer.clearRawFolds();
+    rawEditor.value = this.foldStorageImageData(
+      XMLFormatter.formatXHTML(storage)
+    );
+    delete rawEditor.dataset.modified;
+    rawEditor.scrollTop = 0;
+    this.validateStorageSource();
+    this.searchStorageSource();
+  }
+
+  // Diagram previews are base64 images, keep their data out of sight
+  foldStorageImageData(source) {
+    return source.replace(
+      /(\ssrc=")(data:[^"]{200,})(")/g,
+      (match, before, data, after) =>
+        before + this.contentSynchronizer.foldRawText(data, "image data") + after
+    );
+  }
+
+  // Re-indent the storage format, if it is well-formed
+  formatStorageSource() {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    const source = this.contentSynchronizer.expandRawFolds(rawEditor.value);
+    if (!StorageFormatValidator.validate(source).wellFormed) {
+      this.updateStatus("⚠️ Fix the well-formedness errors before formatting");
+      return;
+    }
+
+    this.contentSynchronizer.clearRawFolds();
+    rawEditor.value = this.foldStorageImageData(
+      XMLFormatter.formatXHTML(source)
+    );
+    this.handleStorageInput();
+  }
+
+  // The source changed: repaint now, validate and sync once typing stopped
+  handleStorageInput() {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    rawEditor.dataset.modified = "true";
+    this.searchStorageSource();
+
+    clearTimeout(this.storageValidationTimer);
+    this.storageValidationTimer = setTimeout(() => {
+      this.storageValidationTimer = null;
+      this.applyStorageEdits();
+    }, 500);
+  }
+
+  // Sync well-formed storage format edits into the draft and the Rich Text view
+  applyStorageEdits() {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    if (!rawEditor) return true;
+
+    const report = this.validateStorageSource();
+    if (!report.wellFormed) return false;
+    if (rawEditor.dataset.modified !== "true") return true;
+
+    this.currentContent = this.contentSynchronizer.syncFromRawEditor(
+      this.storageManager.loadFromDraft() || this.currentContent || {},
+      this.editorContainer
+    );
+    this.storageManager.saveToDraft(this.currentContent);
+    this.richTextNeedsRefresh = true;
+    this.isModified = true;
+    this.updateSaveButtonState();
+    console.log("🧾 Storage format edits synced to draft");
+    return true;
+  }
+
+  // Sync pending storage format edits, or ask to drop them if malformed
+  flushStorageEdits() {
+    clearTimeout(this.storageValidationTimer);
+    this.storageValidationTimer = null;
+
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    if (!rawEditor || rawEditor.dataset.modified !== "true") return true;
+    if (this.applyStorageEdits()) return true;
+
+    if (
+      !confirm(
+        "The storage format is not well-formed, so your edits there were not synced. Discard them?"
+      )
+    ) {
+      return false;
+    }
+    delete rawEditor.dataset.modified;
+    return true;
+  }
+
+  // Check the whole source (folds expanded) and show its errors
+  validateStorageSource() {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    const status = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#storage-status"
+    );
+    const report = StorageFormatValidator.validate(
+      this.contentSynchronizer.expandRawFolds(rawEditor.value)
+    );
+
+    const toEditorLine = this.mapStorageLines(rawEditor.value);
+    this.storageIssues = report.issues
+      .filter((issue) => issue.severity === "error")
+      .map((issue) => ({ ...issue, editorLine: toEditorLine(issue.line) }));
+
+    let summary = "✅ Well-formed";
+    if (!report.wellFormed) {
+      summary = "❌ Not well-formed, edits are synced once this is fixed";
+    } else if (report.errors > 0) {
+      summary = `⚠️ Well-formed, ${report.errors} error(s) Confluence may reject`;
+    }
+    if (report.warnings > 0) {
+      summary += ` · ${report.warnings} warning(s)`;
+    }
+
+    const issues = this.storageIssues.slice(0, 5).map((issue) => {
+      const item = document.createElement("button");
+      item.className = "storage-issue";
+      item.dataset.line = issue.editorLine;
+      item.textContent = `Line ${issue.line}:${issue.column} ${issue.message}`;
+      return item.outerHTML;
+    });
+    if (this.storageIssues.length > issues.length) {
+      issues.push(
+        `<span class="storage-issue-more">+${
+          this.storageIssues.length - issues.length
+        } more</span>`
+      );
+    }
+
+    DOMHelpers.toggleClass(status, "error", !report.wellFormed);
+    DOMHelpers.setContent(
+      status,
+      `<span class="storage-status-summary">${summary}</span>${issues.join("")}`,
+      true
+    );
+    this.renderStorageGutter();
+    return report;
+  }
+
+  // Map lines of the full source to editor lines, a fold takes one line
+  mapStorageLines(value) {
+    const editorLines = [];
+    value.split("\n").forEach((line, index) => {
+      const lineCount = this.contentSynchronizer
+        .expandRawFolds(line)
+        .split("\n").length;
+      for (let count = 0; count < lineCount; count++) {
+        editorLines.push(index + 1);
+      }
+    });
+    return (line) =>
+      editorLines[Math.min(line, editorLines.length) - 1] || 1;
+  }
+
+  // Repaint highlighting, search matches and gutter from the source
+  renderStorageSource() {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    const highlight = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#storage-highlight"
+    );
+    const matches = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#storage-matches"
+    );
+    const value = rawEditor.value;
+
+    // The trailing newline keeps the last line as tall as in the textarea
+    DOMHelpers.setContent(
+      highlight,
+      `${XMLFormatter.highlightXHTML(value)}\n`,
+      true
+    );
+
+    let matchesHtml = "";
+    let position = 0;
+    this.storageMatches.forEach((match, index) => {
+      matchesHtml += XMLFormatter.escapeXML(
+        value.substring(position, match.start)
+      );
+      matchesHtml += `<mark class="${
+        index === this.storageMatchIndex ? "current" : ""
+      }">${XMLFormatter.escapeXML(
+        value.substring(match.start, match.end)
+      )}</mark>`;
+      position = match.end;
+    });
+    matchesHtml += XMLFormatter.escapeXML(value.substring(position));
+    DOMHelpers.setContent(matches, `${matchesHtml}\n`, true);
+
+    this.renderStorageGutter();
+    this.syncStorageScroll();
+  }
+
+  // Line numbers with fold toggles and error markers
+  renderStorageGutter() {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    const gutter = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#storage-gutter"
+    );
+    if (!rawEditor || !gutter) return;
+
+    const lines = rawEditor.value.split("\n");
+    const foldRanges = this.findStorageFoldRanges(lines);
+    const errorLines = new Set(
+      this.storageIssues.map((issue) => issue.editorLine)
+    );
+
+    DOMHelpers.setContent(
+      gutter,
+      lines
+        .map((line, index) => {
+          let toggle = "";
+          if (/⟦\d+: ⋯/.test(line)) {
+            toggle = `<span class="storage-fold-toggle" data-unfold-line="${index}" title="Unfold">▸</span>`;
+          } else if (foldRanges.has(index)) {
+            toggle = `<span class="storage-fold-toggle" data-fold-line="${index}" title="Fold">▾</span>`;
+          }
+          return `<div class="storage-line-number ${
+            errorLines.has(index + 1) ? "error" : ""
+          }">${toggle}${index + 1}</div>`;
+        })
+        .join(""),
+      true
+    );
+    this.syncStorageScroll();
+  }
+
+  // Elements spanning several lines: opening line -> closing line (0-based)
+  findStorageFoldRanges(lines) {
+    const ranges = new Map();
+    const openElements = [];
+
+    lines.forEach((line, index) => {
+      const closing = line.match(/^(\s*)<\/([\w:.-]+)>\s*$/);
+      if (closing) {
+        // Close the innermost element with this name and indentation
+        for (let depth = openElements.length - 1; depth >= 0; depth--) {
+          const element = openElements[depth];
+          if (element.name === closing[2] && element.indent === closing[1]) {
+            if (index - element.line > 1) {
+              ranges.set(element.line, index);
+            }
+            openElements.length = depth;
+            break;
+          }
+        }
+        return;
+      }
+
+      const opening = line.match(/^(\s*)<([\w:.-]+)(\s[^>]*)?>\s*$/);
+      if (opening && !line.trimEnd().endsWith("/>")) {
+        openElements.push({ name: opening[2], indent: opening[1], line: index });
+      }
+    });
+
+    return ranges;
+  }
+
+  // Hide the lines between an opening tag and its closing tag
+  foldStorageLine(lineIndex) {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    const lines = rawEditor.value.split("\n");
+    const endIndex = this.findStorageFoldRanges(lines).get(lineIndex);
+    if (endIndex === undefined) return;
+
+    // From the end of the opening line to the closing tag after its indentation
+    const closingIndent = lines[endIndex].match(/^\s*/)[0];
+    const folded = `\n${lines
+      .slice(lineIndex + 1, endIndex)
+      .join("\n")}\n${closingIndent}`;
+    const placeholder = this.contentSynchronizer.foldRawText(
+      folded,
+      `⋯ ${endIndex - lineIndex - 1} lines`
+    );
+
+    this.replaceStorageLines(
+      lineIndex,
+      endIndex,
+      `${lines[lineIndex]}${placeholder}${lines[endIndex].trimStart()}`
+    );
+  }
+
+  // Show the lines folded in a line again
+  unfoldStorageLine(lineIndex) {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    const line = rawEditor.value.split("\n")[lineIndex];
+    this.replaceStorageLines(
+      lineIndex,
+      lineIndex,
+      this.unfoldStoragePlaceholders(line)
+    );
+  }
+
+  // Fold every top-level element
+  foldAllStorage() {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    const ranges = Array.from(
+      this.findStorageFoldRanges(rawEditor.value.split("\n"))
+    );
+
+    // Outermost ranges only, folded bottom-up so line numbers stay valid
+    let coveredUntil = -1;
+    ranges
+      .sort(([a], [b]) => a - b)
+      .filter(([start, end]) => {
+        if (start <= coveredUntil) return false;
+        coveredUntil = end;
+        return true;
+      })
+      .reverse()
+      .forEach(([start]) => this.foldStorageLine(start));
+  }
+
+  // Unfold every element, image data stays folded
+  // Returns false when there was nothing to unfold
+  unfoldAllStorage() {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    let value = rawEditor.value;
+    for (
+      let unfolded = this.unfoldStoragePlaceholders(value);
+      unfolded !== value;
+      unfolded = this.unfoldStoragePlaceholders(value)
+    ) {
+      value = unfolded;
+    }
+    if (value === rawEditor.value) return false;
+
+    const scrollTop = rawEditor.scrollTop;
+    rawEditor.value = value;
+    rawEditor.scrollTop = scrollTop;
+    this.validateStorageSource();
+    this.searchStorageSource();
+    return true;
+  }
+
+  unfoldStoragePlaceholders(text) {
+    return text.replace(/⟦\d+: ⋯[^⟧<>]*⟧/g, (placeholder) => {
+      const folded = this.contentSynchronizer.getRawFold(placeholder);
+      return folded === null ? placeholder : folded;
+    });
+  }
+
+  // Replace lines of the source without touching the text elsewhere
+  replaceStorageLines(startIndex, endIndex, text) {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    const lines = rawEditor.value.split("\n");
+    const scrollTop = rawEditor.scrollTop;
+
+    lines.splice(startIndex, endIndex - startIndex + 1, text);
+    rawEditor.value = lines.join("\n");
+    rawEditor.scrollTop = scrollTop;
+    this.validateStorageSource();
+    this.searchStorageSource();
+  }
+
+  // Find the search text in the source, folded elements are opened first
+  searchStorageSource() {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    const searchInput = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#storage-search"
+    );
+    const query = searchInput.value.toLowerCase();
+
+    // unfoldAllStorage searches again once the text is back
+    if (query && this.unfoldAllStorage()) return;
+
+    const text = rawEditor.value.toLowerCase();
+    this.storageMatches = [];
+    for (
+      let start = query ? text.indexOf(query) : -1;
+      start !== -1;
+      start = text.indexOf(query, start + query.length)
+    ) {
+      this.storageMatches.push({ start, end: start + query.length });
+    }
+    this.storageMatchIndex = Math.min(
+      Math.max(this.storageMatchIndex, 0),
+      this.storageMatches.length - 1
+    );
+
+    this.updateStorageSearchCount();
+    this.renderStorageSource();
+  }
+
+  // Select the next (1) or previous (-1) search match
+  goToStorageMatch(step) {
+    const count = this.storageMatches.length;
+    if (count === 0) return;
+
+    this.storageMatchIndex = (this.storageMatchIndex + step + count) % count;
+    const match = this.storageMatches[this.storageMatchIndex];
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    rawEditor.focus();
+    rawEditor.setSelectionRange(match.start, match.end);
+    this.scrollStorageToLine(
+      rawEditor.value.substring(0, match.start).split("\n").length
+    );
+
+    this.updateStorageSearchCount();
+    this.renderStorageSource();
+  }
+
+  updateStorageSearchCount() {
+    const count = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#storage-search-count"
+    );
+    const query = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#storage-search"
+    ).value;
+    DOMHelpers.setContent(
+      count,
+      query
+        ? `${this.storageMatches.length ? this.storageMatchIndex + 1 : 0}/${
+            this.storageMatches.length
+          }`
+        : ""
+    );
+  }
+
+  // Put the cursor at the start of a line (1-based) of the editor
+  goToStorageLine(line) {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    const offset = rawEditor.value
+      .split("\n")
+      .slice(0, line - 1)
+      .reduce((total, text) => total + text.length + 1, 0);
+    rawEditor.focus();
+    rawEditor.setSelectionRange(offset, offset);
+    this.scrollStorageToLine(line);
+  }
+
+  scrollStorageToLine(line) {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    const lineHeight = parseFloat(getComputedStyle(rawEditor).lineHeight) || 18;
+    rawEditor.scrollTop = Math.max(0, (line - 5) * lineHeight);
+    this.syncStorageScroll();
+  }
+
+  // Keep the layers under the textarea and the gutter at its scroll position
+  syncStorageScroll() {
+    const rawEditor = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#raw-content-editor"
+    );
+    if (!rawEditor) return;
+
+    ["#storage-highlight", "#storage-matches"].forEach((selector) => {
+      const layer = DOMHelpers.querySelector(this.editorContainer, selector);
+      layer.scrollTop = rawEditor.scrollTop;
+      layer.scrollLeft = rawEditor.scrollLeft;
+    });
+    DOMHelpers.querySelector(
+      this.editorContainer,
+      "#storage-gutter"
+    ).scrollTop = rawEditor.scrollTop;
+  }
+
+  // Record the draft in the snapshot history of the document
+  async recordSnapshot(label, action, options = {}) {
+    const snapshot = await this.storageManager.recordSnapshot(
+      label,
+      action,
+      options
+    );
+    if (snapshot) {
+      // The draft moved on from the snapshot it was undone to
+      this.historyIndex = null;
+      if (this.currentTab === "history") {
+        await this.loadHistory();
+      }
+    }
+    return snapshot;
+  }
+
+  // Record manual diagram edits once typing stopped, not on every key
+  scheduleDiagramSnapshot(diagramTitle) {
+    clearTimeout(this.diagramSnapshotTimer);
+    this.pendingDiagramSnapshot = `Edited ${diagramTitle}`;
+    this.diagramSnapshotTimer = setTimeout(
+      () => this.flushDiagramSnapshot(),
+      2000
+    );
+  }
+
+  // Record a pending diagram edit snapshot now
+  async flushDiagramSnapshot() {
+    if (!this.diagramSnapshotTimer) return;
+
+    clearTimeout(this.diagramSnapshotTimer);
+    this.diagramSnapshotTimer = null;
+    await this.recordSnapshot(
+      this.pendingDiagramSnapshot,
+      SNAPSHOT_ACTIONS.DIAGRAM
+    );
+  }
+
+  // Initialize history tab
+  async initializeHistoryTab(previousTab) {
+    await this.syncDraftWithEditors(previousTab);
+    await this.loadHistory();
+  }
+
+  // Make the draft the "current" version before history or compare reads it
+  async syncDraftWithEditors(previousTab) {
+    if (previousTab === "rich-text") {
+      // Rich Text edits may not be auto-saved yet, the draft is the "current" version
+      const currentEditorContent = this.getCurrentEditorContent();
+      if (this.currentContent && currentEditorContent) {
+        this.currentContent.full_storage_format = currentEditorContent;
+        this.storageManager.saveToDraft(this.currentContent);
+      }
+    } else if (this.richTextNeedsRefresh) {
+      // Keep the Rich Text editor in line with diagram changes of the draft
+      await this.forceRefreshRichTextTab();
+      this.richTextNeedsRefresh = false;
+    }
+  }
+
+  // Load snapshots of the document and render the history list
+  async loadHistory() {
+    this.snapshots = await this.storageManager.getSnapshots();
+    if (
+      !this.snapshots.some(
+        (snapshot) => snapshot.id === this.selectedSnapshotId
+      )
+    ) {
+      this.selectedSnapshotId =
+        this.snapshots[this.snapshots.length - 1]?.id || null;
+    }
+    this.renderHistory();
+  }
+
+  // Render the snapshot list, newest first
+  renderHistory() {
+    const list = DOMHelpers.querySelector(this.editorContainer, "#history-list");
+    if (!list) return;
+
+    const currentIndex = this.resolveHistoryIndex();
+    if (this.snapshots.length === 0) {
+      DOMHelpers.setContent(
+        list,
+        '<div class="mermaid-placeholder">No snapshots yet. Saves, AI edits, diagram changes and regenerations are recorded here.</div>',
+        true
+      );
+    } else {
+      DOMHelpers.setContent(
+        list,
+        this.snapshots
+          .map((snapshot, index) =>
+            HTMLTemplates.createSnapshotItem(snapshot, {
+              selected: snapshot.id === this.selectedSnapshotId,
+              current: index === currentIndex,
+            })
+          )
+          .reverse()
+          .join(""),
+        true
+      );
+    }
+
+    const undoBtn = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#history-undo"
+    );
+    const redoBtn = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#history-redo"
+    );
+    if (undoBtn) {
+      undoBtn.disabled =
+        currentIndex === null ? this.snapshots.length === 0 : currentIndex === 0;
+    }
+    if (redoBtn) {
+      redoBtn.disabled =
+        currentIndex === null || currentIndex >= this.snapshots.length - 1;
+    }
+
+    this.renderSnapshotPreview();
+  }
+
+  // Select a snapshot of the history list
+  selectSnapshot(snapshotId) {
+    this.selectedSnapshotId = snapshotId;
+    this.renderHistory();
+  }
+
+  // Show the selected snapshot, or its diff with the current draft
+  renderSnapshotPreview() {
+    const preview = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#history-preview"
+    );
+    const title = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#history-preview-title"
+    );
+    const restoreBtn = DOMHelpers.querySelector(
+      this.editorContainer,
+      "#history-restore-btn"
+    );
+    if (!preview) return;
+
+    DOMHelpers.querySelectorAll(
+      this.editorContainer,
+      "[data-history-mode]"
+    ).forEach((button) => {
+      button.classList.toggle(
+        "active",
+        button.dataset.historyMode === this.historyMode
+      );
+    });
+
+    const snapshot = this.snapshots.find(
+      (item) => item.id === this.selectedSnapshotId
+    );
+    if (restoreBtn) restoreBtn.disabled = !snapshot;
+    if (!snapshot) {
+      title.textContent = "Select a snapshot";
+      DOMHelpers.setContent(
+        preview,
+        '<div class="mermaid-placeholder">Select a snapshot to preview it</div>',
+        true
+      );
+      return;
+    }
+
+    title.textContent = `${snapshot.label} · ${new Date(
+      snapshot.createdAt
+    ).toLocaleString()}`;
+    const snapshotContent = XMLFormatter.cleanXMLMarkers(
+      snapshot.content?.full_storage_format || ""
+    );
+
+    if (this.historyMode !== "diff") {
+      DOMHelpers.setContent(
+        preview,
+        HTMLTemplates.applyPreviewStyles(snapshotContent),
+        true
+      );
+      return;
+    }
+
+    const current = this.storageManager.getSnapshotState();
+    DOMHelpers.setContent(
+      preview,
+      this.createVersionDiff(
+        {
+          storage: snapshotContent,
+          diagrams: this.toDiagramList(snapshot.mermaidMappings),
+        },
+        {
+          storage: current.content?.full_storage_format || "",
+          diagrams: this.toDiagramList(current.mermaidMappings),
+        },
+        "Compared with the current draft"
+      ),
+      true
+    );
+  }
+
+  // Index of the snapshot equal to the draft, null when the draft has unrecorded changes
+  resolveHistoryIndex() {
+    const currentKey = StorageManager.getSnapshotKey(
+      this.storageManager.getSnapshotState()
+    );
+    if (
+      this.historyIndex !== null &&
+      this.snapshots[this.historyIndex] &&
+      StorageManager.getSnapshotKey(this.snapshots[this.historyIndex]) ===
+        currentKey
+    ) {
+      return this.historyIndex;
+    }
+
+    for (let index = this.snapshots.length - 1; index >= 0; index--) {
+      if (StorageManager.getSnapshotKey(this.snapshots[index]) === currentKey) {
+        return index;
+      }
+    }
+    return null;
+  }
+
+  // Restore the selected snapshot, recorded as a new snapshot
+  async restoreSelectedSnapshot() {
+    const snapshot = this.snapshots.find(
+      (item) => item.id === this.selectedSnapshotId
+    );
+    if (!snapshot) return;
+
+    await this.applySnapshot(snapshot);
+    await this.recordSnapshot(
+      `Restored "${snapshot.label}"`,
+      SNAPSHOT_ACTIONS.RESTORE
+    );
+    await this.loadHistory();
+    this.updateStatus(`↩ Restored "${snapshot.label}"`);
+  }
+
+  // Go back to the previous snapshot
+  async undoSnapshot() {
+    let currentIndex = this.resolveHistoryIndex();
+    if (currentIndex === null) {
+      // Keep unrecorded changes so they can be redone
+      await this.storageManager.recordSnapshot(
+        "Unsaved edits",
+        SNAPSHOT_ACTIONS.EDIT
+      );
+      this.snapshots = await this.storageManager.getSnapshots();
+      currentIndex = this.resolveHistoryIndex();
+    }
+    if (!currentIndex) return;
+
+    await this.applySnapshot(this.snapshots[currentIndex - 1]);
+    this.historyIndex = currentIndex - 1;
+    this.selectedSnapshotId = this.snapshots[this.historyIndex].id;
+    this.renderHistory();
+    this.updateStatus("↶ Undo");
+  }
+
+  // Go forward to the next snapshot after an undo
+  async redoSnapshot() {
+    const currentIndex = this.resolveHistoryIndex();
+    if (currentIndex === null || currentIndex >= this.snapshots.length - 1) {
+      return;
+    }
+
+    await this.applySnapshot(this.snapshots[currentIndex + 1]);
+    this.historyIndex = currentIndex + 1;
+    this.selectedSnapshotId = this.snapshots[this.historyIndex].id;
+    this.renderHistory();
+    this.updateStatus("↷ Redo");
+  }
+
+  // Put a snapshot into the draft and reload the editors from it
+  async applySnapshot(snapshot) {
+    this.currentContent = this.storageManager.restoreSnapshot(snapshot);
+    this.currentSelectedDiagram = null;
+    this.currentSelectedDiagramId = null;
+
+    await this.forceRefreshRichTextTab();
+    this.richTextNeedsRefresh = false;
+
+    this.isModified = true;
+    this.updateSaveButtonState();
+  }
+
+  // Initialize compare tab
+  async initializeCompareTab(previousTab) {
+    await this.syncDraftWithEditors(previousTab);
+    await this.renderComparison();
+  }
+
+  // Diff the two versions picked in the compare tab
+  async renderComparison() {
+    const view = DOMHelpers.querySelector(this.editorContainer, "#compare-view");
+    if (!view) return;
+
+    const base = this.compareBase;
+    const target = this.compareTarget;
+    if (base === target) {
+      DOMHelpers.setContent(
+        view,
+        '<div class="mermaid-placeholder">Pick two different versions to compare</div>',
+        true
+      );
+      return;
+    }
+
+    DOMHelpers.setContent(
+      view,
+      '<div class="mermaid-placeholder">⏳ Loading versions...</div>',
+      true
+    );
+    try {
+      const [oldVersion, newVersion] = await Promise.all([
+        this.loadCompareVersion(base),
+        this.loadCompareVersion(target),
+      ]);
+      // Another pair was picked while loading
+      if (base !== this.compareBase || target !== this.compareTarget) return;
+
+      DOMHelpers.setContent(
+        view,
+        this.createVersionDiff(
+          oldVersion,
+          newVersion,
+          `${oldVersion.label} → ${newVersion.label}`
+        ),
+        true
+      );
+    } catch (error) {
+      console.error("❌ Failed to compare versions:", error);
+      if (base !== this.compareBase || target !== this.compareTarget) return;
+      const message = document.createElement("div");
+      message.className = "mermaid-placeholder";
+      message.textContent = `❌ ${error.message}`;
+      DOMHelpers.setContent(view, message.outerHTML, true);
+    }
+  }
+
+  // Load one side of the comparison: { label, storage, diagrams }
+  async loadCompareVersion(source) {
+    if (source === "draft") {
+      const state = this.storageManager.getSnapshotState();
+      return {
+        label: "Current draft",
+        storage: state.content?.full_storage_format || "",
+        diagrams: this.toDiagramList(state.mermaidMappings),
+      };
+    }
+
+    if (source === "generated") {
+      const generated = await this.storageManager.loadGeneratedVersion();
+      if (!generated) {
+        throw new Error("No generated version is recorded for this document");
+      }
+      return {
+        label: "Generated",
+        storage: generated.content?.full_storage_format || "",
+        diagrams: this.toDiagramList(generated.mermaidMappings),
+      };
+    }
+
+    return this.loadLivePage();
+  }
+
+  // Load the page this document was last published to, once per editor session
+  async loadLivePage() {
+    if (!this.livePage) {
+      const targetPage =
+        this.storageManager.loadGenerationContext()?.targetPage;
+      if (!targetPage?.id) {
+        throw new Error(
+          "This document has not been published yet. Create a page or update an existing one from the Preview tab to compare with it."
+        );
+      }
+
+      const page = await ConfluenceApi.fetchPageContent(targetPage.id);
+      const storage = page.storageFormat || "";
+      const { diagrams } = MermaidRenderer.extractMermaidDiagrams(storage);
+      this.livePage = {
+        label: `Live page "${page.title}"`,
+        storage,
+        // Published diagrams keep their code in the diagram service, not in the page
+        diagrams:
+          diagrams.length === 0 && /k-tool-diagram-\d/.test(storage)
+            ? null
+            : diagrams.map((diagram) => ({
+                id: diagram.id,
+                title: `Diagram ${ContentDiff.getDiagramNumber(diagram.id)}`,
+                code: diagram.code,
+              })),
+      };
+    }
+    return this.livePage;
+  }
+
+  // Turn Mermaid mapping entries into the diagram list ContentDiff compares
+  toDiagramList(mermaidMappings) {
+    return (mermaidMappings || []).map(([diagramId, diagram]) => ({
+      id: diagramId,
+      title: `Diagram ${ContentDiff.getDiagramNumber(diagramId)}`,
+      code: diagram.content || "",
+    }));
+  }
+
+  // Build the block and Mermaid code diff of two versions
+  createVersionDiff(oldVersion, newVersion, title) {
+    const changes = ContentDiff.diffBlocks(
+      XMLFormatter.cleanXMLMarkers(oldVersion.storage),
+      XMLFormatter.cleanXMLMarkers(newVersion.storage)
+    );
+    const { added, removed, changed } = ContentDiff.summarize(changes);
+    const summary = document.createElement("div");
+    summary.className = "diff-summary";
+    summary.textContent = `${title}: ${changed} block(s) changed, ${added} added, ${removed} removed`;
+
+    const diagramDiff =
+      oldVersion.diagrams && newVersion.diagrams
+        ? HTMLTemplates.createDiagramDiff(
+            ContentDiff.diffDiagrams(oldVersion.diagrams, newVersion.diagrams)
+          )
+        : '<div class="diff-note">📊 Diagram code of the live page is kept by the diagram service, only diagram positions are compared.</div>';
+
+    return (
+      summary.outerHTML +
+      HTMLTemplates.createContentDiff(changes) +
+      diagramDiff
+    );
+  }
+
   updateStatus(message) {
     const status = this.editorContainer?.querySelector("#editor-status");
     if (status) {
@@ -1608,6 +2780,13 @@ ${cleanedDiagram}
 
   async saveChanges() {
     try {
+      await this.flushDiagramSnapshot();
+
+      // Storage format edits only reach the draft once well-formed
+      if (this.currentTab === "storage" && !this.flushStorageEdits()) {
+        return;
+      }
+
       // 📝 First, ensure current editor content is saved to draft
       this.saveToLocalStorage(); // Save current editor state to draft
 
@@ -1675,6 +2854,10 @@ ${cleanedDiagram}
       // Update original content to new saved state
       this.originalContent = JSON.parse(JSON.stringify(this.currentContent));
 
+      await this.recordSnapshot("Saved edits", SNAPSHOT_ACTIONS.SAVE, {
+        committed: true,
+      });
+
       // Don't re-extract diagrams after save to avoid duplicates
       // Save completed - auto close editor immediately
       this.closeEditor();
@@ -1810,6 +2993,16 @@ ${cleanedDiagram}
     // Stop auto-save
     this.storageManager.stopAutoSave();
 
+    // Record a diagram edit still waiting for its snapshot
+    this.flushDiagramSnapshot();
+
+    // Keep well-formed storage format edits typed just before closing
+    if (this.currentTab === "storage") {
+      this.applyStorageEdits();
+    }
+    clearTimeout(this.storageValidationTimer);
+    this.storageValidationTimer = null;
+
     // Destroy TipTap Rich Text Editor
     if (this.tipTapEditor) {
       console.log("🗑️ Destroying TipTap Rich Text Editor...");
@@ -1839,6 +3032,17 @@ ${cleanedDiagram}
     this.currentSelectedDiagram = null;
     this.currentSelectedDiagramId = null;
     this.isModified = false;
+    this.currentTab = "rich-text";
+    this.snapshots = [];
+    this.selectedSnapshotId = null;
+    this.historyIndex = null;
+    this.storageMatches = [];
+    this.storageMatchIndex = -1;
+    this.storageIssues = [];
+    this.contentSynchronizer.clearRawFolds();
+    this.compareBase = "generated";
+    this.compareTarget = "draft";
+    this.livePage = null;
     // Reset zoom state
     this.currentZoom = 1;
     this.dragOffset = { x: 0, y: 0 };
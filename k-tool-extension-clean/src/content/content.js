@@ -1,10 +1,25 @@
 // K-Tool Extension Content Script
 import { ApiClient, ConfluenceApi } from "../shared/api.js";
-import { PROGRESS_STEPS } from "../shared/constants.js";
+import {
+  API_URLS,
+  DEFAULT_TITLE_PATTERN,
+  GENERATION_BUDGET,
+  GENERATION_JOB_STATUS,
+  PLACEHOLDER_MODES,
+  PROGRESS_STEPS,
+  SNAPSHOT_ACTIONS,
+} from "../shared/constants.js";
+import { EnvironmentManager } from "../shared/environments.js";
+import { GenerationJobStore } from "../shared/generationJobs.js";
+import { PlaceholderGrammar } from "../shared/placeholderGrammar.js";
+import { StorageFormatSanitizer } from "../shared/storageFormatSanitizer.js";
+import { TemplateConformanceChecker } from "../shared/templateConformance.js";
 import { ConfluenceEditor } from "./confluenceEditor.js";
+import { PlaceholderReview } from "./placeholderReview.js";
 import { MermaidAIChat } from "./mermaidAI/mermaidAIChat.js";
 import { TextEditAI } from "./mermaidAI/textEditAI.js";
 import { MermaidRenderer } from "./utils/mermaidRenderer.js";
+import { StorageFormatValidator } from "./utils/storageFormatValidator.js";
 import { StorageManager } from "./utils/storageManager.js";
 import { XMLFormatter } from "./utils/xmlFormatter.js";
 
@@ -19,6 +34,7 @@ class KToolContent {
     this.mermaidAIChat = null;
     this.textEditAI = null;
     this.storageManager = new StorageManager();
+    this.placeholderReview = new PlaceholderReview();
     this.init();
   }
 
@@ -69,6 +85,19 @@ class KToolContent {
     } catch (error) {
       console.error("❌ Error loading settings:", error);
     }
+    this.applyEnvironment();
+  }
+
+  /**
+   * Point the API URLs to the environment of this site
+   */
+  applyEnvironment() {
+    EnvironmentManager.applyEnvironment(
+      EnvironmentManager.resolveEnvironment(
+        this.settings,
+        window.location.origin
+      )
+    );
   }
 
   injectUI() {
@@ -131,6 +160,7 @@ class KToolContent {
           <div class="ktool-tabs">
             <button class="ktool-tab active" data-tab="generate">📄 Generate Document</button>
             <button class="ktool-tab" data-tab="preview">👁️ Preview</button>
+            <button class="ktool-tab" data-tab="documents">📚 Documents</button>
             <button class="ktool-tab" data-tab="settings">⚙️ Settings</button>
           </div>
 
@@ -144,6 +174,11 @@ class KToolContent {
             ${this.createPreviewTab()}
           </div>
 
+          <!-- Documents Tab -->
+          <div class="ktool-tab-content" data-tab="documents">
+            ${this.createDocumentsTab()}
+          </div>
+
           <!-- Settings Tab -->
           <div class="ktool-tab-content" data-tab="settings">
             ${this.createSettingsTab()}
@@ -159,14 +194,20 @@ class KToolContent {
     return `
       <div class="ktool-form">
         <div class="ktool-form-group">
-          <label class="ktool-form-label">BA Document URL *</label>
-          <input
-            type="url"
-            class="ktool-form-input"
-            id="baDocUrl"
-            placeholder="https://confluence.com/pages/123456"
-            value="${window.location.href}"
-          >
+          <label class="ktool-form-label">Generation Profile</label>
+          <select class="ktool-form-select" id="generationProfile">
+            ${this.renderProfileOptions()}
+          </select>
+        </div>
+
+        <div class="ktool-form-group">
+          <label class="ktool-form-label">BA Document URLs *</label>
+          <div id="baSourcesList">
+            ${this.renderBaSourceRow(window.location.href, true)}
+          </div>
+          <button class="ktool-btn ktool-btn-secondary ktool-btn-small" id="addBaSourceBtn" type="button">
+            ➕ Add Source
+          </button>
         </div>
 
         <div class="ktool-form-group">
@@ -189,14 +230,98 @@ class KToolContent {
         </div>
       </div>
 
+      <!-- Placeholder Review Section -->
+      <div class="ktool-progress" id="placeholderReviewSection" style="display: none;"></div>
+
       <!-- Progress Section -->
       <div class="ktool-progress" id="progressSection" style="display: none;">
-        <h3 style="margin: 0 0 16px 0; font-size: 16px;">Document Generation Progress:</h3>
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
+          <h3 style="margin: 0; font-size: 16px;">Document Generation Progress:</h3>
+          <button class="ktool-btn ktool-btn-danger ktool-btn-small" id="cancelGenerationBtn" type="button">
+            ⛔ Cancel
+          </button>
+        </div>
         <div id="progressSteps"></div>
       </div>
+
+      <!-- Generation Jobs Section -->
+      <div class="ktool-jobs" id="jobsSection" style="display: none;">
+        <h3 style="margin: 0 0 12px 0; font-size: 16px;">Generation Jobs:</h3>
+        <div id="jobsList"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the generation profile options, the active profile selected
+   * @returns {string} Options HTML
+   */
+  renderProfileOptions() {
+    const activeProfileId = this.getProfileSettings().profileId;
+
+    return StorageManager.getProfiles(this.settings)
+      .map(
+        (profile) =>
+          `<option value="${profile.id}" ${
+            profile.id === activeProfileId ? "selected" : ""
+          }>${this.escapeHtml(profile.name || profile.id)}</option>`
+      )
+      .join("");
+  }
+
+  /**
+   * Get settings with a generation profile applied
+   * @param {string} profileId - Profile ID, defaults to the active profile
+   * @returns {Object} Resolved settings
+   */
+  getProfileSettings(profileId) {
+    return StorageManager.resolveProfileSettings(this.settings, profileId);
+  }
+
+  /**
+   * Render one BA source row of the Generate tab
+   * @param {string} url - Source URL
+   * @param {boolean} isMain - The main source keeps the #baDocUrl id and cannot be removed
+   * @returns {string} Row HTML
+   */
+  renderBaSourceRow(url = "", isMain = false) {
+    return `
+      <div class="ktool-source-row">
+        <input
+          type="url"
+          class="ktool-form-input ktool-source-url"
+          ${isMain ? 'id="baDocUrl"' : ""}
+          placeholder="https://confluence.com/pages/123456"
+          value="${this.escapeHtml(url)}"
+        >
+        <label class="ktool-source-descendants" title="Also use every page below this one">
+          <input type="checkbox">
+          Include child pages
+        </label>
+        ${
+          isMain
+            ? ""
+            : `<button class="ktool-btn ktool-btn-secondary ktool-btn-small" data-source-action="remove" type="button" title="Remove source">🗑️</button>`
+        }
+      </div>
     `;
   }
 
+  /**
+   * Read the BA sources entered in the Generate tab
+   * @returns {Array<{url: string, includeDescendants: boolean}>} Non-empty sources
+   */
+  getBaSources() {
+    return Array.from(document.querySelectorAll(".ktool-source-row"))
+      .map((row) => ({
+        url: row.querySelector(".ktool-source-url").value.trim(),
+        includeDescendants: row.querySelector(
+          '.ktool-source-descendants input[type="checkbox"]'
+        ).checked,
+      }))
+      .filter((source) => source.url);
+  }
+
   createPreviewTab() {
     return `
       <div class="ktool-form">
@@ -209,6 +334,18 @@ class KToolContent {
     `;
   }
 
+  createDocumentsTab() {
+    return `
+      <div class="ktool-form">
+        <h3 style="margin: 0 0 8px 0;">Documents</h3>
+        <p style="margin: 0 0 16px 0; color: #6c757d; font-size: 13px;">
+          Generated documents are kept in this browser until you delete them.
+        </p>
+        <div id="documentsList"></div>
+      </div>
+    `;
+  }
+
   createSettingsTab() {
     return `
       <div class="ktool-form">
@@ -252,12 +389,39 @@ class KToolContent {
       this.handleGenerate();
     });
 
+    // Generation profile
+    modal
+      .querySelector("#generationProfile")
+      .addEventListener("change", async (e) => {
+        this.settings.activeProfileId = e.target.value;
+        await StorageManager.updateSetting("activeProfileId", e.target.value);
+      });
+
+    // BA sources
+    modal.querySelector("#addBaSourceBtn").addEventListener("click", () => {
+      modal
+        .querySelector("#baSourcesList")
+        .insertAdjacentHTML("beforeend", this.renderBaSourceRow());
+    });
+    modal.querySelector("#baSourcesList").addEventListener("click", (e) => {
+      const removeBtn = e.target.closest('[data-source-action="remove"]');
+      if (removeBtn) {
+        removeBtn.closest(".ktool-source-row").remove();
+      }
+    });
+
     // Reset button
     const resetBtn = modal.querySelector("#resetBtn");
     resetBtn.addEventListener("click", () => {
       this.handleReset();
     });
 
+    // Cancel generation button
+    const cancelGenerationBtn = modal.querySelector("#cancelGenerationBtn");
+    cancelGenerationBtn.addEventListener("click", () => {
+      this.handleCancelGeneration();
+    });
+
     // Add settings button listener
     this.addSettingsButtonListener();
 
@@ -265,7 +429,39 @@ class KToolContent {
     chrome.runtime.onMessage.addListener((request) => {
       if (request.action === "settingsChanged") {
         this.settings = request.settings;
+        this.applyEnvironment();
         this.updateBubbleState();
+        this.updateProfileSelect();
+      } else if (request.action === "generationJobUpdated") {
+        this.handleJobUpdate(request.job);
+      }
+    });
+
+    // Jobs list actions
+    modal.querySelector("#jobsList").addEventListener("click", (e) => {
+      const actionBtn = e.target.closest("[data-job-action]");
+      if (!actionBtn) return;
+
+      const jobId = actionBtn.dataset.jobId;
+      if (actionBtn.dataset.jobAction === "load") {
+        this.loadJobResult(jobId);
+      } else if (actionBtn.dataset.jobAction === "cancel") {
+        this.cancelJob(jobId);
+      } else if (actionBtn.dataset.jobAction === "remove") {
+        this.removeJob(jobId);
+      }
+    });
+
+    // Workspace documents actions
+    modal.querySelector("#documentsList").addEventListener("click", (e) => {
+      const actionBtn = e.target.closest("[data-document-action]");
+      if (!actionBtn) return;
+
+      const documentId = actionBtn.dataset.documentId;
+      if (actionBtn.dataset.documentAction === "open") {
+        this.openDocument(documentId);
+      } else if (actionBtn.dataset.documentAction === "delete") {
+        this.deleteDocument(documentId);
       }
     });
 
@@ -286,11 +482,27 @@ class KToolContent {
     });
   }
 
+  /**
+   * Refresh the profile dropdown after profiles changed in the popup
+   */
+  updateProfileSelect() {
+    const profileSelect = document.getElementById("generationProfile");
+    if (profileSelect) {
+      profileSelect.innerHTML = this.renderProfileOptions();
+    }
+  }
+
   openModal() {
     const modal = document.querySelector(".ktool-modal-overlay");
     modal.classList.add("show");
     this.isModalOpen = true;
 
+    // Show running/finished jobs, including ones started from other tabs
+    this.renderJobs();
+    if (this.currentTab === "documents") {
+      this.renderDocuments();
+    }
+
     // Focus first input
     setTimeout(() => {
       const firstInput = modal.querySelector(".ktool-form-input");
@@ -344,6 +556,10 @@ class KToolContent {
     });
 
     this.currentTab = tabName;
+
+    if (tabName === "documents") {
+      this.renderDocuments();
+    }
   }
 
   updateBubbleState() {
@@ -361,17 +577,8 @@ class KToolContent {
   }
 
   async handleGenerate() {
-    // Clear all localStorage to avoid conflicts with previous data
-    try {
-      await this.storageManager.clearAllKToolData();
-    } catch (clearError) {
-      console.warn(
-        "⚠️ Failed to clear previous localStorage data:",
-        clearError
-      );
-    }
-
-    const baDocUrl = document.getElementById("baDocUrl").value.trim();
+    const baSources = this.getBaSources();
+    const baDocUrl = baSources[0]?.url;
     const additionalNotes = document
       .getElementById("additionalNotes")
       .value.trim();
@@ -382,7 +589,9 @@ class KToolContent {
     }
 
     // Validate settings
-    const validation = StorageManager.validateSettings(this.settings);
+    // Template, instructions, prompt, target and model come from the selected profile
+    const profileSettings = this.getProfileSettings();
+    const validation = StorageManager.validateSettings(profileSettings);
     if (!validation.isValid) {
       this.showNotification(
         "Please configure all settings before generating document!",
@@ -392,286 +601,2064 @@ class KToolContent {
       return;
     }
 
+    // The API key is kept encrypted outside the settings, see SecretStore
+    const { apiKey, locked } = await ApiClient.getCredentials();
+    if (!apiKey && !profileSettings.mockBackend) {
+      this.showNotification(
+        locked
+          ? "K-Tool is locked. Open the K-Tool popup and unlock your API key first!"
+          : "Please enter your API key in the K-Tool popup first!",
+        "error"
+      );
+      return;
+    }
+
+    // Reset steps left in "cancelled" state by a previous run
+    this.generationCancelled = false;
+    this.hideProgress();
+
     try {
       // Show progress
       this.showProgress();
-      this.updateProgress(0, "active");
+      this.updateProgress("fetch", "active");
+
+      // Step 1: Fetch every BA source page (and descendants) with its images
+      const { pages: baPages, truncated } =
+        await ConfluenceApi.fetchBaSources(baSources);
+      if (baPages.length === 0) {
+        throw new Error("❌ Cannot fetch BA document content!");
+      }
+      if (truncated) {
+        this.showNotification(
+          `Some child pages were skipped: only the first ${GENERATION_BUDGET.MAX_SOURCES} BA pages are used.`,
+          "warning"
+        );
+      }
+      const baContent = this.combineBaSources(baPages);
+      const baTitle =
+        baPages.length > 1
+          ? `${baPages[0].title} (+${baPages.length - 1} pages)`
+          : baPages[0].title;
+      const images = baPages.flatMap((page) => page.images);
+      const sourcesBudget = ConfluenceApi.estimateSourcesBudget(baPages);
+
+      // Kept so single sections can be regenerated without fetching it again
+      this.lastBaDocument = { url: baDocUrl, content: baContent };
+      this.throwIfGenerationCancelled();
+      this.updateProgress("fetch", "completed");
+      this.updateProgress("clone", "active");
+
+      // Step 2: Clone template structure
+      if (!profileSettings.urlTemplate) {
+        throw new Error("⚠️ Please configure document template in settings!");
+      }
+      const clonedTemplate = await ConfluenceApi.cloneTemplateForGeneration(
+        profileSettings.urlTemplate
+      );
 
-      // Step 1: Extract page ID and fetch BA content
-      const pageId = ConfluenceApi.extractPageId(baDocUrl);
-      if (!pageId) {
+      if (!clonedTemplate) {
         throw new Error(
-          "❌ Invalid URL! Please check the Confluence page URL."
+          "❌ Cannot clone template! Please check template URL in Settings."
         );
       }
-      const baDocument = await ConfluenceApi.fetchPageContent(pageId);
-      if (!baDocument) {
-        throw new Error("❌ Cannot fetch BA document content!");
+      this.throwIfGenerationCancelled();
+      this.updateProgress("clone", "completed");
+      this.updateProgress("analyze", "active");
+
+      // Step 3: Analyze placeholders with << >> or {{ }}
+      const placeholders = ConfluenceApi.extractPlaceholders(
+        clonedTemplate.originalStorageFormat
+      );
+      if (placeholders.length === 0) {
+        throw new Error(
+          "⚠️ No placeholders found in format <<Name>> or {{Name}}. Please check template!"
+        );
+      }
+
+      this.updateProgress("analyze", "completed");
+      this.updateProgress("review", "active");
+
+      // Step 4: Let the user review how each placeholder is filled
+      const templateId = ConfluenceApi.extractPageIdFromUrl(
+        profileSettings.urlTemplate
+      );
+      const review = await this.placeholderReview.open(
+        document.getElementById("placeholderReviewSection"),
+        {
+          placeholders,
+          contexts: ConfluenceApi.extractPlaceholderContexts(
+            clonedTemplate.originalStorageFormat,
+            placeholders
+          ),
+          savedMappings: await StorageManager.getPlaceholderMappings(
+            templateId
+          ),
+          descriptors: clonedTemplate.analysisInfo.placeholderDescriptors,
+          sources: baPages,
+          budget: sourcesBudget,
+        }
+      );
+      this.throwIfGenerationCancelled();
+
+      if (review.remember) {
+        await StorageManager.savePlaceholderMappings(
+          templateId,
+          review.mappings
+        );
+      }
+      const placeholderMappings = PlaceholderReview.toPayload(review.mappings);
+      const aiPlaceholders = placeholderMappings
+        .filter((mapping) => mapping.mode === PLACEHOLDER_MODES.AI)
+        .map((mapping) => mapping.placeholder);
+
+      this.updateProgress("review", "completed");
+      this.updateProgress("generate", "active");
+
+      // Get instructions if available
+      let instructions = "";
+      if (profileSettings.instructionUrl) {
+        const instructionPageId = ConfluenceApi.extractPageId(
+          profileSettings.instructionUrl
+        );
+        if (instructionPageId) {
+          const instructionDoc = await ConfluenceApi.fetchPageContent(
+            instructionPageId
+          );
+          instructions = instructionDoc?.content || "";
+        } else {
+          console.warn(
+            "⚠️ Invalid instruction URL:",
+            profileSettings.instructionUrl
+          );
+        }
+      }
+
+      this.throwIfGenerationCancelled();
+
+      // Step 5: AI Fill Placeholders (Send request and get job_id)
+      const payload = {
+        ba_content: baContent,
+        ba_sources: baPages.map((page, index) => ({
+          label: `Source ${index + 1}`,
+          page_id: page.pageId,
+          title: page.title,
+          url: page.url,
+        })),
+        template_structure: clonedTemplate.templateStructure,
+        original_storage_format: clonedTemplate.originalStorageFormat,
+        instructions: instructions,
+        additional_prompt: profileSettings.customPrompt || "",
+        placeholders: aiPlaceholders,
+        placeholder_mappings: placeholderMappings,
+        placeholder_descriptors:
+          clonedTemplate.analysisInfo.placeholderDescriptors,
+        selectedModel: profileSettings.selectedModel,
+        images,
+        additional_notes: additionalNotes,
+      };
+
+      console.log("📤 Sending payload for placeholder filling:", {
+        ba_content_length: payload.ba_content.length,
+        template_structure_length: payload.template_structure.length,
+        original_format_length: payload.original_storage_format.length,
+        ba_sources: payload.ba_sources.length,
+        placeholders_found: placeholders.length,
+        placeholders_list: aiPlaceholders,
+        placeholder_mappings: placeholderMappings,
+      });
+
+      // Send request and get job_id
+      const jobResponse = await ApiClient.generateDocument(payload);
+      if (!jobResponse.success) {
+        throw new Error(jobResponse.error);
+      }
+      const jobId = jobResponse.data.job_id;
+      if (!jobId) {
+        throw new Error(jobResponse.error || "No job_id received from server!");
+      }
+
+      this.currentJobId = jobId;
+
+      // Hand the job over to the background so it survives tab reloads
+      await this.startGenerationJob(jobId, {
+        baUrl: baDocUrl,
+        baTitle,
+        baSources: baPages.map((page) => ({ title: page.title, url: page.url })),
+        templateUrl: profileSettings.urlTemplate,
+        // The template as it was sent, it may be edited before the job is done
+        templateStorageFormat: clonedTemplate.originalStorageFormat,
+        profileId: profileSettings.profileId,
+        profileName: profileSettings.profileName,
+        payloadSummary: {
+          model: payload.selectedModel,
+          placeholders: placeholders.length,
+          images: images.length,
+          baContentLength: payload.ba_content.length,
+          sources: baPages.length,
+          templateLength: payload.original_storage_format.length,
+        },
+        // Used to check the result against the template once the job is done
+        placeholderDescriptors: payload.placeholder_descriptors,
+        skippedPlaceholders: placeholderMappings
+          .filter((mapping) => mapping.mode === PLACEHOLDER_MODES.SKIP)
+          .map((mapping) => mapping.placeholder),
+        requiredPlaceholders: placeholderMappings
+          .filter((mapping) => mapping.required)
+          .map((mapping) => mapping.placeholder),
+      });
+
+      // Cancel was clicked while the job was being submitted
+      if (this.generationCancelled) {
+        await this.cancelJob(jobId);
+      }
+    } catch (error) {
+      if (error.name === "GenerationCancelledError") {
+        console.log("🚫 Generation cancelled before the job was submitted");
+        return;
+      }
+      console.error("❌ Generation error:", error);
+      this.showNotification(
+        `Document generation error: ${error.message}`,
+        "error"
+      );
+      this.hideProgress();
+    }
+  }
+
+  /**
+   * Combine BA source pages into one labelled ba_content
+   * A single page is sent as-is
+   * @param {Array<Object>} pages - Pages from ConfluenceApi.fetchBaSources
+   * @returns {string} Combined content
+   */
+  combineBaSources(pages) {
+    if (pages.length === 1) {
+      return pages[0].content;
+    }
+
+    return pages
+      .map(
+        (page, index) =>
+          `<h1>Source ${index + 1}: ${this.escapeHtml(page.title)}</h1>\n${
+            page.content
+          }`
+      )
+      .join("\n");
+  }
+
+  /**
+   * Register a generation job with the background service worker,
+   * which polls it until the backend finishes
+   * @param {string} jobId - Backend job id
+   * @param {Object} jobInfo - BA/template info and payload summary
+   */
+  async startGenerationJob(jobId, jobInfo) {
+    const response = await chrome.runtime.sendMessage({
+      action: "startGenerationJob",
+      job: {
+        id: jobId,
+        ...jobInfo,
+        startedAt: Date.now(),
+        endpoints: {
+          status: API_URLS.GEN_DOC_STATUS,
+          result: API_URLS.GEN_DOC_RESULT,
+          cancel: API_URLS.GEN_DOC_CANCEL,
+        },
+      },
+    });
+
+    if (!response?.success) {
+      throw new Error(
+        response?.error || "Cannot start tracking the generation job"
+      );
+    }
+  }
+
+  /**
+   * Handle job updates broadcast by the background service worker
+   * @param {Object} job - Updated job (without the generated document)
+   */
+  async handleJobUpdate(job) {
+    if (this.isModalOpen) {
+      this.renderJobs();
+    }
+
+    if (!job || job.id !== this.currentJobId) {
+      return;
+    }
+
+    if (job.status === GENERATION_JOB_STATUS.RUNNING) {
+      if (job.progressMessage) {
+        console.log(`📝 Progress: ${job.progressMessage}`);
+      }
+      this.updateGenerationDetail(job.progress);
+      return;
+    }
+
+    this.currentJobId = null;
+
+    if (job.status === GENERATION_JOB_STATUS.DONE) {
+      await this.loadJobResult(job.id);
+    } else if (job.status === GENERATION_JOB_STATUS.CANCELLED) {
+      this.markProgressCancelled();
+      this.showNotification("Document generation cancelled.", "info");
+    } else {
+      console.error("❌ Generation job error:", job.error);
+      this.showNotification(
+        `Error during document generation: ${job.error}`,
+        "error"
+      );
+      this.hideProgress();
+    }
+  }
+
+  /**
+   * Load the result of a finished job into the Preview tab
+   * @param {string} jobId - Job id
+   */
+  async loadJobResult(jobId) {
+    const job = await GenerationJobStore.getJob(jobId);
+    if (!job || !job.result) {
+      this.showNotification("Job result is not available!", "error");
+      return;
+    }
+
+    // A job loaded before already has its document, open it instead of a copy
+    const documents = await this.storageManager.getDocuments();
+    const jobDocument = documents.find((doc) => doc.jobId === jobId);
+    if (jobDocument) {
+      this.hideProgress();
+      await this.openDocument(jobDocument.id);
+      return;
+    }
+
+    await this.handleGenerationComplete(job.result, job);
+  }
+
+  /**
+   * Cancel the generation running in this tab
+   * Before the job is submitted the remaining steps are skipped,
+   * afterwards the background stops tracking it and cancels it on the backend
+   */
+  async handleCancelGeneration() {
+    this.generationCancelled = true;
+    this.placeholderReview.cancel();
+
+    const cancelBtn = document.getElementById("cancelGenerationBtn");
+    if (cancelBtn) cancelBtn.disabled = true;
+
+    if (this.currentJobId) {
+      await this.cancelJob(this.currentJobId);
+    } else {
+      this.markProgressCancelled();
+      this.showNotification("Document generation cancelled.", "info");
+    }
+  }
+
+  /**
+   * Throw when the user cancelled generation, used between generation steps
+   */
+  throwIfGenerationCancelled() {
+    if (this.generationCancelled) {
+      const error = new Error("Document generation cancelled");
+      error.name = "GenerationCancelledError";
+      throw error;
+    }
+  }
+
+  /**
+   * Ask the background to cancel a job
+   * @param {string} jobId - Job id
+   */
+  async cancelJob(jobId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "cancelGenerationJob",
+        jobId,
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || "Unknown error");
+      }
+      if (response.job?.error) {
+        console.warn("⚠️ Job cancelled locally only:", response.job.error);
+      }
+    } catch (error) {
+      console.error("❌ Error cancelling job:", error);
+      this.showNotification(`Cannot cancel job: ${error.message}`, "error");
+    }
+    this.renderJobs();
+  }
+
+  /**
+   * Put the progress UI into the cancelled state
+   */
+  markProgressCancelled() {
+    this.progressSteps.forEach((step, index) => {
+      if (step.status === "active" || step.status === "pending") {
+        this.updateProgress(index, "cancelled");
       }
+    });
+
+    const detail = document.getElementById("generationProgressDetail");
+    if (detail) detail.style.display = "none";
+
+    const cancelBtn = document.getElementById("cancelGenerationBtn");
+    if (cancelBtn) cancelBtn.style.display = "none";
+  }
+
+  /**
+   * Remove a job from the jobs list
+   * @param {string} jobId - Job id
+   */
+  async removeJob(jobId) {
+    try {
+      await chrome.runtime.sendMessage({
+        action: "removeGenerationJob",
+        jobId,
+      });
+    } catch (error) {
+      console.error("❌ Error removing job:", error);
+    }
+    this.renderJobs();
+  }
+
+  /**
+   * Render running/finished jobs in the Generate tab
+   */
+  async renderJobs() {
+    const jobsSection = document.getElementById("jobsSection");
+    const jobsList = document.getElementById("jobsList");
+    if (!jobsSection || !jobsList) return;
+
+    const jobs = await GenerationJobStore.getJobs();
+    jobsSection.style.display = jobs.length > 0 ? "block" : "none";
+
+    const statusLabels = {
+      [GENERATION_JOB_STATUS.RUNNING]: "⏳ Running",
+      [GENERATION_JOB_STATUS.DONE]: "✅ Done",
+      [GENERATION_JOB_STATUS.ERROR]: "❌ Failed",
+      [GENERATION_JOB_STATUS.CANCELLED]: "🚫 Cancelled",
+    };
+
+    jobsList.innerHTML = jobs
+      .map(
+        (job) => `
+      <div class="ktool-job ${job.status}">
+        <div class="ktool-job-info">
+          <div class="ktool-job-title">${this.escapeHtml(
+            job.baTitle || job.baUrl
+          )}</div>
+          <div class="ktool-job-meta">
+            ${statusLabels[job.status] || job.status}
+            · ${new Date(job.startedAt).toLocaleString()}
+            ${
+              job.status === GENERATION_JOB_STATUS.RUNNING && job.progress
+                ? ` · ${job.progress.percent}%`
+                : ""
+            }
+            ${
+              job.status === GENERATION_JOB_STATUS.RUNNING &&
+              job.progressMessage
+                ? ` · ${this.escapeHtml(job.progressMessage)}`
+                : ""
+            }
+            ${job.error ? ` · ${this.escapeHtml(job.error)}` : ""}
+          </div>
+        </div>
+        <div class="ktool-job-actions">
+          ${
+            job.status === GENERATION_JOB_STATUS.DONE
+              ? `<button class="ktool-btn ktool-btn-primary ktool-btn-small" data-job-action="load" data-job-id="${job.id}">📥 Load</button>`
+              : ""
+          }
+          ${
+            job.status === GENERATION_JOB_STATUS.RUNNING
+              ? `<button class="ktool-btn ktool-btn-danger ktool-btn-small" data-job-action="cancel" data-job-id="${job.id}">⛔ Cancel</button>`
+              : ""
+          }
+          <button class="ktool-btn ktool-btn-secondary ktool-btn-small" data-job-action="remove" data-job-id="${job.id}" title="Remove job">🗑️</button>
+        </div>
+      </div>
+    `
+      )
+      .join("");
+  }
+
+  /**
+   * Show per-placeholder progress and ETA under the "AI Generate Document" step
+   * @param {Object|null} progress - Normalized progress from the background job
+   */
+  updateGenerationDetail(progress) {
+    const detail = document.getElementById("generationProgressDetail");
+    if (!detail || !progress) return;
+
+    const parts = [];
+    if (progress.currentPlaceholder) {
+      parts.push(
+        `Filling <strong>${this.escapeHtml(
+          `<<${progress.currentPlaceholder.replace(/^<<|>>$/g, "")}>>`
+        )}</strong>`
+      );
+    }
+    if (progress.total > 0) {
+      parts.push(`${progress.completed}/${progress.total} placeholders`);
+    }
+    if (progress.etaSeconds !== null && progress.etaSeconds !== undefined) {
+      parts.push(`ETA ~${this.formatDuration(progress.etaSeconds)}`);
+    }
+    if (parts.length === 0 && progress.message) {
+      parts.push(this.escapeHtml(progress.message));
+    }
+
+    detail.innerHTML = `
+      <div class="ktool-progress-bar">
+        <div class="ktool-progress-bar-fill" style="width: ${progress.percent}%;"></div>
+      </div>
+      <div class="ktool-progress-detail-text">
+        ${progress.percent}%${parts.length ? ` · ${parts.join(" · ")}` : ""}
+      </div>
+    `;
+    detail.style.display = "block";
+  }
+
+  /**
+   * Format seconds as a short human readable duration (e.g. "2m 10s")
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} Formatted duration
+   */
+  formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const minutes = Math.floor(total / 60);
+    const remainder = total % 60;
+    return minutes > 0 ? `${minutes}m ${remainder}s` : `${remainder}s`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    // innerHTML leaves quotes as is, which breaks value="..." attributes
+    return div.innerHTML.replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Render the workspace documents in the Documents tab
+   */
+  async renderDocuments() {
+    const documentsList = document.getElementById("documentsList");
+    if (!documentsList) return;
+
+    const documents = await this.storageManager.getDocuments();
+    const activeId = this.storageManager.getActiveDocumentId();
+    if (documents.length === 0) {
+      documentsList.innerHTML = `
+        <div class="ktool-documents-empty">
+          No documents yet. Generated documents will show up here.
+        </div>
+      `;
+      return;
+    }
+
+    documentsList.innerHTML = documents
+      .map(
+        (doc) => `
+      <div class="ktool-job ktool-document ${
+        doc.id === activeId ? "active" : ""
+      }">
+        <div class="ktool-job-info">
+          <div class="ktool-job-title">${this.escapeHtml(doc.name)}</div>
+          <div class="ktool-job-meta">
+            ${doc.id === activeId ? "👁️ In preview · " : ""}Updated
+            ${new Date(doc.updatedAt).toLocaleString()}
+            ${doc.draft ? " · ✏️ Uncommitted edits" : ""}
+            ${
+              doc.sourceUrls?.length
+                ? ` · ${doc.sourceUrls.length} BA source(s)`
+                : ""
+            }
+          </div>
+        </div>
+        <div class="ktool-job-actions">
+          <button class="ktool-btn ktool-btn-primary ktool-btn-small" data-document-action="open" data-document-id="${doc.id}">📂 Open</button>
+          <button class="ktool-btn ktool-btn-danger ktool-btn-small" data-document-action="delete" data-document-id="${doc.id}" title="Delete document">🗑️</button>
+        </div>
+      </div>
+    `
+      )
+      .join("");
+  }
+
+  /**
+   * Fill the document switcher of the Preview tab
+   */
+  async renderDocumentSwitcher() {
+    const switcher = document.getElementById("documentSwitcher");
+    if (!switcher) return;
+
+    const documents = await this.storageManager.getDocuments();
+    const activeId = this.storageManager.getActiveDocumentId();
+    switcher.innerHTML = documents
+      .map(
+        (doc) =>
+          `<option value="${doc.id}" ${
+            doc.id === activeId ? "selected" : ""
+          }>${this.escapeHtml(doc.name)}</option>`
+      )
+      .join("");
+    switcher.style.display = documents.length > 0 ? "" : "none";
+  }
+
+  /**
+   * Show a workspace document in the Preview tab
+   * @param {string} documentId - Document id
+   */
+  async openDocument(documentId) {
+    try {
+      const doc = await this.storageManager.openDocument(documentId);
+      // The backup entry holds the committed document
+      const content = doc?.content?.content;
+      if (!content) {
+        throw new Error("Document has no content");
+      }
+
+      this.generatedContent = content;
+      // The default parent depends on the profile of this document
+      this.publishParent = null;
+      this.switchTab("preview");
+      this.updatePreviewTab(content);
+    } catch (error) {
+      console.error("❌ Error opening document:", error);
+      this.showNotification(`Cannot open document: ${error.message}`, "error");
+    }
+  }
+
+  /**
+   * Delete a workspace document after confirmation
+   * @param {string} documentId - Document id
+   */
+  async deleteDocument(documentId) {
+    const documents = await this.storageManager.getDocuments();
+    const doc = documents.find((item) => item.id === documentId);
+    if (
+      !doc ||
+      !confirm(`Delete "${doc.name}"? Unpublished changes will be lost.`)
+    ) {
+      return;
+    }
+
+    const wasActive = documentId === this.storageManager.getActiveDocumentId();
+    try {
+      await this.storageManager.deleteDocument(documentId);
+    } catch (error) {
+      console.error("❌ Error deleting document:", error);
+      this.showNotification(`Cannot delete document: ${error.message}`, "error");
+      return;
+    }
+
+    if (wasActive) {
+      this.generatedContent = null;
+      this.closeStorageValidation(null);
+      document.getElementById("previewTab").innerHTML =
+        this.createPreviewTab();
+    }
+    this.renderDocuments();
+    this.showNotification(`Deleted "${doc.name}".`, "info");
+  }
+
+  /**
+   * Show a generated document in the Preview tab
+   * @param {Object} result - Generated document
+   * @param {Object} job - Job the document comes from (optional)
+   */
+  async handleGenerationComplete(result, job = null) {
+    this.updateProgress("generate", "completed");
+    this.updateProgress("complete", "completed");
+
+    // Every generated document gets its own workspace entry, earlier ones are kept
+    // The document is still shown when the workspace cannot be opened
+    try {
+      await this.storageManager.startDocument({
+        name: job?.baTitle || "Untitled document",
+        jobId: job?.id || null,
+        sourceUrls: (job?.baSources || []).map((source) => source.url),
+        profileId: job?.profileId || null,
+      });
+    } catch (error) {
+      console.error("❌ Failed to add document to workspace:", error);
+      this.showNotification(
+        `Document not saved to workspace: ${error.message}`,
+        "warning"
+      );
+    }
+
+    // Keep what the document was generated from, the Preview tab checks it against the template
+    await this.saveGenerationContext(job);
+    // The default parent depends on the profile of this document
+    this.publishParent = null;
+
+    // Store result for preview
+    this.generatedContent = result;
+    // 💾 IMPORTANT: Save generated content to localStorage backup
+    try {
+      this.storageManager.saveToLocalStorage(result);
+    } catch (error) {
+      console.error("❌ Failed to save generated content to backup:", error);
+    }
+
+    // 🎨 IMPORTANT: Process Mermaid diagrams and save mappings for later replacement
+    try {
+      await this.initializeMermaidDiagramMappings(result);
+    } catch (error) {
+      console.error("❌ Failed to process Mermaid diagrams:", error);
+    }
+    // The editor compares against it, snapshots of a long history get pruned
+    await this.storageManager.saveGeneratedVersion();
+    await this.storageManager.recordSnapshot(
+      "Generated document",
+      SNAPSHOT_ACTIONS.GENERATE,
+      { committed: true }
+    );
+
+    // Switch to preview tab
+    this.switchTab("preview");
+    await this.updatePreviewTab(result);
+
+    const summary = this.conformanceReport?.summary;
+    if (summary && summary.errors + summary.warnings > 0) {
+      this.showNotification(
+        `Document generated with ${summary.errors} error(s) and ${summary.warnings} warning(s) against the template, see Preview.`,
+        "warning"
+      );
+    } else {
+      this.showNotification("Document generated successfully!", "success");
+    }
+    this.hideProgress();
+  }
+
+  /**
+   * Show a document in the Preview tab
+   * @param {Object} content - Document to show
+   * @returns {Promise<Object|null>} Conformance report, once the template is loaded
+   */
+  updatePreviewTab(content) {
+    const previewTab = document.getElementById("previewTab");
+
+    // Clean XML markers from content before displaying
+    let cleanContent =
+      content.full_storage_format || "<p>No content available</p>";
+    if (cleanContent !== "<p>No content available</p>") {
+      cleanContent = XMLFormatter.cleanXMLMarkers(cleanContent);
+    }
+
+    // A pending validation belongs to the panel that is about to be replaced
+    this.closeStorageValidation(null);
+
+    previewTab.innerHTML = `
+      <div class="ktool-form">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+          <div class="ktool-document-switcher">
+            <h3 style="margin: 0;">Document Preview</h3>
+            <select class="ktool-form-select" id="documentSwitcher" title="Switch document"></select>
+          </div>
+          <div style="display: flex; gap: 12px;">
+            <button class="ktool-btn ktool-btn-secondary" id="editContentBtn">
+              ✏️ Edit Content
+            </button>
+            <button class="ktool-btn ktool-btn-secondary" id="validateStorageBtn">
+              🧪 Validate
+            </button>
+            <button class="ktool-btn ktool-btn-secondary" id="updatePageBtn">
+              🔁 Update Existing Page
+            </button>
+            <button class="ktool-btn ktool-btn-primary" id="createPageBtn">
+              📄 Create Confluence Page
+            </button>
+          </div>
+        </div>
+
+        ${this.renderPublishPanel()}
+        ${this.renderUpdatePagePanel()}
+        <div class="ktool-publish-target" id="storageValidationPanel" style="display: none;"></div>
+
+        <div id="conformanceReport"></div>
+
+        <div id="documentPreview" style="border: 1px solid #e9ecef; border-radius: 8px; padding: 20px; background: #f8f9fa; max-height: 400px; overflow-y: auto; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6;">
+          ${cleanContent}
+        </div>
+      </div>
+    `;
+
+    this.renderDocumentSwitcher();
+    previewTab
+      .querySelector("#documentSwitcher")
+      .addEventListener("change", (e) => this.openDocument(e.target.value));
+
+    // Bind preview buttons
+    const editContentBtn = previewTab.querySelector("#editContentBtn");
+
+    editContentBtn.addEventListener("click", () =>
+      this.handleEditContent(content)
+    );
+    previewTab
+      .querySelector("#validateStorageBtn")
+      .addEventListener("click", async () => {
+        this.validateStorageForPublish(await this.getPublishContent(), null);
+      });
+    this.bindPublishPanel(previewTab);
+    this.bindUpdatePagePanel(previewTab);
+
+    this.addSectionActions(content);
+
+    // Initialize Mermaid diagrams after content is loaded
+    setTimeout(() => {
+      this.initializeMermaid();
+    }, 100);
+
+    return this.showConformanceReport(content);
+  }
+
+  /**
+   * Add a "Regenerate" action to every heading of the preview
+   * @param {Object} content - Document shown in the Preview tab
+   */
+  addSectionActions(content) {
+    const preview = document.getElementById("documentPreview");
+    if (!preview || !content.full_storage_format) return;
+
+    const sections = PlaceholderGrammar.getSections(
+      content.full_storage_format
+    );
+    const headings = preview.querySelectorAll("h1, h2, h3, h4, h5, h6");
+    // Headings inside macros may not render, only map them when both sides agree
+    if (sections.length === 0 || sections.length !== headings.length) {
+      console.warn("⚠️ Preview headings do not match document sections");
+      return;
+    }
+
+    headings.forEach((heading, index) => {
+      const actions = document.createElement("div");
+      actions.className = "ktool-section-actions";
+      actions.innerHTML = `
+        <button class="ktool-btn ktool-btn-secondary ktool-btn-small" data-section-action="open" title="Regenerate this section">
+          🔄 Regenerate
+        </button>
+        <div class="ktool-section-form" style="display: none;">
+          <input type="text" class="ktool-form-input" placeholder="Extra instruction for AI (optional)">
+          <button class="ktool-btn ktool-btn-primary ktool-btn-small" data-section-action="submit">Regenerate</button>
+          <button class="ktool-btn ktool-btn-secondary ktool-btn-small" data-section-action="close">✕</button>
+        </div>
+      `;
+      heading.insertAdjacentElement("beforebegin", actions);
+
+      const form = actions.querySelector(".ktool-section-form");
+      const openBtn = actions.querySelector('[data-section-action="open"]');
+      const input = form.querySelector("input");
+      const submit = () =>
+        this.handleRegenerateSection(index, input.value.trim(), actions);
+
+      openBtn.addEventListener("click", () => {
+        openBtn.style.display = "none";
+        form.style.display = "flex";
+        input.focus();
+      });
+      actions
+        .querySelector('[data-section-action="close"]')
+        .addEventListener("click", () => {
+          form.style.display = "none";
+          openBtn.style.display = "";
+        });
+      actions
+        .querySelector('[data-section-action="submit"]')
+        .addEventListener("click", submit);
+      input.addEventListener("keydown", (e) => {
+        if (e.key === "Enter") submit();
+      });
+    });
+  }
+
+  /**
+   * Regenerate one section of the current document and splice it back into the backup
+   * and the editor draft
+   * Other sections and Mermaid diagram mappings are left as they are
+   * @param {number} sectionIndex - Index in PlaceholderGrammar.getSections()
+   * @param {string} instruction - Extra instruction for AI
+   * @param {HTMLElement} actions - Section actions element (for the loading state)
+   */
+  async handleRegenerateSection(sectionIndex, instruction, actions) {
+    const buttons = actions.querySelectorAll("button");
+    const submitBtn = actions.querySelector('[data-section-action="submit"]');
+    buttons.forEach((button) => (button.disabled = true));
+    submitBtn.innerHTML = "⏳ Regenerating...";
+
+    try {
+      const content =
+        this.storageManager.loadFromLocalStorage() || this.generatedContent;
+      const storage = content?.full_storage_format;
+      const section = storage
+        ? PlaceholderGrammar.getSections(storage)[sectionIndex]
+        : null;
+      if (!section) {
+        throw new Error("Section not found in the current document");
+      }
+
+      const context = this.storageManager.loadGenerationContext();
+      if (!context) {
+        throw new Error(
+          "Source of this document is unknown, please generate it again"
+        );
+      }
+      const currentSection = storage.substring(section.start, section.end);
+      if (!this.storageManager.draftHasSection(currentSection)) {
+        throw new Error(
+          "This section has unsaved editor changes, save or discard them first"
+        );
+      }
+
+      const profileSettings = this.getProfileSettings(context.profileId);
+      const sources = await this.storageManager.loadGenerationSources();
+      const baContent = await this.getGenerationBaContent(context, sources);
+
+      const templateSections = PlaceholderGrammar.getSections(
+        sources.templateStorageFormat
+      );
+      const templateSection = templateSections.find(
+        (item) => item.text.toLowerCase() === section.text.toLowerCase()
+      );
+
+      // Diagrams are replaced by markers so the AI cannot change them
+      const { storage: protectedSection, diagrams } =
+        this.protectSectionDiagrams(currentSection);
+
+      const response = await ApiClient.regenerateSection({
+        ba_content: baContent,
+        template_section: templateSection
+          ? sources.templateStorageFormat.substring(
+              templateSection.start,
+              templateSection.end
+            )
+          : "",
+        current_section: protectedSection,
+        heading: section.text,
+        heading_level: section.level,
+        instruction,
+        preserve_tokens: [...diagrams.keys()],
+        additional_prompt: profileSettings.customPrompt || "",
+        selectedModel: profileSettings.selectedModel,
+      });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      let newSection = XMLFormatter.cleanXMLMarkers(
+        response.data.section_storage_format || ""
+      ).trim();
+      if (!newSection) {
+        throw new Error("Server returned an empty section");
+      }
+      // Keep the original heading if the AI dropped it
+      if (!/^<h[1-6][\s>]/i.test(newSection)) {
+        newSection =
+          storage.substring(section.start, section.contentStart) + newSection;
+      }
+      newSection = this.restoreSectionDiagrams(newSection, diagrams);
+
+      const updatedContent = this.storageManager.replaceBackupSection(
+        section,
+        currentSection,
+        newSection
+      );
+      if (!updatedContent) {
+        throw new Error("Document changed while regenerating, please retry");
+      }
+      await this.storageManager.recordSnapshot(
+        `Regenerated section "${section.text}"`,
+        SNAPSHOT_ACTIONS.REGENERATE,
+        { committed: true }
+      );
+
+      this.generatedContent = updatedContent;
+      this.updatePreviewTab(updatedContent);
+      this.showNotification(`Section "${section.text}" regenerated!`, "success");
+    } catch (error) {
+      console.error("❌ Regenerate section error:", error);
+      this.showNotification(
+        `Cannot regenerate section: ${error.message}`,
+        "error"
+      );
+      buttons.forEach((button) => (button.disabled = false));
+      submitBtn.innerHTML = "Regenerate";
+    }
+  }
+
+  /**
+   * Get the BA content a document was generated from, fetching it again if needed
+   * @param {Object} context - Generation context
+   * @param {Object} generationSources - From StorageManager.loadGenerationSources
+   * @returns {Promise<string>} BA content
+   */
+  async getGenerationBaContent(context, generationSources) {
+    if (generationSources.baContent) {
+      return generationSources.baContent;
+    }
+
+    // Descendants were already expanded into baSources when generating
+    const sources = context.baSources?.length
+      ? context.baSources
+      : [{ url: context.baUrl || "" }];
+    const { pages: baPages } = await ConfluenceApi.fetchBaSources(sources);
+    if (baPages.length === 0) {
+      throw new Error("❌ Cannot fetch BA document content!");
+    }
+
+    const baContent = this.combineBaSources(baPages);
+    await this.storageManager.saveGenerationSources({ baContent });
+    return baContent;
+  }
+
+  /**
+   * Replace Mermaid macros and diagram images of a section with markers
+   * @param {string} section - Section storage format
+   * @returns {{storage: string, diagrams: Map<string, string>}} Section with markers, marker -> original
+   */
+  protectSectionDiagrams(section) {
+    const diagrams = new Map();
+    const originals = [
+      ...MermaidRenderer.extractMermaidDiagrams(section).diagrams.map(
+        (diagram) => diagram.originalMatch
+      ),
+      ...(section.match(
+        /<img[^>]*(?:data-mermaid-id|id)="mermaid-[^"]*"[^>]*>/gi
+      ) || []),
+    ];
+
+    let storage = section;
+    originals.forEach((original) => {
+      if (!storage.includes(original)) return;
+      const marker = `[[k-tool-diagram:${diagrams.size + 1}]]`;
+      diagrams.set(marker, original);
+      storage = storage.replace(original, marker);
+    });
+
+    return { storage, diagrams };
+  }
+
+  /**
+   * Put diagrams back in place of their markers
+   * Diagrams whose marker was dropped by the AI are appended to the section
+   * @param {string} section - Regenerated section
+   * @param {Map<string, string>} diagrams - Marker -> original diagram
+   * @returns {string} Section with diagrams
+   */
+  restoreSectionDiagrams(section, diagrams) {
+    let restored = section;
+    for (const [marker, original] of diagrams.entries()) {
+      restored = restored.includes(marker)
+        ? restored.replace(marker, original)
+        : `${restored}${original}`;
+    }
+    return restored;
+  }
+
+  /**
+   * Save the template and placeholder choices a document was generated from
+   * The template is the one captured when the job was submitted
+   * @param {Object|null} job - Job the document comes from
+   */
+  async saveGenerationContext(job) {
+    if (!job?.templateUrl) return;
+
+    await this.storageManager.saveGenerationContext({
+      baUrl: job.baUrl,
+      baSources: job.baSources || [],
+      profileId: job.profileId,
+      baContent:
+        this.lastBaDocument?.url === job.baUrl
+          ? this.lastBaDocument.content
+          : "",
+      templateUrl: job.templateUrl,
+      templateStorageFormat: job.templateStorageFormat || "",
+      placeholderDescriptors: job.placeholderDescriptors || [],
+      skippedPlaceholders: job.skippedPlaceholders || [],
+      requiredPlaceholders: job.requiredPlaceholders || [],
+    });
+  }
+
+  /**
+   * Check a document against its template and show the checklist in the Preview tab
+   * The template is loaded from the workspace document
+   * @param {Object} content - Document shown in the Preview tab
+   * @returns {Promise<Object|null>} Conformance report, null when the template is unknown
+   */
+  async showConformanceReport(content) {
+    const container = document.getElementById("conformanceReport");
+    const context = this.storageManager.loadGenerationContext();
+    let templateStorageFormat = "";
+    try {
+      ({ templateStorageFormat } =
+        await this.storageManager.loadGenerationSources());
+    } catch (error) {
+      console.error("❌ Cannot load template for conformance check:", error);
+    }
+
+    // The preview may have been replaced while the template was loading
+    if (!container?.isConnected) return null;
+
+    if (!context || !templateStorageFormat || !content.full_storage_format) {
+      this.conformanceReport = null;
+      container.innerHTML = "";
+      return null;
+    }
+
+    const report = TemplateConformanceChecker.check(
+      templateStorageFormat,
+      content.full_storage_format,
+      {
+        skipped: context.skippedPlaceholders,
+        required: context.requiredPlaceholders,
+        descriptors: context.placeholderDescriptors,
+      }
+    );
+    this.conformanceReport = report;
+    container.innerHTML = this.renderConformanceReport(report);
+
+    container.querySelectorAll("[data-conformance-item]").forEach((element) => {
+      element.addEventListener("click", () => {
+        const item = report.items.find(
+          (reportItem) => reportItem.id === element.dataset.conformanceItem
+        );
+        if (item?.target) {
+          this.scrollToConformanceTarget(item.target);
+        }
+      });
+    });
+
+    return report;
+  }
+
+  /**
+   * Render the template conformance checklist of a document
+   * @param {Object} report - Report from TemplateConformanceChecker.check
+   * @returns {string} HTML
+   */
+  renderConformanceReport(report) {
+    const { summary } = report;
+    const statusClass =
+      summary.errors > 0 ? "error" : summary.warnings > 0 ? "warning" : "ok";
+
+    return `
+      <div class="ktool-conformance ${statusClass}">
+        <div class="ktool-conformance-header">
+          <strong>Template conformance</strong>
+          <span>
+            ${summary.errors} error(s) · ${summary.warnings} warning(s)
+            · Empty cells: ${summary.templateEmptyTableCells} in template,
+            ${summary.generatedEmptyTableCells} in document
+          </span>
+        </div>
+        <ul class="ktool-conformance-checks">
+          ${report.checks
+            .map(
+              (check) => `
+            <li class="${check.passed ? "passed" : "failed"}">
+              ${check.passed ? "✅" : "❌"} ${this.escapeHtml(check.label)}
+              ${check.count > 0 ? `<span>(${check.count})</span>` : ""}
+            </li>
+          `
+            )
+            .join("")}
+        </ul>
+        ${
+          report.items.length > 0
+            ? `<ul class="ktool-conformance-items">
+          ${report.items
+            .map(
+              (item) => `
+            <li
+              class="${item.severity} ${item.target ? "clickable" : ""}"
+              data-conformance-item="${item.id}"
+              title="${item.target ? "Show in preview" : ""}"
+            >
+              ${item.severity === "error" ? "❌" : "⚠️"}
+              ${this.escapeHtml(item.message)}
+            </li>
+          `
+            )
+            .join("")}
+        </ul>`
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  /**
+   * Scroll the preview to the element a conformance item points at
+   * @param {Object} target - { kind: "text"|"heading"|"cell", text, index }
+   */
+  scrollToConformanceTarget(target) {
+    const preview = document.getElementById("documentPreview");
+    if (!preview) return;
+
+    let element = null;
+    if (target.kind === "text") {
+      const walker = document.createTreeWalker(preview, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        if (walker.currentNode.textContent.includes(target.text)) {
+          element = walker.currentNode.parentElement;
+          break;
+        }
+      }
+    } else if (target.kind === "heading") {
+      const normalizedTarget = target.text.toLowerCase();
+      element = Array.from(
+        preview.querySelectorAll("h1, h2, h3, h4, h5, h6")
+      ).find(
+        (heading) =>
+          heading.textContent.replace(/\s+/g, " ").trim().toLowerCase() ===
+          normalizedTarget
+      );
+    } else if (target.kind === "cell") {
+      element = preview.querySelectorAll("td")[target.index];
+    }
+
+    if (!element) {
+      this.showNotification("Cannot find this item in the preview", "warning");
+      return;
+    }
+
+    element.scrollIntoView({ behavior: "smooth", block: "center" });
+    element.classList.add("ktool-conformance-highlight");
+    setTimeout(() => {
+      element.classList.remove("ktool-conformance-highlight");
+    }, 2000);
+  }
+
+  /**
+   * Chuẩn hóa chuỗi HTML: Sửa lỗi cú pháp bảng nghiêm ngặt (colgroup)
+   * và dọn dẹp các tag/khoảng trắng thừa.
+   * * @param {string} htmlString Chuỗi HTML cần chuẩn hóa.
+   * @returns {string} Chuỗi HTML đã được làm sạch và sửa lỗi cấu trúc bảng.
+   */
+  normalizeConfluenceHtml(htmlString) {
+    if (!htmlString || typeof htmlString !== "string") {
+      return "";
+    }
+
+    let cleanedHtml = htmlString;
+
+    // 1. Loại bỏ tất cả các thẻ <colgroup> và nội dung của nó.
+    // Bắt đầu từ <colgroup> (có hoặc không có thuộc tính) và kết thúc bằng </colgroup>.
+    // [\s\S]*? dùng để bắt mọi thứ (kể cả dòng ngắt) không tham lam.
+    cleanedHtml = cleanedHtml.replace(
+      /<colgroup[^>]*>[\s\S]*?<\/colgroup>/gi,
+      ""
+    );
+
+    // 2. Loại bỏ dạng thẻ <colgroup/> tự đóng (Self-closing)
+    cleanedHtml = cleanedHtml.replace(/<colgroup[^>]*\/>/gi, "");
+
+    // 3. Loại bỏ thẻ <col> riêng lẻ (dạng tự đóng <col/>) nếu chúng bị sót lại.
+    cleanedHtml = cleanedHtml.replace(/<col[^>]*\/>/gi, "");
+
+    return cleanedHtml.trim();
+  }
+  /**
+   * Get the document to publish: committed backup first, generated content as fallback,
+   * with Mermaid preview images turned back into their macros
+   * @returns {Promise<string>} Storage format
+   */
+  async getPublishContent() {
+    // Use backup content from localStorage (committed changes)
+    const backupContent = this.storageManager.loadFromLocalStorage();
+    let content = backupContent?.full_storage_format || backupContent?.content;
+
+    // Fallback to generated content if no backup
+    if (!content) {
+      content =
+        this.generatedContent.full_storage_format ||
+        this.generatedContent.content;
+      console.warn("⚠️ No backup content found, using generated content");
+    }
+    // Replace Mermaid images with original code before sending to API
+    content = await this.replaceMermaidImagesWithOriginalCode(content);
+    console.warn("Content after replace:", content?.substring(0, 500));
+    return content;
+  }
+
+  /**
+   * Check whether a Confluence error is an XHTML parsing error
+   * @param {string} errorMessage - Error message
+   * @returns {boolean} True for XHTML errors
+   */
+  isXhtmlError(errorMessage) {
+    const message = errorMessage.toLowerCase();
+    return (
+      message.includes("error parsing xhtml") ||
+      message.includes("parsing error") ||
+      message.includes("invalid xhtml") ||
+      message.includes("malformed")
+    );
+  }
+
+  // ========== PUBLISH DIALOG ==========
+
+  /**
+   * Render the publish dialog shown before creating a page
+   * @returns {string} Panel HTML
+   */
+  renderPublishPanel() {
+    return `
+      <div class="ktool-publish-target" id="publishPanel" style="display: none;">
+        <div class="ktool-form-group">
+          <label class="ktool-form-label">Page Title *</label>
+          <input
+            type="text"
+            class="ktool-form-input"
+            id="publishTitle"
+            value="${this.escapeHtml(this.buildDefaultTitle())}"
+          >
+          <div class="ktool-publish-info" id="publishTitleInfo"></div>
+        </div>
+        <div class="ktool-form-group">
+          <label class="ktool-form-label">Parent Page</label>
+          <input
+            type="text"
+            class="ktool-form-input"
+            id="publishParentSearch"
+            placeholder="Search pages in this space..."
+          >
+          <div class="ktool-publish-results" id="publishParentResults"></div>
+          <div class="ktool-publish-info" id="publishParentInfo"></div>
+        </div>
+        <div class="ktool-form-group">
+          <label class="ktool-form-label">Labels</label>
+          <input
+            type="text"
+            class="ktool-form-input"
+            id="publishLabels"
+            placeholder="srs, k-tool (comma separated)"
+          >
+        </div>
+        <button class="ktool-btn ktool-btn-primary" id="confirmCreatePageBtn" type="button">
+          📄 Create Page
+        </button>
+      </div>
+    `;
+  }
+
+  bindPublishPanel(previewTab) {
+    const panel = previewTab.querySelector("#publishPanel");
+    const titleInput = panel.querySelector("#publishTitle");
+    const searchInput = panel.querySelector("#publishParentSearch");
+    const results = panel.querySelector("#publishParentResults");
+    let titleTimer = null;
+    let searchTimer = null;
+
+    previewTab.querySelector("#createPageBtn").addEventListener("click", () => {
+      const isHidden = panel.style.display === "none";
+      panel.style.display = isHidden ? "block" : "none";
+      if (isHidden) {
+        this.loadDefaultParent();
+        this.checkTitleCollision();
+      }
+    });
+
+    titleInput.addEventListener("input", () => {
+      clearTimeout(titleTimer);
+      titleTimer = setTimeout(() => this.checkTitleCollision(), 400);
+    });
+
+    searchInput.addEventListener("input", () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(
+        () => this.searchParentPages(searchInput.value.trim()),
+        300
+      );
+    });
+
+    results.addEventListener("click", (e) => {
+      const item = e.target.closest("[data-page-id]");
+      const page = (this.parentSearchResults || []).find(
+        (result) => result.id === item?.dataset.pageId
+      );
+      if (!page) return;
+
+      this.setPublishParent({
+        ...page,
+        spaceKey: ConfluenceApi.getCurrentSpaceKey(),
+      });
+      results.innerHTML = "";
+    });
+
+    panel
+      .querySelector("#confirmCreatePageBtn")
+      .addEventListener("click", () => this.handleCreatePage());
+  }
+
+  /**
+   * Build the default page title from the profile title pattern
+   * @returns {string} Title
+   */
+  buildDefaultTitle() {
+    const context = this.storageManager.loadGenerationContext();
+    const profileSettings = this.getProfileSettings(context?.profileId);
+    const pattern = profileSettings.titlePattern || DEFAULT_TITLE_PATTERN;
+    const values = {
+      baTitle: context?.baSources?.[0]?.title || "K-Tool Generated Document",
+      profile: profileSettings.profileName,
+      date: new Date().toLocaleDateString(),
+    };
+
+    return pattern
+      .replace(/\{(\w+)\}/g, (match, key) =>
+        values[key] !== undefined ? values[key] : match
+      )
+      .trim();
+  }
+
+  /**
+   * Use the target folder of the profile as default parent page
+   */
+  async loadDefaultParent() {
+    if (this.publishParent) {
+      this.setPublishParent(this.publishParent);
+      return;
+    }
+
+    const profileSettings = this.getProfileSettings(
+      this.storageManager.loadGenerationContext()?.profileId
+    );
+    const pageId = profileSettings.documentUrl
+      ? ConfluenceApi.extractPageId(profileSettings.documentUrl)
+      : null;
+    if (!pageId) {
+      this.setPublishParent(null);
+      return;
+    }
+
+    try {
+      this.setPublishParent(await ConfluenceApi.getPageVersion(pageId));
+    } catch (error) {
+      console.error("❌ Cannot load default parent page:", error);
+      this.setPublishParent({ id: pageId, title: `Page ${pageId}` });
+    }
+  }
+
+  /**
+   * Set the parent page of the page to create
+   * @param {Object|null} page - { id, title, spaceKey } or null for the space root
+   */
+  setPublishParent(page) {
+    this.publishParent = page;
+
+    const info = document.getElementById("publishParentInfo");
+    if (info) {
+      info.innerHTML = page
+        ? `📁 Parent: <strong>${this.escapeHtml(page.title)}</strong>${
+            page.spaceKey ? ` (${this.escapeHtml(page.spaceKey)})` : ""
+          }`
+        : "📁 No parent, the page is created at the space root";
+    }
+
+    this.checkTitleCollision();
+  }
+
+  /**
+   * Search pages of the current space to use as parent
+   * @param {string} query - Part of the title
+   */
+  async searchParentPages(query) {
+    const results = document.getElementById("publishParentResults");
+    if (!results) return;
+    if (!query) {
+      results.innerHTML = "";
+      return;
+    }
+
+    try {
+      const pages = await ConfluenceApi.searchPages(
+        query,
+        ConfluenceApi.getCurrentSpaceKey()
+      );
+      this.parentSearchResults = pages;
+      results.innerHTML = pages.length
+        ? pages
+            .map(
+              (page) =>
+                `<div class="ktool-publish-result" data-page-id="${
+                  page.id
+                }">📄 ${this.escapeHtml(page.title)}</div>`
+            )
+            .join("")
+        : `<div class="ktool-publish-info">No pages found</div>`;
+    } catch (error) {
+      console.error("❌ Page search error:", error);
+      results.innerHTML = `<div class="ktool-publish-info error">❌ ${this.escapeHtml(
+        error.message
+      )}</div>`;
+    }
+  }
+
+  /**
+   * Warn when the title is already used in the target space
+   */
+  async checkTitleCollision() {
+    const title = document.getElementById("publishTitle")?.value.trim();
+    const info = document.getElementById("publishTitleInfo");
+    const confirmBtn = document.getElementById("confirmCreatePageBtn");
+    const spaceKey =
+      this.publishParent?.spaceKey || ConfluenceApi.getCurrentSpaceKey();
+    if (!info || !confirmBtn) return;
+
+    if (!title || !spaceKey) {
+      info.textContent = "";
+      confirmBtn.disabled = !title;
+      return;
+    }
+
+    try {
+      const existing = await ConfluenceApi.findPageByTitle(title, spaceKey);
+      // Ignore answers for a title that was edited meanwhile
+      if (document.getElementById("publishTitle")?.value.trim() !== title) {
+        return;
+      }
+
+      info.className = existing
+        ? "ktool-publish-info error"
+        : "ktool-publish-info";
+      info.textContent = existing
+        ? `⚠️ A page with this title already exists in space ${spaceKey}`
+        : "✅ Title is available";
+      confirmBtn.disabled = !!existing;
+    } catch (error) {
+      console.error("❌ Title check error:", error);
+      info.className = "ktool-publish-info";
+      info.textContent = "";
+      confirmBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Parse comma separated labels into valid Confluence label names
+   * @param {string} text - Labels input
+   * @returns {Array<string>} Unique labels
+   */
+  parseLabels(text) {
+    const labels = text
+      .split(",")
+      .map((label) =>
+        label
+          .trim()
+          .toLowerCase()
+          .replace(/\s+/g, "-")
+          .replace(/[:;,.?&[\]()#^*@!<>]/g, "")
+      )
+      .filter(Boolean);
+
+    return [...new Set(labels)];
+  }
+
+  // ========== UPDATE EXISTING PAGE ==========
+
+  /**
+   * Render the "update existing page" panel of the Preview tab
+   * The last target page of this document is filled in
+   * @returns {string} Panel HTML
+   */
+  renderUpdatePagePanel() {
+    const context = this.storageManager.loadGenerationContext();
+    const sourceTitle = context?.baSources?.[0]?.title;
+    const versionMessage = sourceTitle
+      ? `Regenerated by K-Tool from "${sourceTitle}"`
+      : "Regenerated by K-Tool";
+
+    return `
+      <div class="ktool-publish-target" id="updatePagePanel" style="display: none;">
+        <div class="ktool-form-group">
+          <label class="ktool-form-label">Target Page (URL or exact title in this space)</label>
+          <div class="ktool-publish-row">
+            <input
+              type="text"
+              class="ktool-form-input"
+              id="updatePageTarget"
+              placeholder="https://confluence.com/pages/123456"
+              value="${this.escapeHtml(context?.targetPage?.url || "")}"
+            >
+            <button class="ktool-btn ktool-btn-secondary ktool-btn-small" id="findPageBtn" type="button">
+              🔍 Find
+            </button>
+          </div>
+          <div class="ktool-publish-info" id="updatePageInfo"></div>
+        </div>
+        <div class="ktool-form-group">
+          <label class="ktool-form-label">Version Message</label>
+          <input
+            type="text"
+            class="ktool-form-input"
+            id="updatePageMessage"
+            value="${this.escapeHtml(versionMessage)}"
+          >
+        </div>
+        <button class="ktool-btn ktool-btn-primary" id="confirmUpdatePageBtn" type="button" disabled>
+          🔁 Publish New Version
+        </button>
+      </div>
+    `;
+  }
 
-      // Extract images from BA content (HTML) and convert all to base64
-      const images = await ConfluenceApi.extractImagesFromHtml(
-        baDocument.content
-      );
-      this.updateProgress(0, "completed");
-      this.updateProgress(1, "active");
+  bindUpdatePagePanel(previewTab) {
+    const panel = previewTab.querySelector("#updatePagePanel");
+    const targetInput = panel.querySelector("#updatePageTarget");
+    const confirmBtn = panel.querySelector("#confirmUpdatePageBtn");
 
-      // Step 2: Clone template structure
-      if (!this.settings.urlTemplate) {
-        throw new Error("⚠️ Please configure document template in settings!");
+    previewTab.querySelector("#updatePageBtn").addEventListener("click", () => {
+      const isHidden = panel.style.display === "none";
+      panel.style.display = isHidden ? "block" : "none";
+      if (isHidden && targetInput.value) {
+        this.findUpdateTarget();
       }
-      const clonedTemplate = await ConfluenceApi.cloneTemplateForGeneration(
-        this.settings.urlTemplate
-      );
+    });
+    panel
+      .querySelector("#findPageBtn")
+      .addEventListener("click", () => this.findUpdateTarget());
+    targetInput.addEventListener("input", () => {
+      this.updateTargetPage = null;
+      confirmBtn.disabled = true;
+    });
+    targetInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") this.findUpdateTarget();
+    });
+    confirmBtn.addEventListener("click", () => this.handleUpdatePage());
+  }
 
-      if (!clonedTemplate) {
-        throw new Error(
-          "❌ Cannot clone template! Please check template URL in Settings."
-        );
-      }
-      this.updateProgress(1, "completed");
-      this.updateProgress(2, "active");
+  /**
+   * Look up the page entered as update target and show its current version
+   */
+  async findUpdateTarget() {
+    const target = document.getElementById("updatePageTarget").value.trim();
+    const info = document.getElementById("updatePageInfo");
+    const confirmBtn = document.getElementById("confirmUpdatePageBtn");
 
-      // Step 3: Analyze placeholders with << >>
-      const placeholders = ConfluenceApi.extractPlaceholders(
-        clonedTemplate.originalStorageFormat
-      );
-      if (placeholders.length === 0) {
-        throw new Error(
-          "⚠️ No placeholders found in format <<Name>>. Please check template!"
-        );
-      }
+    this.updateTargetPage = null;
+    confirmBtn.disabled = true;
+    if (!target) return;
 
-      this.updateProgress(2, "completed");
-      this.updateProgress(3, "active");
+    info.className = "ktool-publish-info";
+    info.textContent = "⏳ Looking up page...";
 
-      // Get instructions if available
-      let instructions = "";
-      if (this.settings.instructionUrl) {
-        const instructionPageId = ConfluenceApi.extractPageId(
-          this.settings.instructionUrl
-        );
-        if (instructionPageId) {
-          const instructionDoc = await ConfluenceApi.fetchPageContent(
-            instructionPageId
-          );
-          instructions = instructionDoc?.content || "";
-        } else {
-          console.warn(
-            "⚠️ Invalid instruction URL:",
-            this.settings.instructionUrl
+    try {
+      const pageId = /^https?:\/\//.test(target)
+        ? ConfluenceApi.extractPageId(target)
+        : null;
+      const page = pageId
+        ? await ConfluenceApi.getPageVersion(pageId)
+        : await ConfluenceApi.findPageByTitle(
+            target,
+            ConfluenceApi.getCurrentSpaceKey()
           );
-        }
-      }
 
-      // Step 4: AI Fill Placeholders (Send request and get job_id)
-      const payload = {
-        ba_content: baDocument.content,
-        template_structure: clonedTemplate.templateStructure,
-        original_storage_format: clonedTemplate.originalStorageFormat,
-        instructions: instructions,
-        additional_prompt: this.settings.customPrompt || "",
-        placeholders: placeholders,
-        selectedModel: this.settings.selectedModel,
-        images,
-        additional_notes: additionalNotes,
-      };
-
-      console.log("📤 Sending payload for placeholder filling:", {
-        ba_content_length: payload.ba_content.length,
-        template_structure_length: payload.template_structure.length,
-        original_format_length: payload.original_storage_format.length,
-        placeholders_found: placeholders.length,
-        placeholders_list: placeholders,
-      });
-
-      // Send request and get job_id
-      const jobResponse = await ApiClient.generateDocument(payload);
-      const jobId = jobResponse.data.job_id;
-      if (!jobId) {
-        throw new Error(jobResponse.error || "No job_id received from server!");
+      if (!page) {
+        throw new Error("Page not found");
       }
 
-      this.currentJobId = jobId;
-
-      // Start polling for result
-      await this.pollGenerationResult(jobId, payload);
+      this.updateTargetPage = page;
+      info.innerHTML = `📄 <strong>${this.escapeHtml(
+        page.title
+      )}</strong> · version ${page.version} → ${page.version + 1}`;
+      confirmBtn.disabled = false;
     } catch (error) {
-      console.error("❌ Generation error:", error);
-      this.showNotification(
-        `Document generation error: ${error.message}`,
-        "error"
-      );
-      this.hideProgress();
+      console.error("❌ Cannot find target page:", error);
+      info.className = "ktool-publish-info error";
+      info.textContent = `❌ ${error.message}`;
     }
   }
 
-  // These methods are now handled by ConfluenceApi class
-  // Keeping them for backward compatibility if needed
+  /**
+   * Publish the current document as a new version of the target page
+   */
+  async handleUpdatePage() {
+    const page = this.updateTargetPage;
+    const confirmBtn = document.getElementById("confirmUpdatePageBtn");
+    if (!page || !confirmBtn) return;
 
-  async pollGenerationResult(jobId) {
-    const maxAttempts = 40; // 10 minutes max (60 * 10 seconds)
-    let attempts = 0;
+    const versionMessage = document
+      .getElementById("updatePageMessage")
+      .value.trim();
+    const originalText = confirmBtn.innerHTML;
+    confirmBtn.disabled = true;
+    confirmBtn.innerHTML = "🧪 Validating...";
 
-    const poll = async () => {
-      attempts++;
+    try {
+      const content = await this.validateStorageForPublish(
+        await this.getPublishContent(),
+        "🔁 Publish New Version"
+      );
+      if (!content) {
+        confirmBtn.disabled = false;
+        return;
+      }
+      confirmBtn.innerHTML = "⏳ Publishing...";
 
+      let updated;
       try {
-        console.log(
-          `🔄 Polling attempt ${attempts}/${maxAttempts} for job ${jobId}`
-        );
-
-        const statusResult = await ApiClient.checkStatus(jobId);
-        console.log(`statusResult: ${statusResult}`);
+        updated = await ConfluenceApi.updatePage(page, content, {
+          versionMessage,
+        });
+      } catch (error) {
+        if (!this.isXhtmlError(error.message || "")) throw error;
 
-        if (!statusResult.success) {
-          throw new Error("Error checking job status");
+        console.log("🔧 Detected XHTML parsing error, attempting to fix...");
+        confirmBtn.innerHTML = "🔧 Fixing XHTML...";
+        const fixResult = await ApiClient.fixXhtml(content, error.message);
+        if (!fixResult.success || !fixResult.data.fixed_xhtml) {
+          throw new Error(`Failed to fix XHTML: ${fixResult.error}`);
         }
+        updated = await ConfluenceApi.updatePage(
+          page,
+          fixResult.data.fixed_xhtml,
+          { versionMessage }
+        );
+      }
 
-        const status = statusResult.data.status;
-
-        if (status === "done") {
-          const result = await ApiClient.getResult(jobId);
-          const resultString = JSON.stringify(result, null, 2);
-
-          console.log(`Document generate:\n${resultString}`);
-          if (result.success) {
-            this.handleGenerationComplete(result.data.result);
-            return;
-          } else {
-            throw new Error("Error getting document generation result");
-          }
-        } else if (status === "error") {
-          throw new Error("Document generation job failed on server");
-        } else if (attempts >= maxAttempts) {
-          throw new Error(
-            "⏰ Timeout: Document generation is taking too long. Please try again."
-          );
-        } else {
-          // Update progress message if available
-          if (statusResult.data.progress_message) {
-            console.log(`📝 Progress: ${statusResult.data.progress_message}`);
-          }
+      this.rememberTargetPage(page);
 
-          // Continue polling
-          setTimeout(poll, 10000); // Poll every 10 seconds
-        }
-      } catch (error) {
-        console.error("❌ Polling error:", error);
+      this.showNotification(
+        `Page "${page.title}" updated! ${ConfluenceApi.describeMacroSummary(
+          updated.macroSummary
+        )}`,
+        "success"
+      );
+      this.findUpdateTarget();
+    } catch (error) {
+      console.error("❌ Update page error:", error);
+      if (error.status === 409) {
+        // Someone saved the page after it was confirmed: show the new version
+        // and let the user decide again instead of overwriting their edit
         this.showNotification(
-          `Error during document generation: ${error.message}`,
+          `Page "${page.title}" was changed by someone else after version ${page.version}. Check the latest version and publish again.`,
           "error"
         );
-        this.hideProgress();
-        this.currentJobId = null;
-        throw error;
+        await this.findUpdateTarget();
+        const info = document.getElementById("updatePageInfo");
+        info.className = "ktool-publish-info error";
+        info.insertAdjacentText(
+          "afterbegin",
+          `⚠️ Changed since version ${page.version}. `
+        );
+        return;
       }
-    };
+      this.showNotification(`Error updating page: ${error.message}`, "error");
+      confirmBtn.disabled = false;
+    } finally {
+      confirmBtn.innerHTML = originalText;
+    }
+  }
 
-    await poll();
+  /**
+   * Remember the page the document was published to, so the next regeneration
+   * updates the same page and the editor can compare with the live version
+   * @param {Object} page - Published page { id, title }
+   */
+  rememberTargetPage(page) {
+    const context = this.storageManager.loadGenerationContext();
+    if (!context) return;
+
+    this.storageManager.saveGenerationContext({
+      ...context,
+      targetPage: {
+        id: page.id,
+        title: page.title,
+        url: ConfluenceApi.getPageUrl(page.id),
+      },
+    });
   }
 
-  async handleGenerationComplete(result) {
-    this.updateProgress(3, "completed");
-    this.updateProgress(4, "completed");
-    // Store result for preview
-    this.generatedContent = result;
-    // 💾 IMPORTANT: Save generated content to localStorage backup
-    try {
-      this.storageManager.saveToLocalStorage(result);
-    } catch (error) {
-      console.error("❌ Failed to save generated content to backup:", error);
-    }
+  // ========== STORAGE FORMAT VALIDATION ==========
 
-    // 🎨 IMPORTANT: Process Mermaid diagrams and save mappings for later replacement
-    try {
-      await this.initializeMermaidDiagramMappings(result);
-    } catch (error) {
-      console.error("❌ Failed to process Mermaid diagrams:", error);
+  /**
+   * Validate the storage format about to be published
+   * The content is sanitized first, as publishing does, so only problems the
+   * sanitizer cannot repair are reported
+   * Resolves right away when there is no error, otherwise shows the report
+   * and waits until the user fixes the content or cancels
+   * @param {string} content - Storage format to publish
+   * @param {string|null} actionLabel - Label of the publish button, null for a dry run
+   * @returns {Promise<string|null>} Sanitized content to publish, null if cancelled
+   */
+  validateStorageForPublish(content, actionLabel) {
+    this.closeStorageValidation(null);
+
+    content = StorageFormatSanitizer.sanitize(content);
+    const report = StorageFormatValidator.validate(content);
+    console.log("🧪 Storage format validation:", report);
+    if (report.valid && actionLabel) {
+      return Promise.resolve(content);
     }
 
-    // Switch to preview tab
-    this.switchTab("preview");
-    this.updatePreviewTab(result);
+    this.storageValidation = { content, report, actionLabel };
+    this.renderStorageValidation();
 
-    this.showNotification("Document generated successfully!", "success");
-    this.hideProgress();
+    return new Promise((resolve) => {
+      this.resolveStorageValidation = resolve;
+    });
   }
 
-  updatePreviewTab(content) {
-    const previewTab = document.getElementById("previewTab");
+  /**
+   * Render the validation report, the XML viewer and the fix actions
+   */
+  renderStorageValidation() {
+    const panel = document.getElementById("storageValidationPanel");
+    if (!panel || !this.storageValidation) return;
+
+    const { content, report, actionLabel } = this.storageValidation;
+    const viewer = this.buildXmlViewer(content, report);
+    this.storageValidation.issueLines = viewer.issueLines;
+
+    panel.innerHTML = `
+      <div class="ktool-validation-header">
+        <strong>${
+          report.valid
+            ? "✅ Storage format is valid"
+            : `❌ ${report.errors} error(s) found before publishing`
+        }</strong>
+        <span>${report.warnings} warning(s)</span>
+      </div>
+      <ul class="ktool-validation-issues">
+        ${report.issues
+          .map(
+            (issue, index) => `
+              <li class="ktool-validation-issue ${issue.severity}" data-issue-index="${index}">
+                <code>${
+                  report.wellFormed
+                    ? `line ${viewer.issueLines[index] || "?"}`
+                    : `${issue.line}:${issue.column}`
+                }</code>
+                ${this.escapeHtml(issue.message)}
+                ${
+                  issue.fix
+                    ? `<span class="ktool-validation-fix">🔧 ${this.escapeHtml(
+                        issue.fixLabel
+                      )}</span>`
+                    : ""
+                }
+              </li>
+            `
+          )
+          .join("")}
+      </ul>
+      ${viewer.html}
+      <div class="ktool-validation-actions">
+        ${
+          report.fixable
+            ? `<button class="ktool-btn ktool-btn-secondary" id="applyStorageFixesBtn" type="button">
+                🔧 Apply ${report.fixable} Fix(es)
+              </button>`
+            : ""
+        }
+        ${
+          !report.valid && !report.fixable
+            ? `<button class="ktool-btn ktool-btn-secondary" id="aiFixStorageBtn" type="button">
+                🤖 Fix with AI
+              </button>`
+            : ""
+        }
+        ${
+          report.valid && actionLabel
+            ? `<button class="ktool-btn ktool-btn-primary" id="continuePublishBtn" type="button">
+                ${actionLabel}
+              </button>`
+            : ""
+        }
+        <button class="ktool-btn ktool-btn-secondary" id="closeStorageValidationBtn" type="button">
+          ${actionLabel ? "Cancel" : "Close"}
+        </button>
+      </div>
+    `;
+    panel.style.display = "block";
+
+    panel.querySelectorAll("[data-issue-index]").forEach((item) => {
+      item.addEventListener("click", () => {
+        const line =
+          this.storageValidation?.issueLines[Number(item.dataset.issueIndex)];
+        panel
+          .querySelector(`.ktool-xml-line[data-line="${line}"]`)
+          ?.scrollIntoView({ behavior: "smooth", block: "center" });
+      });
+    });
+    panel
+      .querySelector("#applyStorageFixesBtn")
+      ?.addEventListener("click", () => this.applyStorageFixes());
+    panel
+      .querySelector("#aiFixStorageBtn")
+      ?.addEventListener("click", (e) => this.fixStorageWithAI(e.target));
+    panel
+      .querySelector("#continuePublishBtn")
+      ?.addEventListener("click", () =>
+        this.closeStorageValidation(this.storageValidation.content)
+      );
+    panel
+      .querySelector("#closeStorageValidationBtn")
+      .addEventListener("click", () => this.closeStorageValidation(null));
 
-    // Clean XML markers from content before displaying
-    let cleanContent =
-      content.full_storage_format || "<p>No content available</p>";
-    if (cleanContent !== "<p>No content available</p>") {
-      cleanContent = XMLFormatter.cleanXMLMarkers(cleanContent);
+    panel.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+
+  /**
+   * Build the XML viewer of a validation report
+   * Well-formed content is shown formatted by XMLFormatter, issues point at
+   * the formatted line of their element. Malformed content is shown as is
+   * around the errors, with the error column marked.
+   * @param {string} content - Validated content
+   * @param {Object} report - Report from StorageFormatValidator.validate
+   * @returns {{html: string, issueLines: Array<number|null>}} Viewer HTML and viewer line of each issue
+   */
+  buildXmlViewer(content, report) {
+    const maxLineLength = 240;
+    let lines;
+    let issueLines;
+
+    if (report.wellFormed) {
+      const elementLines = [];
+      lines = XMLFormatter.formatXHTML(content, "  ", elementLines).split("\n");
+      issueLines = report.issues.map((issue) =>
+        issue.element === null ? null : elementLines[issue.element] || null
+      );
+    } else {
+      lines = content.split("\n");
+      issueLines = report.issues.map((issue) => issue.line);
     }
 
-    previewTab.innerHTML = `
-      <div class="ktool-form">
-        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
-          <h3 style="margin: 0;">Document Preview</h3>
-          <div style="display: flex; gap: 12px;">
-            <button class="ktool-btn ktool-btn-secondary" id="editContentBtn">
-              ✏️ Edit Content
-            </button>
-            <button class="ktool-btn ktool-btn-primary" id="createPageBtn">
-              📄 Create Confluence Page
-            </button>
-          </div>
-        </div>
+    // Long documents only show the lines around the issues
+    const visible = new Set();
+    lines.forEach((line, index) => {
+      const lineNumber = index + 1;
+      if (
+        lines.length <= 500 ||
+        issueLines.some((issueLine) => Math.abs(issueLine - lineNumber) <= 3)
+      ) {
+        visible.add(lineNumber);
+      }
+    });
 
-        <div id="documentPreview" style="border: 1px solid #e9ecef; border-radius: 8px; padding: 20px; background: #f8f9fa; max-height: 400px; overflow-y: auto; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6;">
-          ${cleanContent}
+    let previous = 0;
+    const rows = [];
+    visible.forEach((lineNumber) => {
+      if (lineNumber > previous + 1) {
+        rows.push(`<div class="ktool-xml-gap">⋯</div>`);
+      }
+      previous = lineNumber;
+
+      const issues = report.issues.filter(
+        (issue, index) => issueLines[index] === lineNumber
+      );
+      const severity = issues.some((issue) => issue.severity === "error")
+        ? "error"
+        : issues.length
+        ? "warning"
+        : "";
+
+      // Single-line documents are cut around the first error column
+      const text = lines[lineNumber - 1];
+      const column =
+        !report.wellFormed && issues.length ? issues[0].column - 1 : 0;
+      const start = Math.max(
+        Math.min(column - maxLineLength / 2, text.length - maxLineLength),
+        0
+      );
+      const end = Math.min(start + maxLineLength, text.length);
+      const marked =
+        !report.wellFormed && issues.length
+          ? `${this.escapeHtml(text.substring(start, column))}<mark>${
+              this.escapeHtml(text.charAt(column)) || " "
+            }</mark>${this.escapeHtml(text.substring(column + 1, end))}`
+          : this.escapeHtml(text.substring(start, end));
+
+      rows.push(`
+        <div class="ktool-xml-line ${severity}" data-line="${lineNumber}">
+          <span class="ktool-xml-gutter">${lineNumber}</span>
+          <code>${start > 0 ? "…" : ""}${marked}${
+        end < text.length ? "…" : ""
+      }</code>
         </div>
-      </div>
-    `;
+      `);
+    });
 
-    // Bind preview buttons
-    const editContentBtn = previewTab.querySelector("#editContentBtn");
+    return {
+      html: `<div class="ktool-xml-viewer">${rows.join("")}</div>`,
+      issueLines,
+    };
+  }
 
-    editContentBtn.addEventListener("click", () =>
-      this.handleEditContent(content)
-    );
-    createPageBtn.addEventListener("click", () => this.handleCreatePage());
+  /**
+   * Apply the local fixes of the current report and validate again
+   */
+  applyStorageFixes() {
+    const { content, report } = this.storageValidation;
+    const fixed = StorageFormatValidator.applyFixes(content, report.issues);
 
-    // Initialize Mermaid diagrams after content is loaded
-    setTimeout(() => {
-      this.initializeMermaid();
-    }, 100);
+    this.storageValidation.content = fixed.content;
+    this.storageValidation.report = StorageFormatValidator.validate(
+      fixed.content
+    );
+    this.showNotification(
+      `🔧 Applied ${fixed.applied} storage format fix(es)`,
+      "success"
+    );
+    this.renderStorageValidation();
   }
+
   /**
-   * Chuẩn hóa chuỗi HTML: Sửa lỗi cú pháp bảng nghiêm ngặt (colgroup)
-   * và dọn dẹp các tag/khoảng trắng thừa.
-   * * @param {string} htmlString Chuỗi HTML cần chuẩn hóa.
-   * @returns {string} Chuỗi HTML đã được làm sạch và sửa lỗi cấu trúc bảng.
+   * Ask the AI to fix what the local fixes could not
+   * @param {HTMLElement} button - Fix button
    */
-  normalizeConfluenceHtml(htmlString) {
-    if (!htmlString || typeof htmlString !== "string") {
-      return "";
-    }
-
-    let cleanedHtml = htmlString;
+  async fixStorageWithAI(button) {
+    const { content, report } = this.storageValidation;
+    button.disabled = true;
+    button.innerHTML = "⏳ Fixing...";
 
-    // 1. Loại bỏ tất cả các thẻ <colgroup> và nội dung của nó.
-    // Bắt đầu từ <colgroup> (có hoặc không có thuộc tính) và kết thúc bằng </colgroup>.
-    // [\s\S]*? dùng để bắt mọi thứ (kể cả dòng ngắt) không tham lam.
-    cleanedHtml = cleanedHtml.replace(
-      /<colgroup[^>]*>[\s\S]*?<\/colgroup>/gi,
-      ""
-    );
+    try {
+      const fixResult = await ApiClient.fixXhtml(
+        content,
+        StorageFormatValidator.describeIssues(report.issues)
+      );
+      if (!fixResult.success || !fixResult.data.fixed_xhtml) {
+        throw new Error(fixResult.error || "No fixed content returned");
+      }
+      if (!this.storageValidation) return;
 
-    // 2. Loại bỏ dạng thẻ <colgroup/> tự đóng (Self-closing)
-    cleanedHtml = cleanedHtml.replace(/<colgroup[^>]*\/>/gi, "");
+      this.storageValidation.content = fixResult.data.fixed_xhtml;
+      this.storageValidation.report = StorageFormatValidator.validate(
+        fixResult.data.fixed_xhtml
+      );
+      this.renderStorageValidation();
+    } catch (error) {
+      console.error("❌ AI XHTML fix failed:", error);
+      this.showNotification(`Failed to fix XHTML: ${error.message}`, "error");
+      button.disabled = false;
+      button.innerHTML = "🤖 Fix with AI";
+    }
+  }
 
-    // 3. Loại bỏ thẻ <col> riêng lẻ (dạng tự đóng <col/>) nếu chúng bị sót lại.
-    cleanedHtml = cleanedHtml.replace(/<col[^>]*\/>/gi, "");
+  /**
+   * Hide the validation panel and settle the pending validation
+   * @param {string|null} content - Content to publish, null to cancel
+   */
+  closeStorageValidation(content) {
+    const panel = document.getElementById("storageValidationPanel");
+    if (panel) {
+      panel.style.display = "none";
+      panel.innerHTML = "";
+    }
+    this.storageValidation = null;
 
-    return cleanedHtml.trim();
+    if (this.resolveStorageValidation) {
+      const resolve = this.resolveStorageValidation;
+      this.resolveStorageValidation = null;
+      resolve(content);
+    }
   }
+
   async handleCreatePage() {
-    const createBtn = document.querySelector("#createPageBtn");
+    const createBtn = document.querySelector("#confirmCreatePageBtn");
     if (!createBtn) return;
 
     // Save original button state
@@ -679,53 +2666,72 @@ class KToolContent {
     const originalDisabled = createBtn.disabled;
 
     // Declare variables outside try-catch so they're accessible in both blocks
-    let spaceKey, title, parentId;
-
-    const backupContent = this.storageManager.loadFromLocalStorage();
-    let content = backupContent?.full_storage_format || backupContent?.content;
+    let spaceKey, title, parentId, labels, content;
     try {
       // Set loading state
       createBtn.innerHTML = "⏳ Creating Page...";
       createBtn.disabled = true;
       createBtn.style.opacity = "0.7";
 
-      spaceKey = ConfluenceApi.getCurrentSpaceKey();
+      // The page goes to the space of the chosen parent
+      spaceKey =
+        this.publishParent?.spaceKey || ConfluenceApi.getCurrentSpaceKey();
       if (!spaceKey) {
         throw new Error("Cannot determine space key of current page");
       }
 
-      title = `K-Tool Generated Document - ${new Date().toLocaleDateString()}`;
+      title = document.getElementById("publishTitle").value.trim();
+      if (!title) {
+        throw new Error("Please enter a page title");
+      }
+      if (await ConfluenceApi.findPageByTitle(title, spaceKey)) {
+        throw new Error(
+          `A page titled "${title}" already exists in space ${spaceKey}`
+        );
+      }
+
+      labels = this.parseLabels(
+        document.getElementById("publishLabels").value
+      );
+      parentId = this.publishParent?.id || null;
 
-      // Use backup content from localStorage (committed changes)
+      content = await this.getPublishContent();
 
-      // Fallback to generated content if no backup
+      // 🧪 Check storage format locally before Confluence sees it
+      createBtn.innerHTML = "🧪 Validating storage format...";
+      content = await this.validateStorageForPublish(content, "📄 Create Page");
       if (!content) {
-        content =
-          this.generatedContent.full_storage_format ||
-          this.generatedContent.content;
-        console.warn("⚠️ No backup content found, using generated content");
+        createBtn.innerHTML = originalText;
+        createBtn.disabled = originalDisabled;
+        createBtn.style.opacity = "1";
+        return;
       }
-      // Replace Mermaid images with original code before sending to API
-      content = await this.replaceMermaidImagesWithOriginalCode(content);
-      console.warn("Content after replace:", content?.substring(0, 500));
 
       // 🔄 Convert HTML to XHTML using BeautifulSoup API before creating page
       // createBtn.innerHTML = "🔄 Converting to XHTML...";
       // content = this.normalizeConfluenceHtml(content);
-      // Extract parent page ID from settings if available
-      parentId = null;
-      if (this.settings.documentUrl) {
-        parentId = ConfluenceApi.extractPageId(this.settings.documentUrl);
-      }
 
       createBtn.innerHTML = "📄 Creating Confluence Page...";
-      await ConfluenceApi.createPage(title, content, spaceKey, parentId);
+      const created = await ConfluenceApi.createPage(
+        title,
+        content,
+        spaceKey,
+        parentId,
+        labels
+      );
+
+      this.rememberTargetPage(created);
 
       // Success state
       createBtn.innerHTML = "✅ Page Created Successfully!";
       createBtn.style.background = "#28a745";
 
-      this.showNotification("Confluence page created successfully!", "success");
+      this.showNotification(
+        `Confluence page created successfully! ${ConfluenceApi.describeMacroSummary(
+          created.macroSummary
+        )}`,
+        "success"
+      );
 
       // Delay 1s before restore button
       setTimeout(() => {
@@ -740,13 +2746,8 @@ class KToolContent {
 
       // Check if error is related to XHTML parsing
       const errorMessage = error.message || "";
-      const isXhtmlError =
-        errorMessage.toLowerCase().includes("error parsing xhtml") ||
-        errorMessage.toLowerCase().includes("parsing error") ||
-        errorMessage.toLowerCase().includes("invalid xhtml") ||
-        errorMessage.toLowerCase().includes("malformed");
 
-      if (isXhtmlError) {
+      if (this.isXhtmlError(errorMessage)) {
         console.log("🔧 Detected XHTML parsing error, attempting to fix...");
 
         try {
@@ -769,19 +2770,24 @@ class KToolContent {
             createBtn.innerHTML = "🔄 Retrying Page Creation...";
 
             // Retry page creation with fixed content
-            await ConfluenceApi.createPage(
+            const created = await ConfluenceApi.createPage(
               title,
               fixResult.data.fixed_xhtml,
               spaceKey,
-              parentId
+              parentId,
+              labels
             );
 
+            this.rememberTargetPage(created);
+
             // Success state
             createBtn.innerHTML = "✅ Page Created Successfully!";
             createBtn.style.background = "#28a745";
 
             this.showNotification(
-              "Page created successfully after fixing XHTML!",
+              `Page created successfully after fixing XHTML! ${ConfluenceApi.describeMacroSummary(
+                created.macroSummary
+              )}`,
               "success"
             );
 
@@ -1027,7 +3033,8 @@ class KToolContent {
 
   handleReset() {
     // Auto reset form without confirm
-    document.getElementById("baDocUrl").value = window.location.href;
+    document.getElementById("baSourcesList").innerHTML =
+      this.renderBaSourceRow(window.location.href, true);
     document.getElementById("additionalNotes").value = "";
     this.hideProgress();
     this.switchTab("generate");
@@ -1044,10 +3051,19 @@ class KToolContent {
         <div class="ktool-progress-icon">${index + 1}</div>
         <span>${step.label}</span>
       </div>
+      ${
+        step.id === "generate"
+          ? '<div class="ktool-progress-detail" id="generationProgressDetail" style="display: none;"></div>'
+          : ""
+      }
     `
       )
       .join("");
 
+    const cancelBtn = document.getElementById("cancelGenerationBtn");
+    cancelBtn.style.display = "";
+    cancelBtn.disabled = false;
+
     progressSection.style.display = "block";
   }
 
@@ -1062,7 +3078,18 @@ class KToolContent {
     }));
   }
 
-  updateProgress(stepIndex, status) {
+  /**
+   * Update a progress step
+   * @param {number|string} step - Step index or step id from PROGRESS_STEPS
+   * @param {string} status - pending | active | completed | error | cancelled
+   */
+  updateProgress(step, status) {
+    const stepIndex =
+      typeof step === "string"
+        ? this.progressSteps.findIndex((item) => item.id === step)
+        : step;
+    if (stepIndex === -1) return;
+
     this.progressSteps[stepIndex].status = status;
 
     const stepElement = document.querySelector(`[data-step="${stepIndex}"]`);
@@ -1074,6 +3101,8 @@ class KToolContent {
         icon.textContent = "✓";
       } else if (status === "error") {
         icon.textContent = "✗";
+      } else if (status === "cancelled") {
+        icon.textContent = "–";
       } else if (status === "active") {
         icon.innerHTML = '<div class="ktool-spinning">⏳</div>';
       }
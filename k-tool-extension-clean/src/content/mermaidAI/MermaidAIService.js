@@ -3,7 +3,6 @@
  * Handles AI API calls for Mermaid diagram modifications
  */
 import { ApiClient, ConfluenceApi } from "../../shared/api.js";
-import { API_URLS } from "../../shared/constants.js";
 
 export class MermaidAIService {
   constructor() {
@@ -43,24 +42,13 @@ export class MermaidAIService {
     console.log("📤 Sending AI request:", payload);
 
     try {
-      // Call new AI API using constants
-      const response = await fetch(API_URLS.EDIT_MERMAID, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(payload),
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(
-          errorText || `HTTP ${response.status}: ${response.statusText}`
-        );
+      const response = await ApiClient.editMermaid(payload);
+      if (!response.success) {
+        throw new Error(response.error);
       }
 
       // API returns plain text mermaid code
-      const newMermaidCode = await response.text();
+      const newMermaidCode = response.data;
 
       if (!newMermaidCode || !newMermaidCode.trim()) {
         throw new Error("Empty response from AI API");
@@ -215,62 +203,6 @@ export class MermaidAIService {
     }
   }
 
-  /**
-   * Call AI API
-   * @param {Object} payload - Request payload
-   * @returns {Promise<Object>} AI response
-   */
-  async callAI(payload) {
-    try {
-      const response = await fetch("/api/ai/mermaid-edit", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(payload),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          errorData.error || `HTTP ${response.status}: ${response.statusText}`
-        );
-      }
-
-      const data = await response.json();
-      console.log("📥 AI API response:", data);
-
-      return data;
-    } catch (error) {
-      console.error("❌ AI API call failed:", error);
-
-      // Return mock response for development/testing
-      if (error.message.includes("fetch")) {
-        console.log("🔧 Using mock AI response for development");
-        return this.getMockResponse(payload);
-      }
-
-      throw error;
-    }
-  }
-
-  /**
-   * Get mock AI response for development
-   * @param {Object} payload - Original request payload
-   * @returns {Object} Mock response
-   */
-  getMockResponse(payload) {
-    // Simple mock: add a comment to the diagram
-    const originalDiagram = payload.diagram_content;
-    const modifiedDiagram = `%% Modified by AI: ${payload.user_prompt}\n${originalDiagram}`;
-
-    return {
-      success: true,
-      edited_diagram: modifiedDiagram,
-      explanation: `I've added a comment to your diagram based on your request: "${payload.user_prompt}"`,
-    };
-  }
-
   /**
    * Validate user prompt
    * @param {string} prompt - User prompt to validate
@@ -1,6 +1,5 @@
 // Text Edit AI Service for K-Tool Extension
-import { API_URLS } from "../../shared/constants.js";
-import { ConfluenceApi } from "../../shared/api.js";
+import { ApiClient, ConfluenceApi } from "../../shared/api.js";
 
 export class TextEditAI {
   constructor() {
@@ -1016,29 +1015,18 @@ export class TextEditAI {
       // Get current page content from Confluence
       const pageContent = await this.getCurrentPageContent();
 
-      const response = await fetch(API_URLS.EDIT_HTML_CONTENT, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          html_content: htmlContent,
-          selected_text: selectedText,
-          prompt: prompt,
-          page_content: pageContent, // Add page content field
-        }),
+      const response = await ApiClient.editHtmlContent({
+        html_content: htmlContent,
+        selected_text: selectedText,
+        prompt: prompt,
+        page_content: pageContent, // Add page content field
       });
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          errorData.error || `HTTP ${response.status}: ${response.statusText}`
-        );
+      if (!response.success) {
+        throw new Error(response.error);
       }
 
-      const editedHtml = await response.text();
-
-      return editedHtml;
+      return response.data;
     } catch (error) {
       console.error("❌ Text Edit API error:", error);
       throw new Error(`Failed to process text edit request: ${error.message}`);
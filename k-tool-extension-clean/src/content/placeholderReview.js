@@ -0,0 +1,299 @@
+// Placeholder mapping review step, shown between "Analyze Placeholders" and "AI Generate Document"
+import { GENERATION_BUDGET, PLACEHOLDER_MODES } from "../shared/constants.js";
+
+export class PlaceholderReview {
+  constructor() {
+    this.container = null;
+    this.resolveReview = null;
+  }
+
+  /**
+   * Show the review form and wait for the user to confirm
+   * @param {HTMLElement} container - Element to render the form into
+   * @param {Object} options - { placeholders, contexts, savedMappings, descriptors, sources, budget }
+   * @returns {Promise<Object|null>} { mappings, remember } or null if cancelled
+   */
+  open(
+    container,
+    {
+      placeholders,
+      contexts = {},
+      savedMappings = {},
+      descriptors = [],
+      sources = [],
+      budget = null,
+    }
+  ) {
+    this.container = container;
+    this.placeholders = placeholders;
+    const descriptorsByToken = Object.fromEntries(
+      descriptors.map((descriptor) => [descriptor.token, descriptor])
+    );
+
+    container.innerHTML = `
+      <div class="ktool-review">
+        <div class="ktool-review-header">
+          <h3 style="margin: 0; font-size: 16px;">Review Placeholder Mapping</h3>
+          <span class="ktool-review-count">${placeholders.length} placeholder(s)</span>
+        </div>
+        <p class="ktool-review-help">
+          Choose how each placeholder is filled. Pinned values are used as-is,
+          skipped placeholders are left untouched.
+        </p>
+        ${this.renderBudget(sources, budget)}
+        <div class="ktool-review-list">
+          ${placeholders
+            .map((placeholder, index) =>
+              this.renderRow(
+                placeholder,
+                index,
+                contexts[placeholder] || {},
+                savedMappings[placeholder] || {},
+                descriptorsByToken[placeholder]
+              )
+            )
+            .join("")}
+        </div>
+        <div class="ktool-review-footer">
+          <label class="ktool-review-remember">
+            <input type="checkbox" id="reviewRemember" checked>
+            Remember for this template
+          </label>
+          <button class="ktool-btn ktool-btn-primary" id="reviewContinueBtn" type="button">
+            ▶️ Continue Generation
+          </button>
+        </div>
+      </div>
+    `;
+    container.style.display = "block";
+
+    this.bindEvents();
+
+    return new Promise((resolve) => {
+      this.resolveReview = resolve;
+    });
+  }
+
+  /**
+   * Render one placeholder row
+   * @param {string} placeholder - Placeholder token
+   * @param {number} index - Row index
+   * @param {Object} context - { heading, before, after, occurrences }
+   * @param {Object} saved - Previously saved choice
+   * @param {Object} descriptor - Typed placeholder descriptor (optional)
+   * @returns {string} Row HTML
+   */
+  renderRow(placeholder, index, context, saved, descriptor) {
+    // A template default value makes "pin" the natural starting choice
+    const hasDefault =
+      descriptor?.defaultValue !== null && descriptor?.defaultValue !== undefined;
+    const mode =
+      saved.mode || (hasDefault ? PLACEHOLDER_MODES.PIN : PLACEHOLDER_MODES.AI);
+    const value = saved.value ?? (hasDefault ? descriptor.defaultValue : "");
+    const typeLabel = descriptor
+      ? `${descriptor.type}${descriptor.format ? ` · ${descriptor.format}` : ""}`
+      : "";
+    const option = (value, label) =>
+      `<option value="${value}" ${
+        mode === value ? "selected" : ""
+      }>${label}</option>`;
+
+    return `
+      <div class="ktool-review-row" data-index="${index}">
+        <div class="ktool-review-name">
+          <code>${this.escapeHtml(placeholder)}</code>
+          ${
+            typeLabel
+              ? `<span class="ktool-review-type">${this.escapeHtml(
+                  typeLabel
+                )}</span>`
+              : ""
+          }
+          ${
+            context.heading
+              ? `<span class="ktool-review-heading">in “${this.escapeHtml(
+                  context.heading
+                )}”</span>`
+              : ""
+          }
+          ${
+            context.occurrences > 1
+              ? `<span class="ktool-review-heading">×${context.occurrences}</span>`
+              : ""
+          }
+        </div>
+        <div class="ktool-review-context">
+          …${this.escapeHtml(context.before || "")}
+          <mark>${this.escapeHtml(placeholder)}</mark>
+          ${this.escapeHtml(context.after || "")}…
+        </div>
+        <div class="ktool-review-controls">
+          <select class="ktool-form-select ktool-review-mode" data-field="mode">
+            ${option(PLACEHOLDER_MODES.AI, "🤖 Fill by AI")}
+            ${option(PLACEHOLDER_MODES.PIN, "📌 Pin value")}
+            ${option(PLACEHOLDER_MODES.SKIP, "⏭️ Skip")}
+          </select>
+          <input
+            type="text"
+            class="ktool-form-input"
+            data-field="value"
+            placeholder="Literal value"
+            value="${this.escapeHtml(value)}"
+            style="display: ${mode === PLACEHOLDER_MODES.PIN ? "block" : "none"};"
+          >
+          <input
+            type="text"
+            class="ktool-form-input"
+            data-field="instruction"
+            placeholder="Instruction for AI (optional)"
+            value="${this.escapeHtml(saved.instruction || "")}"
+            style="display: ${mode === PLACEHOLDER_MODES.AI ? "block" : "none"};"
+          >
+          <label class="ktool-review-required">
+            <input type="checkbox" data-field="required" ${
+              saved.required ? "checked" : ""
+            }>
+            Required
+          </label>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the BA sources and their estimated size against the generation budget
+   * @param {Array<Object>} sources - Fetched BA pages
+   * @param {Object|null} budget - Estimate from ConfluenceApi.estimateSourcesBudget
+   * @returns {string} HTML, empty without a budget
+   */
+  renderBudget(sources, budget) {
+    if (!budget) return "";
+
+    const formatNumber = (value) => value.toLocaleString();
+    const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+    const tokens = `~${formatNumber(budget.tokens)} / ${formatNumber(
+      GENERATION_BUDGET.MAX_TOKENS
+    )} tokens`;
+    const size = `${megabytes(budget.bytes)} / ${megabytes(
+      GENERATION_BUDGET.MAX_PAYLOAD_BYTES
+    )} MB`;
+
+    return `
+      <div class="ktool-review-budget ${budget.overBudget ? "over" : ""}">
+        <div>
+          📚 ${budget.pages} source page(s) · ${tokens}
+          · ${budget.images} image(s) · ${size}
+        </div>
+        ${
+          budget.overBudget
+            ? `<div class="ktool-review-budget-warning">⚠️ Sources exceed the generation budget, the AI may truncate them. Consider removing some pages.</div>`
+            : ""
+        }
+        <ul class="ktool-review-sources">
+          ${sources
+            .map((source) => {
+              const sourceTokens = Math.ceil(
+                source.content.length / GENERATION_BUDGET.CHARS_PER_TOKEN
+              );
+              return `<li>${this.escapeHtml(source.title)} <span>(~${formatNumber(
+                sourceTokens
+              )} tokens)</span></li>`;
+            })
+            .join("")}
+        </ul>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    this.container.querySelectorAll(".ktool-review-mode").forEach((select) => {
+      select.addEventListener("change", () => {
+        const row = select.closest(".ktool-review-row");
+        row.querySelector('[data-field="value"]').style.display =
+          select.value === PLACEHOLDER_MODES.PIN ? "block" : "none";
+        row.querySelector('[data-field="instruction"]').style.display =
+          select.value === PLACEHOLDER_MODES.AI ? "block" : "none";
+      });
+    });
+
+    this.container
+      .querySelector("#reviewContinueBtn")
+      .addEventListener("click", () => this.submit());
+  }
+
+  /**
+   * Collect choices and resolve the review
+   */
+  submit() {
+    const mappings = {};
+    let missingValue = null;
+
+    this.container.querySelectorAll(".ktool-review-row").forEach((row) => {
+      const placeholder = this.placeholders[Number(row.dataset.index)];
+      const field = (name) => row.querySelector(`[data-field="${name}"]`);
+
+      const mapping = {
+        mode: field("mode").value,
+        value: field("value").value.trim(),
+        instruction: field("instruction").value.trim(),
+        required: field("required").checked,
+      };
+
+      if (mapping.mode === PLACEHOLDER_MODES.PIN && !mapping.value) {
+        missingValue = missingValue || field("value");
+      }
+      mappings[placeholder] = mapping;
+    });
+
+    if (missingValue) {
+      missingValue.classList.add("error");
+      missingValue.focus();
+      return;
+    }
+
+    const remember = this.container.querySelector("#reviewRemember").checked;
+    this.close({ mappings, remember });
+  }
+
+  /**
+   * Close the review without generating
+   */
+  cancel() {
+    this.close(null);
+  }
+
+  close(result) {
+    if (this.container) {
+      this.container.style.display = "none";
+      this.container.innerHTML = "";
+    }
+
+    if (this.resolveReview) {
+      const resolve = this.resolveReview;
+      this.resolveReview = null;
+      resolve(result);
+    }
+  }
+
+  /**
+   * Convert review choices to the GEN_DOC payload format
+   * @param {Object} mappings - Map placeholder -> choice
+   * @returns {Array<Object>} [{ placeholder, mode, value, instruction, required }]
+   */
+  static toPayload(mappings) {
+    return Object.entries(mappings).map(([placeholder, mapping]) => ({
+      placeholder,
+      mode: mapping.mode,
+      value: mapping.mode === PLACEHOLDER_MODES.PIN ? mapping.value : "",
+      instruction:
+        mapping.mode === PLACEHOLDER_MODES.AI ? mapping.instruction : "",
+      required: mapping.required,
+    }));
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text || "";
+    return div.innerHTML.replace(/"/g, "&quot;");
+  }
+}
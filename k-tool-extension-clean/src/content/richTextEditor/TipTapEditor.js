@@ -5,6 +5,10 @@
 
 // Import TipTap Editor CSS styles
 import "./TipTapEditor.css";
+import {
+  prepareStorageFormat,
+  restoreStorageFormat,
+} from "./confluenceMacros.js";
 
 /**
  * TipTap modules are loaded via tiptap-init.js and exposed to global scope
@@ -111,6 +115,7 @@ export class TipTapEditor {
       Underline,
       Subscript,
       Superscript,
+      ConfluenceMacros,
     } = window.TipTapModules;
 
     this.editor = new Editor({
@@ -121,6 +126,8 @@ export class TipTapEditor {
           table: false,
           link: false,
           underline: false,
+          // An empty paragraph after a trailing macro would be saved with the document
+          trailingNode: false,
         }),
         Table.configure({
           resizable: true,
@@ -244,6 +251,8 @@ export class TipTapEditor {
         }),
         Subscript,
         Superscript,
+        // Confluence macros (panels, expand, code, status, TOC, Jira...)
+        ...ConfluenceMacros,
       ],
       content: "",
       parseOptions: {
@@ -613,9 +622,10 @@ export class TipTapEditor {
 
   /**
    * Get editor content as HTML
+   * Confluence macros are written back in storage format
    */
   getHTML() {
-    return this.editor ? this.editor.getHTML() : "";
+    return this.editor ? restoreStorageFormat(this.editor.getHTML()) : "";
   }
 
   /**
@@ -639,7 +649,7 @@ export class TipTapEditor {
     if (this.editor && html) {
       console.log("🎨 Setting HTML content in TipTap:", html.substring(0, 500));
       // Use setContent with parseOptions to preserve custom attributes
-      this.editor.commands.setContent(html, false, {
+      this.editor.commands.setContent(prepareStorageFormat(html), false, {
         preserveWhitespace: "full",
       });
       console.log("✅ HTML content set in TipTap editor");
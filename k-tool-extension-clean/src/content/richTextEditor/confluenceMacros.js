@@ -0,0 +1,764 @@
+/**
+ * Confluence Macro Nodes
+ * TipTap nodes for the ac:structured-macro elements of the storage format,
+ * so macros survive the Rich Text tab and serialize back unchanged
+ */
+
+import { Node } from "@tiptap/core";
+
+// ProseMirror matches parse rules with CSS selectors, the colon is escaped
+const MACRO_SELECTOR = "ac\\:structured-macro";
+
+// CDATA sections are not parsed in HTML, they are kept in this element instead
+const CDATA_TAG = "k-cdata";
+
+// Marks the elements prepareStorageFormat gave an end tag, only those are
+// self-closing again in the storage format
+const SELF_CLOSING_ATTRIBUTE = "data-k-self-closing";
+
+const PANEL_MACROS = ["info", "note", "warning", "tip"];
+const PANEL_ICONS = { info: "ℹ️", note: "📝", warning: "⚠️", tip: "💡" };
+const STATUS_COLOURS = ["Grey", "Red", "Yellow", "Green", "Blue", "Purple"];
+
+// Elements inside which a macro is part of the text, e.g. a status in a paragraph
+const INLINE_PARENTS = [
+  "p",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "span",
+  "a",
+  "strong",
+  "em",
+  "b",
+  "i",
+  "u",
+  "s",
+  "sub",
+  "sup",
+];
+
+/**
+ * Make storage format parseable as HTML
+ * CDATA sections become elements and self-closing ac:/ri: elements get an end tag,
+ * otherwise the HTML parser turns CDATA into comments and nests the next siblings
+ * @param {string} storage - Storage format (XHTML)
+ * @returns {string} HTML for the editor
+ */
+export function prepareStorageFormat(storage) {
+  return storage
+    .replace(
+      /<!\[CDATA\[([\s\S]*?)\]\]>/g,
+      (match, text) => `<${CDATA_TAG}>${escapeHTML(text)}</${CDATA_TAG}>`
+    )
+    .replace(
+      /<((?:ac|ri):[\w-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*\/>/g,
+      `<$1$2 ${SELF_CLOSING_ATTRIBUTE}=""></$1>`
+    );
+}
+
+/**
+ * Turn editor HTML back into storage format, reverting prepareStorageFormat
+ * Elements written empty in the storage format stay that way
+ * @param {string} html - HTML from the editor
+ * @returns {string} Storage format (XHTML)
+ */
+export function restoreStorageFormat(html) {
+  const attributes = '((?:\\s+[\\w:-]+="[^"]*")*)';
+  return html
+    .replace(
+      new RegExp(
+        `<((?:ac|ri):[\\w-]+)${attributes}\\s+${SELF_CLOSING_ATTRIBUTE}=""${attributes}></\\1>`,
+        "g"
+      ),
+      "<$1$2$3/>"
+    )
+    // An element that got content in the editor keeps its end tag
+    .replace(new RegExp(`\\s+${SELF_CLOSING_ATTRIBUTE}=""`, "g"), "")
+    .replace(
+      new RegExp(`<${CDATA_TAG}>([\\s\\S]*?)</${CDATA_TAG}>`, "g"),
+      (match, text) => `<![CDATA[${unescapeHTML(text)}]]>`
+    );
+}
+
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// Entities written by innerHTML for text
+function unescapeHTML(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, "\u00a0")
+    .replace(/&amp;/g, "&");
+}
+
+function getMacroName(element) {
+  return element.getAttribute("ac:name");
+}
+
+function getChild(element, tagName) {
+  return Array.from(element.children).find(
+    (child) => child.localName === tagName
+  );
+}
+
+function isInlineMacro(element) {
+  return INLINE_PARENTS.includes(element.parentElement?.localName);
+}
+
+/**
+ * Attributes shared by all macro nodes
+ * macroAttributes keeps every attribute of the macro element (ac:name, ac:macro-id...)
+ * and parameters keeps the ac:parameter elements in order, values as markup
+ */
+function macroAttributes() {
+  return {
+    macroAttributes: {
+      default: {},
+      rendered: false,
+      parseHTML: (element) =>
+        Object.fromEntries(
+          Array.from(element.attributes, (attribute) => [
+            attribute.name,
+            attribute.value,
+          ])
+        ),
+    },
+    parameters: {
+      default: [],
+      rendered: false,
+      parseHTML: (element) =>
+        Array.from(element.children)
+          .filter((child) => child.localName === "ac:parameter")
+          .map((child) => ({
+            name: child.getAttribute("ac:name"),
+            value: child.innerHTML,
+            selfClosing: child.hasAttribute(SELF_CLOSING_ATTRIBUTE),
+          })),
+    },
+  };
+}
+
+/**
+ * Get a parameter of a macro as text
+ * @param {Object} node - Macro node
+ * @param {string} name - Parameter name
+ * @returns {string} Parameter text, empty if not set
+ */
+function getParameter(node, name) {
+  const parameter = node.attrs.parameters.find(
+    (candidate) => candidate.name === name
+  );
+  if (!parameter) return "";
+
+  const template = document.createElement("template");
+  template.innerHTML = parameter.value;
+  return template.content.textContent;
+}
+
+/**
+ * Set a parameter of a macro, an empty text removes it
+ * @param {Array<{name: string, value: string}>} parameters - Macro parameters
+ * @param {string} name - Parameter name
+ * @param {string} text - Parameter text
+ * @returns {Array<{name: string, value: string}>} Updated parameters
+ */
+function setParameter(parameters, name, text) {
+  if (!text) {
+    return parameters.filter((parameter) => parameter.name !== name);
+  }
+
+  const value = escapeHTML(text);
+  if (!parameters.some((parameter) => parameter.name === name)) {
+    return [...parameters, { name, value }];
+  }
+  return parameters.map((parameter) =>
+    parameter.name === name ? { name, value } : parameter
+  );
+}
+
+/**
+ * Create the ac:structured-macro element of a node with its parameters
+ * @param {Object} node - Macro node
+ * @returns {HTMLElement} Macro element, the body is added by the caller
+ */
+function createMacroElement(node) {
+  const macro = document.createElement("ac:structured-macro");
+  Object.entries(node.attrs.macroAttributes).forEach(([name, value]) =>
+    macro.setAttribute(name, value)
+  );
+
+  node.attrs.parameters.forEach(({ name, value, selfClosing }) => {
+    const parameter = document.createElement("ac:parameter");
+    parameter.setAttribute("ac:name", name);
+    if (selfClosing) {
+      parameter.setAttribute(SELF_CLOSING_ATTRIBUTE, "");
+    }
+    parameter.innerHTML = value;
+    macro.appendChild(parameter);
+  });
+
+  return macro;
+}
+
+/**
+ * Ask for new values of macro parameters and update the node
+ * @param {Object} props - Node view props (node, editor, getPos)
+ * @param {Array<Object>} fields - { parameter } or { attribute } with label and options
+ */
+function editMacroParameters({ node, editor, getPos }, fields) {
+  let { macroAttributes, parameters } = node.attrs;
+
+  for (const field of fields) {
+    const current = field.attribute
+      ? macroAttributes[field.attribute]
+      : getParameter(node, field.parameter);
+    const options = field.options ? ` (${field.options.join(", ")})` : "";
+    let value = window.prompt(`${field.label}${options}`, current || "");
+    if (value === null) return;
+    value = value.trim();
+
+    if (field.options && value) {
+      const option = field.options.find(
+        (candidate) => candidate.toLowerCase() === value.toLowerCase()
+      );
+      if (!option) {
+        console.warn(`⚠️ Unknown ${field.label.toLowerCase()}: ${value}`);
+        continue;
+      }
+      value = option;
+    }
+
+    if (field.attribute) {
+      // Macro attributes such as ac:name cannot be removed
+      if (value) {
+        macroAttributes = { ...macroAttributes, [field.attribute]: value };
+      }
+    } else {
+      parameters = setParameter(parameters, field.parameter, value);
+    }
+  }
+
+  const position = getPos();
+  if (typeof position !== "number") return;
+  editor.commands.command(({ tr }) => {
+    tr.setNodeMarkup(position, undefined, {
+      ...node.attrs,
+      macroAttributes,
+      parameters,
+    });
+    return true;
+  });
+}
+
+/**
+ * Node view with a label that shows the macro and edits its parameters on click
+ * @param {Object} props - Node view props (node, editor, getPos)
+ * @param {Object} options - inline, body ("rich" | "code"), className(node),
+ *   render(label, node, editor), fields(node) and refreshOnUpdate
+ * @returns {Object} ProseMirror node view
+ */
+function createMacroView(props, options) {
+  const { editor, getPos } = props;
+  let node = props.node;
+
+  const dom = document.createElement(options.inline ? "span" : "div");
+  const label = document.createElement(options.inline ? "span" : "div");
+  label.className = "confluence-macro-label";
+  label.contentEditable = "false";
+  dom.appendChild(label);
+
+  let contentDOM = null;
+  if (options.body === "rich") {
+    contentDOM = document.createElement("div");
+    contentDOM.className = "confluence-macro-body";
+    dom.appendChild(contentDOM);
+  } else if (options.body === "code") {
+    const pre = document.createElement("pre");
+    pre.className = "confluence-macro-body";
+    contentDOM = document.createElement("code");
+    pre.appendChild(contentDOM);
+    dom.appendChild(pre);
+  }
+
+  const render = () => {
+    dom.className = `confluence-macro ${options.className(node)}`;
+    label.textContent = "";
+    label.title = options.fields ? "Click to edit the macro parameters" : "";
+    options.render(label, node, editor);
+  };
+  render();
+
+  label.addEventListener("click", (event) => {
+    event.preventDefault();
+    if (event.target.closest("[data-macro-toggle]")) {
+      dom.classList.toggle("collapsed");
+    } else if (options.fields) {
+      editMacroParameters({ node, editor, getPos }, options.fields(node));
+    }
+  });
+
+  // e.g. the table of contents follows the headings of the document
+  if (options.refreshOnUpdate) {
+    editor.on("update", render);
+  }
+
+  return {
+    dom,
+    contentDOM,
+    update: (updatedNode) => {
+      if (updatedNode.type !== node.type) return false;
+      node = updatedNode;
+      render();
+      return true;
+    },
+    stopEvent: (event) => label.contains(event.target),
+    ignoreMutation: (mutation) =>
+      mutation.type !== "selection" &&
+      (!contentDOM || !contentDOM.contains(mutation.target)),
+    destroy: () => {
+      if (options.refreshOnUpdate) {
+        editor.off("update", render);
+      }
+    },
+  };
+}
+
+function appendText(parent, className, text) {
+  const span = document.createElement("span");
+  span.className = className;
+  span.textContent = text;
+  parent.appendChild(span);
+  return span;
+}
+
+/**
+ * Info, note, warning and tip panels
+ */
+export const ConfluencePanel = Node.create({
+  name: "confluencePanel",
+  group: "block",
+  content: "block+",
+  defining: true,
+
+  addAttributes() {
+    return macroAttributes();
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: MACRO_SELECTOR,
+        getAttrs: (element) =>
+          PANEL_MACROS.includes(getMacroName(element)) ? null : false,
+        contentElement: (element) =>
+          getChild(element, "ac:rich-text-body") ||
+          document.createElement("ac:rich-text-body"),
+      },
+    ];
+  },
+
+  renderHTML({ node }) {
+    const macro = createMacroElement(node);
+    const body = document.createElement("ac:rich-text-body");
+    macro.appendChild(body);
+    return { dom: macro, contentDOM: body };
+  },
+
+  addNodeView() {
+    return (props) =>
+      createMacroView(props, {
+        body: "rich",
+        className: (node) =>
+          `confluence-panel confluence-panel-${node.attrs.macroAttributes["ac:name"]}`,
+        render: (label, node) => {
+          const name = node.attrs.macroAttributes["ac:name"];
+          appendText(label, "confluence-macro-icon", PANEL_ICONS[name]);
+          appendText(
+            label,
+            "confluence-macro-title",
+            getParameter(node, "title") || name
+          );
+        },
+        fields: () => [
+          { attribute: "ac:name", label: "Panel type", options: PANEL_MACROS },
+          { parameter: "title", label: "Title" },
+        ],
+      });
+  },
+});
+
+/**
+ * Expand macro, its body can be collapsed in the editor
+ */
+export const ConfluenceExpand = Node.create({
+  name: "confluenceExpand",
+  group: "block",
+  content: "block+",
+  defining: true,
+
+  addAttributes() {
+    return macroAttributes();
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: MACRO_SELECTOR,
+        getAttrs: (element) =>
+          getMacroName(element) === "expand" ? null : false,
+        contentElement: (element) =>
+          getChild(element, "ac:rich-text-body") ||
+          document.createElement("ac:rich-text-body"),
+      },
+    ];
+  },
+
+  renderHTML({ node }) {
+    const macro = createMacroElement(node);
+    const body = document.createElement("ac:rich-text-body");
+    macro.appendChild(body);
+    return { dom: macro, contentDOM: body };
+  },
+
+  addNodeView() {
+    return (props) =>
+      createMacroView(props, {
+        body: "rich",
+        className: () => "confluence-expand",
+        render: (label, node) => {
+          const toggle = appendText(label, "confluence-expand-toggle", "▾");
+          toggle.dataset.macroToggle = "true";
+          toggle.title = "Collapse or expand in the editor";
+          appendText(
+            label,
+            "confluence-macro-title",
+            getParameter(node, "title") || "Click here to expand..."
+          );
+        },
+        fields: () => [{ parameter: "title", label: "Title" }],
+      });
+  },
+});
+
+/**
+ * Code block macro, the code is kept as plain text (CDATA)
+ */
+export const ConfluenceCode = Node.create({
+  name: "confluenceCode",
+  group: "block",
+  content: "text*",
+  marks: "",
+  code: true,
+  defining: true,
+  whitespace: "pre",
+
+  addAttributes() {
+    return macroAttributes();
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: MACRO_SELECTOR,
+        getAttrs: (element) =>
+          getMacroName(element) === "code" ? null : false,
+        contentElement: (element) => {
+          const body =
+            getChild(element, "ac:plain-text-body") ||
+            document.createElement("ac:plain-text-body");
+          return getChild(body, CDATA_TAG) || body;
+        },
+        preserveWhitespace: "full",
+      },
+    ];
+  },
+
+  renderHTML({ node }) {
+    const macro = createMacroElement(node);
+    const body = document.createElement("ac:plain-text-body");
+    const code = document.createElement(CDATA_TAG);
+    body.appendChild(code);
+    macro.appendChild(body);
+    return { dom: macro, contentDOM: code };
+  },
+
+  addNodeView() {
+    return (props) =>
+      createMacroView(props, {
+        body: "code",
+        className: () => "confluence-code",
+        render: (label, node) => {
+          appendText(label, "confluence-macro-icon", "⌨");
+          appendText(
+            label,
+            "confluence-macro-title",
+            getParameter(node, "title") || "Code"
+          );
+          appendText(
+            label,
+            "confluence-macro-meta",
+            getParameter(node, "language") || "plain text"
+          );
+        },
+        fields: () => [
+          { parameter: "language", label: "Language" },
+          { parameter: "title", label: "Title" },
+        ],
+      });
+  },
+});
+
+/**
+ * Status lozenge
+ */
+export const ConfluenceStatus = Node.create({
+  name: "confluenceStatus",
+  group: "inline",
+  inline: true,
+  atom: true,
+  selectable: true,
+
+  addAttributes() {
+    return macroAttributes();
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: MACRO_SELECTOR,
+        getAttrs: (element) =>
+          getMacroName(element) === "status" ? null : false,
+      },
+    ];
+  },
+
+  renderHTML({ node }) {
+    return createMacroElement(node);
+  },
+
+  addNodeView() {
+    return (props) =>
+      createMacroView(props, {
+        inline: true,
+        className: (node) => {
+          const colour = (getParameter(node, "colour") || "Grey").toLowerCase();
+          const subtle = getParameter(node, "subtle") === "true";
+          return `confluence-status confluence-status-${colour}${
+            subtle ? " subtle" : ""
+          }`;
+        },
+        render: (label, node) => {
+          label.textContent =
+            getParameter(node, "title") ||
+            getParameter(node, "colour") ||
+            "Grey";
+        },
+        fields: () => [
+          { parameter: "title", label: "Status" },
+          { parameter: "colour", label: "Colour", options: STATUS_COLOURS },
+        ],
+      });
+  },
+});
+
+/**
+ * Table of contents, previewed from the headings of the document
+ */
+export const ConfluenceToc = Node.create({
+  name: "confluenceToc",
+  group: "block",
+  atom: true,
+  selectable: true,
+
+  addAttributes() {
+    return macroAttributes();
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: MACRO_SELECTOR,
+        getAttrs: (element) => (getMacroName(element) === "toc" ? null : false),
+      },
+    ];
+  },
+
+  renderHTML({ node }) {
+    return createMacroElement(node);
+  },
+
+  addNodeView() {
+    return (props) =>
+      createMacroView(props, {
+        refreshOnUpdate: true,
+        className: () => "confluence-toc",
+        render: (label, node, editor) => {
+          const minLevel = Number(getParameter(node, "minLevel")) || 1;
+          const maxLevel = Number(getParameter(node, "maxLevel")) || 6;
+
+          appendText(label, "confluence-macro-icon", "📑");
+          appendText(label, "confluence-macro-title", "Table of contents");
+
+          const list = document.createElement("div");
+          list.className = "confluence-toc-list";
+          editor.state.doc.descendants((child) => {
+            const level = child.attrs.level;
+            if (
+              child.type.name === "heading" &&
+              level >= minLevel &&
+              level <= maxLevel
+            ) {
+              const item = appendText(
+                list,
+                "confluence-toc-item",
+                child.textContent
+              );
+              item.style.paddingLeft = `${(level - minLevel) * 16}px`;
+            }
+          });
+          if (!list.children.length) {
+            appendText(list, "confluence-macro-meta", "No headings yet");
+          }
+          label.appendChild(list);
+        },
+        fields: () => [
+          { parameter: "minLevel", label: "Minimum heading level" },
+          { parameter: "maxLevel", label: "Maximum heading level" },
+        ],
+      });
+  },
+});
+
+/**
+ * Jira issue link, or a Jira query
+ */
+export const ConfluenceJira = Node.create({
+  name: "confluenceJira",
+  group: "inline",
+  inline: true,
+  atom: true,
+  selectable: true,
+
+  addAttributes() {
+    return macroAttributes();
+  },
+
+  parseHTML() {
+    return [
+      {
+        tag: MACRO_SELECTOR,
+        getAttrs: (element) =>
+          getMacroName(element) === "jira" ? null : false,
+      },
+    ];
+  },
+
+  renderHTML({ node }) {
+    return createMacroElement(node);
+  },
+
+  addNodeView() {
+    return (props) =>
+      createMacroView(props, {
+        inline: true,
+        className: () => "confluence-jira",
+        render: (label, node) => {
+          const query = getParameter(node, "jqlQuery");
+          label.textContent = query
+            ? `🎫 JQL: ${query}`
+            : `🎫 ${getParameter(node, "key") || "Jira issue"}`;
+        },
+        fields: (node) =>
+          getParameter(node, "jqlQuery")
+            ? [{ parameter: "jqlQuery", label: "JQL query" }]
+            : [{ parameter: "key", label: "Issue key" }],
+      });
+  },
+});
+
+/**
+ * Any other macro is kept as it is, its markup is only editable in the
+ * Storage Format tab
+ */
+function createRawMacroNode(name, inline) {
+  return Node.create({
+    name,
+    group: inline ? "inline" : "block",
+    inline,
+    atom: true,
+    selectable: true,
+
+    addAttributes() {
+      return {
+        ...macroAttributes(),
+        body: {
+          default: "",
+          rendered: false,
+          parseHTML: (element) => element.innerHTML,
+        },
+      };
+    },
+
+    parseHTML() {
+      return [
+        {
+          tag: MACRO_SELECTOR,
+          // After the macros with their own node
+          priority: 40,
+          getAttrs: (element) =>
+            isInlineMacro(element) === inline ? null : false,
+        },
+      ];
+    },
+
+    renderHTML({ node }) {
+      const macro = document.createElement("ac:structured-macro");
+      Object.entries(node.attrs.macroAttributes).forEach(([name, value]) =>
+        macro.setAttribute(name, value)
+      );
+      macro.innerHTML = node.attrs.body;
+      return macro;
+    },
+
+    addNodeView() {
+      return (props) =>
+        createMacroView(props, {
+          inline,
+          className: () => "confluence-raw-macro",
+          render: (label, node) => {
+            const summary = node.attrs.parameters
+              .map(({ name }) => `${name}: ${getParameter(node, name)}`)
+              .join(", ");
+            label.textContent = `🧩 ${node.attrs.macroAttributes["ac:name"]}`;
+            label.title = `${summary}\nEdit this macro in the Storage Format tab`;
+          },
+        });
+    },
+  });
+}
+
+export const ConfluenceMacro = createRawMacroNode("confluenceMacro", false);
+export const ConfluenceInlineMacro = createRawMacroNode(
+  "confluenceInlineMacro",
+  true
+);
+
+export const ConfluenceMacros = [
+  ConfluencePanel,
+  ConfluenceExpand,
+  ConfluenceCode,
+  ConfluenceStatus,
+  ConfluenceToc,
+  ConfluenceJira,
+  ConfluenceMacro,
+  ConfluenceInlineMacro,
+];
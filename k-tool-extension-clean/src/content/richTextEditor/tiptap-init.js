@@ -21,6 +21,9 @@ import { Underline } from "@tiptap/extension-underline";
 import { Subscript } from "@tiptap/extension-subscript";
 import { Superscript } from "@tiptap/extension-superscript";
 
+// Import Confluence macro nodes
+import { ConfluenceMacros } from "./confluenceMacros.js";
+
 // Import TipTapEditor class
 import { TipTapEditor } from "./TipTapEditor.js";
 
@@ -42,6 +45,7 @@ if (typeof window !== "undefined") {
     Underline,
     Subscript,
     Superscript,
+    ConfluenceMacros,
   };
 
   // Also expose the TipTapEditor class
@@ -67,5 +71,6 @@ export {
   Underline,
   Subscript,
   Superscript,
+  ConfluenceMacros,
   TipTapEditor,
 };
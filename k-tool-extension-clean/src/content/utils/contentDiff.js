@@ -0,0 +1,472 @@
+/**
+ * Content Diff - Compares two storage format documents block by block
+ * A block is a top-level element (heading, paragraph, table, macro, ...).
+ * Changed blocks are shown with word-level highlights, tables row by row,
+ * and Mermaid diagrams are compared by their code.
+ */
+import { findStructuredMacros } from "../../shared/diagramUtils.js";
+
+// Word diffs above this many token comparisons are shown as removed + added
+const MAX_WORD_CELLS = 250000;
+// Share of common words needed to show two blocks as one changed block
+const MIN_WORD_SIMILARITY = 0.3;
+
+export class ContentDiff {
+  /**
+   * Split a document into its top-level blocks
+   * @param {string} storageFormat - Storage format or HTML
+   * @returns {string[]} HTML of every block
+   */
+  static splitBlocks(storageFormat) {
+    const doc = new DOMParser().parseFromString(
+      `<body>${this.markDiagrams(storageFormat || "")}</body>`,
+      "text/html"
+    );
+
+    return Array.from(doc.body.childNodes)
+      .map((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          return node.outerHTML;
+        }
+        // Loose text between blocks is shown as its own paragraph
+        if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+          const paragraph = doc.createElement("p");
+          paragraph.textContent = node.textContent.trim();
+          return paragraph.outerHTML;
+        }
+        return "";
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Replace the markup of Mermaid diagrams with a "Diagram N" marker
+   * The same diagram is a Mermaid macro when generated, a preview image in the
+   * editor draft and a mermaid-cloud macro or attached image once published;
+   * its code is compared separately, see diffDiagrams
+   * @param {string} storageFormat - Storage format
+   * @returns {string} Storage format with diagram markers
+   */
+  static markDiagrams(storageFormat) {
+    const marker = (number) =>
+      `<span class="diff-diagram">📊 Diagram ${number}</span>`;
+
+    let marked = "";
+    let position = 0;
+    let diagramIndex = 0;
+    findStructuredMacros(storageFormat).forEach((macro) => {
+      let number = null;
+      if (macro.code) {
+        number = ++diagramIndex;
+      } else if (macro.name === "mermaid-cloud") {
+        const filename = macro.body.match(
+          /<ac:parameter[^>]*ac:name="filename"[^>]*>\s*k-tool-diagram-(\d+)/
+        );
+        number = filename ? Number(filename[1]) : "?";
+      }
+      // Macros nested in a replaced one are gone with it
+      if (number === null || macro.start < position) return;
+
+      marked += storageFormat.substring(position, macro.start) + marker(number);
+      position = macro.end;
+    });
+    marked += storageFormat.substring(position);
+
+    return marked
+      .replace(
+        /<img\b[^>]*data-mermaid-id="([^"]*)"[^>]*>/g,
+        (match, diagramId) => marker(this.getDiagramNumber(diagramId))
+      )
+      .replace(
+        /<ac:image\b[^>]*ac:alt="k-tool-diagram-(\d+)"[^>]*>[\s\S]*?<\/ac:image>/g,
+        (match, number) => marker(number)
+      );
+  }
+
+  /**
+   * Get the number shown for a diagram id, e.g. mermaid-diagram-0 -> 1
+   * @param {string} diagramId - Diagram id of the Mermaid mappings
+   * @returns {number|string} Diagram number, the id if it has no index
+   */
+  static getDiagramNumber(diagramId) {
+    const index = diagramId.match(/(\d+)$/);
+    return index ? Number(index[1]) + 1 : diagramId;
+  }
+
+  /**
+   * Diff two documents block by block
+   * @param {string} oldContent - Storage format of the older version
+   * @param {string} newContent - Storage format of the newer version
+   * @returns {Array<{type: string, html: string}>} Blocks in document order,
+   *   type is "equal", "removed", "added" or "changed" (html then holds the
+   *   newer block with word-level highlights)
+   */
+  static diffBlocks(oldContent, newContent) {
+    return this.pairChanges(
+      this.diffSequences(
+        this.splitBlocks(oldContent),
+        this.splitBlocks(newContent)
+      ).map(({ type, item }) => ({ type, html: item }))
+    );
+  }
+
+  /**
+   * Diff two lists with a longest common subsequence
+   * @param {Array} oldItems - Items of the older version
+   * @param {Array} newItems - Items of the newer version
+   * @param {Function} getKey - (item) => string compared between versions
+   * @returns {Array<{type: string, item: any}>} Changes in document order
+   */
+  static diffSequences(
+    oldItems,
+    newItems,
+    getKey = (item) => this.normalizeBlock(item)
+  ) {
+    const oldKeys = oldItems.map(getKey);
+    const newKeys = newItems.map(getKey);
+    const rows = oldKeys.length + 1;
+    const columns = newKeys.length + 1;
+
+    // lengths[i * columns + j] = LCS length of oldKeys[i..] and newKeys[j..]
+    const lengths = new Uint32Array(rows * columns);
+    for (let i = oldKeys.length - 1; i >= 0; i--) {
+      for (let j = newKeys.length - 1; j >= 0; j--) {
+        lengths[i * columns + j] =
+          oldKeys[i] === newKeys[j]
+            ? lengths[(i + 1) * columns + j + 1] + 1
+            : Math.max(
+                lengths[(i + 1) * columns + j],
+                lengths[i * columns + j + 1]
+              );
+      }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldKeys.length && j < newKeys.length) {
+      if (oldKeys[i] === newKeys[j]) {
+        changes.push({ type: "equal", item: newItems[j] });
+        i++;
+        j++;
+      } else if (
+        lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]
+      ) {
+        changes.push({ type: "removed", item: oldItems[i] });
+        i++;
+      } else {
+        changes.push({ type: "added", item: newItems[j] });
+        j++;
+      }
+    }
+    oldItems.slice(i).forEach((item) => changes.push({ type: "removed", item }));
+    newItems.slice(j).forEach((item) => changes.push({ type: "added", item }));
+
+    return changes;
+  }
+
+  /**
+   * Merge removed and added blocks of the same kind into changed blocks
+   * @param {Array<{type: string, html: string}>} changes - Block changes
+   * @returns {Array<{type: string, html: string}>} Changes with "changed" blocks
+   */
+  static pairChanges(changes) {
+    const paired = [];
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+      const unpaired = [...removed];
+      const output = added.map((html) => {
+        for (let index = 0; index < unpaired.length; index++) {
+          if (this.getTagName(unpaired[index]) !== this.getTagName(html)) {
+            continue;
+          }
+          const diffHtml = this.diffBlock(unpaired[index], html);
+          if (diffHtml !== null) {
+            unpaired.splice(index, 1);
+            return { type: "changed", html: diffHtml };
+          }
+        }
+        return { type: "added", html };
+      });
+
+      paired.push(
+        ...unpaired.map((html) => ({ type: "removed", html })),
+        ...output
+      );
+      removed = [];
+      added = [];
+    };
+
+    changes.forEach((change) => {
+      if (change.type === "removed") {
+        removed.push(change.html);
+      } else if (change.type === "added") {
+        added.push(change.html);
+      } else {
+        flush();
+        paired.push(change);
+      }
+    });
+    flush();
+
+    return paired;
+  }
+
+  /**
+   * Highlight the changes between two versions of a block
+   * @param {string} oldHtml - Older block
+   * @param {string} newHtml - Newer block
+   * @returns {string|null} Newer block with highlights, null if the blocks
+   *   have too little in common
+   */
+  static diffBlock(oldHtml, newHtml) {
+    return this.getTagName(newHtml) === "table"
+      ? this.diffTable(oldHtml, newHtml)
+      : this.diffWords(oldHtml, newHtml);
+  }
+
+  /**
+   * Diff two tables row by row, changed rows with word-level highlights
+   * @param {string} oldHtml - Older table
+   * @param {string} newHtml - Newer table
+   * @returns {string} Newer table, rows marked with diff-row-* classes
+   */
+  static diffTable(oldHtml, newHtml) {
+    const oldTable = this.parseFragment(oldHtml).firstElementChild;
+    const newTable = this.parseFragment(newHtml).firstElementChild;
+    const rowsOf = (table) => Array.from(table.rows).map((row) => row.outerHTML);
+
+    const rows = this.pairChanges(
+      this.diffSequences(rowsOf(oldTable), rowsOf(newTable)).map(
+        ({ type, item }) => ({ type, html: item })
+      )
+    ).map(({ type, html }) => {
+      if (type === "equal") return html;
+      const row = this.parseFragment(html).firstElementChild;
+      row.classList.add(`diff-row-${type}`);
+      return row.outerHTML;
+    });
+
+    // All rows go to one body, header rows keep their <th> cells
+    newTable.deleteTHead();
+    newTable.deleteTFoot();
+    Array.from(newTable.tBodies)
+      .slice(1)
+      .forEach((body) => body.remove());
+    const body = newTable.tBodies[0] || newTable.createTBody();
+    body.innerHTML = rows.join("");
+
+    return newTable.outerHTML;
+  }
+
+  /**
+   * Highlight added and removed words of a block
+   * @param {string} oldHtml - Older block
+   * @param {string} newHtml - Newer block
+   * @returns {string|null} Newer block with <ins>/<del> words, null if the
+   *   blocks have too little in common
+   */
+  static diffWords(oldHtml, newHtml) {
+    const oldTokens = this.tokenize(
+      this.parseFragment(oldHtml).textContent
+    ).map((text) => ({ text, node: null }));
+    const newRoot = this.parseFragment(newHtml);
+    const newTokens = this.getTextNodes(newRoot).flatMap((node) =>
+      this.tokenize(node.textContent).map((text) => ({ text, node }))
+    );
+    if (
+      newTokens.length === 0 ||
+      oldTokens.length * newTokens.length > MAX_WORD_CELLS
+    ) {
+      return null;
+    }
+
+    const changes = this.diffSequences(
+      oldTokens,
+      newTokens,
+      (token) => token.text
+    );
+    const countWords = (tokens) =>
+      tokens.filter((token) => token.text.trim()).length;
+    const keptWords = countWords(
+      changes
+        .filter((change) => change.type === "equal")
+        .map((change) => change.item)
+    );
+    const words = Math.max(countWords(oldTokens), countWords(newTokens));
+    if (words > 0 && keptWords / words < MIN_WORD_SIMILARITY) {
+      return null;
+    }
+
+    // Removed words are shown in the text node of the next remaining word
+    const piecesByNode = new Map();
+    let pending = [];
+    let lastNode = null;
+    changes.forEach(({ type, item }) => {
+      if (type === "removed") {
+        pending.push({ type, text: item.text });
+        return;
+      }
+      lastNode = item.node;
+      if (!piecesByNode.has(lastNode)) piecesByNode.set(lastNode, []);
+      piecesByNode.get(lastNode).push(...pending, { type, text: item.text });
+      pending = [];
+    });
+    piecesByNode.get(lastNode).push(...pending);
+
+    piecesByNode.forEach((pieces, node) =>
+      node.replaceWith(this.renderWordPieces(pieces, node.ownerDocument))
+    );
+    const container = document.createElement("div");
+    container.appendChild(newRoot);
+    return container.innerHTML;
+  }
+
+  /**
+   * Build the highlighted text of one text node
+   * @param {Array<{type: string, text: string}>} pieces - Word changes
+   * @param {Document} doc - Document of the text node
+   * @returns {DocumentFragment} Text with <ins>/<del> runs
+   */
+  static renderWordPieces(pieces, doc) {
+    const runs = [];
+    pieces.forEach((piece, index) => {
+      const previous = runs[runs.length - 1];
+      const next = pieces[index + 1];
+      // A space between two changed words belongs to the same highlight
+      const type =
+        piece.type === "equal" &&
+        !piece.text.trim() &&
+        previous &&
+        previous.type !== "equal" &&
+        next?.type === previous.type
+          ? previous.type
+          : piece.type;
+
+      if (previous && previous.type === type) {
+        previous.text += piece.text;
+      } else {
+        runs.push({ type, text: piece.text });
+      }
+    });
+
+    const fragment = doc.createDocumentFragment();
+    runs.forEach(({ type, text }) => {
+      if (type === "equal") {
+        fragment.appendChild(doc.createTextNode(text));
+        return;
+      }
+      const mark = doc.createElement(type === "added" ? "ins" : "del");
+      mark.className = `diff-word-${type}`;
+      mark.textContent = text;
+      fragment.appendChild(mark);
+    });
+    return fragment;
+  }
+
+  /**
+   * Diff the Mermaid code of two versions line by line
+   * @param {Array<{id: string, title: string, code: string}>} oldDiagrams
+   * @param {Array<{id: string, title: string, code: string}>} newDiagrams
+   * @returns {Array<{id: string, title: string, type: string, lines: Array}>}
+   *   Diagrams of the newer version then removed ones, type is "equal",
+   *   "changed", "added" or "removed", lines as returned by diffSequences
+   */
+  static diffDiagrams(oldDiagrams, newDiagrams) {
+    const splitLines = (code) => (code || "").split("\n");
+    const diffLines = (oldCode, newCode) =>
+      this.diffSequences(splitLines(oldCode), splitLines(newCode), (line) =>
+        line.trimEnd()
+      );
+    const oldById = new Map(oldDiagrams.map((diagram) => [diagram.id, diagram]));
+    const newIds = new Set(newDiagrams.map((diagram) => diagram.id));
+
+    return [
+      ...newDiagrams.map((diagram) => {
+        const previous = oldById.get(diagram.id);
+        if (!previous) {
+          return {
+            ...diagram,
+            type: "added",
+            lines: splitLines(diagram.code).map((item) => ({
+              type: "added",
+              item,
+            })),
+          };
+        }
+        const lines = diffLines(previous.code, diagram.code);
+        return {
+          ...diagram,
+          type: lines.every((line) => line.type === "equal")
+            ? "equal"
+            : "changed",
+          lines,
+        };
+      }),
+      ...oldDiagrams
+        .filter((diagram) => !newIds.has(diagram.id))
+        .map((diagram) => ({
+          ...diagram,
+          type: "removed",
+          lines: splitLines(diagram.code).map((item) => ({
+            type: "removed",
+            item,
+          })),
+        })),
+    ];
+  }
+
+  /**
+   * Count the changed blocks of a diff
+   * @param {Array<{type: string}>} changes - Result of diffBlocks
+   * @returns {{added: number, removed: number, changed: number}} Counts
+   */
+  static summarize(changes) {
+    const count = (type) =>
+      changes.filter((change) => change.type === type).length;
+    return {
+      added: count("added"),
+      removed: count("removed"),
+      changed: count("changed"),
+    };
+  }
+
+  // Confluence adds macro ids and reflows markup when a page is saved
+  static normalizeBlock(html) {
+    return html
+      .replace(/\s(?:ac:macro-id|ac:schema-version)="[^"]*"/g, "")
+      .replace(/>\s+</g, "><")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  static getTagName(html) {
+    return (html.match(/^<([\w:-]+)/) || [])[1]?.toLowerCase() || "";
+  }
+
+  // Words and the whitespace between them, joined they give the text back
+  static tokenize(text) {
+    return text.match(/\s+|[^\s]+/g) || [];
+  }
+
+  static getTextNodes(root) {
+    const walker = root.ownerDocument.createTreeWalker(
+      root,
+      NodeFilter.SHOW_TEXT
+    );
+    const nodes = [];
+    while (walker.nextNode()) {
+      nodes.push(walker.currentNode);
+    }
+    return nodes;
+  }
+
+  // A template parses any fragment, table rows included
+  static parseFragment(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    return template.content;
+  }
+}
@@ -4,10 +4,15 @@
  */
 import { XMLFormatter } from "./xmlFormatter.js";
 
+// Placeholder of folded raw editor text: ⟦id: label⟧
+const RAW_FOLD_PATTERN = /⟦(\d+):[^⟧<>]*⟧/g;
+
 export class ContentSynchronizer {
   constructor() {
     // Simplified - no change tracking needed
     this.diagramChanges = new Map(); // Track diagram changes
+    this.rawFolds = new Map(); // Fold id -> text hidden in the raw editor
+    this.nextRawFoldId = 1;
   }
 
   /**
@@ -61,6 +66,8 @@ export class ContentSynchronizer {
 
   /**
    * Sync content from raw editor
+   * Only edits not synced yet are taken (the editor marks them with data-modified),
+   * folded text is put back so the whole document is synced
    * @param {Object} currentContent - Current content object
    * @param {HTMLElement} editorContainer - Editor container
    * @returns {Object} Updated content object
@@ -69,19 +76,68 @@ export class ContentSynchronizer {
     if (!editorContainer) return currentContent;
 
     const rawEditor = editorContainer.querySelector("#raw-content-editor");
-    if (!rawEditor || !rawEditor.value) return currentContent;
+    if (
+      !rawEditor ||
+      !rawEditor.value ||
+      rawEditor.dataset.modified !== "true"
+    ) {
+      return currentContent;
+    }
+    delete rawEditor.dataset.modified;
 
+    const rawContent = this.expandRawFolds(rawEditor.value).trim();
     const updatedContent = { ...currentContent };
-    updatedContent.full_storage_format = rawEditor.value.trim();
+    updatedContent.full_storage_format = rawContent;
 
     // Also update content field if it exists
     if (updatedContent.content !== undefined) {
-      updatedContent.content = rawEditor.value.trim();
+      updatedContent.content = rawContent;
     }
 
     return updatedContent;
   }
 
+  /**
+   * Hide text of the raw editor behind a one-line placeholder
+   * @param {string} text - Text to fold
+   * @param {string} label - Shown in the placeholder, e.g. "⋯ 12 lines"
+   * @returns {string} Placeholder to put in the raw editor instead of the text
+   */
+  foldRawText(text, label) {
+    const foldId = this.nextRawFoldId++;
+    this.rawFolds.set(foldId, text);
+    return `⟦${foldId}: ${label}⟧`;
+  }
+
+  /**
+   * Get the text hidden behind a placeholder
+   * @param {string} placeholder - Placeholder from foldRawText
+   * @returns {string|null} Folded text, null for an unknown placeholder
+   */
+  getRawFold(placeholder) {
+    const foldId = Number((placeholder.match(/^⟦(\d+):/) || [])[1]);
+    return this.rawFolds.has(foldId) ? this.rawFolds.get(foldId) : null;
+  }
+
+  /**
+   * Put all folded text back, folds inside folds included
+   * @param {string} value - Raw editor text
+   * @returns {string} Text without placeholders
+   */
+  expandRawFolds(value) {
+    return value.replace(RAW_FOLD_PATTERN, (placeholder) => {
+      const text = this.getRawFold(placeholder);
+      return text === null ? placeholder : this.expandRawFolds(text);
+    });
+  }
+
+  /**
+   * Forget folded text when the raw editor is reloaded
+   */
+  clearRawFolds() {
+    this.rawFolds.clear();
+  }
+
   /**
    * Sync Mermaid diagram changes back to content
    * @param {Object} currentContent - Current content object
@@ -1,5 +1,6 @@
 // HTML Templates for Confluence Editor
 // Contains all HTML template strings and styling utilities
+import { SNAPSHOT_ACTIONS } from "../../shared/constants.js";
 
 export class HTMLTemplates {
   /**
@@ -30,11 +31,23 @@ export class HTMLTemplates {
           <button class="confluence-editor-tab" id="mermaid-tab">
             📊 Edit Mermaid Code
           </button>
+          <button class="confluence-editor-tab" id="storage-tab">
+            🧾 Storage Format
+          </button>
+          <button class="confluence-editor-tab" id="history-tab">
+            🕘 History
+          </button>
+          <button class="confluence-editor-tab" id="compare-tab">
+            🔀 Compare
+          </button>
         </div>
 
         <div class="confluence-editor-body">
           ${this.getRichTextTabTemplate()}
           ${this.getMermaidTabTemplate()}
+          ${this.getStorageTabTemplate()}
+          ${this.getHistoryTabTemplate()}
+          ${this.getCompareTabTemplate()}
         </div>
       </div>
     `;
@@ -114,6 +127,234 @@ export class HTMLTemplates {
     `;
   }
 
+  /**
+   * Get storage format tab template
+   * The textarea is laid over the highlighted source and search matches,
+   * all three share font, line height and scroll position
+   * @returns {string} Storage format tab HTML
+   */
+  static getStorageTabTemplate() {
+    return `
+      <!-- Storage Format Tab -->
+      <div class="tab-content" id="storage-tab-content">
+        <div class="storage-layout">
+          <div class="mermaid-editor-header">
+            <span>🧾 Storage Format (XHTML)</span>
+            <div class="storage-toolbar">
+              <input type="search" class="storage-search" id="storage-search" placeholder="Search...">
+              <span class="storage-search-count" id="storage-search-count"></span>
+              <button class="zoom-btn" id="storage-search-prev" title="Previous match (Shift+Enter)">↑</button>
+              <button class="zoom-btn" id="storage-search-next" title="Next match (Enter)">↓</button>
+              <button class="history-mode-btn" id="storage-fold-all" title="Fold every element">⊟ Fold all</button>
+              <button class="history-mode-btn" id="storage-unfold-all" title="Unfold every element">⊞ Unfold all</button>
+              <button class="history-mode-btn" id="storage-format-btn" title="Pretty-print the storage format">✨ Format</button>
+            </div>
+          </div>
+          <div class="storage-editor">
+            <div class="storage-gutter" id="storage-gutter"></div>
+            <div class="storage-code">
+              <pre class="storage-layer storage-matches" id="storage-matches" aria-hidden="true"></pre>
+              <pre class="storage-layer storage-highlight" id="storage-highlight" aria-hidden="true"></pre>
+              <textarea class="storage-layer storage-input" id="raw-content-editor" spellcheck="false" wrap="off"></textarea>
+            </div>
+          </div>
+          <div class="storage-status" id="storage-status"></div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Get history tab template
+   * @returns {string} History tab HTML
+   */
+  static getHistoryTabTemplate() {
+    return `
+      <!-- History Tab -->
+      <div class="tab-content" id="history-tab-content">
+        <div class="history-layout">
+          <!-- Snapshot list (Left) -->
+          <div class="history-list-pane">
+            <div class="mermaid-editor-header">
+              🕘 Snapshots
+              <div class="history-undo-controls">
+                <button class="zoom-btn" id="history-undo" title="Undo (previous snapshot)">↶</button>
+                <button class="zoom-btn" id="history-redo" title="Redo (next snapshot)">↷</button>
+              </div>
+            </div>
+            <div class="history-list" id="history-list"></div>
+          </div>
+
+          <!-- Snapshot preview / diff (Right) -->
+          <div class="history-preview-pane">
+            <div class="mermaid-editor-header">
+              <span id="history-preview-title">Select a snapshot</span>
+              <div class="history-preview-actions">
+                <button class="history-mode-btn active" data-history-mode="preview">👁️ Preview</button>
+                <button class="history-mode-btn" data-history-mode="diff">± Diff with current</button>
+                <button class="editor-btn editor-btn-primary" id="history-restore-btn" disabled>
+                  ↩ Restore
+                </button>
+              </div>
+            </div>
+            <div class="history-preview" id="history-preview">
+              <div class="mermaid-placeholder">
+                Select a snapshot to preview it
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Create a snapshot item of the history list
+   * @param {Object} snapshot - DocumentSnapshot
+   * @param {Object} state - { selected, current }
+   * @returns {string} Snapshot item HTML
+   */
+  static createSnapshotItem(snapshot, { selected, current }) {
+    const icons = {
+      [SNAPSHOT_ACTIONS.GENERATE]: "🚀",
+      [SNAPSHOT_ACTIONS.REGENERATE]: "🔄",
+      [SNAPSHOT_ACTIONS.SAVE]: "💾",
+      [SNAPSHOT_ACTIONS.AI_EDIT]: "🤖",
+      [SNAPSHOT_ACTIONS.DIAGRAM]: "📊",
+      [SNAPSHOT_ACTIONS.RESTORE]: "↩",
+      [SNAPSHOT_ACTIONS.EDIT]: "✏️",
+    };
+    const label = document.createElement("div");
+    label.textContent = snapshot.label;
+
+    return `
+      <div class="history-item ${selected ? "selected" : ""} ${
+      current ? "current" : ""
+    }" data-snapshot-id="${snapshot.id}">
+        <span class="history-item-icon">${icons[snapshot.action] || "📄"}</span>
+        <div class="history-item-info">
+          <div class="history-item-label">${label.innerHTML}</div>
+          <div class="history-item-meta">
+            ${new Date(snapshot.createdAt).toLocaleString()}
+            ${current ? " · current" : ""}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Get compare tab template
+   * @returns {string} Compare tab HTML
+   */
+  static getCompareTabTemplate() {
+    const versionOptions = (selected) =>
+      [
+        ["generated", "🤖 Generated"],
+        ["draft", "✏️ Current draft"],
+        ["live", "🌐 Live page"],
+      ]
+        .map(
+          ([value, label]) =>
+            `<option value="${value}" ${
+              value === selected ? "selected" : ""
+            }>${label}</option>`
+        )
+        .join("");
+
+    return `
+      <!-- Compare Tab -->
+      <div class="tab-content" id="compare-tab-content">
+        <div class="compare-layout">
+          <div class="mermaid-editor-header">
+            <div class="compare-versions">
+              <select id="compare-base" class="mermaid-selector">
+                ${versionOptions("generated")}
+              </select>
+              <button class="zoom-btn" id="compare-swap" title="Swap versions">⇄</button>
+              <select id="compare-target" class="mermaid-selector">
+                ${versionOptions("draft")}
+              </select>
+            </div>
+            <button class="history-mode-btn" id="compare-refresh" title="Reload the live page">🔄 Refresh</button>
+          </div>
+          <div class="history-preview" id="compare-view">
+            <div class="mermaid-placeholder">Loading versions...</div>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Create the block diff of two versions
+   * @param {Array<{type: string, html: string}>} changes - ContentDiff.diffBlocks result
+   * @returns {string} Diff HTML
+   */
+  static createContentDiff(changes) {
+    if (changes.length === 0) {
+      return '<div class="mermaid-placeholder">Both versions are empty</div>';
+    }
+    return changes
+      .map(
+        (change) =>
+          `<div class="diff-block ${change.type}">${this.applyPreviewStyles(
+            change.html
+          )}</div>`
+      )
+      .join("");
+  }
+
+  /**
+   * Create the Mermaid code diff of two versions, unchanged diagrams collapsed
+   * @param {Array} diagrams - ContentDiff.diffDiagrams result
+   * @returns {string} Diagram diff HTML, empty without diagrams
+   */
+  static createDiagramDiff(diagrams) {
+    if (diagrams.length === 0) return "";
+
+    const badges = {
+      equal: "unchanged",
+      changed: "changed",
+      added: "added",
+      removed: "removed",
+    };
+    const markers = { equal: " ", added: "+", removed: "-" };
+    const escape = (text) => {
+      const element = document.createElement("div");
+      element.textContent = text;
+      return element.innerHTML;
+    };
+
+    return `
+      <div class="diff-diagrams">
+        <h4 class="diff-section-title">📊 Mermaid Diagrams</h4>
+        ${diagrams
+          .map(
+            (diagram) => `
+              <details class="diff-diagram-item ${diagram.type}" ${
+              diagram.type === "equal" ? "" : "open"
+            }>
+                <summary>
+                  ${escape(diagram.title)}
+                  <span class="diff-diagram-badge">${badges[diagram.type]}</span>
+                </summary>
+                <pre class="diff-code">${diagram.lines
+                  .map(
+                    (line) =>
+                      `<div class="diff-code-line ${line.type}">${
+                        markers[line.type]
+                      } ${escape(line.item)}</div>`
+                  )
+                  .join("")}</pre>
+              </details>
+            `
+          )
+          .join("")}
+      </div>
+    `;
+  }
+
   /**
    * Get zoom controls template
    * @returns {string} Zoom controls HTML
@@ -0,0 +1,708 @@
+// Confluence storage format validator
+// Dry-runs the checks Confluence does on publish so errors can be shown
+// with line/column and fixed locally before anything is sent to the AI
+import { HTML_ENTITIES } from "../../shared/constants.js";
+
+/**
+ * @typedef {Object} StorageIssue
+ * @property {string} rule - entity | text | void-tag | attribute | tag-mismatch | xml | macro | table | paragraph
+ * @property {string} severity - error | warning
+ * @property {string} message - Human readable message
+ * @property {number} offset - Offset in the validated content
+ * @property {number} line - 1-based line
+ * @property {number} column - 1-based column
+ * @property {number|null} element - Index of the element in document order, null for text issues
+ * @property {Array<{start: number, end: number, text: string}>|null} fix - Edits fixing the issue
+ * @property {string} fixLabel - What the fix does
+ */
+
+const NAMESPACES = {
+  ac: "http://atlassian.com/content",
+  ri: "http://atlassian.com/resource/identifier",
+  at: "http://atlassian.com/template",
+};
+
+const XML_ENTITIES = ["amp", "lt", "gt", "quot", "apos"];
+
+const VOID_ELEMENTS = [
+  "br",
+  "hr",
+  "img",
+  "input",
+  "meta",
+  "link",
+  "area",
+  "base",
+  "col",
+  "embed",
+  "source",
+  "track",
+  "wbr",
+];
+
+// Elements that cannot live inside a <p>
+const BLOCK_ELEMENTS = [
+  "p",
+  "div",
+  "table",
+  "ul",
+  "ol",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "blockquote",
+  "pre",
+  "hr",
+  "ac:layout",
+];
+
+const TABLE_SECTIONS = ["tbody", "thead", "tfoot"];
+const TABLE_CHILDREN = [...TABLE_SECTIONS, "tr", "colgroup", "caption"];
+
+const MACRO_CHILDREN = [
+  "ac:parameter",
+  "ac:plain-text-body",
+  "ac:rich-text-body",
+];
+
+export class StorageFormatValidator {
+  // Known macros: allowed parameters (null = any) and required parameters
+  static MACROS = {
+    code: {
+      params: [
+        "language",
+        "title",
+        "linenumbers",
+        "firstline",
+        "collapse",
+        "theme",
+      ],
+    },
+    noformat: { params: ["title", "nopanel"] },
+    info: { params: ["title", "icon"] },
+    note: { params: ["title", "icon"] },
+    tip: { params: ["title", "icon"] },
+    warning: { params: ["title", "icon"] },
+    panel: {
+      params: [
+        "title",
+        "borderStyle",
+        "borderColor",
+        "borderWidth",
+        "bgColor",
+        "titleBGColor",
+        "titleColor",
+      ],
+    },
+    expand: { params: ["title"] },
+    toc: {
+      params: [
+        "maxLevel",
+        "minLevel",
+        "type",
+        "outline",
+        "style",
+        "printable",
+        "indent",
+        "exclude",
+        "include",
+        "class",
+        "separator",
+        "absoluteUrl",
+      ],
+    },
+    status: { params: ["colour", "title", "subtle"] },
+    anchor: { params: [""] },
+    excerpt: { params: ["hidden", "atlassian-macro-output-type"] },
+    "excerpt-include": { params: null },
+    include: { params: null },
+    children: { params: null },
+    jira: { params: null },
+    attachments: { params: null },
+    "view-file": { params: null },
+    section: { params: ["border"] },
+    column: { params: ["width"] },
+    mermaid: { params: ["code"], required: ["code"] },
+    "mermaid-cloud": {
+      params: ["toolbar", "filename", "format", "zoom", "revision"],
+      required: ["filename"],
+    },
+  };
+
+  /**
+   * Validate storage format
+   * @param {string} storage - Storage format to publish
+   * @returns {{valid: boolean, wellFormed: boolean, issues: StorageIssue[], errors: number, warnings: number, fixable: number}} Report
+   */
+  static validate(storage) {
+    const content = storage || "";
+    const lineStarts = this.getLineStarts(content);
+    const issues = this.scan(content);
+    issues.forEach((issue) => {
+      Object.assign(issue, this.getPosition(lineStarts, issue.offset));
+    });
+
+    // The browser parser has the final word on well-formedness
+    const { error } = this.parse(content);
+    const explained =
+      error &&
+      issues.some(
+        (issue) => issue.severity === "error" && issue.line === error.line
+      );
+    if (error && !explained) {
+      issues.push({
+        rule: "xml",
+        severity: "error",
+        message: error.message,
+        offset: this.getOffset(lineStarts, error.line, error.column),
+        line: error.line,
+        column: error.column,
+        element: null,
+        fix: null,
+        fixLabel: "",
+      });
+    }
+    issues.sort((a, b) => a.offset - b.offset);
+
+    const errors = issues.filter((issue) => issue.severity === "error").length;
+    return {
+      valid: errors === 0,
+      wellFormed: !error,
+      issues,
+      errors,
+      warnings: issues.length - errors,
+      fixable: issues.filter((issue) => issue.fix).length,
+    };
+  }
+
+  /**
+   * Parse storage format with the Confluence namespaces and entities declared
+   * @param {string} storage - Storage format
+   * @returns {{document: Document, root: Element, error: Object|null}} error is { line, column, message }
+   */
+  static parse(storage) {
+    const { xml, lineOffset } = this.wrap(storage);
+    const document = new DOMParser().parseFromString(xml, "application/xml");
+    const parserError = document.getElementsByTagName("parsererror")[0];
+
+    if (!parserError) {
+      return { document, root: document.documentElement, error: null };
+    }
+
+    const text = parserError.textContent || "";
+    const position = text.match(/line (\d+) at column (\d+)/);
+    const message = (text.match(/column \d+:\s*([^\n]+)/) || [])[1];
+
+    return {
+      document,
+      root: null,
+      error: {
+        line: position ? Math.max(Number(position[1]) - lineOffset, 1) : 1,
+        column: position ? Number(position[2]) : 1,
+        message: (message || text || "Malformed XML").trim(),
+      },
+    };
+  }
+
+  /**
+   * Wrap a storage fragment into an XML document
+   * The content starts on its own line so parser lines map back with lineOffset
+   * @param {string} storage - Storage format
+   * @returns {{xml: string, lineOffset: number}} Document and lines added before the content
+   */
+  static wrap(storage) {
+    const entities = Object.entries(HTML_ENTITIES)
+      .map(([name, code]) => `<!ENTITY ${name} "&#${code};">`)
+      .join("");
+    const namespaces = Object.entries(NAMESPACES)
+      .map(([prefix, uri]) => `xmlns:${prefix}="${uri}"`)
+      .join(" ");
+
+    return {
+      xml: [
+        `<!DOCTYPE k-tool-storage [${entities}]>`,
+        `<k-tool-storage ${namespaces}>`,
+        storage,
+        "</k-tool-storage>",
+      ].join("\n"),
+      lineOffset: 2,
+    };
+  }
+
+  /**
+   * Tokenize the content and collect syntax and structure issues
+   * @param {string} content - Storage format
+   * @returns {StorageIssue[]} Issues without line/column
+   */
+  static scan(content) {
+    const issues = [];
+    const stack = [];
+    const tokenPattern =
+      /<!\[CDATA\[[\s\S]*?\]\]>|<!--[\s\S]*?-->|<\/([a-zA-Z][\w:.-]*)\s*>|<([a-zA-Z][\w:.-]*)((?:\s+[^\s=<>\/"']+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+    let elementIndex = 0;
+    let lastIndex = 0;
+
+    const addIssue = (issue) =>
+      issues.push({ element: null, fix: null, fixLabel: "", ...issue });
+
+    for (const match of content.matchAll(tokenPattern)) {
+      this.scanText(content, lastIndex, match.index, addIssue);
+      lastIndex = match.index + match[0].length;
+
+      const [, closeName, openName, attributes = "", selfClosing] = match;
+      if (!closeName && !openName) continue; // CDATA or comment
+
+      if (closeName) {
+        this.closeElement(content, stack, closeName, match, addIssue);
+        continue;
+      }
+
+      const element = {
+        name: openName,
+        lowerName: openName.toLowerCase(),
+        start: match.index,
+        end: lastIndex,
+        index: elementIndex++,
+        attributes: this.parseAttributes(attributes),
+        blockChild: null,
+      };
+
+      this.checkAttributes(element, attributes, addIssue);
+      this.checkPlacement(element, stack, addIssue);
+
+      const isVoid = VOID_ELEMENTS.includes(element.lowerName);
+      if (isVoid && !selfClosing) {
+        addIssue({
+          rule: "void-tag",
+          severity: "error",
+          message: `<${openName}> must be self-closed in XHTML`,
+          offset: match.index,
+          element: element.index,
+          fix: [{ start: lastIndex - 1, end: lastIndex - 1, text: "/" }],
+          fixLabel: `Write <${openName}/>`,
+        });
+      }
+
+      if (!selfClosing && !isVoid) {
+        stack.push(element);
+      } else {
+        this.checkMacro(element, [], addIssue);
+      }
+    }
+
+    this.scanText(content, lastIndex, content.length, addIssue);
+
+    // Whatever is still open is closed at the end of the document
+    stack.reverse().forEach((element) => {
+      addIssue({
+        rule: "tag-mismatch",
+        severity: "error",
+        message: `<${element.name}> is never closed`,
+        offset: element.start,
+        element: element.index,
+        fix: [
+          {
+            start: content.length,
+            end: content.length,
+            text: `</${element.name}>`,
+          },
+        ],
+        fixLabel: `Close <${element.name}> at the end of the document`,
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Check text between tags for stray "<" and "&"
+   */
+  static scanText(content, start, end, addIssue) {
+    if (start >= end) return;
+    const text = content.substring(start, end);
+    const pattern = /<|&(?:([a-zA-Z][a-zA-Z0-9]*);|#\d+;|#x[0-9a-fA-F]+;)?/g;
+
+    for (const match of text.matchAll(pattern)) {
+      const offset = start + match.index;
+
+      if (match[0] === "<") {
+        // "<" followed by a name is a broken tag, escaping it would lose markup
+        const looksLikeTag = /^<\/?[a-zA-Z!?]/.test(content.substr(offset, 3));
+        addIssue({
+          rule: "text",
+          severity: "error",
+          message: looksLikeTag
+            ? "Malformed tag"
+            : `"<" is not the start of a tag, it must be escaped`,
+          offset,
+          fix: looksLikeTag
+            ? null
+            : [{ start: offset, end: offset + 1, text: "&lt;" }],
+          fixLabel: looksLikeTag ? "" : "Escape as &lt;",
+        });
+      } else if (match[0] === "&") {
+        addIssue({
+          rule: "entity",
+          severity: "error",
+          message: `"&" must be escaped`,
+          offset,
+          fix: [{ start: offset, end: offset + 1, text: "&amp;" }],
+          fixLabel: "Escape as &amp;",
+        });
+      } else if (
+        match[1] &&
+        !XML_ENTITIES.includes(match[1]) &&
+        HTML_ENTITIES[match[1]] === undefined
+      ) {
+        addIssue({
+          rule: "entity",
+          severity: "error",
+          message: `Unknown entity ${match[0]}`,
+          offset,
+          fix: [{ start: offset, end: offset + 1, text: "&amp;" }],
+          fixLabel: `Write the text ${match[0]} literally`,
+        });
+      }
+    }
+  }
+
+  /**
+   * Handle a closing tag against the open elements
+   */
+  static closeElement(content, stack, name, match, addIssue) {
+    const openIndex = stack.map((element) => element.name).lastIndexOf(name);
+
+    if (openIndex === -1) {
+      addIssue({
+        rule: "tag-mismatch",
+        severity: "error",
+        message: `</${name}> has no matching opening tag`,
+        offset: match.index,
+        fix: [
+          { start: match.index, end: match.index + match[0].length, text: "" },
+        ],
+        fixLabel: `Remove </${name}>`,
+      });
+      return;
+    }
+
+    // Elements opened after the matching one were never closed
+    stack
+      .splice(openIndex + 1)
+      .reverse()
+      .forEach((element) => {
+        addIssue({
+          rule: "tag-mismatch",
+          severity: "error",
+          message: `<${element.name}> is closed by </${name}>`,
+          offset: element.start,
+          element: element.index,
+          fix: [
+            {
+              start: match.index,
+              end: match.index,
+              text: `</${element.name}>`,
+            },
+          ],
+          fixLabel: `Close <${element.name}> before </${name}>`,
+        });
+      });
+
+    const element = stack.pop();
+    element.closeStart = match.index;
+    element.closeEnd = match.index + match[0].length;
+    this.checkMacro(element, element.children || [], addIssue);
+    this.checkParagraph(element, addIssue);
+  }
+
+  /**
+   * Parse an attribute string into a map, quoted or not
+   * @param {string} attributes - Raw attributes
+   * @returns {Object} Map name -> value
+   */
+  static parseAttributes(attributes) {
+    const result = {};
+    const pattern =
+      /([^\s=<>\/"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    for (const match of attributes.matchAll(pattern)) {
+      result[match[1]] = match[2] ?? match[3] ?? match[4] ?? "";
+    }
+    return result;
+  }
+
+  /**
+   * Report unquoted, valueless and duplicated attributes
+   */
+  static checkAttributes(element, attributes, addIssue) {
+    const attributesStart = element.start + 1 + element.name.length;
+    const pattern =
+      /([^\s=<>\/"']+)(\s*=\s*(?:"[^"]*"|'[^']*'|([^\s"'=<>`]+)))?/g;
+    const seen = new Set();
+
+    for (const match of attributes.matchAll(pattern)) {
+      const offset = attributesStart + match.index;
+      const [token, name, assignment, unquoted] = match;
+      const end = offset + token.length;
+
+      if (seen.has(name)) {
+        addIssue({
+          rule: "attribute",
+          severity: "error",
+          message: `Duplicate attribute "${name}" on <${element.name}>`,
+          offset,
+          element: element.index,
+          fix: [{ start: offset, end, text: "" }],
+          fixLabel: `Remove the second ${name}`,
+        });
+        continue;
+      }
+      seen.add(name);
+
+      if (!assignment) {
+        addIssue({
+          rule: "attribute",
+          severity: "error",
+          message: `Attribute "${name}" on <${element.name}> has no value`,
+          offset,
+          element: element.index,
+          fix: [{ start: offset, end, text: `${name}="${name}"` }],
+          fixLabel: `Write ${name}="${name}"`,
+        });
+      } else if (unquoted !== undefined) {
+        const valueStart = end - unquoted.length;
+        addIssue({
+          rule: "attribute",
+          severity: "error",
+          message: `Value of "${name}" on <${element.name}> must be quoted`,
+          offset,
+          element: element.index,
+          fix: [{ start: valueStart, end, text: `"${unquoted}"` }],
+          fixLabel: "Add quotes",
+        });
+      }
+    }
+  }
+
+  /**
+   * Check where an element is placed: table structure, macro children,
+   * block content in a paragraph
+   */
+  static checkPlacement(element, stack, addIssue) {
+    const parent = stack[stack.length - 1];
+    const parentName = parent ? parent.lowerName : "";
+    const name = element.lowerName;
+    const report = (rule, message) =>
+      addIssue({
+        rule,
+        severity: "error",
+        message,
+        offset: element.start,
+        element: element.index,
+      });
+
+    if (parent) {
+      parent.children = parent.children || [];
+      parent.children.push(element);
+    }
+
+    if ((name === "td" || name === "th") && parentName !== "tr") {
+      report("table", `<${element.name}> must be inside a <tr>`);
+    } else if (
+      name === "tr" &&
+      parentName !== "table" &&
+      !TABLE_SECTIONS.includes(parentName)
+    ) {
+      report("table", "<tr> must be inside a <table>, <tbody> or <thead>");
+    } else if (parentName === "table" && !TABLE_CHILDREN.includes(name)) {
+      report("table", `<${element.name}> cannot be a direct child of <table>`);
+    } else if (TABLE_SECTIONS.includes(parentName) && name !== "tr") {
+      report(
+        "table",
+        `<${element.name}> cannot be a direct child of <${parent.name}>`
+      );
+    } else if (parentName === "tr" && name !== "td" && name !== "th") {
+      report("table", `<${element.name}> cannot be a direct child of <tr>`);
+    }
+
+    if (
+      MACRO_CHILDREN.includes(name) &&
+      parentName !== "ac:structured-macro"
+    ) {
+      report("macro", `<${element.name}> must be inside <ac:structured-macro>`);
+    }
+
+    // Remember the first block child of a paragraph, reported when it closes
+    if (
+      parentName === "p" &&
+      BLOCK_ELEMENTS.includes(name) &&
+      !parent.blockChild
+    ) {
+      parent.blockChild = element;
+    }
+  }
+
+  /**
+   * Check a macro's name and parameters once all its children are known
+   */
+  static checkMacro(element, children, addIssue) {
+    if (element.lowerName !== "ac:structured-macro") return;
+
+    const name = element.attributes["ac:name"];
+    const report = (severity, message, target = element) =>
+      addIssue({
+        rule: "macro",
+        severity,
+        message,
+        offset: target.start,
+        element: target.index,
+      });
+
+    if (!name) {
+      report("error", "<ac:structured-macro> has no ac:name");
+      return;
+    }
+
+    const macro = this.MACROS[name];
+    if (!macro) {
+      report(
+        "warning",
+        `Unknown macro "${name}", Confluence will show an error box`
+      );
+      return;
+    }
+
+    const parameters = children.filter(
+      (child) => child.lowerName === "ac:parameter"
+    );
+    parameters.forEach((parameter) => {
+      const parameterName = parameter.attributes["ac:name"];
+      if (parameterName === undefined) {
+        report(
+          "error",
+          `Parameter of macro "${name}" has no ac:name`,
+          parameter
+        );
+      } else if (macro.params && !macro.params.includes(parameterName)) {
+        report(
+          "warning",
+          `Unknown parameter "${parameterName}" for macro "${name}"`,
+          parameter
+        );
+      }
+    });
+
+    (macro.required || []).forEach((required) => {
+      const present = parameters.some(
+        (parameter) => parameter.attributes["ac:name"] === required
+      );
+      if (!present) {
+        report("error", `Macro "${name}" requires the "${required}" parameter`);
+      }
+    });
+  }
+
+  /**
+   * Report a paragraph wrapping block content (e.g. <p><p>..</p></p>)
+   * The fix unwraps the outer paragraph and keeps its content
+   */
+  static checkParagraph(element, addIssue) {
+    if (element.lowerName !== "p" || !element.blockChild) return;
+
+    addIssue({
+      rule: "paragraph",
+      severity: "error",
+      message: `<p> contains a <${element.blockChild.name}>`,
+      offset: element.blockChild.start,
+      element: element.blockChild.index,
+      fix: [
+        { start: element.start, end: element.end, text: "" },
+        { start: element.closeStart, end: element.closeEnd, text: "" },
+      ],
+      fixLabel: "Unwrap the outer paragraph",
+    });
+  }
+
+  /**
+   * Apply the fixes of the given issues
+   * Issues whose edits overlap an already applied edit are skipped
+   * @param {string} storage - Storage format the issues were found in
+   * @param {StorageIssue[]} issues - Issues from validate()
+   * @returns {{content: string, applied: number}} Fixed content and fixes applied
+   */
+  static applyFixes(storage, issues) {
+    const accepted = [];
+    const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+    let applied = 0;
+
+    issues
+      .filter((issue) => issue.fix)
+      .forEach((issue) => {
+        const clashes = issue.fix.some((edit) =>
+          accepted.some((other) => overlaps(edit, other))
+        );
+        if (clashes) return;
+
+        issue.fix.forEach((edit) =>
+          accepted.push({ ...edit, order: accepted.length })
+        );
+        applied++;
+      });
+
+    // Apply from the end so earlier offsets stay valid,
+    // inserts at the same offset keep their issue order
+    let content = storage;
+    accepted
+      .sort((a, b) => b.start - a.start || b.order - a.order)
+      .forEach((edit) => {
+        content =
+          content.slice(0, edit.start) + edit.text + content.slice(edit.end);
+      });
+
+    return { content, applied };
+  }
+
+  /**
+   * Format issues as error details for the AI fixer
+   * @param {StorageIssue[]} issues - Issues
+   * @returns {string} One issue per line
+   */
+  static describeIssues(issues) {
+    return issues
+      .filter((issue) => issue.severity === "error")
+      .map(
+        (issue) =>
+          `Line ${issue.line}, column ${issue.column}: ${issue.message}`
+      )
+      .join("\n");
+  }
+
+  static getLineStarts(content) {
+    const starts = [0];
+    for (let i = 0; i < content.length; i++) {
+      if (content[i] === "\n") starts.push(i + 1);
+    }
+    return starts;
+  }
+
+  static getPosition(lineStarts, offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+
+  static getOffset(lineStarts, line, column) {
+    const start = lineStarts[Math.min(line, lineStarts.length) - 1] || 0;
+    return start + Math.max(column - 1, 0);
+  }
+}
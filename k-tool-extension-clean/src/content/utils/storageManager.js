@@ -5,9 +5,16 @@
 
 // Import constants from shared
 import {
+  DEFAULT_PROFILE_ID,
   DEFAULT_SETTINGS,
   EXTENSION_SETTINGS_KEY,
+  PLACEHOLDER_MAPPINGS_KEY,
+  PROFILE_FIELDS,
+  SNAPSHOT_ACTIONS,
+  SNAPSHOT_LIMIT,
 } from "../../shared/constants.js";
+import { EnvironmentManager } from "../../shared/environments.js";
+import { WorkspaceStore } from "./workspaceStore.js";
 
 export class StorageManager {
   // Storage keys constants
@@ -19,12 +26,27 @@ export class StorageManager {
     MERMAID_AI_FILENAME: "mermaid-ai-filename",
     MERMAID_DIAGRAM_INFO: "mermaid_diagram_info",
     CONFLUENCE_EDITOR_BACKUP: "confluence_editor_backup",
+    GENERATION_CONTEXT: "ktool_generation_context",
+    ACTIVE_DOCUMENT: "ktool_active_document",
+  };
+
+  // localStorage entries that belong to the active workspace document
+  // (WorkspaceDocument field -> storage key), see WorkspaceStore
+  static DOCUMENT_KEYS = {
+    content: StorageManager.STORAGE_KEYS.CONFLUENCE_CONTENT_BACKUP,
+    draft: StorageManager.STORAGE_KEYS.CONFLUENCE_CONTENT_DRAFT,
+    mermaidMappings: StorageManager.STORAGE_KEYS.MERMAID_DIAGRAM_MAPPINGS,
+    mermaidMappingsDraft:
+      StorageManager.STORAGE_KEYS.MERMAID_DIAGRAM_MAPPINGS_DRAFT,
+    generationContext: StorageManager.STORAGE_KEYS.GENERATION_CONTEXT,
   };
 
   constructor() {
     this.STORAGE_KEY = StorageManager.STORAGE_KEYS.CONFLUENCE_CONTENT_BACKUP;
     this.AUTO_SAVE_INTERVAL = 30000; // 30 seconds
     this.autoSaveTimer = null;
+    this.DOCUMENT_SYNC_DELAY = 1000;
+    this.documentSyncTimer = null;
   }
 
   // ========== CHROME STORAGE METHODS (from shared/storage.js) ==========
@@ -97,15 +119,40 @@ export class StorageManager {
   static validateSettings(settings) {
     const errors = {};
 
-    if (!settings.apiKey?.trim()) {
-      errors.apiKey = "API Key là bắt buộc";
+    // Top-level fields are the default profile (or a resolved profile)
+    Object.assign(errors, this.validateProfile(settings));
+
+    if (!settings.databaseUrl?.trim()) {
+      errors.databaseUrl = "URL thư mục database là bắt buộc";
+    } else if (!this.isValidUrl(settings.databaseUrl)) {
+      errors.databaseUrl = "URL không hợp lệ";
     }
 
-    if (!settings.urlTemplate?.trim()) {
+    // if (!settings.customPrompt?.trim()) {
+    //   errors.customPrompt = "Custom Prompt là bắt buộc";
+    // } else if (settings.customPrompt.trim().length < 10) {
+    //   errors.customPrompt = "Custom Prompt phải có ít nhất 10 ký tự";
+    // }
+
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Validate the fields of a generation profile
+   * @param {Object} profile - Profile (or settings) to validate
+   * @returns {Object} Errors by field, empty if valid
+   */
+  static validateProfile(profile) {
+    const errors = {};
+
+    if (!profile.urlTemplate?.trim()) {
       errors.urlTemplate = "URL Template là bắt buộc";
     } else {
       const validationResult = this.validateConfluencePageLink(
-        settings.urlTemplate
+        profile.urlTemplate
       );
 
       if (!validationResult.valid) {
@@ -113,28 +160,47 @@ export class StorageManager {
           validationResult.error || "URL Template không hợp lệ.";
       }
     }
-    if (!settings.documentUrl?.trim()) {
+    if (!profile.documentUrl?.trim()) {
       errors.documentUrl = "URL thư mục lưu tài liệu là bắt buộc";
-    } else if (!this.isValidUrl(settings.documentUrl)) {
+    } else if (!this.isValidUrl(profile.documentUrl)) {
       errors.documentUrl = "URL không hợp lệ";
     }
 
-    if (!settings.databaseUrl?.trim()) {
-      errors.databaseUrl = "URL thư mục database là bắt buộc";
-    } else if (!this.isValidUrl(settings.databaseUrl)) {
-      errors.databaseUrl = "URL không hợp lệ";
+    if (
+      profile.id &&
+      profile.id !== DEFAULT_PROFILE_ID &&
+      !profile.name?.trim()
+    ) {
+      errors.profileName = "Tên profile là bắt buộc";
     }
 
-    // if (!settings.customPrompt?.trim()) {
-    //   errors.customPrompt = "Custom Prompt là bắt buộc";
-    // } else if (settings.customPrompt.trim().length < 10) {
-    //   errors.customPrompt = "Custom Prompt phải có ít nhất 10 ký tự";
-    // }
+    return errors;
+  }
 
-    return {
-      isValid: Object.keys(errors).length === 0,
-      errors,
-    };
+  /**
+   * Validate the URLs of an environment
+   * @param {Object} environment - Environment to validate
+   * @returns {Object} Errors by field, empty if valid
+   */
+  static validateEnvironment(environment) {
+    const errors = {};
+
+    if (!environment.name?.trim()) {
+      errors.environmentName = "Tên môi trường là bắt buộc";
+    }
+    if (!environment.backendUrl?.trim()) {
+      errors.backendUrl = "URL backend là bắt buộc";
+    } else if (!this.isValidUrl(environment.backendUrl)) {
+      errors.backendUrl = "URL không hợp lệ";
+    }
+    if (
+      environment.confluenceBaseUrl?.trim() &&
+      !this.isValidUrl(environment.confluenceBaseUrl)
+    ) {
+      errors.confluenceBaseUrl = "URL không hợp lệ";
+    }
+
+    return errors;
   }
 
   /**
@@ -178,11 +244,12 @@ export class StorageManager {
 
   /**
    * Export settings to JSON
+   * Named profiles are included in settings.profiles, the API key is never exported
    * @returns {Promise<string>} JSON string of settings
    */
   static async exportSettings() {
     try {
-      const settings = await this.getSettings();
+      const { apiKey, ...settings } = await this.getSettings();
       return JSON.stringify(settings, null, 2);
     } catch (error) {
       console.error("Error exporting settings:", error);
@@ -192,22 +259,95 @@ export class StorageManager {
 
   /**
    * Import settings from JSON
+   * Imported profiles and environments are merged with the existing ones (same id is replaced)
    * @param {string} jsonString - JSON string of settings
-   * @returns {Promise<boolean>} Success status
+   * @returns {Promise<{success: boolean, error?: string}>} Result
    */
   static async importSettings(jsonString) {
     try {
-      const settings = JSON.parse(jsonString);
+      // API keys of old exports are dropped, keys only live in SecretStore
+      const { apiKey, ...imported } = JSON.parse(jsonString);
+      const currentSettings = await this.getSettings();
+
+      const mergeById = (current = [], added = []) => {
+        const items = [...current];
+        added.forEach((item) => {
+          const index = items.findIndex((existing) => existing.id === item.id);
+          if (index === -1) {
+            items.push(item);
+          } else {
+            items[index] = item;
+          }
+        });
+        return items;
+      };
+      const profiles = mergeById(currentSettings.profiles, imported.profiles);
+
+      const settings = {
+        ...DEFAULT_SETTINGS,
+        ...currentSettings,
+        ...imported,
+        profiles,
+        environments: imported.environments?.length
+          ? mergeById(
+              EnvironmentManager.getEnvironments(currentSettings),
+              imported.environments
+            )
+          : currentSettings.environments || [],
+        siteEnvironments: {
+          ...DEFAULT_SETTINGS.siteEnvironments,
+          ...currentSettings.siteEnvironments,
+          ...imported.siteEnvironments,
+        },
+      };
+
       const validation = this.validateSettings(settings);
+      const profileErrors = profiles
+        .map((profile) => ({
+          profile,
+          errors: this.validateProfile(profile),
+        }))
+        .filter(({ errors }) => Object.keys(errors).length > 0)
+        .map(
+          ({ profile, errors }) =>
+            `Profile "${profile.name || profile.id}": ${Object.values(
+              errors
+            ).join(", ")}`
+        );
+      const environmentErrors = settings.environments
+        .map((environment) => ({
+          environment,
+          errors: this.validateEnvironment(environment),
+        }))
+        .filter(({ errors }) => Object.keys(errors).length > 0)
+        .map(
+          ({ environment, errors }) =>
+            `Môi trường "${environment.name || environment.id}": ${Object.values(
+              errors
+            ).join(", ")}`
+        );
 
-      if (!validation.isValid) {
-        throw new Error(validation.message);
+      if (
+        !validation.isValid ||
+        profileErrors.length > 0 ||
+        environmentErrors.length > 0
+      ) {
+        throw new Error(
+          [
+            ...Object.values(validation.errors),
+            ...profileErrors,
+            ...environmentErrors,
+          ].join("; ")
+        );
       }
 
-      return await this.saveSettings(settings);
+      const success = await this.saveSettings(settings);
+      return success
+        ? { success: true }
+        : { success: false, error: "Không thể lưu cài đặt" };
     } catch (error) {
       console.error("Error importing settings:", error);
-      return false;
+      return { success: false, error: error.message };
     }
   }
 
@@ -285,6 +425,96 @@ export class StorageManager {
     return out;
   }
 
+  // ========== GENERATION PROFILE METHODS ==========
+
+  /**
+   * Get all generation profiles, the default profile first
+   * @param {Object} settings - Settings object
+   * @returns {Array<Object>} Profiles { id, name, ...PROFILE_FIELDS }
+   */
+  static getProfiles(settings) {
+    const defaultProfile = {
+      id: DEFAULT_PROFILE_ID,
+      name: "Mặc định",
+      ...this.pickProfileFields(settings),
+    };
+
+    return [defaultProfile, ...(settings.profiles || [])];
+  }
+
+  /**
+   * Get settings with the fields of a profile applied on top
+   * @param {Object} settings - Settings object
+   * @param {string} profileId - Profile ID, defaults to the active profile
+   * @returns {Object} Settings with profileId and profileName
+   */
+  static resolveProfileSettings(
+    settings,
+    profileId = settings.activeProfileId
+  ) {
+    const profiles = this.getProfiles(settings);
+    const profile =
+      profiles.find((item) => item.id === profileId) || profiles[0];
+
+    return {
+      ...settings,
+      ...this.pickProfileFields(profile),
+      profileId: profile.id,
+      profileName: profile.name,
+    };
+  }
+
+  /**
+   * Get only the profile fields of an object
+   * @param {Object} source - Settings or profile
+   * @returns {Object} Profile fields
+   */
+  static pickProfileFields(source) {
+    return Object.fromEntries(
+      PROFILE_FIELDS.map((field) => [
+        field,
+        source[field] !== undefined ? source[field] : DEFAULT_SETTINGS[field],
+      ])
+    );
+  }
+
+  // ========== PLACEHOLDER MAPPING METHODS ==========
+
+  /**
+   * Load saved placeholder review choices for a template
+   * @param {string} templateId - Template page ID
+   * @returns {Promise<Object>} Map placeholder -> { mode, value, instruction, required }
+   */
+  static async getPlaceholderMappings(templateId) {
+    try {
+      const result = await chrome.storage.local.get([PLACEHOLDER_MAPPINGS_KEY]);
+      const allMappings = result[PLACEHOLDER_MAPPINGS_KEY] || {};
+      return allMappings[templateId] || {};
+    } catch (error) {
+      console.error("Error loading placeholder mappings:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Save placeholder review choices for a template
+   * @param {string} templateId - Template page ID
+   * @param {Object} mappings - Map placeholder -> { mode, value, instruction, required }
+   * @returns {Promise<boolean>} Success status
+   */
+  static async savePlaceholderMappings(templateId, mappings) {
+    try {
+      const result = await chrome.storage.local.get([PLACEHOLDER_MAPPINGS_KEY]);
+      const allMappings = result[PLACEHOLDER_MAPPINGS_KEY] || {};
+      allMappings[templateId] = mappings;
+      await chrome.storage.local.set({ [PLACEHOLDER_MAPPINGS_KEY]: allMappings });
+      return true;
+    } catch (error) {
+      console.error("Error saving placeholder mappings:", error);
+      return false;
+    }
+  }
+
   // ========== CONTENT STORAGE METHODS (original) ==========
 
   /**
@@ -350,6 +580,7 @@ export class StorageManager {
     };
 
     localStorage.setItem(this.STORAGE_KEY, JSON.stringify(backupData));
+    this.scheduleDocumentSync();
   }
 
   /**
@@ -362,17 +593,6 @@ export class StorageManager {
       if (!saved) return null;
 
       const backupData = JSON.parse(saved);
-
-      // Check if backup is recent (within 24 hours)
-      const age = Date.now() - backupData.timestamp;
-      const maxAge = 24 * 60 * 60 * 1000; // 24 hours
-
-      if (age > maxAge) {
-        console.log("🗑️ Removing old localStorage backup");
-        localStorage.removeItem(this.STORAGE_KEY);
-        return null;
-      }
-
       console.log("📦 Loaded content from localStorage backup");
       return backupData.content;
     } catch (error) {
@@ -381,11 +601,154 @@ export class StorageManager {
     }
   }
 
+  /**
+   * Replace one section of the backed up document, leaving the rest untouched
+   * An open draft gets the new section too, so the editor does not keep the old one
+   * @param {Object} range - { start, end } offsets in full_storage_format
+   * @param {string} original - Storage format the range is expected to hold
+   * @param {string} replacement - New storage format for the range
+   * @returns {Object|null} Updated content, null if the backup or the draft no longer matches
+   */
+  replaceBackupSection(range, original, replacement) {
+    const content = this.loadFromLocalStorage();
+    const storage = content?.full_storage_format;
+    if (!storage || storage.substring(range.start, range.end) !== original) {
+      console.warn("⚠️ Backup changed, cannot replace section");
+      return null;
+    }
+    if (!this.draftHasSection(original)) {
+      console.warn("⚠️ Draft changed, cannot replace section");
+      return null;
+    }
+
+    const draft = this.loadFromDraft();
+    if (draft) {
+      this.saveToDraft({
+        ...draft,
+        full_storage_format: draft.full_storage_format.replace(
+          original,
+          () => replacement
+        ),
+      });
+    }
+
+    const updatedContent = {
+      ...content,
+      full_storage_format:
+        storage.substring(0, range.start) +
+        replacement +
+        storage.substring(range.end),
+    };
+    this.saveToLocalStorage(updatedContent);
+    return updatedContent;
+  }
+
+  /**
+   * Check that a section of the backup is still unchanged in the draft
+   * @param {string} original - Section storage format in the backup
+   * @returns {boolean} True when there is no draft or the draft holds the section once
+   */
+  draftHasSection(original) {
+    const draft = this.loadFromDraft();
+    if (!draft) return true;
+    return (draft.full_storage_format || "").split(original).length === 2;
+  }
+
+  /**
+   * Save what the current document was generated from (template, placeholder choices)
+   * BA content and template storage format go to the workspace document,
+   * they can exceed the localStorage quota, see saveGenerationSources
+   * @param {Object} context - Generation context
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveGenerationContext(context) {
+    const { baContent, templateStorageFormat, ...rest } = context;
+    try {
+      localStorage.setItem(
+        StorageManager.STORAGE_KEYS.GENERATION_CONTEXT,
+        JSON.stringify({ ...rest, timestamp: Date.now() })
+      );
+      this.scheduleDocumentSync();
+    } catch (error) {
+      console.error("❌ Failed to save generation context:", error);
+      return false;
+    }
+
+    const sources = Object.fromEntries(
+      Object.entries({ baContent, templateStorageFormat }).filter(
+        ([, value]) => value !== undefined
+      )
+    );
+    return Object.keys(sources).length > 0
+      ? this.saveGenerationSources(sources)
+      : true;
+  }
+
+  /**
+   * Load the generation context of the current document
+   * @returns {Object|null} Generation context or null
+   */
+  loadGenerationContext() {
+    try {
+      const saved = localStorage.getItem(
+        StorageManager.STORAGE_KEYS.GENERATION_CONTEXT
+      );
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.error("❌ Failed to load generation context:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the BA content and template storage format of the active document
+   * to its workspace entry, merged with what it already holds
+   * @param {Object} sources - { baContent, templateStorageFormat }
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveGenerationSources(sources) {
+    const documentId = this.getActiveDocumentId();
+    if (!documentId) {
+      console.warn("⚠️ No workspace document, generation sources not saved");
+      return false;
+    }
+
+    try {
+      const updated = await WorkspaceStore.updateDocument(
+        documentId,
+        (doc) => ({
+          generationSources: { ...doc.generationSources, ...sources },
+        })
+      );
+      return !!updated;
+    } catch (error) {
+      console.error("❌ Failed to save generation sources:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Load the BA content and template storage format of the active document
+   * @returns {Promise<Object>} { baContent, templateStorageFormat }, empty strings when unknown
+   */
+  async loadGenerationSources() {
+    const documentId = this.getActiveDocumentId();
+    const doc = documentId ? await WorkspaceStore.getDocument(documentId) : null;
+    // Contexts saved before the sources moved to the workspace still hold them
+    const sources = doc?.generationSources || this.loadGenerationContext() || {};
+
+    return {
+      baContent: sources.baContent || "",
+      templateStorageFormat: sources.templateStorageFormat || "",
+    };
+  }
+
   /**
    * Clear localStorage backup
    */
   clearLocalStorage() {
     localStorage.removeItem(this.STORAGE_KEY);
+    this.scheduleDocumentSync();
     console.log("🗑️ Cleared localStorage backup");
   }
 
@@ -418,6 +781,7 @@ export class StorageManager {
         StorageManager.STORAGE_KEYS.CONFLUENCE_CONTENT_DRAFT,
         JSON.stringify(draftData)
       );
+      this.scheduleDocumentSync();
 
       console.log("✅ Draft created from backup content:", {
         hasContent: !!draftData.content,
@@ -448,6 +812,7 @@ export class StorageManager {
         StorageManager.STORAGE_KEYS.CONFLUENCE_CONTENT_DRAFT,
         JSON.stringify(draftData)
       );
+      this.scheduleDocumentSync();
 
       console.log("💾 Content saved to draft:", {
         hasContent: !!content,
@@ -518,6 +883,7 @@ export class StorageManager {
       localStorage.removeItem(
         StorageManager.STORAGE_KEYS.CONFLUENCE_CONTENT_DRAFT
       );
+      this.scheduleDocumentSync();
       console.log("🗑️ Draft cleared");
     } catch (error) {
       console.error("❌ Failed to clear draft:", error);
@@ -556,6 +922,7 @@ export class StorageManager {
         StorageManager.STORAGE_KEYS.MERMAID_DIAGRAM_MAPPINGS_DRAFT,
         JSON.stringify(draftData)
       );
+      this.scheduleDocumentSync();
 
       return mainMappings;
     } catch (error) {
@@ -577,7 +944,7 @@ export class StorageManager {
         StorageManager.STORAGE_KEYS.MERMAID_DIAGRAM_MAPPINGS_DRAFT,
         JSON.stringify(draftData)
       );
-
+      this.scheduleDocumentSync();
     } catch (error) {
       console.error(
         "❌ Error saving Mermaid diagram mappings to draft:",
@@ -666,6 +1033,7 @@ export class StorageManager {
       localStorage.removeItem(
         StorageManager.STORAGE_KEYS.MERMAID_DIAGRAM_MAPPINGS_DRAFT
       );
+      this.scheduleDocumentSync();
       console.log("🗑️ Cleared Mermaid diagram mappings draft");
     } catch (error) {
       console.error("❌ Error clearing Mermaid diagram mappings draft:", error);
@@ -905,6 +1273,7 @@ export class StorageManager {
         localStorage.removeItem(
           StorageManager.STORAGE_KEYS.MERMAID_DIAGRAM_MAPPINGS
         );
+        this.scheduleDocumentSync();
         return true;
       }
 
@@ -924,6 +1293,7 @@ export class StorageManager {
         StorageManager.STORAGE_KEYS.MERMAID_DIAGRAM_MAPPINGS,
         JSON.stringify(mappingsObject)
       );
+      this.scheduleDocumentSync();
 
       console.log(
         `✅ Saved ${diagramsMap.size} Mermaid diagram mappings to localStorage`
@@ -967,6 +1337,300 @@ export class StorageManager {
     }
   }
 
+  // ========== WORKSPACE METHODS ==========
+
+  /**
+   * Get the id of the workspace document mirrored in localStorage
+   * @returns {string|null} Document id
+   */
+  getActiveDocumentId() {
+    return localStorage.getItem(StorageManager.STORAGE_KEYS.ACTIVE_DOCUMENT);
+  }
+
+  /**
+   * Save the active document to the workspace shortly after the last change
+   */
+  scheduleDocumentSync() {
+    clearTimeout(this.documentSyncTimer);
+    this.documentSyncTimer = setTimeout(() => {
+      this.syncActiveDocument().catch((error) => {
+        console.error("❌ Failed to save workspace document:", error);
+      });
+    }, this.DOCUMENT_SYNC_DELAY);
+  }
+
+  /**
+   * Save the localStorage entries of the active document to the workspace
+   * A document backed up before the workspace existed is added to it
+   * @returns {Promise<string|null>} Id of the saved document
+   */
+  async syncActiveDocument() {
+    clearTimeout(this.documentSyncTimer);
+    this.documentSyncTimer = null;
+
+    const fields = this.readDocumentEntries();
+    const documentId = this.getActiveDocumentId();
+    const saved = documentId
+      ? await WorkspaceStore.getDocument(documentId)
+      : null;
+    if (saved) {
+      // Only bump updatedAt when something really changed
+      const changed = Object.keys(fields).some(
+        (field) =>
+          JSON.stringify(fields[field]) !== JSON.stringify(saved[field])
+      );
+      if (changed) {
+        await WorkspaceStore.updateDocument(saved.id, fields);
+      }
+      return saved.id;
+    }
+    if (!fields.content) return null;
+
+    const doc = await WorkspaceStore.createDocument({
+      ...fields,
+      name:
+        fields.generationContext?.baSources?.[0]?.title ||
+        "Recovered document",
+      sourceUrls: (fields.generationContext?.baSources || []).map(
+        (source) => source.url
+      ),
+    });
+    localStorage.setItem(StorageManager.STORAGE_KEYS.ACTIVE_DOCUMENT, doc.id);
+    return doc.id;
+  }
+
+  /**
+   * Start a new workspace document and make it the active one
+   * The previous document is saved to the workspace first, never discarded
+   * @param {Object} fields - e.g. { name, jobId, sourceUrls, profileId }
+   * @returns {Promise<Object>} Created WorkspaceDocument
+   */
+  async startDocument(fields) {
+    let doc;
+    try {
+      await this.syncActiveDocument();
+      doc = await WorkspaceStore.createDocument(fields);
+    } catch (error) {
+      // The new content must not be synced into the previous document
+      clearTimeout(this.documentSyncTimer);
+      localStorage.removeItem(StorageManager.STORAGE_KEYS.ACTIVE_DOCUMENT);
+      throw error;
+    }
+    this.writeDocumentEntries(doc);
+    localStorage.setItem(StorageManager.STORAGE_KEYS.ACTIVE_DOCUMENT, doc.id);
+    console.log(`📄 Started workspace document "${doc.name}"`);
+    return doc;
+  }
+
+  /**
+   * Make a workspace document the active one
+   * @param {string} documentId - Document id
+   * @returns {Promise<Object|null>} WorkspaceDocument, null if not found
+   */
+  async openDocument(documentId) {
+    await this.syncActiveDocument();
+
+    const doc = await WorkspaceStore.getDocument(documentId);
+    if (!doc) return null;
+
+    this.writeDocumentEntries(doc);
+    localStorage.setItem(StorageManager.STORAGE_KEYS.ACTIVE_DOCUMENT, doc.id);
+    console.log(`📂 Opened workspace document "${doc.name}"`);
+    return doc;
+  }
+
+  /**
+   * Delete a workspace document, its localStorage entries too when it is active
+   * @param {string} documentId - Document id
+   */
+  async deleteDocument(documentId) {
+    if (documentId === this.getActiveDocumentId()) {
+      clearTimeout(this.documentSyncTimer);
+      this.writeDocumentEntries({});
+      localStorage.removeItem(StorageManager.STORAGE_KEYS.ACTIVE_DOCUMENT);
+    }
+    await WorkspaceStore.deleteDocument(documentId);
+    console.log("🗑️ Deleted workspace document");
+  }
+
+  /**
+   * Get the workspace documents, the active one saved first
+   * @returns {Promise<Array<Object>>} WorkspaceDocuments, most recent first
+   */
+  async getDocuments() {
+    await this.syncActiveDocument();
+    return WorkspaceStore.getDocuments();
+  }
+
+  /**
+   * Read the localStorage entries of the active document
+   * @returns {Object} WorkspaceDocument fields
+   */
+  readDocumentEntries() {
+    return Object.fromEntries(
+      Object.entries(StorageManager.DOCUMENT_KEYS).map(([field, key]) => {
+        try {
+          const saved = localStorage.getItem(key);
+          return [field, saved ? JSON.parse(saved) : null];
+        } catch (error) {
+          console.error(`❌ Failed to read ${key}:`, error);
+          return [field, null];
+        }
+      })
+    );
+  }
+
+  /**
+   * Replace the localStorage entries of the active document
+   * Editor leftovers of the previous document are cleared as well
+   * @param {Object} doc - WorkspaceDocument fields, missing ones are removed
+   */
+  writeDocumentEntries(doc) {
+    const documentKeys = Object.values(StorageManager.DOCUMENT_KEYS);
+    Object.values(StorageManager.STORAGE_KEYS)
+      .filter(
+        (key) =>
+          key !== StorageManager.STORAGE_KEYS.ACTIVE_DOCUMENT &&
+          !documentKeys.includes(key)
+      )
+      .forEach((key) => localStorage.removeItem(key));
+
+    Object.entries(StorageManager.DOCUMENT_KEYS).forEach(([field, key]) => {
+      if (doc[field]) {
+        localStorage.setItem(key, JSON.stringify(doc[field]));
+      } else {
+        localStorage.removeItem(key);
+      }
+    });
+  }
+
+  // ========== SNAPSHOT METHODS ==========
+
+  /**
+   * Get the state of the active document a snapshot records
+   * @param {boolean} committed - Use the backup and main mappings, not the draft
+   * @returns {{content: Object|null, mermaidMappings: Array}} State
+   */
+  getSnapshotState(committed = false) {
+    const content = committed
+      ? this.loadFromLocalStorage()
+      : this.loadFromDraft() || this.loadFromLocalStorage();
+    const mappings = committed
+      ? this.getMermaidDiagramMappings()
+      : this.getMermaidDiagramMappingsWithDraft();
+    return { content, mermaidMappings: Array.from(mappings.entries()) };
+  }
+
+  /**
+   * Get a comparable key of a snapshot state
+   * @param {Object} state - { content, mermaidMappings }
+   * @returns {string} Equal for the same document and diagrams
+   */
+  static getSnapshotKey({ content, mermaidMappings }) {
+    // Mapping timestamps change on every save, only the diagram code matters
+    return JSON.stringify([
+      content?.full_storage_format || "",
+      (mermaidMappings || []).map(([id, diagram]) => [id, diagram.content]),
+    ]);
+  }
+
+  /**
+   * Record the state of the active document in its snapshot history
+   * Nothing is recorded when the state equals the latest snapshot
+   * @param {string} label - What happened, shown in the history
+   * @param {string} action - One of SNAPSHOT_ACTIONS
+   * @param {Object} options - { committed: record the backup instead of the draft }
+   * @returns {Promise<Object|null>} DocumentSnapshot, null if nothing was recorded
+   */
+  async recordSnapshot(label, action, { committed = false } = {}) {
+    try {
+      const documentId = await this.syncActiveDocument();
+      const state = this.getSnapshotState(committed);
+      if (!documentId || !state.content) return null;
+
+      const snapshots = await WorkspaceStore.getSnapshots(documentId);
+      const latest = snapshots[snapshots.length - 1];
+      if (
+        latest &&
+        StorageManager.getSnapshotKey(latest) ===
+          StorageManager.getSnapshotKey(state)
+      ) {
+        return null;
+      }
+
+      const snapshot = await WorkspaceStore.addSnapshot(
+        { documentId, label, action, ...state },
+        SNAPSHOT_LIMIT
+      );
+      console.log(`📸 Snapshot recorded: ${label}`);
+      return snapshot;
+    } catch (error) {
+      console.error("❌ Failed to record snapshot:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Keep the committed state of the active document as its generated version
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveGeneratedVersion() {
+    try {
+      const documentId = await this.syncActiveDocument();
+      const state = this.getSnapshotState(true);
+      if (!documentId || !state.content) return false;
+
+      await WorkspaceStore.updateDocument(documentId, {
+        generatedVersion: state,
+      });
+      return true;
+    } catch (error) {
+      console.error("❌ Failed to save generated version:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the generated version of the active document
+   * Documents generated before it was kept fall back to their generation snapshot
+   * @returns {Promise<Object|null>} { content, mermaidMappings }, null if unknown
+   */
+  async loadGeneratedVersion() {
+    const documentId = this.getActiveDocumentId();
+    if (!documentId) return null;
+
+    const doc = await WorkspaceStore.getDocument(documentId);
+    if (doc?.generatedVersion) return doc.generatedVersion;
+
+    const snapshots = await WorkspaceStore.getSnapshots(documentId);
+    return (
+      snapshots
+        .filter((snapshot) => snapshot.action === SNAPSHOT_ACTIONS.GENERATE)
+        .pop() || null
+    );
+  }
+
+  /**
+   * Get the snapshot history of the active document
+   * @returns {Promise<Array<Object>>} DocumentSnapshots, oldest first
+   */
+  async getSnapshots() {
+    const documentId = this.getActiveDocumentId();
+    return documentId ? WorkspaceStore.getSnapshots(documentId) : [];
+  }
+
+  /**
+   * Put a snapshot into the draft, saving the editor commits it
+   * @param {Object} snapshot - DocumentSnapshot
+   * @returns {Object} Restored content
+   */
+  restoreSnapshot(snapshot) {
+    const content = JSON.parse(JSON.stringify(snapshot.content));
+    this.saveToDraft(content);
+    this.saveMermaidDiagramMappingsToDraft(new Map(snapshot.mermaidMappings));
+    return content;
+  }
+
   /**
    * Clear all K-Tool related localStorage keys
    * @returns {Promise<Object>} Result with cleared and failed keys
@@ -0,0 +1,287 @@
+// Workspace of generated documents, persisted in IndexedDB
+// Every document keeps its own content, draft, Mermaid diagram mappings and
+// generation context, so generating a new document never overwrites another one.
+// The document being worked on is mirrored in localStorage, see StorageManager.
+// Snapshots keep earlier versions of each document for the editor history.
+import { WORKSPACE_DB } from "../../shared/constants.js";
+
+/**
+ * @typedef {Object} WorkspaceDocument
+ * Document fields hold the localStorage entries of StorageManager.DOCUMENT_KEYS
+ * @property {string} id - Document id
+ * @property {string} name - Display name (BA document title by default)
+ * @property {string|null} jobId - Generation job the document comes from
+ * @property {Object|null} content - Backup entry { content, timestamp, version }
+ * @property {Object|null} draft - Draft entry of uncommitted editor changes
+ * @property {Object|null} mermaidMappings - Diagram id -> diagram data
+ * @property {Object|null} mermaidMappingsDraft - Draft entry of diagram mappings
+ * @property {Object|null} generationContext - What the document was generated from
+ * @property {Object|null} generationSources - { baContent, templateStorageFormat } of the
+ *   generation, too large for localStorage so they are only kept here
+ * @property {Object|null} generatedVersion - { content, mermaidMappings } as generated,
+ *   kept apart from snapshots which are pruned
+ * @property {string[]} sourceUrls - BA document URLs
+ * @property {string|null} profileId - Generation profile
+ * @property {number} createdAt - Creation timestamp
+ * @property {number} updatedAt - Last update timestamp
+ */
+
+/**
+ * @typedef {Object} DocumentSnapshot
+ * @property {string} id - Snapshot id
+ * @property {string} documentId - Workspace document the snapshot belongs to
+ * @property {string} label - What happened, e.g. "Regenerated section Scope"
+ * @property {string} action - One of SNAPSHOT_ACTIONS
+ * @property {Object} content - Document (full_storage_format, ...)
+ * @property {Array} mermaidMappings - Diagram mappings (Map entries)
+ * @property {number} createdAt - Creation timestamp
+ */
+
+export class WorkspaceStore {
+  static dbPromise = null;
+
+  /**
+   * Get all documents, most recently updated first
+   * @returns {Promise<WorkspaceDocument[]>} Documents
+   */
+  static async getDocuments() {
+    try {
+      const documents = await this.run(WORKSPACE_DB.STORE, "readonly", (store) =>
+        store.getAll()
+      );
+      return documents.sort((a, b) => b.updatedAt - a.updatedAt);
+    } catch (error) {
+      console.error("❌ Error loading workspace documents:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single document by id
+   * @param {string} documentId - Document id
+   * @returns {Promise<WorkspaceDocument|null>} Document or null
+   */
+  static async getDocument(documentId) {
+    try {
+      const doc = await this.run(WORKSPACE_DB.STORE, "readonly", (store) =>
+        store.get(documentId)
+      );
+      return doc || null;
+    } catch (error) {
+      console.error("❌ Error loading workspace document:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a document
+   * @param {Object} fields - Initial fields, e.g. { name, sourceUrls, profileId }
+   * @returns {Promise<WorkspaceDocument>} Created document
+   */
+  static async createDocument(fields = {}) {
+    const now = Date.now();
+    return this.saveDocument({
+      id: crypto.randomUUID(),
+      name: "Untitled document",
+      jobId: null,
+      content: null,
+      draft: null,
+      mermaidMappings: null,
+      mermaidMappingsDraft: null,
+      generationContext: null,
+      generationSources: null,
+      generatedVersion: null,
+      sourceUrls: [],
+      profileId: null,
+      createdAt: now,
+      ...fields,
+    });
+  }
+
+  /**
+   * Insert or replace a document
+   * @param {WorkspaceDocument} doc - Document to save
+   * @returns {Promise<WorkspaceDocument>} Saved document
+   */
+  static async saveDocument(doc) {
+    const saved = { ...doc, updatedAt: Date.now() };
+    await this.run(WORKSPACE_DB.STORE, "readwrite", (store) =>
+      store.put(saved)
+    );
+    return saved;
+  }
+
+  /**
+   * Merge fields into a document, reading and writing it in one transaction
+   * so fields saved meanwhile by another caller are kept
+   * @param {string} documentId - Document id
+   * @param {Object|Function} changes - Fields to update, or (doc) => fields
+   * @returns {Promise<WorkspaceDocument|null>} Updated document, null if not found
+   */
+  static async updateDocument(documentId, changes) {
+    let updated = null;
+    await this.run(WORKSPACE_DB.STORE, "readwrite", (store) => {
+      const request = store.get(documentId);
+      request.onsuccess = () => {
+        if (!request.result) return;
+        const fields =
+          typeof changes === "function" ? changes(request.result) : changes;
+        updated = { ...request.result, ...fields, updatedAt: Date.now() };
+        store.put(updated);
+      };
+      return request;
+    });
+    return updated;
+  }
+
+  /**
+   * Delete a document and its snapshots
+   * @param {string} documentId - Document id
+   */
+  static async deleteDocument(documentId) {
+    const snapshots = await this.getSnapshots(documentId);
+    await this.deleteSnapshots(snapshots.map((snapshot) => snapshot.id));
+    await this.run(WORKSPACE_DB.STORE, "readwrite", (store) =>
+      store.delete(documentId)
+    );
+  }
+
+  // ========== SNAPSHOTS ==========
+
+  /**
+   * Get the snapshots of a document, oldest first
+   * @param {string} documentId - Document id
+   * @returns {Promise<DocumentSnapshot[]>} Snapshots
+   */
+  static async getSnapshots(documentId) {
+    try {
+      const snapshots = await this.run(
+        WORKSPACE_DB.SNAPSHOT_STORE,
+        "readonly",
+        (store) => store.index("documentId").getAll(documentId)
+      );
+      return snapshots.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      console.error("❌ Error loading snapshots:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Add a snapshot, dropping the oldest ones of the document past the limit
+   * @param {Object} fields - { documentId, label, action, content, mermaidMappings }
+   * @param {number} limit - Snapshots kept per document
+   * @returns {Promise<DocumentSnapshot>} Saved snapshot
+   */
+  static async addSnapshot(fields, limit) {
+    const snapshot = {
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      ...fields,
+    };
+    await this.run(WORKSPACE_DB.SNAPSHOT_STORE, "readwrite", (store) =>
+      store.put(snapshot)
+    );
+
+    const snapshots = await this.getSnapshots(snapshot.documentId);
+    if (snapshots.length > limit) {
+      await this.deleteSnapshots(
+        snapshots
+          .slice(0, snapshots.length - limit)
+          .map((expired) => expired.id)
+      );
+    }
+    return snapshot;
+  }
+
+  /**
+   * Delete snapshots
+   * @param {string[]} snapshotIds - Snapshot ids
+   */
+  static async deleteSnapshots(snapshotIds) {
+    if (snapshotIds.length === 0) return;
+    await this.run(WORKSPACE_DB.SNAPSHOT_STORE, "readwrite", (store) => {
+      let request = null;
+      snapshotIds.forEach((snapshotId) => {
+        request = store.delete(snapshotId);
+      });
+      return request;
+    });
+  }
+
+  // ========== INDEXEDDB ==========
+
+  static openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(WORKSPACE_DB.NAME, WORKSPACE_DB.VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(WORKSPACE_DB.STORE)) {
+            db.createObjectStore(WORKSPACE_DB.STORE, { keyPath: "id" });
+          }
+          if (!db.objectStoreNames.contains(WORKSPACE_DB.SNAPSHOT_STORE)) {
+            db.createObjectStore(WORKSPACE_DB.SNAPSHOT_STORE, {
+              keyPath: "id",
+            }).createIndex("documentId", "documentId");
+          }
+        };
+        let blockedTimer = null;
+        let timedOut = false;
+        request.onblocked = () => {
+          console.warn("⚠️ Workspace database upgrade blocked by another tab");
+          blockedTimer = setTimeout(() => {
+            timedOut = true;
+            reject(
+              new Error(
+                "Workspace database is in use by another Confluence tab, reload or close it and try again"
+              )
+            );
+          }, WORKSPACE_DB.BLOCKED_TIMEOUT_MS);
+        };
+        request.onsuccess = () => {
+          clearTimeout(blockedTimer);
+          const db = request.result;
+          // Opened after giving up, the next call opens it again
+          if (timedOut) {
+            db.close();
+            return;
+          }
+          // Let a newer version of the extension upgrade the database
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => {
+          clearTimeout(blockedTimer);
+          reject(request.error);
+        };
+      }).catch((error) => {
+        // Allow a later call to try again
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run requests in a transaction of one object store
+   * @param {string} storeName - WORKSPACE_DB.STORE or WORKSPACE_DB.SNAPSHOT_STORE
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} callback - (store) => IDBRequest whose result is returned
+   * @returns {Promise<any>} Result of the request, once the transaction is complete
+   */
+  static async run(storeName, mode, callback) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
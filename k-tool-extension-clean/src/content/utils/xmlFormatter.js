@@ -1,28 +1,24 @@
 // XML/XHTML Formatting Utilities
 // Handles XML parsing, formatting and validation
+import { StorageFormatValidator } from "./storageFormatValidator.js";
 
 export class XMLFormatter {
   /**
    * Format XHTML for better readability with proper alignment
    * @param {string} xmlString - Raw XML/XHTML string
    * @param {string} indent - Indentation string (default: 4 spaces)
+   * @param {Array<number>|null} elementLines - Filled with the output line of every element, in document order
    * @returns {string} Formatted XML/XHTML string
    */
-  static formatXHTML(xmlString, indent = "    ") {
+  static formatXHTML(xmlString, indent = "    ", elementLines = null) {
     // 1. Parse string into DOM tree
-    const parser = new DOMParser();
-
-    // Wrap content with temporary root tag if it's just a fragment
-    const rootTag = "xml-root-fragment";
-    const wrappedXml = `<${rootTag}>${xmlString}</${rootTag}>`;
-
-    const doc = parser.parseFromString(wrappedXml, "text/xml");
+    // The fragment is wrapped with the ac:/ri: namespaces and HTML entities declared
+    const { root, error } = StorageFormatValidator.parse(xmlString);
 
     // Check for parsing errors
-    const parseErrors = doc.getElementsByTagName("parsererror");
-    if (parseErrors.length > 0) {
+    if (error) {
       console.warn("XML/XHTML parsing error. Returning original string.", {
-        error: parseErrors[0]?.textContent || "Unknown parsing error",
+        error: `${error.line}:${error.column} ${error.message}`,
         originalLength: xmlString.length,
         sample: xmlString.substring(0, 100) + "...",
       });
@@ -31,9 +27,10 @@ export class XMLFormatter {
 
     let output = "";
     let currentIndent = "";
+    const elementOffsets = [];
 
     // Get wrapped root element (only process its children)
-    const rootElement = doc.documentElement;
+    const rootElement = root;
 
     /**
      * Recursive function to traverse and rebuild string
@@ -44,6 +41,7 @@ export class XMLFormatter {
       switch (node.nodeType) {
         case Node.ELEMENT_NODE: // 1: HTML/XML tags (e.g., <p>, <ac:structured-macro>)
           const nodeName = node.nodeName;
+          elementOffsets.push(output.length);
 
           // Start tag (e.g., <p data="...">)
           let startTag = `<${nodeName}`;
@@ -51,7 +49,9 @@ export class XMLFormatter {
           // Add attributes
           if (node.attributes && node.attributes.length > 0) {
             for (let attr of node.attributes) {
-              startTag += ` ${attr.name}="${attr.value}"`;
+              startTag += ` ${attr.name}="${XMLFormatter.escapeXML(
+                attr.value
+              ).replace(/"/g, "&quot;")}"`;
             }
           }
           startTag += ">";
@@ -88,7 +88,7 @@ export class XMLFormatter {
           if (text.length > 0) {
             // Handle plain text (e.g., content inside <p>)
             // If it's plain text, add it to current line or new line
-            output += `${level}${text}\n`;
+            output += `${level}${XMLFormatter.escapeXML(text)}\n`;
           }
           break;
 
@@ -110,11 +110,82 @@ export class XMLFormatter {
       processNode(node, currentIndent)
     );
 
+    if (elementLines) {
+      let line = 1;
+      let position = 0;
+      elementOffsets.forEach((offset) => {
+        for (; position < offset; position++) {
+          if (output[position] === "\n") line++;
+        }
+        elementLines.push(line);
+      });
+    }
+
     const result = output.trim();
 
     return result;
   }
 
+  /**
+   * Escape text for XML content
+   * @param {string} text - Text
+   * @returns {string} Text with &, < and > escaped
+   */
+  static escapeXML(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
+  /**
+   * Highlight XHTML source, e.g. for the storage format editor
+   * Incomplete markup (while typing) is shown as plain text
+   * @param {string} source - XHTML source
+   * @returns {string} HTML with xml-tag, xml-attr, xml-value, xml-comment,
+   *   xml-cdata, xml-entity and xml-fold spans
+   */
+  static highlightXHTML(source) {
+    const span = (className, html) =>
+      `<span class="xml-${className}">${html}</span>`;
+    const highlightFolds = (html) =>
+      html.replace(/⟦\d+:[^⟧<>]*⟧/g, (fold) => span("fold", fold));
+    const pattern =
+      /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|(<\/?[\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)(\s*\/?>)|&#?\w+;|⟦\d+:[^⟧<>]*⟧/g;
+
+    let html = "";
+    let position = 0;
+    for (const match of source.matchAll(pattern)) {
+      html += this.escapeXML(source.substring(position, match.index));
+      position = match.index + match[0].length;
+
+      const [text, tagStart, attributes, tagEnd] = match;
+      if (tagStart) {
+        html +=
+          span("tag", this.escapeXML(tagStart)) +
+          attributes.replace(
+            /([\w:.-]+)(\s*=\s*)("[^"]*"|'[^']*')/g,
+            (attribute, name, equals, value) =>
+              span("attr", name) +
+              equals +
+              span("value", highlightFolds(this.escapeXML(value)))
+          ) +
+          span("tag", this.escapeXML(tagEnd));
+      } else if (text.startsWith("<!--")) {
+        html += span("comment", this.escapeXML(text));
+      } else if (text.startsWith("<![CDATA[")) {
+        html += span("cdata", this.escapeXML(text));
+      } else if (text.startsWith("⟦")) {
+        html += span("fold", this.escapeXML(text));
+      } else {
+        html += span("entity", this.escapeXML(text));
+      }
+    }
+    html += this.escapeXML(source.substring(position));
+
+    return html;
+  }
+
   /**
    * Check if a tag is self-closing
    * @param {string} tag - HTML tag string
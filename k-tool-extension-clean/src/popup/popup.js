@@ -1,38 +1,108 @@
 // K-Tool Extension Popup Script
 import { StorageManager } from "../content/utils/storageManager.js";
+import { ApiClient } from "../shared/api.js";
+import {
+  AI_FEATURES,
+  DEFAULT_FEATURE_MODELS,
+  DEFAULT_PROFILE_ID,
+  DEFAULT_SETTINGS,
+  ENVIRONMENT_FIELDS,
+} from "../shared/constants.js";
+import { EnvironmentManager } from "../shared/environments.js";
+import { ModelRegistry } from "../shared/modelRegistry.js";
+import { SecretStore } from "../shared/secretStore.js";
+
+// Model selects of the features that do not use the profile model
+const FEATURE_MODEL_FIELDS = {
+  textEditModel: AI_FEATURES.TEXT_EDIT,
+  diagramEditModel: AI_FEATURES.DIAGRAM_EDIT,
+  xhtmlFixModel: AI_FEATURES.XHTML_FIX,
+};
+
+// The API key is only saved encrypted, see SecretStore
+const API_KEY_NEEDS_PASSPHRASE =
+  "Đặt passphrase trước để lưu API key (API key chỉ được lưu khi đã mã hóa)";
 
 class PopupManager {
   constructor() {
     this.isInitialLoad = true;
     this.saveTimeout = null;
     this.elements = {};
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.editingProfileId = DEFAULT_PROFILE_ID;
+    this.editingEnvironmentId = DEFAULT_SETTINGS.activeEnvironmentId;
+    this.siteOrigin = null;
+    this.secretStatus = { configured: false, unlocked: false };
+    this.savedApiKey = "";
+    this.models = ModelRegistry.getFallbackModels();
+    this.modelSource = "fallback";
     this.init();
   }
 
   async init() {
     this.bindElements();
     this.bindEvents();
+    this.siteOrigin = await this.getActiveTabOrigin();
     await this.loadSettings();
     this.isInitialLoad = false;
+    this.loadModels();
   }
 
   bindElements() {
     // Form elements
     this.elements = {
       enabledSwitch: document.getElementById("enabledSwitch"),
+      mockBackend: document.getElementById("mockBackend"),
       statusText: document.getElementById("statusText"),
       apiKey: document.getElementById("apiKey"),
+      validateKeyBtn: document.getElementById("validateKeyBtn"),
+      apiKeyStatus: document.getElementById("apiKeyStatus"),
+      apiKeyRow: document.getElementById("apiKeyRow"),
+      lockBtn: document.getElementById("lockBtn"),
+      passphraseGroup: document.getElementById("passphraseGroup"),
+      passphrase: document.getElementById("passphrase"),
+      passphraseHelp: document.getElementById("passphraseHelp"),
+      unlockBtn: document.getElementById("unlockBtn"),
+      resetSecretsBtn: document.getElementById("resetSecretsBtn"),
+      autoLockMinutes: document.getElementById("autoLockMinutes"),
+      profileSelect: document.getElementById("profileSelect"),
+      profileName: document.getElementById("profileName"),
+      addProfileBtn: document.getElementById("addProfileBtn"),
+      deleteProfileBtn: document.getElementById("deleteProfileBtn"),
       selectedModel: document.getElementById("selectedModel"),
+      refreshModelsBtn: document.getElementById("refreshModelsBtn"),
+      modelInfo: document.getElementById("modelInfo"),
+      textEditModel: document.getElementById("textEditModel"),
+      diagramEditModel: document.getElementById("diagramEditModel"),
+      xhtmlFixModel: document.getElementById("xhtmlFixModel"),
       urlTemplate: document.getElementById("urlTemplate"),
       documentUrl: document.getElementById("documentUrl"),
       databaseUrl: document.getElementById("databaseUrl"),
       instructionUrl: document.getElementById("instructionUrl"),
+      titlePattern: document.getElementById("titlePattern"),
       customPrompt: document.getElementById("customPrompt"),
+      environmentSelect: document.getElementById("environmentSelect"),
+      addEnvironmentBtn: document.getElementById("addEnvironmentBtn"),
+      deleteEnvironmentBtn: document.getElementById("deleteEnvironmentBtn"),
+      activateEnvironmentBtn: document.getElementById("activateEnvironmentBtn"),
+      environmentName: document.getElementById("environmentName"),
+      backendUrl: document.getElementById("backendUrl"),
+      confluenceBaseUrl: document.getElementById("confluenceBaseUrl"),
+      mermaidRestPath: document.getElementById("mermaidRestPath"),
+      mermaidEditorPath: document.getElementById("mermaidEditorPath"),
+      siteEnvironmentGroup: document.getElementById("siteEnvironmentGroup"),
+      siteOrigin: document.getElementById("siteOrigin"),
+      siteEnvironment: document.getElementById("siteEnvironment"),
+      testConnectionBtn: document.getElementById("testConnectionBtn"),
+      connectionResult: document.getElementById("connectionResult"),
       charCount: document.getElementById("charCount"),
       saveStatus: document.getElementById("saveStatus"),
       saveIcon: document.getElementById("saveIcon"),
       saveText: document.getElementById("saveText"),
       resetBtn: document.getElementById("resetBtn"),
+      exportBtn: document.getElementById("exportBtn"),
+      importBtn: document.getElementById("importBtn"),
+      importFile: document.getElementById("importFile"),
     };
   }
 
@@ -42,16 +112,25 @@ class PopupManager {
       this.updateStatusText(e.target.checked);
       this.handleInputChange("isEnabled", e.target.checked);
     });
+    this.elements.mockBackend.addEventListener("change", (e) => {
+      this.handleInputChange("mockBackend", e.target.checked);
+    });
 
     // Form inputs
     const inputFields = [
       "apiKey",
+      "autoLockMinutes",
       "selectedModel",
+      ...Object.keys(FEATURE_MODEL_FIELDS),
       "urlTemplate",
       "documentUrl",
       "databaseUrl",
       "instructionUrl",
       "customPrompt",
+      "titlePattern",
+      "profileName",
+      "environmentName",
+      ...ENVIRONMENT_FIELDS,
     ];
     inputFields.forEach((field) => {
       const element = this.elements[field];
@@ -64,15 +143,94 @@ class PopupManager {
           if (field === "customPrompt") {
             this.updateCharCount(e.target.value);
           }
+          if (field === "apiKey") {
+            this.elements.apiKeyStatus.innerHTML = "";
+          }
+          if (field === "selectedModel") {
+            this.updateModelInfo();
+          }
         });
       }
     });
 
+    // API key check
+    this.elements.validateKeyBtn.addEventListener("click", () => {
+      this.validateApiKey();
+    });
+
+    // API key encryption
+    this.elements.unlockBtn.addEventListener("click", () => {
+      this.unlockSecrets();
+    });
+    this.elements.passphrase.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.unlockSecrets();
+      }
+    });
+    this.elements.passphrase.addEventListener("input", () => {
+      this.clearError("passphrase");
+    });
+    this.elements.lockBtn.addEventListener("click", () => {
+      this.lockSecrets();
+    });
+    this.elements.resetSecretsBtn.addEventListener("click", () => {
+      this.resetSecrets();
+    });
+
+    // Models
+    this.elements.refreshModelsBtn.addEventListener("click", () => {
+      this.refreshModels();
+    });
+
+    // Profiles
+    this.elements.profileSelect.addEventListener("change", (e) => {
+      this.switchProfile(e.target.value);
+    });
+    this.elements.addProfileBtn.addEventListener("click", () => {
+      this.addProfile();
+    });
+    this.elements.deleteProfileBtn.addEventListener("click", () => {
+      this.deleteProfile();
+    });
+
+    // Environments
+    this.elements.environmentSelect.addEventListener("change", (e) => {
+      this.switchEnvironment(e.target.value);
+    });
+    this.elements.addEnvironmentBtn.addEventListener("click", () => {
+      this.addEnvironment();
+    });
+    this.elements.deleteEnvironmentBtn.addEventListener("click", () => {
+      this.deleteEnvironment();
+    });
+    this.elements.activateEnvironmentBtn.addEventListener("click", () => {
+      this.activateEnvironment();
+    });
+    this.elements.siteEnvironment.addEventListener("change", (e) => {
+      this.setSiteEnvironment(e.target.value);
+    });
+    this.elements.testConnectionBtn.addEventListener("click", () => {
+      this.testConnection();
+    });
+
     // Reset button
     this.elements.resetBtn.addEventListener("click", () => {
       this.resetSettings();
     });
 
+    // Export / import
+    this.elements.exportBtn.addEventListener("click", () => {
+      this.exportSettings();
+    });
+    this.elements.importBtn.addEventListener("click", () => {
+      this.elements.importFile.click();
+    });
+    this.elements.importFile.addEventListener("change", (e) => {
+      this.importSettings(e.target.files[0]);
+      e.target.value = "";
+    });
+
     // Auto-save when popup is about to close
     this.bindAutoSaveEvents();
   }
@@ -104,26 +262,836 @@ class PopupManager {
   async loadSettings() {
     try {
       const settings = await StorageManager.getSettings();
+      this.settings = { ...DEFAULT_SETTINGS, ...settings };
 
       // Update form fields
       this.elements.enabledSwitch.checked = settings.isEnabled;
-      this.elements.apiKey.value = settings.apiKey || "";
-      this.elements.selectedModel.value = settings.selectedModel || "sonar-pro";
-      this.elements.urlTemplate.value = settings.urlTemplate || "";
-      this.elements.documentUrl.value = settings.documentUrl || "";
+      this.elements.mockBackend.checked = !!this.settings.mockBackend;
+      this.elements.autoLockMinutes.value = String(
+        this.settings.autoLockMinutes
+      );
       this.elements.databaseUrl.value = settings.databaseUrl || "";
-      this.elements.instructionUrl.value = settings.instructionUrl || "";
-      this.elements.customPrompt.value = settings.customPrompt || "";
+
+      // Models of the profiles and of the other features
+      this.renderModelOptions();
+      Object.entries(FEATURE_MODEL_FIELDS).forEach(([field, feature]) => {
+        this.setModelValue(
+          this.elements[field],
+          this.settings.featureModels?.[feature] || ""
+        );
+      });
+
+      // Profile fields of the active profile
+      this.editingProfileId = StorageManager.resolveProfileSettings(
+        this.settings
+      ).profileId;
+      this.renderProfileOptions();
+      this.loadProfileIntoForm();
+
+      // Environment fields of the active environment
+      this.editingEnvironmentId =
+        this.settings.activeEnvironmentId ||
+        DEFAULT_SETTINGS.activeEnvironmentId;
+      this.renderEnvironmentOptions();
+      this.loadEnvironmentIntoForm();
+
+      await this.loadSecrets();
 
       // Update UI
       this.updateStatusText(settings.isEnabled);
-      this.updateCharCount(settings.customPrompt || "");
     } catch (error) {
       console.error("Error loading settings:", error);
       this.showSaveStatus("error", "Lỗi tải cài đặt");
     }
   }
 
+  // ========== PROFILES ==========
+
+  renderProfileOptions() {
+    const profiles = StorageManager.getProfiles(this.settings);
+
+    this.elements.profileSelect.innerHTML = "";
+    profiles.forEach((profile) => {
+      const option = document.createElement("option");
+      option.value = profile.id;
+      option.textContent = profile.name || "(Chưa đặt tên)";
+      this.elements.profileSelect.appendChild(option);
+    });
+    this.elements.profileSelect.value = this.editingProfileId;
+  }
+
+  /**
+   * Fill the profile fields of the form with the profile being edited
+   */
+  loadProfileIntoForm() {
+    const profile = StorageManager.getProfiles(this.settings).find(
+      (item) => item.id === this.editingProfileId
+    );
+    const isDefault = profile.id === DEFAULT_PROFILE_ID;
+
+    this.elements.profileName.value = profile.name || "";
+    this.elements.profileName.disabled = isDefault;
+    this.elements.deleteProfileBtn.disabled = isDefault;
+    this.setModelValue(
+      this.elements.selectedModel,
+      profile.selectedModel || DEFAULT_SETTINGS.selectedModel
+    );
+    this.updateModelInfo();
+    this.elements.urlTemplate.value = profile.urlTemplate || "";
+    this.elements.documentUrl.value = profile.documentUrl || "";
+    this.elements.instructionUrl.value = profile.instructionUrl || "";
+    this.elements.customPrompt.value = profile.customPrompt || "";
+    this.elements.titlePattern.value = profile.titlePattern || "";
+
+    this.updateCharCount(profile.customPrompt || "");
+    this.clearAllErrors();
+  }
+
+  /**
+   * Read the profile fields currently in the form
+   * @returns {Object} Profile fields
+   */
+  readProfileForm() {
+    return {
+      selectedModel: this.elements.selectedModel.value,
+      urlTemplate: this.elements.urlTemplate.value.trim(),
+      documentUrl: this.elements.documentUrl.value.trim(),
+      instructionUrl: this.elements.instructionUrl.value.trim(),
+      customPrompt: this.elements.customPrompt.value.trim(),
+      titlePattern: this.elements.titlePattern.value.trim(),
+    };
+  }
+
+  /**
+   * Build the settings object from the form
+   * The form edits the global fields and one profile, other profiles are kept as-is
+   * @returns {Object} Settings
+   */
+  collectSettings() {
+    const settings = {
+      ...this.settings,
+      isEnabled: this.elements.enabledSwitch.checked,
+      mockBackend: this.elements.mockBackend.checked,
+      autoLockMinutes: Number(this.elements.autoLockMinutes.value),
+      featureModels: Object.fromEntries(
+        Object.entries(FEATURE_MODEL_FIELDS)
+          .map(([field, feature]) => [feature, this.elements[field].value])
+          .filter(([, model]) => model)
+      ),
+      databaseUrl: this.elements.databaseUrl.value.trim(),
+      activeProfileId: this.editingProfileId,
+    };
+    settings.environments = EnvironmentManager.getEnvironments(settings).map(
+      (environment) =>
+        environment.id === this.editingEnvironmentId
+          ? { ...environment, ...this.readEnvironmentForm() }
+          : environment
+    );
+    const profileFields = this.readProfileForm();
+
+    if (this.editingProfileId === DEFAULT_PROFILE_ID) {
+      Object.assign(settings, profileFields);
+    } else {
+      settings.profiles = (settings.profiles || []).map((profile) =>
+        profile.id === this.editingProfileId
+          ? {
+              ...profile,
+              ...profileFields,
+              name: this.elements.profileName.value.trim(),
+            }
+          : profile
+      );
+    }
+
+    return settings;
+  }
+
+  async switchProfile(profileId) {
+    // Keep what was typed in the previous profile
+    this.settings = this.collectSettings();
+    this.editingProfileId = profileId;
+    this.loadProfileIntoForm();
+    await this.saveSettingsImmediately();
+  }
+
+  async addProfile() {
+    this.settings = this.collectSettings();
+
+    // Start from the current profile so only the differences need typing
+    const profile = {
+      id: `profile_${Date.now()}`,
+      name: "Profile mới",
+      ...this.readProfileForm(),
+    };
+    this.settings.profiles = [...(this.settings.profiles || []), profile];
+    this.editingProfileId = profile.id;
+
+    this.renderProfileOptions();
+    this.loadProfileIntoForm();
+    this.elements.profileName.focus();
+    this.elements.profileName.select();
+    await this.saveSettings();
+  }
+
+  async deleteProfile() {
+    if (this.editingProfileId === DEFAULT_PROFILE_ID) return;
+
+    const profile = this.settings.profiles.find(
+      (item) => item.id === this.editingProfileId
+    );
+    if (!confirm(`Bạn có chắc muốn xóa profile "${profile?.name}"?`)) {
+      return;
+    }
+
+    this.settings.profiles = this.settings.profiles.filter(
+      (item) => item.id !== this.editingProfileId
+    );
+    this.editingProfileId = DEFAULT_PROFILE_ID;
+
+    this.renderProfileOptions();
+    this.loadProfileIntoForm();
+    await this.saveSettings();
+  }
+
+  // ========== MODELS ==========
+
+  /**
+   * Get the models endpoint of the environment used on the current site
+   * @returns {{environment: Object, url: string}} Environment and models URL
+   */
+  getModelsEndpoint() {
+    const environment = EnvironmentManager.resolveEnvironment(
+      this.collectSettings(),
+      this.siteOrigin
+    );
+    return {
+      environment,
+      url: EnvironmentManager.buildApiUrls(environment).MODELS,
+    };
+  }
+
+  /**
+   * Load the models offered by the backend, see ModelRegistry
+   * @param {Object} options - { refresh: skip the cache }
+   */
+  async loadModels({ refresh = false } = {}) {
+    const { models, source } = await ModelRegistry.getModels(
+      this.getModelsEndpoint().url,
+      { refresh }
+    );
+    this.models = models;
+    this.modelSource = source;
+    this.renderModelOptions();
+  }
+
+  async refreshModels() {
+    const { environment } = this.getModelsEndpoint();
+    const permission = this.requestOrigins([
+      EnvironmentManager.getOriginPattern(environment.backendUrl),
+    ]);
+
+    this.elements.refreshModelsBtn.disabled = true;
+    try {
+      await permission;
+      await this.loadModels({ refresh: true });
+      if (this.modelSource === "fallback") {
+        this.showSaveStatus("error", "Không tải được danh sách model");
+      } else {
+        this.showSaveStatus("saved", `Đã tải ${this.models.length} model`);
+      }
+    } finally {
+      this.elements.refreshModelsBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Fill the model selects, keeping the selected values
+   */
+  renderModelOptions() {
+    this.fillModelSelect(
+      this.elements.selectedModel,
+      ModelRegistry.getModelsForFeature(this.models, AI_FEATURES.GENERATE),
+      this.elements.selectedModel.value
+    );
+    Object.entries(FEATURE_MODEL_FIELDS).forEach(([field, feature]) => {
+      const select = this.elements[field];
+      this.fillModelSelect(
+        select,
+        ModelRegistry.getModelsForFeature(this.models, feature),
+        select.value,
+        DEFAULT_FEATURE_MODELS[feature]
+          ? `Mặc định (${DEFAULT_FEATURE_MODELS[feature]})`
+          : "Theo model của profile"
+      );
+    });
+    this.updateModelInfo();
+  }
+
+  /**
+   * Replace the options of a model select
+   * @param {HTMLSelectElement} select - Select element
+   * @param {Array<Object>} models - Models, see ModelRegistry
+   * @param {string} value - Model to select
+   * @param {string} emptyLabel - Label of an empty first option, none when omitted
+   */
+  fillModelSelect(select, models, value, emptyLabel) {
+    select.innerHTML = "";
+    if (emptyLabel) {
+      select.appendChild(new Option(emptyLabel, ""));
+    }
+    models.forEach((model) => {
+      const option = new Option(ModelRegistry.describeModel(model), model.id);
+      option.title = model.description;
+      select.appendChild(option);
+    });
+    this.setModelValue(select, value);
+  }
+
+  /**
+   * Select a model, adding it when the backend no longer lists it
+   * @param {HTMLSelectElement} select - Select element
+   * @param {string} modelId - Model id
+   */
+  setModelValue(select, modelId) {
+    if (
+      modelId &&
+      !Array.from(select.options).some((option) => option.value === modelId)
+    ) {
+      select.appendChild(
+        new Option(`${modelId} (không có trong danh sách)`, modelId)
+      );
+    }
+    select.value = modelId;
+  }
+
+  updateModelInfo() {
+    const model = this.models.find(
+      (item) => item.id === this.elements.selectedModel.value
+    );
+    const source =
+      this.modelSource === "fallback"
+        ? "Danh sách mặc định, backend chưa trả về model"
+        : "";
+    this.elements.modelInfo.textContent = [model?.description, source]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  // ========== ENVIRONMENTS ==========
+
+  renderEnvironmentOptions() {
+    const environments = EnvironmentManager.getEnvironments(this.settings);
+    const fillOptions = (select, items) => {
+      select.innerHTML = "";
+      items.forEach(({ value, label }) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+    };
+    const activeEnvironmentId = this.getActiveEnvironmentId();
+    const environmentOptions = environments.map((environment) => ({
+      value: environment.id,
+      label: environment.name || "(Chưa đặt tên)",
+    }));
+
+    // The editor can show any environment, the active one is marked
+    fillOptions(
+      this.elements.environmentSelect,
+      environmentOptions.map((option) => ({
+        ...option,
+        label:
+          option.value === activeEnvironmentId
+            ? `${option.label} (đang dùng)`
+            : option.label,
+      }))
+    );
+    this.elements.environmentSelect.value = this.editingEnvironmentId;
+
+    // Per-site override, only when the popup was opened on a web page
+    this.elements.siteEnvironmentGroup.style.display = this.siteOrigin
+      ? "block"
+      : "none";
+    if (this.siteOrigin) {
+      const siteEnvironments = this.getSiteEnvironments();
+      this.elements.siteOrigin.textContent = this.siteOrigin;
+      fillOptions(this.elements.siteEnvironment, [
+        { value: "", label: "Theo môi trường đang chọn" },
+        ...environmentOptions,
+      ]);
+      this.elements.siteEnvironment.value =
+        siteEnvironments[this.siteOrigin] || "";
+    }
+  }
+
+  /**
+   * Fill the environment fields of the form with the environment being edited
+   */
+  loadEnvironmentIntoForm() {
+    const environments = EnvironmentManager.getEnvironments(this.settings);
+    const environment =
+      environments.find((item) => item.id === this.editingEnvironmentId) ||
+      environments[0];
+    const isBuiltIn = EnvironmentManager.isBuiltIn(environment.id);
+
+    this.editingEnvironmentId = environment.id;
+    this.elements.environmentName.value = environment.name || "";
+    this.elements.environmentName.disabled = isBuiltIn;
+    this.elements.deleteEnvironmentBtn.disabled = isBuiltIn;
+    this.elements.activateEnvironmentBtn.disabled =
+      environment.id === this.getActiveEnvironmentId();
+    ENVIRONMENT_FIELDS.forEach((field) => {
+      this.elements[field].value = environment[field] || "";
+    });
+    this.elements.connectionResult.innerHTML = "";
+  }
+
+  /**
+   * Read the environment fields currently in the form
+   * @returns {Object} Environment fields
+   */
+  readEnvironmentForm() {
+    return {
+      name: this.elements.environmentName.value.trim(),
+      ...Object.fromEntries(
+        ENVIRONMENT_FIELDS.map((field) => [
+          field,
+          this.elements[field].value.trim(),
+        ])
+      ),
+    };
+  }
+
+  getSiteEnvironments() {
+    return this.settings.siteEnvironments || DEFAULT_SETTINGS.siteEnvironments;
+  }
+
+  getActiveEnvironmentId() {
+    return (
+      this.settings.activeEnvironmentId || DEFAULT_SETTINGS.activeEnvironmentId
+    );
+  }
+
+  /**
+   * Show another environment in the form, the active environment is unchanged
+   * @param {string} environmentId - Environment ID
+   */
+  async switchEnvironment(environmentId) {
+    this.settings = this.collectSettings();
+    this.editingEnvironmentId = environmentId;
+    this.loadEnvironmentIntoForm();
+    await this.saveSettingsImmediately();
+  }
+
+  /**
+   * Make the environment in the form the one used by every site not pinned to another
+   */
+  async activateEnvironment() {
+    this.settings = {
+      ...this.collectSettings(),
+      activeEnvironmentId: this.editingEnvironmentId,
+    };
+    this.elements.activateEnvironmentBtn.disabled = true;
+    await this.saveSettings();
+    await this.loadModels();
+  }
+
+  async addEnvironment() {
+    this.settings = this.collectSettings();
+
+    // Start from the current environment, usually only the backend URL differs
+    const environment = {
+      ...this.readEnvironmentForm(),
+      id: `environment_${Date.now()}`,
+      name: "Môi trường mới",
+    };
+    this.settings.environments = [...this.settings.environments, environment];
+    this.editingEnvironmentId = environment.id;
+
+    this.renderEnvironmentOptions();
+    this.loadEnvironmentIntoForm();
+    this.elements.environmentName.focus();
+    this.elements.environmentName.select();
+    await this.saveSettings();
+  }
+
+  async deleteEnvironment() {
+    const environmentId = this.editingEnvironmentId;
+    if (EnvironmentManager.isBuiltIn(environmentId)) return;
+
+    const environment = this.settings.environments.find(
+      (item) => item.id === environmentId
+    );
+    if (!confirm(`Bạn có chắc muốn xóa môi trường "${environment?.name}"?`)) {
+      return;
+    }
+
+    this.settings.environments = this.settings.environments.filter(
+      (item) => item.id !== environmentId
+    );
+    // Sites pinned to this environment fall back to the active one
+    this.settings.siteEnvironments = Object.fromEntries(
+      Object.entries(this.getSiteEnvironments()).filter(
+        ([, id]) => id !== environmentId
+      )
+    );
+    const wasActive = this.getActiveEnvironmentId() === environmentId;
+    if (wasActive) {
+      this.settings.activeEnvironmentId = DEFAULT_SETTINGS.activeEnvironmentId;
+    }
+    this.editingEnvironmentId = DEFAULT_SETTINGS.activeEnvironmentId;
+
+    this.renderEnvironmentOptions();
+    this.loadEnvironmentIntoForm();
+    await this.saveSettings();
+    if (wasActive) {
+      await this.loadModels();
+    }
+  }
+
+  /**
+   * Pin an environment for the site of the active tab
+   * Sites outside the manifest need a host permission for K-Tool to run there,
+   * it is requested first while the change still counts as a user gesture.
+   * Without it the pin is not saved, K-Tool would not run on the site anyway
+   * @param {string} environmentId - Environment ID, empty to follow the active environment
+   */
+  async setSiteEnvironment(environmentId) {
+    const permission = environmentId
+      ? this.requestOrigins([
+          EnvironmentManager.getOriginPattern(this.siteOrigin),
+        ])
+      : Promise.resolve(true);
+
+    if (!(await permission)) {
+      this.elements.siteEnvironment.value =
+        this.getSiteEnvironments()[this.siteOrigin] || "";
+      this.showSaveStatus("error", "Chưa được cấp quyền truy cập site này");
+      return;
+    }
+
+    this.settings = this.collectSettings();
+    const siteEnvironments = { ...this.getSiteEnvironments() };
+    if (environmentId) {
+      siteEnvironments[this.siteOrigin] = environmentId;
+    } else {
+      delete siteEnvironments[this.siteOrigin];
+    }
+    this.settings.siteEnvironments = siteEnvironments;
+    await this.saveSettings();
+    await this.loadModels();
+  }
+
+  /**
+   * Ask for optional host permissions
+   * Already granted origins resolve without a prompt
+   * @param {Array<string|null>} patterns - Origin patterns, null entries are ignored
+   * @returns {Promise<boolean>} True if granted
+   */
+  requestOrigins(patterns) {
+    const origins = [...new Set(patterns.filter(Boolean))];
+    if (origins.length === 0) return Promise.resolve(true);
+
+    return chrome.permissions.request({ origins }).catch((error) => {
+      console.error("Error requesting host permissions:", error);
+      return false;
+    });
+  }
+
+  /**
+   * Check that the backend and Confluence of the environment in the form answer
+   */
+  async testConnection() {
+    const environment = this.readEnvironmentForm();
+    if (!environment.confluenceBaseUrl) {
+      environment.confluenceBaseUrl = this.siteOrigin || "";
+    }
+    const permission = this.requestOrigins([
+      EnvironmentManager.getOriginPattern(environment.backendUrl),
+      EnvironmentManager.getOriginPattern(environment.confluenceBaseUrl),
+    ]);
+
+    const resultElement = this.elements.connectionResult;
+    const button = this.elements.testConnectionBtn;
+    button.disabled = true;
+    resultElement.textContent = "⏳ Đang kiểm tra...";
+
+    try {
+      if (!(await permission)) {
+        resultElement.innerHTML = "";
+        this.showSaveStatus("error", "Chưa được cấp quyền truy cập");
+        return;
+      }
+
+      const { backend, confluence } = await EnvironmentManager.testConnection(
+        environment
+      );
+      this.renderCheckResult(
+        resultElement,
+        [
+          ["Backend", backend],
+          ["Confluence", confluence],
+        ].map(([label, probe]) => ({
+          ok: probe.ok,
+          text: `${label}: ${probe.message}${
+            probe.url ? `\n${probe.url}` : ""
+          }`,
+        }))
+      );
+    } catch (error) {
+      console.error("Error testing connection:", error);
+      resultElement.textContent = `❌ ${error.message}`;
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Show the lines of a connection or key check
+   * @param {HTMLElement} element - Result container
+   * @param {Array<{ok: boolean, text: string}>} lines - Result lines
+   */
+  renderCheckResult(element, lines) {
+    element.innerHTML = "";
+    lines.forEach(({ ok, text }) => {
+      const line = document.createElement("div");
+      line.className = ok ? "ok" : "failed";
+      line.textContent = `${ok ? "✅" : "❌"} ${text}`;
+      element.appendChild(line);
+    });
+  }
+
+  // ========== API KEY ==========
+
+  /**
+   * Show the API key of the SecretStore, or the passphrase form when it is locked
+   */
+  async loadSecrets() {
+    // The popup may open before the background moved a plain key out of sync,
+    // the form must not save it back either
+    await SecretStore.migrateLegacyApiKey();
+    delete this.settings.apiKey;
+
+    this.secretStatus = await SecretStore.getStatus();
+    const secrets = this.secretStatus.unlocked
+      ? await SecretStore.getSecrets()
+      : null;
+
+    // A key saved before encryption stays plain until a passphrase is set
+    this.savedApiKey = this.secretStatus.configured
+      ? secrets?.apiKey || ""
+      : await SecretStore.getLegacyApiKey();
+    this.elements.apiKey.value = this.savedApiKey;
+    this.renderSecretState();
+  }
+
+  renderSecretState() {
+    const { configured, unlocked } = this.secretStatus;
+    const locked = configured && !unlocked;
+
+    this.elements.apiKeyRow.style.display = locked ? "none" : "flex";
+    this.elements.lockBtn.style.display = unlocked ? "" : "none";
+    this.elements.passphraseGroup.style.display = unlocked ? "none" : "block";
+    this.elements.resetSecretsBtn.style.display = locked ? "" : "none";
+    this.elements.passphrase.value = "";
+    this.elements.passphrase.placeholder = locked
+      ? "Nhập passphrase để mở khóa"
+      : `Đặt passphrase (ít nhất ${SecretStore.MIN_PASSPHRASE_LENGTH} ký tự)`;
+    this.elements.unlockBtn.textContent = locked ? "🔓" : "🔐";
+    this.elements.unlockBtn.title = locked ? "Mở khóa" : "Mã hóa API key";
+    this.elements.passphraseHelp.textContent = locked
+      ? "API key đang bị khóa, nhập passphrase để dùng K-Tool"
+      : "API key được mã hóa bằng passphrase, chỉ lưu trên máy này và không đồng bộ";
+    this.elements.apiKeyStatus.innerHTML = "";
+    this.clearError("passphrase");
+  }
+
+  /**
+   * Unlock the API key, or encrypt the typed key with a new passphrase
+   */
+  async unlockSecrets() {
+    const { configured } = this.secretStatus;
+    const passphrase = this.elements.passphrase.value;
+
+    try {
+      if (configured) {
+        await SecretStore.unlock(passphrase);
+      } else {
+        const apiKey = this.elements.apiKey.value.trim();
+        if (!apiKey) {
+          this.showError("apiKey", "API Key là bắt buộc");
+          return;
+        }
+        await SecretStore.setup(passphrase, { apiKey });
+      }
+
+      await this.loadSecrets();
+      this.showSaveStatus(
+        "saved",
+        configured ? "Đã mở khóa" : "Đã mã hóa API key"
+      );
+    } catch (error) {
+      console.error("Error unlocking secrets:", error);
+      this.showError("passphrase", error.message);
+    }
+  }
+
+  async lockSecrets() {
+    try {
+      await this.saveApiKey();
+      await SecretStore.lock();
+      await this.loadSecrets();
+      this.showSaveStatus("saved", "Đã khóa");
+    } catch (error) {
+      console.error("Error locking secrets:", error);
+      this.showSaveStatus("error", "Lỗi khóa API key");
+    }
+  }
+
+  async resetSecrets() {
+    if (
+      !confirm(
+        "Xóa API key đã mã hóa? Bạn sẽ phải nhập lại API key và đặt passphrase mới."
+      )
+    ) {
+      return;
+    }
+
+    await SecretStore.reset();
+    await this.loadSecrets();
+  }
+
+  /**
+   * Encrypt the API key of the form if it changed, only while unlocked
+   * A new key cannot be saved before a passphrase is set
+   */
+  async saveApiKey() {
+    const apiKey = this.elements.apiKey.value.trim();
+    if (apiKey === this.savedApiKey) return;
+    if (!this.secretStatus.configured) {
+      throw new Error(API_KEY_NEEDS_PASSPHRASE);
+    }
+    if (!this.secretStatus.unlocked) return;
+
+    await SecretStore.saveSecrets({
+      ...(await SecretStore.getSecrets()),
+      apiKey,
+    });
+    this.savedApiKey = apiKey;
+  }
+
+  /**
+   * Check the API key of the form against the backend of the current environment
+   */
+  async validateApiKey() {
+    const apiKey = this.elements.apiKey.value.trim();
+    if (!apiKey) {
+      this.showError("apiKey", "API Key là bắt buộc");
+      return;
+    }
+
+    const environment = EnvironmentManager.resolveEnvironment(
+      this.collectSettings(),
+      this.siteOrigin
+    );
+    const permission = this.requestOrigins([
+      EnvironmentManager.getOriginPattern(environment.backendUrl),
+    ]);
+
+    const statusElement = this.elements.apiKeyStatus;
+    const button = this.elements.validateKeyBtn;
+    button.disabled = true;
+    statusElement.textContent = "⏳ Đang kiểm tra API key...";
+
+    try {
+      if (!(await permission)) {
+        statusElement.innerHTML = "";
+        this.showSaveStatus("error", "Chưa được cấp quyền truy cập");
+        return;
+      }
+
+      const result = await ApiClient.validateApiKey(
+        EnvironmentManager.buildApiUrls(environment).VALIDATE_KEY,
+        apiKey,
+        this.elements.selectedModel.value
+      );
+      this.renderCheckResult(statusElement, [
+        {
+          ok: result.valid,
+          text: result.valid
+            ? `API key hợp lệ (${environment.name})`
+            : result.error,
+        },
+      ]);
+    } catch (error) {
+      console.error("Error validating API key:", error);
+      statusElement.textContent = `❌ ${error.message}`;
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Get the origin of the tab the popup was opened on
+   * @returns {Promise<string|null>} Origin, null for non-web pages
+   */
+  async getActiveTabOrigin() {
+    try {
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      const url = new URL(tab?.url || "");
+      return /^https?:$/.test(url.protocol) ? url.origin : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // ========== EXPORT / IMPORT ==========
+
+  async exportSettings() {
+    try {
+      await this.saveSettingsImmediately();
+      const json = await StorageManager.exportSettings();
+
+      const blob = new Blob([json], { type: "application/json" });
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `k-tool-settings-${new Date()
+        .toISOString()
+        .slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+
+      this.showSaveStatus("saved", "Đã xuất cài đặt");
+    } catch (error) {
+      console.error("Error exporting settings:", error);
+      this.showSaveStatus("error", "Lỗi xuất cài đặt");
+    }
+  }
+
+  async importSettings(file) {
+    if (!file) return;
+
+    try {
+      const result = await StorageManager.importSettings(await file.text());
+      if (!result.success) {
+        this.showSaveStatus("error", `Lỗi nhập: ${result.error}`);
+        return;
+      }
+
+      this.isInitialLoad = true;
+      await this.loadSettings();
+      this.isInitialLoad = false;
+      this.showSaveStatus("saved", "Đã nhập cài đặt");
+    } catch (error) {
+      console.error("Error importing settings:", error);
+      this.showSaveStatus("error", "Lỗi nhập cài đặt");
+    }
+  }
+
   handleInputChange(field, value) {
     if (this.isInitialLoad) return;
 
@@ -142,26 +1110,50 @@ class PopupManager {
     try {
       this.showSaveStatus("saving", "Đang lưu...");
 
-      const settings = {
-        isEnabled: this.elements.enabledSwitch.checked,
-        apiKey: this.elements.apiKey.value.trim(),
-        selectedModel: this.elements.selectedModel.value,
-        urlTemplate: this.elements.urlTemplate.value.trim(),
-        documentUrl: this.elements.documentUrl.value.trim(),
-        databaseUrl: this.elements.databaseUrl.value.trim(),
-        instructionUrl: this.elements.instructionUrl.value.trim(),
-        customPrompt: this.elements.customPrompt.value.trim(),
-      };
+      const settings = this.collectSettings();
+      this.settings = settings;
+      this.renderProfileOptions();
+      this.renderEnvironmentOptions();
 
-      // Validate settings
-      const validation = StorageManager.validateSettings(settings);
-      if (!validation.isValid) {
-        this.showValidationErrors(validation.errors);
+      // Validate global fields and the profile being edited
+      const validation = StorageManager.validateSettings(
+        StorageManager.resolveProfileSettings(settings, this.editingProfileId)
+      );
+      const profileErrors =
+        this.editingProfileId === DEFAULT_PROFILE_ID
+          ? {}
+          : StorageManager.validateProfile(
+              settings.profiles.find(
+                (profile) => profile.id === this.editingProfileId
+              )
+            );
+      const environmentErrors = StorageManager.validateEnvironment(
+        settings.environments.find(
+          (environment) => environment.id === this.editingEnvironmentId
+        )
+      );
+      const errors = {
+        ...validation.errors,
+        ...profileErrors,
+        ...environmentErrors,
+      };
+      if (this.secretStatus.unlocked && !this.elements.apiKey.value.trim()) {
+        errors.apiKey = "API Key là bắt buộc";
+      }
+      if (
+        !this.secretStatus.configured &&
+        this.elements.apiKey.value.trim() !== this.savedApiKey
+      ) {
+        errors.passphrase = API_KEY_NEEDS_PASSPHRASE;
+      }
+      if (Object.keys(errors).length > 0) {
+        this.showValidationErrors(errors);
         this.showSaveStatus("error", "Lỗi validation");
         return;
       }
 
-      // Save settings
+      // Save settings, the API key goes to the SecretStore
+      await this.saveApiKey();
       const success = await StorageManager.saveSettings(settings);
       if (success) {
         this.showSaveStatus("saved", "Đã lưu");
@@ -184,19 +1176,12 @@ class PopupManager {
         this.saveTimeout = null;
       }
 
-      const settings = {
-        isEnabled: this.elements.enabledSwitch.checked,
-        apiKey: this.elements.apiKey.value.trim(),
-        selectedModel: this.elements.selectedModel.value,
-        urlTemplate: this.elements.urlTemplate.value.trim(),
-        documentUrl: this.elements.documentUrl.value.trim(),
-        databaseUrl: this.elements.databaseUrl.value.trim(),
-        instructionUrl: this.elements.instructionUrl.value.trim(),
-        customPrompt: this.elements.customPrompt.value.trim(),
-      };
+      const settings = this.collectSettings();
+      this.settings = settings;
 
       // Save settings without validation to ensure data is preserved
       // even if some fields are invalid
+      await this.saveApiKey();
       await StorageManager.saveSettings(settings);
     } catch (error) {
       console.error("Error saving settings immediately:", error);
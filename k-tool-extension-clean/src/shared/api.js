@@ -1,39 +1,247 @@
 // API utilities for K-Tool Extension
-import { API_URLS } from "./constants.js";
+import { AI_FEATURES, API_URLS, GENERATION_BUDGET } from "./constants.js";
 import {
+  detectConfluenceAdapter,
+  readConfluenceError,
+} from "./confluenceAdapters.js";
+import {
+  findStructuredMacros,
   getDiagramConfluenceStyles,
   processAndSaveDiagrams,
 } from "./diagramUtils.js";
+import { MockBackend } from "./mockBackend.js";
+import { ModelRegistry } from "./modelRegistry.js";
+import { PlaceholderGrammar } from "./placeholderGrammar.js";
+import { SecretStore } from "./secretStore.js";
+import { StorageFormatSanitizer } from "./storageFormatSanitizer.js";
+import { StorageManager } from "../content/utils/storageManager.js";
 
 export class ApiClient {
   /**
-   * Make HTTP request with error handling
+   * Make an authenticated backend request with error handling
+   * The API key, model and client version are sent as headers, see getAuthHeaders
+   * With the mockBackend setting on, MockBackend answers instead of the server
    * @param {string} url - Request URL
-   * @param {Object} options - Fetch options
-   * @returns {Promise<Object>} Response data
+   * @param {Object} options - Fetch options, plus:
+   *   model (overrides the active profile model), apiKey (overrides the saved key),
+   *   responseType ("json" or "text")
+   * @returns {Promise<Object>} { success, data } or { success: false, error, status }
    */
   static async request(url, options = {}) {
+    const { model, apiKey, responseType = "json", ...fetchOptions } = options;
+
     try {
+      if (await MockBackend.isEnabled()) {
+        return await MockBackend.request(url, fetchOptions);
+      }
+
       const response = await fetch(url, {
+        ...fetchOptions,
         headers: {
           "Content-Type": "application/json",
-          ...options.headers,
+          ...(await this.getAuthHeaders({ model, apiKey })),
+          ...fetchOptions.headers,
         },
-        ...options,
       });
 
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw await this.createResponseError(response);
       }
 
-      const data = await response.json();
+      const data =
+        responseType === "text" ? await response.text() : await response.json();
       return { success: true, data };
     } catch (error) {
       console.error("API request failed:", error);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, status: error.status };
     }
   }
 
+  /**
+   * Get the API key and the model of a feature
+   * @param {string} feature - One of AI_FEATURES, defaults to generation (model of the active profile)
+   * @returns {Promise<{apiKey: string, locked: boolean, model: string}>} Credentials,
+   *   apiKey is empty while the SecretStore is locked
+   */
+  static async getCredentials(feature = AI_FEATURES.GENERATE) {
+    const [settings, { apiKey, locked }] = await Promise.all([
+      StorageManager.getSettings(),
+      SecretStore.getApiKey(),
+    ]);
+    return {
+      apiKey,
+      locked,
+      model: ModelRegistry.resolveFeatureModel(settings, feature),
+    };
+  }
+
+  /**
+   * Build the headers identifying the user and client to the backend
+   * @param {Object} overrides - { model, apiKey }, saved settings are used otherwise
+   * @returns {Promise<Object>} Authorization, X-Model and X-Client-Version headers
+   * @throws {Error} When no key is given and the SecretStore is locked
+   */
+  static async getAuthHeaders({ model, apiKey } = {}) {
+    const credentials = await this.getCredentials();
+    const key = apiKey ?? credentials.apiKey;
+    if (!key && credentials.locked) {
+      throw new Error(
+        "API key đang bị khóa. Mở popup K-Tool và nhập passphrase để mở khóa."
+      );
+    }
+    const headers = {
+      "X-Client-Version": chrome.runtime.getManifest().version,
+    };
+
+    if (key) {
+      headers.Authorization = `Bearer ${key}`;
+    }
+    if (model || credentials.model) {
+      headers["X-Model"] = model || credentials.model;
+    }
+    return headers;
+  }
+
+  /**
+   * Build an error for a failed backend response
+   * 401 and 429 get messages the user can act on
+   * @param {Response} response - Fetch response (not ok)
+   * @returns {Promise<Error>} Error with the HTTP status in error.status
+   */
+  static async createResponseError(response) {
+    let message = `HTTP ${response.status}: ${response.statusText}`;
+
+    if (response.status === 401) {
+      message =
+        "API key không hợp lệ hoặc đã hết hạn. Vui lòng kiểm tra API key trong cài đặt K-Tool.";
+    } else if (response.status === 429) {
+      const retryAfter = Number(response.headers.get("Retry-After"));
+      message = `Đã vượt quá giới hạn yêu cầu của API key. Vui lòng thử lại ${
+        retryAfter > 0 ? `sau ${retryAfter} giây` : "sau ít phút"
+      }.`;
+    } else {
+      // Backend errors are JSON ({ error } or { detail }) or plain text
+      const errorText = await response.text().catch(() => "");
+      try {
+        const errorJson = JSON.parse(errorText);
+        message =
+          errorJson.error || errorJson.detail || errorJson.message || message;
+      } catch {
+        message = errorText.trim() || message;
+      }
+    }
+
+    const error = new Error(message);
+    error.status = response.status;
+    return error;
+  }
+
+  /**
+   * Check an API key against the backend
+   * @param {string} url - Key validation endpoint (API_URLS.VALIDATE_KEY of the environment)
+   * @param {string} apiKey - Key to check
+   * @param {string} model - Selected model
+   * @returns {Promise<{valid: boolean, error?: string}>} Result
+   */
+  static async validateApiKey(url, apiKey, model) {
+    const result = await this.request(url, { apiKey, model });
+    return result.success
+      ? { valid: true }
+      : { valid: false, error: result.error };
+  }
+
+  /**
+   * Read a Server-Sent Events stream and pass each event to a callback
+   * @param {string} url - Stream URL
+   * @param {Function} onEvent - Called with the parsed event data, return false to stop reading
+   * @param {Object} options - { signal, headers }
+   * @returns {Promise<{supported: boolean}>} supported=false when the server did not answer with an event stream
+   */
+  static async streamEvents(url, onEvent, options = {}) {
+    // The mock backend is polled
+    if (await MockBackend.isEnabled()) {
+      return { supported: false };
+    }
+
+    const response = await fetch(url, {
+      headers: {
+        Accept: "text/event-stream",
+        ...(await this.getAuthHeaders()),
+        ...options.headers,
+      },
+      signal: options.signal,
+    });
+
+    if (!response.ok) {
+      throw await this.createResponseError(response);
+    }
+
+    const contentType = response.headers.get("Content-Type") || "";
+    if (!contentType.includes("text/event-stream") || !response.body) {
+      await response.body?.cancel();
+      return { supported: false };
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const rawEvents = buffer.split(/\r?\n\r?\n/);
+      buffer = rawEvents.pop();
+
+      for (const rawEvent of rawEvents) {
+        const data = this.parseServerSentEvent(rawEvent);
+        if (data && (await onEvent(data)) === false) {
+          await reader.cancel();
+          return { supported: true };
+        }
+      }
+    }
+
+    return { supported: true };
+  }
+
+  /**
+   * Parse one Server-Sent Event block
+   * @param {string} rawEvent - Raw event text (lines without the blank separator)
+   * @returns {Object|null} Event data, null for comments/keep-alive events
+   */
+  static parseServerSentEvent(rawEvent) {
+    let eventName = "";
+    const dataLines = [];
+
+    rawEvent.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith("event:")) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith("data:")) {
+        dataLines.push(line.slice(5).replace(/^ /, ""));
+      }
+    });
+
+    if (dataLines.length === 0) {
+      return null;
+    }
+
+    const rawData = dataLines.join("\n");
+    let data;
+    try {
+      data = JSON.parse(rawData);
+    } catch (error) {
+      data = { progress_message: rawData };
+    }
+
+    // Named events ("done", "error") carry the status in the event name
+    if (eventName && !data.status && eventName !== "message") {
+      data.status = eventName;
+    }
+    return data;
+  }
+
   /**
    * Generate document from BA content
    * @param {Object} payload - Generation payload
@@ -43,6 +251,20 @@ export class ApiClient {
     return await this.request(API_URLS.GEN_DOC, {
       method: "POST",
       body: JSON.stringify(payload),
+      model: payload.selectedModel,
+    });
+  }
+
+  /**
+   * Regenerate a single section of a generated document
+   * @param {Object} payload - ba_content, template_section, current_section, heading, instruction
+   * @returns {Promise<Object>} Response with section_storage_format
+   */
+  static async regenerateSection(payload) {
+    return await this.request(API_URLS.REGEN_SECTION, {
+      method: "POST",
+      body: JSON.stringify(payload),
+      model: payload.selectedModel,
     });
   }
 
@@ -70,9 +292,69 @@ export class ApiClient {
    * @returns {Promise<Object>} Edit response
    */
   static async editText(payload) {
+    const body = await this.withModel(payload, AI_FEATURES.TEXT_EDIT);
     return await this.request(API_URLS.EDIT_TEXT, {
       method: "POST",
-      body: JSON.stringify(payload),
+      body: JSON.stringify(body),
+      model: body.selectedModel,
+    });
+  }
+
+  /**
+   * Add the model of a feature to an AI edit payload
+   * @param {Object} payload - Request payload
+   * @param {string} feature - One of AI_FEATURES
+   * @returns {Promise<Object>} Payload with selectedModel
+   */
+  static async withModel(payload, feature) {
+    return {
+      ...payload,
+      selectedModel:
+        payload.selectedModel || (await this.getCredentials(feature)).model,
+    };
+  }
+
+  /**
+   * Edit a Mermaid diagram of the generated document using AI
+   * @param {Object} payload - content, diagram_code, user_request
+   * @returns {Promise<Object>} Response with edited_diagram
+   */
+  static async editDiagram(payload) {
+    const body = await this.withModel(payload, AI_FEATURES.DIAGRAM_EDIT);
+    return await this.request(API_URLS.EDIT_DIAGRAM, {
+      method: "POST",
+      body: JSON.stringify(body),
+      model: body.selectedModel,
+    });
+  }
+
+  /**
+   * Edit a Mermaid diagram of a Confluence page using AI
+   * @param {Object} payload - diagram_code, prompt, content
+   * @returns {Promise<Object>} Response with the new Mermaid code as text
+   */
+  static async editMermaid(payload) {
+    const body = await this.withModel(payload, AI_FEATURES.DIAGRAM_EDIT);
+    return await this.request(API_URLS.EDIT_MERMAID, {
+      method: "POST",
+      body: JSON.stringify(body),
+      model: body.selectedModel,
+      responseType: "text",
+    });
+  }
+
+  /**
+   * Edit selected HTML of a Confluence page using AI
+   * @param {Object} payload - html_content, selected_text, prompt, page_content
+   * @returns {Promise<Object>} Response with the edited HTML as text
+   */
+  static async editHtmlContent(payload) {
+    const body = await this.withModel(payload, AI_FEATURES.TEXT_EDIT);
+    return await this.request(API_URLS.EDIT_HTML_CONTENT, {
+      method: "POST",
+      body: JSON.stringify(body),
+      model: body.selectedModel,
+      responseType: "text",
     });
   }
 
@@ -116,23 +398,26 @@ export class ApiClient {
    * Fix invalid XHTML content using AI
    * @param {string} xhtmlContent - Invalid XHTML content to fix
    * @param {string} errorDetails - Error details from parser
-   * @param {string} model - AI model to use (optional)
+   * @param {string} model - AI model to use (optional, defaults to the XHTML fix model of the settings)
    * @returns {Promise<Object>} Fixed XHTML response
    */
-  static async fixXhtml(xhtmlContent, errorDetails, model = "gpt-4o-mini") {
+  static async fixXhtml(xhtmlContent, errorDetails, model) {
     console.log("🔧 Fixing XHTML content...");
     console.log("📄 XHTML content length:", xhtmlContent?.length || 0);
     console.log("❌ Error details:", errorDetails);
     console.log("🔗 API URL:", API_URLS.FIX_XHTML);
 
     try {
+      const fixModel =
+        model || (await this.getCredentials(AI_FEATURES.XHTML_FIX)).model;
       const result = await this.request(API_URLS.FIX_XHTML, {
         method: "POST",
         body: JSON.stringify({
           xhtml_content: xhtmlContent,
           error_details: errorDetails,
-          model: model,
+          model: fixModel,
         }),
+        model: fixModel,
       });
 
       console.log("✅ XHTML fix result:", result);
@@ -158,6 +443,26 @@ export class ApiClient {
  * Confluence API utilities
  */
 export class ConfluenceApi {
+  /**
+   * Get the REST adapter of the current Confluence site (Server/DC or Cloud)
+   * @returns {ConfluenceServerAdapter} Adapter, detected once per page
+   */
+  static getAdapter() {
+    if (!this.adapter) {
+      this.adapter = detectConfluenceAdapter();
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Build the URL of a page of the current site
+   * @param {string} pageId - Page ID
+   * @returns {string} Absolute page URL
+   */
+  static getPageUrl(pageId) {
+    return this.getAdapter().getPageUrl(pageId);
+  }
+
   /**
    * Extract page ID from Confluence URL
    * @param {string} url - Confluence page URL
@@ -202,34 +507,18 @@ export class ConfluenceApi {
     try {
       console.log("🔍 Fetching Confluence content for pageId:", pageId);
 
-      const apiUrl = `/rest/api/content/${pageId}?expand=body.storage,body.view`;
-
-      const response = await fetch(apiUrl, {
-        method: "GET",
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-        },
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error("❌ API Error:", response.status, errorText);
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const page = await this.getAdapter().getPage(pageId);
       console.log("📄 Content data received:", {
-        id: data.id,
-        title: data.title,
-        hasStorage: !!data.body?.storage?.value,
-        hasView: !!data.body?.view?.value,
+        id: page.id,
+        title: page.title,
+        hasStorage: !!page.storageFormat,
+        hasView: !!page.content,
       });
 
       return {
-        title: data.title,
-        content: data.body?.view?.value || "",
-        storageFormat: data.body?.storage?.value || "",
+        title: page.title,
+        content: page.content,
+        storageFormat: page.storageFormat,
       };
     } catch (error) {
       console.error("❌ Error fetching Confluence content:", error);
@@ -237,6 +526,130 @@ export class ConfluenceApi {
     }
   }
 
+  /**
+   * Fetch the direct child pages of a page
+   * @param {string} pageId - Parent page ID
+   * @returns {Promise<Array<{id: string, title: string}>>} Child pages
+   */
+  static async fetchChildPages(pageId) {
+    return this.getAdapter().getChildPages(pageId);
+  }
+
+  /**
+   * Fetch the IDs of all descendants of a page, breadth first
+   * @param {string} pageId - Root page ID
+   * @param {number} maxPages - Stop after this many pages
+   * @returns {Promise<Array<string>>} Descendant page IDs (root excluded)
+   */
+  static async fetchDescendantPageIds(pageId, maxPages) {
+    const descendants = [];
+    const queue = [pageId];
+
+    while (queue.length > 0 && descendants.length < maxPages) {
+      const children = await this.fetchChildPages(queue.shift());
+      for (const child of children) {
+        if (descendants.length >= maxPages) break;
+        descendants.push(child.id);
+        queue.push(child.id);
+      }
+    }
+
+    return descendants;
+  }
+
+  /**
+   * Fetch every BA source page of a generation, with its images
+   * Descendants fill whatever is left of the source budget; the rest are skipped
+   * @param {Array<{url: string, includeDescendants: boolean}>} sources - Source URLs
+   * @returns {Promise<{pages: Array<Object>, truncated: boolean}>} Pages { pageId, url, title, content, images }
+   *   and whether some descendants were left out
+   */
+  static async fetchBaSources(sources) {
+    // pageId -> URL, in the order the sources were given
+    const pageUrls = new Map();
+
+    for (const source of sources) {
+      const pageId = this.extractPageId(source.url);
+      if (!pageId) {
+        throw new Error(`❌ Invalid BA document URL: ${source.url}`);
+      }
+      if (!pageUrls.has(pageId)) pageUrls.set(pageId, source.url);
+    }
+
+    if (pageUrls.size > GENERATION_BUDGET.MAX_SOURCES) {
+      throw new Error(
+        `⚠️ Too many BA pages (${pageUrls.size}), the limit is ${GENERATION_BUDGET.MAX_SOURCES}. Please select fewer sources.`
+      );
+    }
+
+    let truncated = false;
+    for (const source of sources) {
+      if (!source.includeDescendants) continue;
+
+      const remaining = GENERATION_BUDGET.MAX_SOURCES - pageUrls.size;
+      // One extra page tells whether the tree was cut off
+      const descendants = await this.fetchDescendantPageIds(
+        this.extractPageId(source.url),
+        remaining + 1
+      );
+      for (const descendantId of descendants) {
+        if (pageUrls.has(descendantId)) continue;
+        if (pageUrls.size >= GENERATION_BUDGET.MAX_SOURCES) {
+          truncated = true;
+          break;
+        }
+        pageUrls.set(descendantId, this.getPageUrl(descendantId));
+      }
+    }
+
+    if (truncated) {
+      console.warn(
+        `⚠️ BA child pages truncated to ${GENERATION_BUDGET.MAX_SOURCES} pages`
+      );
+    }
+
+    const pages = [];
+    for (const [pageId, url] of pageUrls.entries()) {
+      const page = await this.fetchPageContent(pageId);
+      const images = await this.extractImagesFromHtml(page.content);
+      pages.push({
+        pageId,
+        url,
+        title: page.title,
+        content: page.content,
+        images,
+      });
+    }
+
+    return { pages, truncated };
+  }
+
+  /**
+   * Estimate the size of the BA sources of a generation
+   * Content is sent once, in the combined ba_content; ba_sources only carries titles and URLs
+   * @param {Array<Object>} pages - Pages from fetchBaSources
+   * @returns {Object} { pages, chars, tokens, images, bytes, overBudget }
+   */
+  static estimateSourcesBudget(pages) {
+    const chars = pages.reduce((total, page) => total + page.content.length, 0);
+    const images = pages.flatMap((page) => page.images);
+    const bytes =
+      chars +
+      images.reduce((total, image) => total + (image.src?.length || 0), 0);
+    const tokens = Math.ceil(chars / GENERATION_BUDGET.CHARS_PER_TOKEN);
+
+    return {
+      pages: pages.length,
+      chars,
+      tokens,
+      images: images.length,
+      bytes,
+      overBudget:
+        tokens > GENERATION_BUDGET.MAX_TOKENS ||
+        bytes > GENERATION_BUDGET.MAX_PAYLOAD_BYTES,
+    };
+  }
+
   /**
    * Clone template from URL for document generation
    * @param {string} url - Template URL
@@ -261,35 +674,19 @@ export class ConfluenceApi {
       }
 
       console.log("📋 Fetching template pageId:", pageId);
-      const apiUrl = `/rest/api/content/${pageId}?expand=body.storage`;
-
-      const response = await fetch(apiUrl, {
-        method: "GET",
-        headers: {
-          Accept: "application/json",
-          "Content-Type": "application/json",
-        },
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error("❌ API Error:", response.status, errorText);
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
+      const page = await this.getAdapter().getPage(pageId, { view: false });
       console.log("📄 Template data received:", {
-        id: data.id,
-        title: data.title,
-        hasStorage: !!data.body?.storage?.value,
+        id: page.id,
+        title: page.title,
+        hasStorage: !!page.storageFormat,
       });
 
-      if (!data.body?.storage?.value) {
+      if (!page.storageFormat) {
         console.error("❌ No storage content found in response");
         throw new Error("Template không có nội dung storage format");
       }
 
-      const originalStorageFormat = data.body.storage.value;
+      const originalStorageFormat = page.storageFormat;
       console.log(
         "📄 Original storage format length:",
         originalStorageFormat.length
@@ -300,7 +697,7 @@ export class ConfluenceApi {
       );
 
       const result = {
-        title: data.title,
+        title: page.title,
         originalStorageFormat,
         templateStructure,
         analysisInfo,
@@ -332,31 +729,39 @@ export class ConfluenceApi {
 
     console.log("🔍 Extracting template structure...");
 
-    const placeholderPatterns = [
-      /(<<.*?>>)/g,
-      /(\{\{.*?\}\})/g,
-      /(&lt;&lt;.*?&gt;&gt;)/g,
-      /(\u003c\u003c.*?\u003e\u003e)/g,
-    ];
-
     let structure = storageFormat;
 
-    placeholderPatterns.forEach((regex, index) => {
-      const matches = [...structure.matchAll(regex)];
-      console.log(
-        `🎯 Placeholder pattern ${index + 1} found ${matches.length} matches`
-      );
-      placeholders += matches.length;
-    });
+    placeholders = [
+      ...structure.matchAll(PlaceholderGrammar.TOKEN_PATTERN),
+    ].length;
+    console.log(`🎯 Placeholder tokens found: ${placeholders}`);
 
     // Count empty paragraphs and table cells
     emptyParagraphs = (storageFormat.match(/<p[^>]*>\s*<\/p>/g) || []).length;
     emptyTableCells = (storageFormat.match(/<td[^>]*>\s*<\/td>/g) || []).length;
 
+    // Parse typed placeholders (<<Name:table>>, <<Date:date|dd/MM/yyyy>>, ...)
+    const placeholderDescriptors =
+      PlaceholderGrammar.extractDescriptors(storageFormat);
+    const placeholderTypes = placeholderDescriptors.reduce(
+      (counts, descriptor) => ({
+        ...counts,
+        [descriptor.type]: (counts[descriptor.type] || 0) + 1,
+      }),
+      {}
+    );
+    placeholderDescriptors
+      .filter((descriptor) => descriptor.error)
+      .forEach((descriptor) =>
+        console.warn(`⚠️ ${descriptor.token}: ${descriptor.error}`)
+      );
+
     const analysisInfo = {
       emptyParagraphs,
       emptyTableCells,
       placeholders,
+      placeholderTypes,
+      placeholderDescriptors,
       totalLength: storageFormat.length,
     };
 
@@ -388,67 +793,82 @@ export class ConfluenceApi {
   }
 
   /**
-   * Extract placeholders from content (<<placeholder>> format)
+   * Extract placeholders from content (<<placeholder>> and {{placeholder}} formats)
    * @param {string} content - Content to analyze
    * @returns {Array} Array of placeholder strings
    */
   static extractPlaceholders(content) {
     console.log("🔍 Analyzing content for placeholders...");
     console.log("📄 Content length:", content.length);
-    console.log(
-      "📄 Content preview (first 500 chars):",
-      content.substring(0, 500)
-    );
-
-    // Helper function to decode HTML entities
-    const decodeHtmlEntities = (str) => {
-      return str
-        .replace(/&lt;/g, "<")
-        .replace(/&gt;/g, ">")
-        .replace(/&amp;/g, "&")
-        .replace(/&quot;/g, '"')
-        .replace(/&#39;/g, "'");
-    };
-
-    const decodedContent = decodeHtmlEntities(content);
 
-    // Patterns to find placeholders
-    const patterns = [
-      /<<([^>]+)>>/g, // Normal <<placeholder>>
-      /&lt;&lt;([^&]+)&gt;&gt;/g, // HTML encoded &lt;&lt;placeholder&gt;&gt;
-    ];
-
-    let allMatches = [];
+    const uniquePlaceholders = PlaceholderGrammar.extractTokens(content);
+    console.log("🎯 Unique placeholders found:", uniquePlaceholders);
 
-    // Test patterns on both original and decoded content
-    [content, decodedContent].forEach((testContent, contentIndex) => {
-      console.log(
-        `🔍 Testing on ${
-          contentIndex === 0 ? "original" : "decoded"
-        } content...`
-      );
+    return uniquePlaceholders;
+  }
 
-      patterns.forEach((regex, patternIndex) => {
-        const matches = [...testContent.matchAll(regex)];
-        console.log(
-          `🎯 Pattern ${patternIndex + 1} found ${matches.length} matches:`,
-          matches.map((m) => m[0])
-        );
+  /**
+   * Find the template context of each placeholder: nearest heading before it
+   * and the surrounding text (tags stripped)
+   * @param {string} content - Template storage format
+   * @param {Array<string>} placeholders - Placeholders from extractPlaceholders
+   * @param {number} radius - Number of characters of context on each side
+   * @returns {Object} Map placeholder -> { heading, before, after, occurrences }
+   */
+  static extractPlaceholderContexts(content, placeholders, radius = 120) {
+    // Work on plain text so the context is readable
+    const text = content
+      .replace(/<h([1-6])[^>]*>/gi, "\n[[H$1]]")
+      .replace(/<\/h[1-6]>/gi, "[[/H]]\n")
+      .replace(/<\/(p|li|tr|td|th)>/gi, " ")
+      .replace(/<[^>]+>/g, "")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&nbsp;/g, " ")
+      .replace(/&amp;/g, "&")
+      .replace(/[ \t]+/g, " ");
+
+    const contexts = {};
+
+    placeholders.forEach((placeholder) => {
+      const index = text.indexOf(placeholder);
+      const occurrences = text.split(placeholder).length - 1;
+
+      if (index === -1) {
+        contexts[placeholder] = {
+          heading: "",
+          before: "",
+          after: "",
+          occurrences,
+        };
+        return;
+      }
 
-        if (patternIndex === 1) {
-          // For HTML encoded, decode back to normal format
-          allMatches.push(...matches.map((match) => `<<${match[1]}>>`));
-        } else {
-          allMatches.push(...matches.map((match) => match[0]));
-        }
-      });
+      // Nearest heading before the first occurrence
+      const headingMatches = [
+        ...text.substring(0, index).matchAll(/\[\[H[1-6]\]\](.*?)\[\[\/H\]\]/g),
+      ];
+      const heading = headingMatches.length
+        ? headingMatches[headingMatches.length - 1][1].trim()
+        : "";
+
+      const clean = (str) =>
+        str.replace(/\[\[\/?H[1-6]?\]\]/g, " ").replace(/\s+/g, " ").trim();
+
+      contexts[placeholder] = {
+        heading: clean(heading),
+        before: clean(text.substring(Math.max(0, index - radius), index)),
+        after: clean(
+          text.substring(
+            index + placeholder.length,
+            index + placeholder.length + radius
+          )
+        ),
+        occurrences,
+      };
     });
 
-    // Remove duplicates
-    const uniquePlaceholders = [...new Set(allMatches)];
-    console.log("🎯 Unique placeholders found:", uniquePlaceholders);
-
-    return uniquePlaceholders;
+    return contexts;
   }
 
   /**
@@ -579,161 +999,175 @@ export class ConfluenceApi {
   }
 
   /**
-   * Basic content cleanup - EXACT copy from extension/src/api/api.ts
+   * Convert Mermaid macros (mermaid, and code with language=mermaid) to the diagram
+   * markup of the site: mermaid-cloud macros on Server/DC, attached images on Cloud
+   * Every other macro (panels, code blocks, expand, status, TOC, Jira...) is kept untouched
+   * @param {string} content - Storage format
+   * @returns {{content: string, diagrams: Array<Object>, summary: {converted: number, target: string, kept: Object}}}
+   *   Converted content, the diagrams to save under the generated filenames and a summary
+   *   (kept maps macro name -> count)
    */
-  static basicContentCleanup(content) {
-    return (
-      content
-        // Remove code block prefixes
-        .replace(/^```\w*\s*/g, "")
-        .replace(/```\s*$/g, "")
-        .trim()
+  static convertMermaidMacros(content) {
+    const adapter = this.getAdapter();
+    console.log(`🔄 Converting Mermaid macros to ${adapter.diagramTarget}...`);
+    const macros = findStructuredMacros(content);
+    const diagrams = getDiagramConfluenceStyles(content);
+    const mermaidMacros = macros.filter((macro) => macro.code);
+
+    let convertedContent = "";
+    let position = 0;
+    mermaidMacros.forEach((macro, index) => {
+      const diagram = diagrams[index];
+      console.log(
+        `🔧 Converting ${macro.name} macro to ${adapter.diagramTarget}: ${diagram.filename}`
+      );
 
-        // Enhanced character cleanup for Vietnamese and UTF-8
-        .replace(/^\uFEFF/, "") // Remove BOM
-        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, "") // Remove control characters
+      convertedContent +=
+        content.substring(position, macro.start) +
+        adapter.buildDiagramMacro(diagram);
+      position = macro.end;
+    });
+    convertedContent += content.substring(position);
+
+    const kept = {};
+    macros
+      .filter((macro) => !macro.code)
+      .forEach((macro) => {
+        const name = macro.name || "unnamed";
+        kept[name] = (kept[name] || 0) + 1;
+      });
 
-        // Fix common encoding issues
-        .replace(/â€™/g, "'") // Smart apostrophe
-        .replace(/â€œ/g, '"') // Smart quote open
-        .replace(/â€/g, '"') // Smart quote close
-        .replace(/â€¦/g, "...") // Ellipsis
-        .replace(/â€"/g, "–") // En dash
-        .replace(/â€"/g, "—") // Em dash
-
-        // Clean up line breaks and whitespace
-        .replace(/\r\n/g, "\n")
-        .replace(/\r/g, "\n")
-        .replace(/\n{3,}/g, "\n\n") // Max 2 consecutive line breaks
-        .replace(/[ \t]+$/gm, "") // Remove trailing whitespace from lines
-        .replace(/^[ \t]+/gm, "") // Remove leading whitespace from lines (but preserve structure)
-        .trim()
+    console.log(
+      `✅ Converted ${mermaidMacros.length} Mermaid macro(s), kept:`,
+      kept
     );
+    return {
+      content: convertedContent,
+      diagrams,
+      summary: {
+        converted: mermaidMacros.length,
+        target: adapter.diagramTarget,
+        kept,
+      },
+    };
   }
 
   /**
-   * Advanced HTML sanitization - EXACT copy from extension/src/api/api.ts
-   */
-  static advancedHTMLSanitization(content) {
-    console.log("🔬 Starting advanced HTML sanitization...");
-
-    // Step 1: Preprocess content to fix obvious issues
-    let processedContent = content
-      // Fix unclosed self-closing tags first
-      .replace(
-        /<(br|hr|img|input|meta|link|area|base|col|embed|source|track|wbr)([^>]*?)(?<!\/)\s*>/gi,
-        "<$1$2/>"
-      )
-      // Ensure proper quotes around attributes
-      .replace(/(\w+)=([^"\s>]+)(\s|>)/g, '$1="$2"$3')
-      // Fix common encoding issues before processing
-      .replace(/&(?![a-zA-Z0-9#]+;)/g, "&amp;")
-      // Remove any null bytes or control characters
-      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, "")
-      // Fix common Vietnamese encoding issues
-      .replace(/â€™/g, "'")
-      .replace(/â€œ/g, '"')
-      .replace(/â€/g, '"');
-
-    // Step 2: Basic structure validation and cleanup
-    let finalHTML = processedContent
-      // Remove empty tags that could cause issues (but keep non-breaking spaces)
-      .replace(/<(\w+)([^>]*?)>\s*<\/\1>/g, (match, tagName) => {
-        // Keep paragraph and cell tags with nbsp
-        if (["p", "td", "th", "li"].includes(tagName.toLowerCase())) {
-          return `<${tagName}>&nbsp;</${tagName}>`;
-        }
-        return ""; // Remove other empty tags
-      })
-      .replace(/>\s+</g, "><") // Remove spaces between tags
-      .replace(/\s+/g, " ") // Normalize whitespace
-      .trim();
-
-    console.log("✅ Advanced HTML sanitization complete");
-    console.log(
-      `📊 Original length: ${content.length}, Final length: ${finalHTML.length}`
-    );
-
-    return finalHTML;
+   * Describe which macros were converted or kept when publishing
+   * @param {Object} summary - Summary from convertMermaidMacros
+   * @returns {string} One line summary, empty without macros
+   */
+  static describeMacroSummary(summary) {
+    if (!summary) return "";
+
+    const kept = Object.entries(summary.kept)
+      .map(([name, count]) => (count > 1 ? `${name} ×${count}` : name))
+      .join(", ");
+    const parts = [];
+    if (summary.converted > 0) {
+      parts.push(
+        `${summary.converted} Mermaid diagram(s) → ${summary.target}`
+      );
+    }
+    if (kept) {
+      parts.push(`kept: ${kept}`);
+    }
+    return parts.length ? `🧩 Macros: ${parts.join(" · ")}` : "";
   }
 
   /**
-   * Convert all macros to mermaid-cloud macros - EXACT copy from extension/src/api/api.ts
+   * Run the storage format cleanup pipeline used before publishing
+   * @param {string} fullStorageFormat - Generated storage format
+   * @returns {{content: string, diagrams: Array<Object>, macroSummary: Object}}
+   *   Storage format ready for the Confluence API, diagrams to save and macro summary
    */
-  static convertToMermaidCloudMacros(content) {
-    console.log("🔄 Converting all macros to mermaid-cloud macros...");
-    let macroCounter = 1;
-    let macroId = 111;
+  static prepareStorageForPublish(fullStorageFormat) {
+    console.log("📋 Content length:", fullStorageFormat.length);
 
-    // Replace all structured macros (mermaid, code, etc.) with mermaid-cloud macros
-    const convertedContent = content.replace(
-      /<ac:structured-macro[^>]*>[\s\S]*?<\/ac:structured-macro>/g,
-      (match) => {
-        const filename = `k-tool-diagram-${macroCounter}`;
-        const currentId = macroId.toString();
-        macroCounter++;
-        macroId++;
+    // Step 0.5: Ensure UTF-8 encoding
+    const utf8Content = this.ensureUtf8Encoding(fullStorageFormat);
+    console.log("🔤 UTF-8 validation complete");
 
-        console.log(
-          `🔧 Converting macro ${
-            macroCounter - 1
-          } to mermaid-cloud: ${filename}`
-        );
+    // Show content preview for debugging
+    console.log("📄 Content preview (first 200 chars):");
+    console.log(utf8Content.substring(0, 200));
 
-        return `<ac:structured-macro ac:name="mermaid-cloud" ac:schema-version="1" ac:macro-id="${currentId}">
-<ac:parameter ac:name="toolbar">bottom</ac:parameter>
-<ac:parameter ac:name="filename">${filename}</ac:parameter>
-<ac:parameter ac:name="format">svg</ac:parameter>
-<ac:parameter ac:name="zoom">fit</ac:parameter>
-<ac:parameter ac:name="revision">1</ac:parameter>
-</ac:structured-macro>`;
-      }
-    );
+    // Step 1: Parse, repair and serialize the storage format as a tree
+    let processedContent = StorageFormatSanitizer.sanitize(utf8Content);
+
+    // Step 2: Convert Mermaid macros to the diagram markup of the site
+    const conversion = this.convertMermaidMacros(processedContent);
 
-    console.log(`✅ Converted ${macroCounter - 1} macros to mermaid-cloud`);
-    return convertedContent;
+    console.warn("✅ Content processing complete", conversion.content);
+    return {
+      content: conversion.content,
+      diagrams: conversion.diagrams,
+      macroSummary: conversion.summary,
+    };
+  }
+
+  /**
+   * Build an error message from a failed Confluence REST response
+   * @param {Response} response - Fetch response (not ok)
+   * @returns {Promise<string>} Error message with field details
+   */
+  static async readErrorMessage(response) {
+    return readConfluenceError(response);
   }
 
   /**
-   * Validate and fix XML content specifically for Confluence storage format
+   * Save the diagrams of a document for a page, with the saver of the site
+   * @param {string} pageId - Page ID
+   * @param {Array<Object>} extractedDiagrams - Diagrams from prepareStorageForPublish
+   * @returns {Promise<string>} Summary to append to the result message, empty without diagrams
    */
-  static validateAndFixXML(content) {
-    let fixed = content;
+  static async saveDiagramsForPage(pageId, extractedDiagrams) {
+    console.log(
+      `📊 Extracted ${extractedDiagrams.length} diagrams from content`
+    );
+    if (extractedDiagrams.length === 0) {
+      return "";
+    }
 
-    console.log("🔍 Validating and fixing XML content...");
+    console.log("🎨 Processing extracted diagrams...");
+    const adapter = this.getAdapter();
+    const diagramResult = await processAndSaveDiagrams(
+      pageId,
+      extractedDiagrams,
+      (diagram, id) => adapter.saveDiagram(diagram, id)
+    );
+    if (diagramResult.total === 0) {
+      return "";
+    }
 
-    // Fix the specific issue mentioned in error: spaces in tag names
-    fixed = fixed
-      // Remove spaces at the beginning of tag names
-      .replace(/<\s+([a-zA-Z])/g, "<$1")
-      // Remove spaces at the end of tag names (before attributes or closing >)
-      .replace(/([a-zA-Z])\s+([^>]*>)/g, "$1 $2")
-      // Fix spaces in closing tags
-      .replace(/<\/\s+([a-zA-Z][^>]*?)>/g, "</$1>")
-      // Fix malformed attributes with spaces
-      .replace(/([a-zA-Z-]+)\s*=\s*"([^"]*)"/g, '$1="$2"')
-      // Remove multiple consecutive spaces in content
-      .replace(/\s{2,}/g, " ")
-      // Fix line breaks that might cause parsing issues
-      .replace(/\r\n/g, "\n")
-      .replace(/\r/g, "\n");
+    let message = `\n\n📊 Diagrams: ${diagramResult.success}/${diagramResult.total} saved successfully`;
+    if (diagramResult.errors.length > 0) {
+      message += `\n⚠️ Diagram errors:\n${diagramResult.errors.join("\n")}`;
+    }
+    return message;
+  }
 
-    // Validate specific Confluence storage format requirements
-    fixed = fixed
-      // Ensure proper ac: namespace usage
-      .replace(/<ac:([^>]+)>/g, (match, content) => {
-        return `<ac:${content.trim()}>`;
-      })
-      // Fix structured macro formatting
-      .replace(/<ac:structured-macro\s+([^>]+)>/g, (match, attrs) => {
-        const cleanAttrs = attrs.trim().replace(/\s+/g, " ");
-        return `<ac:structured-macro ${cleanAttrs}>`;
-      })
-      // Ensure CDATA sections are properly formatted
-      .replace(/<!\[CDATA\[\s*([\s\S]*?)\s*\]\]>/g, "<![CDATA[$1]]>");
+  /**
+   * Convert a publish error to a user message
+   * @param {Error} error - Error thrown while publishing
+   * @param {string} forbiddenMessage - Message for HTTP 403
+   * @returns {string} User message
+   */
+  static getPublishErrorMessage(error, forbiddenMessage) {
+    if (!(error instanceof Error)) {
+      return "Lỗi khi tạo trang Confluence.";
+    }
 
-    console.log("✅ XML validation and fixing complete");
-    return fixed;
+    if (error.message.includes("validation failed")) {
+      return `❌ Nội dung không hợp lệ:\n\n${error.message}`;
+    } else if (error.message.includes("HTTP 400")) {
+      return "❌ Dữ liệu không hợp lệ. Vui lòng kiểm tra lại nội dung.";
+    } else if (error.message.includes("HTTP 401")) {
+      return "❌ Không có quyền truy cập. Vui lòng đăng nhập lại.";
+    } else if (error.message.includes("HTTP 403")) {
+      return forbiddenMessage;
+    }
+    return `❌ ${error.message}`;
   }
 
   /**
@@ -742,13 +1176,15 @@ export class ConfluenceApi {
    * @param {string} fullStorageFormat - Page content (storage format)
    * @param {string} spaceKey - Space key
    * @param {string} parentPageId - Parent page ID (optional)
-   * @returns {Promise<void>} No return value, same as createPageFromGeneratedContent
+   * @param {Array<string>} labels - Labels to add to the page (optional)
+   * @returns {Promise<Object>} Created page { id, title, webui, macroSummary }
    */
   static async createPage(
     title,
     fullStorageFormat,
     spaceKey,
-    parentPageId = null
+    parentPageId = null,
+    labels = []
   ) {
     try {
       console.log("🔄 Creating page from generated content...");
@@ -758,155 +1194,211 @@ export class ConfluenceApi {
       console.log("📋 Original title:", title);
       console.log("📋 Clean title:", cleanTitle);
       console.log("📋 Space:", spaceKey);
-      console.log("📋 Content length:", fullStorageFormat.length);
-
-      // Step 0.5: Ensure UTF-8 encoding
-      const utf8Content = this.ensureUtf8Encoding(fullStorageFormat);
-      console.log("🔤 UTF-8 validation complete");
-
-      // Show content preview for debugging
-      console.log("📄 Content preview (first 200 chars):");
-      console.log(utf8Content.substring(0, 200));
-
-      // Step 1: Enhanced content cleanup with Vietnamese support
-      console.log("🧹 Starting enhanced content cleanup...");
-      let processedContent = this.basicContentCleanup(utf8Content);
-
-      // Step 2: Advanced HTML sanitization and validation
-      console.log("🔬 Performing advanced HTML sanitization...");
-      processedContent = this.advancedHTMLSanitization(processedContent);
-
-      // Step 3: Convert all macros to mermaid-cloud macros
-      console.log("🔄 Converting macros to mermaid-cloud...");
-      processedContent = this.convertToMermaidCloudMacros(processedContent);
-
-      const finalContent = processedContent;
-      console.warn("✅ Content processing complete", finalContent);
-
-      // Step 4: Create page payload
-      const createPayload = {
-        type: "page",
-        title: cleanTitle.trim() + "-" + Date.now(), // Use clean title with timestamp
-        space: { key: spaceKey },
-        body: {
-          storage: {
-            value: finalContent,
-            representation: "storage",
-          },
-        },
-      };
 
-      // Add parent page if specified
+      const prepared = this.prepareStorageForPublish(fullStorageFormat);
+      const finalContent = prepared.content;
+
       if (parentPageId) {
-        createPayload.ancestors = [{ id: parentPageId }];
         console.log("📁 Setting parent page ID:", parentPageId);
       }
 
+      // Step 4: Create the page with the adapter of the site
       console.log("📤 Sending page creation request...");
-      const response = await fetch("/rest/api/content", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json; charset=utf-8",
-          Accept: "application/json",
-          "X-Atlassian-Token": "no-check",
-        },
-        body: JSON.stringify(createPayload),
+      const adapter = this.getAdapter();
+      const response = await adapter.createPage({
+        title: cleanTitle.trim(),
+        spaceKey,
+        parentId: parentPageId,
+        storage: finalContent,
       });
 
       if (!response.ok) {
-        const errorText = await response.text();
-        console.error("❌ Page creation failed:", errorText);
+        throw new Error(await this.readErrorMessage(response));
+      }
+
+      const result = adapter.toPageSummary(await response.json());
+      console.log("✅ Page created successfully!");
+      console.log("📄 Page ID:", result.id);
+      console.log("🔗 Page URL:", result.url);
 
-        let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+      let finalMessage = `✅ Tạo tài liệu thành công!\n\nTiêu đề: ${result.title}\nPage ID: ${result.id}`;
 
+      // Labels are not part of the create request, a failure here keeps the page
+      if (labels.length > 0) {
         try {
-          const errorJson = JSON.parse(errorText);
-          if (errorJson.message) {
-            errorMessage = errorJson.message;
-          }
-
-          if (errorJson.errors && Array.isArray(errorJson.errors)) {
-            const detailedErrors = errorJson.errors
-              .map(
-                (err) =>
-                  `${err.field || "Unknown field"}: ${err.message || err}`
-              )
-              .join("\n");
-            errorMessage += `\n\nDetailed errors:\n${detailedErrors}`;
-          }
-        } catch (parseError) {
-          console.warn("Could not parse error response as JSON");
-          errorMessage += `\n\nRaw error: ${errorText}`;
+          await this.addLabels(result.id, labels);
+          finalMessage += `\nLabels: ${labels.join(", ")}`;
+        } catch (labelError) {
+          console.error("❌ Error adding labels:", labelError);
+          finalMessage += `\n⚠️ Không thể gắn labels: ${labelError.message}`;
         }
+      }
 
-        throw new Error(errorMessage);
+      // Process and save diagrams after page creation
+      finalMessage += await this.saveDiagramsForPage(
+        result.id,
+        prepared.diagrams
+      );
+      const macroMessage = this.describeMacroSummary(prepared.macroSummary);
+      if (macroMessage) {
+        finalMessage += `\n${macroMessage}`;
       }
 
-      const result = await response.json();
-      console.log("✅ Page created successfully!");
-      console.log("📄 Page ID:", result.id);
-      console.log("🔗 Page URL:", result._links?.webui);
+      // Show final result after everything is complete
+      if (typeof window !== "undefined" && window["KToolNotificationUtils"]) {
+        window["KToolNotificationUtils"].success(
+          "Trang đã được tạo thành công!",
+          finalMessage.replace(/^✅\s*/, "")
+        );
+      }
 
-      let finalMessage = `✅ Tạo tài liệu thành công!\n\nTiêu đề: ${result.title}\nPage ID: ${result.id}`;
-      const extractedDiagrams = getDiagramConfluenceStyles(fullStorageFormat);
+      if (result.url) {
+        window.open(result.url, "_blank");
+      }
+
+      return {
+        id: result.id,
+        title: result.title,
+        webui: result.webui,
+        macroSummary: prepared.macroSummary,
+      };
+    } catch (error) {
+      console.error("❌ Error creating page:", error);
+
+      const userMessage = this.getPublishErrorMessage(
+        error,
+        "❌ Không có quyền tạo trang trong space này."
+      );
+
+      if (typeof window !== "undefined" && window["KToolNotificationUtils"]) {
+        window["KToolNotificationUtils"].error(
+          "Lỗi tạo trang",
+          userMessage.replace(/^❌\s*/, "")
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add global labels to a page
+   * @param {string} pageId - Page ID
+   * @param {Array<string>} labels - Label names
+   */
+  static async addLabels(pageId, labels) {
+    await this.getAdapter().addLabels(pageId, labels);
+  }
+
+  /**
+   * Search pages of a space by title
+   * @param {string} query - Part of the title
+   * @param {string} spaceKey - Space key
+   * @param {number} limit - Max results
+   * @returns {Promise<Array<{id: string, title: string}>>} Matching pages
+   */
+  static async searchPages(query, spaceKey, limit = 10) {
+    return this.getAdapter().searchPages(query, spaceKey, limit);
+  }
+
+  /**
+   * Get a page with its current version
+   * @param {string} pageId - Page ID
+   * @returns {Promise<Object>} { id, title, version, spaceKey, webui, url }
+   */
+  static async getPageVersion(pageId) {
+    return this.getAdapter().getPageSummary(pageId);
+  }
+
+  /**
+   * Find a page by exact title in a space
+   * @param {string} title - Page title
+   * @param {string} spaceKey - Space key
+   * @returns {Promise<Object|null>} Page (see getPageVersion) or null
+   */
+  static async findPageByTitle(title, spaceKey) {
+    return this.getAdapter().findPageByTitle(title, spaceKey);
+  }
+
+  /**
+   * Publish generated content as a new version of an existing page
+   * The new version follows the version the user confirmed, if someone saved
+   * the page meanwhile Confluence answers 409 and nothing is overwritten
+   * @param {Object} page - Confirmed target page, from getPageVersion or findPageByTitle
+   * @param {string} fullStorageFormat - Generated storage format
+   * @param {Object} options - { versionMessage }
+   * @returns {Promise<Object>} { id, title, version, macroSummary }
+   * @throws {Error} With error.status 409 on a version conflict
+   */
+  static async updatePage(page, fullStorageFormat, options = {}) {
+    try {
       console.log(
-        `📊 Extracted ${extractedDiagrams.length} diagrams from content`
+        `🔄 Updating page ${page.id} (version ${page.version}) from generated content...`
       );
-      // Process and save diagrams after page creation
-      if (extractedDiagrams.length > 0) {
-        console.log("🎨 Processing extracted diagrams...");
-        const diagramResult = await processAndSaveDiagrams(
-          result.id,
-          extractedDiagrams
+      const prepared = this.prepareStorageForPublish(fullStorageFormat);
+      const finalContent = prepared.content;
+
+      const adapter = this.getAdapter();
+      const response = await adapter.updatePage(
+        page,
+        finalContent,
+        options.versionMessage || "Updated by K-Tool"
+      );
+
+      if (!response.ok) {
+        const message = await this.readErrorMessage(response);
+        const error = new Error(
+          response.status === 409
+            ? `Trang đã được người khác cập nhật sau phiên bản ${page.version} (xung đột phiên bản): ${message}`
+            : message
         );
+        error.status = response.status;
+        throw error;
+      }
 
-        // Add diagram processing result to message
-        if (diagramResult.total > 0) {
-          finalMessage += `\n\n📊 Diagrams: ${diagramResult.success}/${diagramResult.total} saved successfully`;
+      const result = adapter.toPageSummary(await response.json());
 
-          if (diagramResult.errors.length > 0) {
-            finalMessage += `\n⚠️ Diagram errors:\n${diagramResult.errors.join(
-              "\n"
-            )}`;
-          }
-        }
+      console.log("✅ Page updated successfully!");
+      console.log("📄 Page ID:", result.id, "version:", result.version);
+
+      let finalMessage = `✅ Cập nhật tài liệu thành công!\n\nTiêu đề: ${result.title}\nPage ID: ${result.id}\nPhiên bản: ${result.version}`;
+      // Diagrams are stored per page, save them again for the new version
+      finalMessage += await this.saveDiagramsForPage(
+        result.id,
+        prepared.diagrams
+      );
+      const macroMessage = this.describeMacroSummary(prepared.macroSummary);
+      if (macroMessage) {
+        finalMessage += `\n${macroMessage}`;
       }
 
-      // Show final result after everything is complete
       if (typeof window !== "undefined" && window["KToolNotificationUtils"]) {
         window["KToolNotificationUtils"].success(
-          "Trang đã được tạo thành công!",
+          "Trang đã được cập nhật thành công!",
           finalMessage.replace(/^✅\s*/, "")
         );
       }
 
-      if (result._links?.webui) {
-        const fullUrl = `${window.location.origin}${result._links.webui}`;
-        window.open(fullUrl, "_blank");
+      if (result.url) {
+        window.open(result.url, "_blank");
       }
+
+      return {
+        id: result.id,
+        title: result.title,
+        version: result.version,
+        macroSummary: prepared.macroSummary,
+      };
     } catch (error) {
-      console.error("❌ Error creating page:", error);
+      console.error("❌ Error updating page:", error);
 
-      let userMessage = "Lỗi khi tạo trang Confluence.";
-
-      if (error instanceof Error) {
-        if (error.message.includes("validation failed")) {
-          userMessage = `❌ Nội dung không hợp lệ:\n\n${error.message}`;
-        } else if (error.message.includes("HTTP 400")) {
-          userMessage =
-            "❌ Dữ liệu không hợp lệ. Vui lòng kiểm tra lại nội dung.";
-        } else if (error.message.includes("HTTP 401")) {
-          userMessage = "❌ Không có quyền truy cập. Vui lòng đăng nhập lại.";
-        } else if (error.message.includes("HTTP 403")) {
-          userMessage = "❌ Không có quyền tạo trang trong space này.";
-        } else {
-          userMessage = `❌ ${error.message}`;
-        }
-      }
+      const userMessage = this.getPublishErrorMessage(
+        error,
+        "❌ Không có quyền chỉnh sửa trang này."
+      );
 
       if (typeof window !== "undefined" && window["KToolNotificationUtils"]) {
         window["KToolNotificationUtils"].error(
-          "Lỗi tạo trang",
+          "Lỗi cập nhật trang",
           userMessage.replace(/^❌\s*/, "")
         );
       }
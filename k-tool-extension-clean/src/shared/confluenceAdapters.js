@@ -0,0 +1,533 @@
+// Confluence REST adapters
+// Server/Data Center and Cloud sites expose different APIs for the same operations,
+// ConfluenceApi talks to the adapter detected for the current page
+import { saveDiagramToAPI } from "./diagramUtils.js";
+
+/**
+ * Page summary returned by the adapters
+ * @typedef {Object} PageSummary
+ * @property {string} id - Page ID
+ * @property {string} title - Page title
+ * @property {number} version - Current version number
+ * @property {string} spaceKey - Space key
+ * @property {string} webui - Page path relative to the site
+ * @property {string|null} url - Absolute page URL
+ */
+
+/**
+ * Build an error message from a failed Confluence REST response
+ * @param {Response} response - Fetch response (not ok)
+ * @returns {Promise<string>} Error message with field details
+ */
+export async function readConfluenceError(response) {
+  const errorText = await response.text();
+  console.error("❌ Confluence API error:", errorText);
+
+  let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+
+  try {
+    const errorJson = JSON.parse(errorText);
+    if (errorJson.message) {
+      errorMessage = errorJson.message;
+    }
+
+    if (errorJson.errors && Array.isArray(errorJson.errors)) {
+      // v1 errors have field/message, v2 errors have title/detail
+      const detailedErrors = errorJson.errors
+        .map(
+          (err) =>
+            `${err.field || err.code || "Unknown field"}: ${
+              err.message || err.title || err.detail || err
+            }`
+        )
+        .join("\n");
+      errorMessage += `\n\nDetailed errors:\n${detailedErrors}`;
+    }
+  } catch (parseError) {
+    console.warn("Could not parse error response as JSON");
+    errorMessage += `\n\nRaw error: ${errorText}`;
+  }
+
+  return errorMessage;
+}
+
+/**
+ * Confluence Server / Data Center, REST API v1 and the Mermaid plugin
+ */
+export class ConfluenceServerAdapter {
+  constructor() {
+    this.edition = "server";
+    // Prefix of every REST and page path of the site
+    this.basePath = "";
+    // Label of the diagram conversion, shown in the publish summary
+    this.diagramTarget = "mermaid-cloud";
+  }
+
+  /**
+   * Send a JSON request to the site
+   * @param {string} path - Path below basePath
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Response>} Raw response, not checked
+   */
+  send(path, options = {}) {
+    const headers = { Accept: "application/json", ...options.headers };
+    if (options.body !== undefined) {
+      headers["Content-Type"] = "application/json; charset=utf-8";
+      headers["X-Atlassian-Token"] = "no-check";
+    }
+
+    return fetch(`${this.basePath}${path}`, {
+      ...options,
+      headers,
+      body:
+        options.body !== undefined ? JSON.stringify(options.body) : undefined,
+    });
+  }
+
+  /**
+   * Send a JSON request and read the response
+   * @param {string} path - Path below basePath
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} Response JSON
+   * @throws {Error} With the Confluence error message when the response is not ok
+   */
+  async getJson(path, options = {}) {
+    const response = await this.send(path, options);
+    if (!response.ok) {
+      throw new Error(await readConfluenceError(response));
+    }
+    return response.json();
+  }
+
+  /**
+   * Build the URL of a page from its ID
+   * @param {string} pageId - Page ID
+   * @returns {string} Absolute page URL
+   */
+  getPageUrl(pageId) {
+    return `${window.location.origin}${this.basePath}/pages/viewpage.action?pageId=${pageId}`;
+  }
+
+  /**
+   * Fetch the storage format (and optionally the rendered HTML) of a page
+   * @param {string} pageId - Page ID
+   * @param {Object} options - { view: also fetch the rendered HTML }
+   * @returns {Promise<Object>} { id, title, storageFormat, content }
+   */
+  async getPage(pageId, { view = true } = {}) {
+    const expand = view ? "body.storage,body.view" : "body.storage";
+    const data = await this.getJson(
+      `/rest/api/content/${pageId}?expand=${expand}`
+    );
+
+    return {
+      id: data.id,
+      title: data.title,
+      storageFormat: data.body?.storage?.value || "",
+      content: data.body?.view?.value || "",
+    };
+  }
+
+  /**
+   * Fetch the direct child pages of a page
+   * @param {string} pageId - Parent page ID
+   * @returns {Promise<Array<{id: string, title: string}>>} Child pages
+   */
+  async getChildPages(pageId) {
+    const children = [];
+    const limit = 50;
+    let start = 0;
+
+    while (true) {
+      const data = await this.getJson(
+        `/rest/api/content/${pageId}/child/page?limit=${limit}&start=${start}`
+      );
+      const results = data.results || [];
+      children.push(
+        ...results.map((page) => ({ id: page.id, title: page.title }))
+      );
+
+      if (results.length < limit || !data._links?.next) break;
+      start += limit;
+    }
+
+    return children;
+  }
+
+  /**
+   * Get a page with its current version
+   * @param {string} pageId - Page ID
+   * @returns {Promise<PageSummary>} Page summary
+   */
+  async getPageSummary(pageId) {
+    return this.toPageSummary(
+      await this.getJson(`/rest/api/content/${pageId}?expand=version,space`)
+    );
+  }
+
+  /**
+   * Find a page by exact title in a space
+   * @param {string} title - Page title
+   * @param {string} spaceKey - Space key
+   * @returns {Promise<PageSummary|null>} Page summary or null
+   */
+  async findPageByTitle(title, spaceKey) {
+    const params = new URLSearchParams({
+      spaceKey,
+      title,
+      type: "page",
+      expand: "version,space",
+    });
+    const page = (await this.getJson(`/rest/api/content?${params}`))
+      .results?.[0];
+    return page ? this.toPageSummary(page) : null;
+  }
+
+  /**
+   * Search pages of a space by title with CQL
+   * @param {string} query - Part of the title
+   * @param {string} spaceKey - Space key
+   * @param {number} limit - Max results
+   * @returns {Promise<Array<{id: string, title: string}>>} Matching pages
+   */
+  async searchPages(query, spaceKey, limit) {
+    const escapeCql = (value) => value.replace(/["\\]/g, "\\$&");
+    const cql = [
+      `space="${escapeCql(spaceKey)}"`,
+      "type=page",
+      query ? `title~"${escapeCql(query)}*"` : null,
+    ]
+      .filter(Boolean)
+      .join(" and ");
+
+    const data = await this.getJson(
+      `/rest/api/content/search?cql=${encodeURIComponent(cql)}&limit=${limit}`
+    );
+    return (data.results || []).map((page) => ({
+      id: page.id,
+      title: page.title,
+    }));
+  }
+
+  /**
+   * Create a page
+   * @param {Object} page - { title, spaceKey, parentId, storage }
+   * @returns {Promise<Response>} Raw response, not checked
+   */
+  createPage({ title, spaceKey, parentId, storage }) {
+    const payload = {
+      type: "page",
+      title,
+      space: { key: spaceKey },
+      body: { storage: { value: storage, representation: "storage" } },
+    };
+    if (parentId) {
+      payload.ancestors = [{ id: parentId }];
+    }
+
+    return this.send("/rest/api/content", { method: "POST", body: payload });
+  }
+
+  /**
+   * Save a new version of a page
+   * @param {PageSummary} page - Current page, from getPageSummary
+   * @param {string} storage - New storage format
+   * @param {string} versionMessage - Version comment
+   * @returns {Promise<Response>} Raw response, not checked (409 on a version conflict)
+   */
+  updatePage(page, storage, versionMessage) {
+    return this.send(`/rest/api/content/${page.id}`, {
+      method: "PUT",
+      body: {
+        id: page.id,
+        type: "page",
+        title: page.title,
+        space: { key: page.spaceKey },
+        body: { storage: { value: storage, representation: "storage" } },
+        version: { number: page.version + 1, message: versionMessage },
+      },
+    });
+  }
+
+  /**
+   * Add global labels to a page
+   * @param {string} pageId - Page ID
+   * @param {Array<string>} labels - Label names
+   */
+  async addLabels(pageId, labels) {
+    await this.getJson(`/rest/api/content/${pageId}/label`, {
+      method: "POST",
+      body: labels.map((name) => ({ prefix: "global", name })),
+    });
+  }
+
+  /**
+   * Map a REST content object (expanded with version,space) to a page summary
+   * @param {Object} page - REST content object
+   * @returns {PageSummary} Page summary
+   */
+  toPageSummary(page) {
+    const webui = page._links?.webui;
+    return {
+      id: page.id,
+      title: page.title,
+      version: page.version?.number || 1,
+      spaceKey: page.space?.key,
+      webui,
+      url: webui
+        ? `${page._links.base || window.location.origin + this.basePath}${webui}`
+        : null,
+    };
+  }
+
+  /**
+   * Storage format replacing a Mermaid macro when publishing
+   * @param {Object} diagram - Diagram from getDiagramConfluenceStyles
+   * @returns {string} mermaid-cloud macro
+   */
+  buildDiagramMacro({ filename, macroId }) {
+    return `<ac:structured-macro ac:name="mermaid-cloud" ac:schema-version="1" ac:macro-id="${macroId}">
+<ac:parameter ac:name="toolbar">bottom</ac:parameter>
+<ac:parameter ac:name="filename">${filename}</ac:parameter>
+<ac:parameter ac:name="format">svg</ac:parameter>
+<ac:parameter ac:name="zoom">fit</ac:parameter>
+<ac:parameter ac:name="revision">1</ac:parameter>
+</ac:structured-macro>`;
+  }
+
+  /**
+   * Save a rendered diagram for a page
+   * @param {Object} diagram - Diagram with svg and png
+   * @param {string} pageId - Page ID
+   * @returns {Promise<boolean>} Success status
+   */
+  saveDiagram(diagram, pageId) {
+    return saveDiagramToAPI(diagram, pageId);
+  }
+}
+
+/**
+ * Confluence Cloud (atlassian.net), REST API v2 below /wiki
+ * CQL search and labels have no v2 equivalent and stay on v1.
+ * No Mermaid plugin is assumed, diagrams are attached to the page as images
+ */
+export class ConfluenceCloudAdapter extends ConfluenceServerAdapter {
+  constructor() {
+    super();
+    this.edition = "cloud";
+    this.basePath = "/wiki";
+    this.diagramTarget = "image attachment";
+    // spaceKey -> spaceId and spaceId -> spaceKey, spaces do not move
+    this.spaceIds = new Map();
+    this.spaceKeys = new Map();
+  }
+
+  async getPage(pageId, { view = true } = {}) {
+    const data = await this.getJson(
+      `/api/v2/pages/${pageId}?body-format=storage`
+    );
+    const storageFormat = data.body?.storage?.value || "";
+
+    let content = "";
+    if (view && storageFormat) {
+      content = await this.convertToView(pageId, storageFormat);
+    }
+
+    return { id: data.id, title: data.title, storageFormat, content };
+  }
+
+  /**
+   * Render storage format to HTML with the conversion API
+   * The v2 API has no view representation for pages
+   * @param {string} pageId - Page ID, macros are rendered in its context
+   * @param {string} storage - Storage format
+   * @returns {Promise<string>} Rendered HTML
+   */
+  async convertToView(pageId, storage) {
+    const data = await this.getJson(
+      `/rest/api/contentbody/convert/view?contentIdContext=${pageId}`,
+      { method: "POST", body: { value: storage, representation: "storage" } }
+    );
+    return data.value || "";
+  }
+
+  async getChildPages(pageId) {
+    const children = [];
+    let path = `/api/v2/pages/${pageId}/children?limit=250`;
+
+    while (path) {
+      const data = await this.getJson(path);
+      children.push(
+        ...(data.results || []).map((page) => ({
+          id: page.id,
+          title: page.title,
+        }))
+      );
+
+      // Cursor links are relative to the site, including /wiki
+      const next = data._links?.next;
+      path = next ? next.replace(/^\/wiki/, "") : null;
+    }
+
+    return children;
+  }
+
+  async getPageSummary(pageId) {
+    const page = await this.getJson(`/api/v2/pages/${pageId}`);
+    await this.getSpaceKey(page.spaceId);
+    return this.toPageSummary(page);
+  }
+
+  async findPageByTitle(title, spaceKey) {
+    const params = new URLSearchParams({
+      "space-id": await this.getSpaceId(spaceKey),
+      title,
+      status: "current",
+    });
+    const page = (await this.getJson(`/api/v2/pages?${params}`)).results?.[0];
+    return page ? this.toPageSummary(page) : null;
+  }
+
+  async createPage({ title, spaceKey, parentId, storage }) {
+    const payload = {
+      spaceId: await this.getSpaceId(spaceKey),
+      status: "current",
+      title,
+      body: { representation: "storage", value: storage },
+    };
+    if (parentId) {
+      payload.parentId = parentId;
+    }
+
+    return this.send("/api/v2/pages", { method: "POST", body: payload });
+  }
+
+  updatePage(page, storage, versionMessage) {
+    return this.send(`/api/v2/pages/${page.id}`, {
+      method: "PUT",
+      body: {
+        id: page.id,
+        status: "current",
+        title: page.title,
+        body: { representation: "storage", value: storage },
+        version: { number: page.version + 1, message: versionMessage },
+      },
+    });
+  }
+
+  /**
+   * Map a v2 page to a page summary
+   * v2 pages carry a spaceId, the key is filled in from the cache when known
+   * @param {Object} page - v2 page
+   * @returns {PageSummary} Page summary
+   */
+  toPageSummary(page) {
+    return {
+      ...super.toPageSummary(page),
+      spaceKey: this.spaceKeys.get(String(page.spaceId)) || page.space?.key,
+    };
+  }
+
+  /**
+   * Look up the ID of a space, v2 endpoints take IDs instead of keys
+   * @param {string} spaceKey - Space key
+   * @returns {Promise<string>} Space ID
+   */
+  async getSpaceId(spaceKey) {
+    if (!this.spaceIds.has(spaceKey)) {
+      const params = new URLSearchParams({ keys: spaceKey });
+      const space = (await this.getJson(`/api/v2/spaces?${params}`))
+        .results?.[0];
+      if (!space) {
+        throw new Error(`Không tìm thấy space ${spaceKey}`);
+      }
+      this.spaceIds.set(spaceKey, String(space.id));
+      this.spaceKeys.set(String(space.id), spaceKey);
+    }
+    return this.spaceIds.get(spaceKey);
+  }
+
+  /**
+   * Look up the key of a space from its ID
+   * @param {string} spaceId - Space ID
+   * @returns {Promise<string>} Space key
+   */
+  async getSpaceKey(spaceId) {
+    const id = String(spaceId);
+    if (!this.spaceKeys.has(id)) {
+      const space = await this.getJson(`/api/v2/spaces/${id}`);
+      this.spaceKeys.set(id, space.key);
+      this.spaceIds.set(space.key, id);
+    }
+    return this.spaceKeys.get(id);
+  }
+
+  /**
+   * Attached PNG of the diagram, uploaded by saveDiagram
+   */
+  buildDiagramMacro({ filename }) {
+    return `<ac:image ac:alt="${filename}"><ri:attachment ri:filename="${filename}.png" /></ac:image>`;
+  }
+
+  /**
+   * Upload the diagram PNG, with its Mermaid source, as page attachments
+   * Uploading a file with the same name adds a new version of the attachment
+   */
+  async saveDiagram(diagram, pageId) {
+    try {
+      console.log(`💾 Attaching diagram ${diagram.filename} to page ${pageId}`);
+
+      const png = Uint8Array.from(atob(diagram.png || ""), (char) =>
+        char.charCodeAt(0)
+      );
+      const form = new FormData();
+      form.append(
+        "file",
+        new Blob([png], { type: "image/png" }),
+        `${diagram.filename}.png`
+      );
+      form.append(
+        "file",
+        new Blob([diagram.diagramCode], { type: "text/plain" }),
+        `${diagram.filename}.mmd`
+      );
+      form.append("minorEdit", "true");
+
+      const response = await fetch(
+        `${this.basePath}/rest/api/content/${pageId}/child/attachment`,
+        {
+          method: "PUT",
+          headers: { "X-Atlassian-Token": "no-check" },
+          body: form,
+        }
+      );
+
+      if (!response.ok) {
+        console.error(
+          `❌ Failed to attach diagram ${diagram.filename}:`,
+          await readConfluenceError(response)
+        );
+        return false;
+      }
+
+      console.log(`✅ Successfully attached diagram ${diagram.filename}`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error attaching diagram ${diagram.filename}:`, error);
+      return false;
+    }
+  }
+}
+
+/**
+ * Pick the adapter of the Confluence site of the current page
+ * @returns {ConfluenceServerAdapter} Cloud adapter on Confluence Cloud, Server/DC adapter otherwise
+ */
+export function detectConfluenceAdapter() {
+  const isCloud =
+    window.location.hostname.endsWith(".atlassian.net") ||
+    Boolean(document.querySelector('meta[name="ajs-cloud-id"]'));
+
+  console.log(`🔌 Confluence ${isCloud ? "Cloud" : "Server/DC"} detected`);
+  return isCloud ? new ConfluenceCloudAdapter() : new ConfluenceServerAdapter();
+}
@@ -1,43 +1,107 @@
 // K-Tool Extension Constants
 export const EXTENSION_SETTINGS_KEY = "extensionSettings";
 
-// API URLs
-const isLocal =
-  window.location.hostname === "localhost" ||
-  window.location.hostname === "127.0.0.1" ||
-  window.location.hostname.includes("localhost");
-const rootUrl = isLocal
-  ? "http://localhost:5001"
-  : "https://document.thangnotes.dev";
-
-// Confluence API URLs (always localhost:8090 for Confluence)
-const confluenceBaseUrl = isLocal
-  ? "http://localhost:8090"
-  : "https://confluence.mbbank.com.vn";
-
-export const API_URLS = {
-  GEN_DOC: `${rootUrl}/api/generate-full-confluence-doc`,
-  GEN_DOC_STATUS: `${rootUrl}/api/generate-status`,
-  GEN_DOC_RESULT: `${rootUrl}/api/generate-result`,
-  EDIT_DIAGRAM: `${rootUrl}/api/edit-diagram`,
-  EDIT_MERMAID: `${rootUrl}/api/edit-mermaid`,
-  EDIT_TEXT: `${rootUrl}/api/edit-text`,
-  EDIT_HTML_CONTENT: `${rootUrl}/api/edit-html-content`,
-  CONVERT_HTML_TO_XHTML: `${rootUrl}/api/html-to-xhtml`,
-  FIX_XHTML: `${rootUrl}/api/fix-xhtml`,
+// Generation jobs are persisted in chrome.storage.local under this key
+export const GENERATION_JOBS_KEY = "generationJobs";
+
+// Placeholder review choices are remembered per template in chrome.storage.local
+export const PLACEHOLDER_MAPPINGS_KEY = "placeholderMappings";
+
+// Secrets (API key) are encrypted in chrome.storage.local, see SecretStore
+// The unlocked key lives in chrome.storage.session until lock or browser close
+export const SECRET_STORE_KEY = "ktoolSecrets";
+export const SECRET_SESSION_KEY = "ktoolSecretSession";
+export const SECRET_KDF_ITERATIONS = 310000; // PBKDF2-SHA256
+// A plain API key saved before SecretStore existed is moved out of chrome.storage.sync
+// into chrome.storage.local under this key, until a passphrase encrypts it
+export const SECRET_LEGACY_KEY = "ktoolLegacyApiKey";
+
+// Models advertised by each backend are cached in chrome.storage.local, see ModelRegistry
+export const MODEL_REGISTRY_KEY = "modelRegistry";
+export const MODEL_REGISTRY_TTL_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+// Generated documents of the workspace are kept in IndexedDB (page origin), see WorkspaceStore
+export const WORKSPACE_DB = {
+  NAME: "ktool-workspace",
+  VERSION: 2,
+  STORE: "documents",
+  SNAPSHOT_STORE: "snapshots",
+  // An older connection (e.g. a tab still running the previous version) can block the upgrade
+  BLOCKED_TIMEOUT_MS: 5000,
 };
 
-export const CONFLUENCE_API_URLS = {
-  MERMAID_DIAGRAM: `${confluenceBaseUrl}/rest/mermaidrest/1.0/mermaid/diagram`,
-  MERMAID_SAVE: `${confluenceBaseUrl}/rest/mermaidrest/1.0/mermaid/save`,
-  MERMAID_UPDATE: `${confluenceBaseUrl}/rest/mermaidrest/1.0/mermaid`, // /{pageId}
-  MERMAID_EDIT_REFERER: `${confluenceBaseUrl}/plugins/mermaid-cloud/editMermaidDiagram.action`,
-  TINYMCE_PLACEHOLDER: `${confluenceBaseUrl}/rest/tinymce/1/macro/placeholder`,
+// Snapshot history of a workspace document, oldest snapshots are dropped past the limit
+export const SNAPSHOT_LIMIT = 50;
+export const SNAPSHOT_ACTIONS = {
+  GENERATE: "generate",
+  REGENERATE: "regenerate",
+  SAVE: "save",
+  AI_EDIT: "aiEdit",
+  DIAGRAM: "diagram",
+  RESTORE: "restore",
+  EDIT: "edit",
 };
 
+// Mock backend (mockBackend setting), see MockBackend
+export const MOCK_BACKEND_JOBS_KEY = "mockBackendJobs";
+export const MOCK_BACKEND = {
+  LATENCY_MS: 300, // Delay of every answer
+  JOB_DURATION_MS: 8000, // A generation job is done after this time
+  MAX_JOBS: 10,
+};
+
+// Backend API endpoints, relative to the backend URL of the environment
+export const API_PATHS = {
+  GEN_DOC: "/api/generate-full-confluence-doc",
+  GEN_DOC_STATUS: "/api/generate-status",
+  GEN_DOC_RESULT: "/api/generate-result",
+  GEN_DOC_CANCEL: "/api/generate-cancel",
+  REGEN_SECTION: "/api/regenerate-section",
+  EDIT_DIAGRAM: "/api/edit-diagram",
+  EDIT_MERMAID: "/api/edit-mermaid",
+  EDIT_TEXT: "/api/edit-text",
+  EDIT_HTML_CONTENT: "/api/edit-html-content",
+  CONVERT_HTML_TO_XHTML: "/api/html-to-xhtml",
+  FIX_XHTML: "/api/fix-xhtml",
+  MODELS: "/api/models",
+  VALIDATE_KEY: "/api/validate-key",
+};
+
+// Backend and Confluence endpoints, selected in the popup and overridable per site (origin)
+// An empty confluenceBaseUrl means the origin of the Confluence page K-Tool runs on
+export const DEFAULT_ENVIRONMENT_ID = "production";
+export const DEFAULT_ENVIRONMENTS = [
+  {
+    id: "production",
+    name: "Production",
+    backendUrl: "https://document.thangnotes.dev",
+    confluenceBaseUrl: "",
+    mermaidRestPath: "/rest/mermaidrest/1.0/mermaid",
+    mermaidEditorPath: "/plugins/mermaid-cloud/editMermaidDiagram.action",
+  },
+  {
+    id: "local",
+    name: "Local",
+    backendUrl: "http://localhost:5001",
+    confluenceBaseUrl: "http://localhost:8090",
+    mermaidRestPath: "/rest/mermaidrest/1.0/mermaid",
+    mermaidEditorPath: "/plugins/mermaid-cloud/editMermaidDiagram.action",
+  },
+];
+export const ENVIRONMENT_FIELDS = [
+  "backendUrl",
+  "confluenceBaseUrl",
+  "mermaidRestPath",
+  "mermaidEditorPath",
+];
+
+// Endpoints of the environment of the current page
+// Filled in place by EnvironmentManager.applyEnvironment, so imports stay valid
+export const API_URLS = {};
+export const CONFLUENCE_API_URLS = {};
+
 // Default settings
 export const DEFAULT_SETTINGS = {
-  apiKey: "",
   urlTemplate: "",
   customPrompt: "",
   documentUrl: "",
@@ -45,34 +109,210 @@ export const DEFAULT_SETTINGS = {
   instructionUrl: "",
   isEnabled: true,
   selectedModel: "sonar-pro",
+  titlePattern: "",
+  profiles: [], // Named generation profiles, see PROFILE_FIELDS
+  activeProfileId: "default",
+  environments: [], // Empty: DEFAULT_ENVIRONMENTS
+  activeEnvironmentId: DEFAULT_ENVIRONMENT_ID,
+  siteEnvironments: { "http://localhost:8090": "local" }, // origin -> environment id
+  autoLockMinutes: 30, // Lock the API key after this idle time, 0 = never
+  featureModels: {}, // AI_FEATURES value -> model id, see DEFAULT_FEATURE_MODELS
+  mockBackend: false, // Answer backend calls with fixtures, see MockBackend
 };
 
-// AI Models
+// Generation profiles: the top-level settings are the "default" profile,
+// named profiles override these fields
+export const DEFAULT_PROFILE_ID = "default";
+export const PROFILE_FIELDS = [
+  "urlTemplate",
+  "instructionUrl",
+  "customPrompt",
+  "documentUrl",
+  "selectedModel",
+  "titlePattern",
+];
+
+// Page title used when the profile has no title pattern
+// Tokens: {baTitle}, {profile}, {date}
+export const DEFAULT_TITLE_PATTERN = "{baTitle} - {date}";
+
+// AI Models, used when the backend does not answer API_PATHS.MODELS
+// contextWindow is in tokens, costTier is "low", "medium" or "high", null when unknown
 export const AI_MODELS = {
   "sonar-pro": {
     name: "Sonar Pro",
     provider: "Perplexity",
     description: "Perplexity AI Sonar Pro model",
+    contextWindow: null,
+    vision: null,
+    costTier: null,
   },
   gemini: {
     name: "Gemini 2.0 Flash",
     provider: "Google",
     description: "Google Gemini 2.0 Flash model",
+    contextWindow: null,
+    vision: null,
+    costTier: null,
+  },
+  "gpt-4o-mini": {
+    name: "GPT-4o mini",
+    provider: "OpenAI",
+    description: "OpenAI GPT-4o mini model",
+    contextWindow: null,
+    vision: null,
+    costTier: null,
   },
 };
 
+// Features that call an AI model
+// Generation uses the model of the profile, the others can pick their own in featureModels
+export const AI_FEATURES = {
+  GENERATE: "generate",
+  TEXT_EDIT: "textEdit",
+  DIAGRAM_EDIT: "diagramEdit",
+  XHTML_FIX: "xhtmlFix",
+};
+
+// Model of a feature when featureModels does not pick one, others use the model of the profile
+export const DEFAULT_FEATURE_MODELS = {
+  [AI_FEATURES.XHTML_FIX]: "gpt-4o-mini",
+};
+
 // Progress steps for document generation
 export const PROGRESS_STEPS = [
   { id: "fetch", label: "Fetch BA Content", status: "pending" },
   { id: "clone", label: "Clone Template", status: "pending" },
   { id: "analyze", label: "Analyze Placeholders", status: "pending" },
+  { id: "review", label: "Review Placeholder Mapping", status: "pending" },
   { id: "generate", label: "AI Generate Document", status: "pending" },
   { id: "complete", label: "Complete", status: "pending" },
 ];
 
+// Generation job lifecycle
+export const GENERATION_JOB_STATUS = {
+  RUNNING: "running",
+  DONE: "done",
+  ERROR: "error",
+  CANCELLED: "cancelled",
+};
+
+export const GENERATION_JOB_POLLING = {
+  INTERVAL_MS: 10000, // Poll every 10 seconds (fallback when streaming is unavailable)
+  MIN_TIMEOUT_MS: 10 * 60 * 1000, // Never give up before 10 minutes
+  MAX_TIMEOUT_MS: 60 * 60 * 1000, // Hard limit, even if the backend keeps reporting progress
+  STALL_TIMEOUT_MS: 5 * 60 * 1000, // Give up when progress does not move for 5 minutes
+  TIMEOUT_MARGIN: 1.5, // Allowed time = estimated total time * margin
+  MAX_STORED_JOBS: 10,
+};
+
+// Limits for the BA sources of one generation
+export const GENERATION_BUDGET = {
+  MAX_SOURCES: 20, // Source pages, descendants included
+  MAX_TOKENS: 120000, // Estimated tokens of all BA content
+  MAX_PAYLOAD_BYTES: 15 * 1024 * 1024, // Request size, images included
+  CHARS_PER_TOKEN: 4, // Rough estimate used for the token budget
+};
+
+// How a placeholder is handled during generation
+export const PLACEHOLDER_MODES = {
+  AI: "ai", // Filled by AI (default)
+  PIN: "pin", // Replaced by a literal value
+  SKIP: "skip", // Left untouched in the output
+};
+
+// Typed placeholder grammar: <<Name[:type[|format]][=default]>>
+export const PLACEHOLDER_TYPES = {
+  TEXT: "text",
+  TABLE: "table",
+  MERMAID: "mermaid",
+  DATE: "date",
+  LIST: "list",
+};
+
+export const DEFAULT_DATE_FORMAT = "dd/MM/yyyy";
+
+// Named HTML entities accepted in Confluence storage format (name -> code point)
+// Includes the Latin-1 letters AI output sometimes uses for Vietnamese text
+export const HTML_ENTITIES = {
+  nbsp: 160,
+  iexcl: 161,
+  cent: 162,
+  pound: 163,
+  yen: 165,
+  sect: 167,
+  copy: 169,
+  laquo: 171,
+  reg: 174,
+  deg: 176,
+  plusmn: 177,
+  para: 182,
+  middot: 183,
+  raquo: 187,
+  frac14: 188,
+  frac12: 189,
+  frac34: 190,
+  Agrave: 192,
+  Aacute: 193,
+  Acirc: 194,
+  Atilde: 195,
+  Egrave: 200,
+  Eacute: 201,
+  Ecirc: 202,
+  Igrave: 204,
+  Iacute: 205,
+  Ograve: 210,
+  Oacute: 211,
+  Ocirc: 212,
+  Otilde: 213,
+  times: 215,
+  Ugrave: 217,
+  Uacute: 218,
+  Yacute: 221,
+  agrave: 224,
+  aacute: 225,
+  acirc: 226,
+  atilde: 227,
+  egrave: 232,
+  eacute: 233,
+  ecirc: 234,
+  igrave: 236,
+  iacute: 237,
+  ograve: 242,
+  oacute: 243,
+  ocirc: 244,
+  otilde: 245,
+  divide: 247,
+  ugrave: 249,
+  uacute: 250,
+  yacute: 253,
+  ndash: 8211,
+  mdash: 8212,
+  lsquo: 8216,
+  rsquo: 8217,
+  sbquo: 8218,
+  ldquo: 8220,
+  rdquo: 8221,
+  bull: 8226,
+  hellip: 8230,
+  prime: 8242,
+  euro: 8364,
+  trade: 8482,
+  larr: 8592,
+  uarr: 8593,
+  rarr: 8594,
+  darr: 8595,
+  harr: 8596,
+  lArr: 8656,
+  rArr: 8658,
+  hArr: 8660,
+  ne: 8800,
+  le: 8804,
+  ge: 8805,
+};
+
 // Validation patterns
 export const VALIDATION = {
   URL_PATTERN: /^https?:\/\/.+/,
-  PLACEHOLDER_PATTERN: /<<([^>]+)>>/g,
   MIN_PROMPT_LENGTH: 10,
 };
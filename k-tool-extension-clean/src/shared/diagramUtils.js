@@ -3,6 +3,7 @@
  * Ported from extension/src/api/api.ts and extension/src/utils/mermaidExporter.ts
  */
 import { MermaidRenderer } from "../content/utils/mermaidRenderer.js";
+import { CONFLUENCE_API_URLS } from "./constants.js";
 
 /**
  * DiagramData interface equivalent for JavaScript
@@ -15,33 +16,115 @@ import { MermaidRenderer } from "../content/utils/mermaidRenderer.js";
  */
 
 /**
- * Extract diagrams from Confluence storage format - EXACT copy from extension
+ * Structured macro found in storage format
+ * @typedef {Object} StructuredMacro
+ * @property {string} name - Macro name (ac:name)
+ * @property {number} start - Offset of the opening tag
+ * @property {number} end - Offset after the closing tag
+ * @property {number} depth - 0 for top-level macros, 1+ inside another macro body
+ * @property {string} body - Content between the opening and closing tags
+ * @property {string|null} code - Mermaid code for mermaid and code(language=mermaid) macros, null otherwise
+ */
+
+/**
+ * Find every structured macro of a storage document, in document order
+ * Nesting is balanced, so a macro inside an expand or panel body is found
+ * on its own instead of cutting its parent short
  * @param {string} storage - The storage format content
- * @returns {DiagramData[]} Array of extracted diagrams
+ * @returns {StructuredMacro[]} Macros
  */
-export function getDiagramConfluenceStyles(storage) {
-  let macroCounter = 1;
-  const extractedDiagrams = [];
-
-  // Find all mermaid macros in storage content
-  const mermaidRegex =
-    /<ac:structured-macro[^>]*ac:name="mermaid"[^>]*>[\s\S]*?<ac:parameter[^>]*ac:name="code"[^>]*>(?:<!\[CDATA\[([\s\S]*?)\]\]>|([\s\S]*?))<\/ac:parameter>[\s\S]*?<\/ac:structured-macro>/g;
-
-  let match;
-  while ((match = mermaidRegex.exec(storage)) !== null) {
-    const code = (match[1] || match[2] || "").trim();
-
-    if (code) {
-      extractedDiagrams.push({
-        filename: `k-tool-diagram-${macroCounter}`,
-        macroId: (110 + macroCounter).toString(),
-        diagramCode: code,
-      });
-      macroCounter++;
+export function findStructuredMacros(storage) {
+  const macros = [];
+  const stack = [];
+  const pattern =
+    /<!\[CDATA\[[\s\S]*?\]\]>|<ac:structured-macro\b([^>]*?)(\/?)>|<\/ac:structured-macro\s*>/g;
+
+  for (const match of storage.matchAll(pattern)) {
+    if (match[0].startsWith("<![CDATA[")) continue;
+
+    if (match[0].startsWith("</")) {
+      const macro = stack.pop();
+      if (!macro) continue;
+      macro.end = match.index + match[0].length;
+      macro.body = storage.substring(macro.bodyStart, match.index);
+      macros.push(macro);
+      continue;
     }
+
+    const macro = {
+      name: (match[1].match(/ac:name="([^"]*)"/) || [])[1] || "",
+      start: match.index,
+      bodyStart: match.index + match[0].length,
+      depth: stack.length,
+    };
+    if (match[2]) {
+      macros.push({ ...macro, end: macro.bodyStart, body: "" });
+    } else {
+      stack.push(macro);
+    }
+  }
+
+  return macros
+    .sort((a, b) => a.start - b.start)
+    .map(({ bodyStart, ...macro }) => ({
+      ...macro,
+      code: getMermaidCode(macro),
+    }));
+}
+
+/**
+ * Get the diagram code of a Mermaid macro
+ * @param {{name: string, body: string}} macro - Macro
+ * @returns {string|null} Code, null if the macro is not a non-empty Mermaid diagram
+ */
+function getMermaidCode(macro) {
+  let match = null;
+
+  if (macro.name === "mermaid") {
+    match = macro.body.match(
+      /<ac:parameter[^>]*ac:name="code"[^>]*>\s*(?:<!\[CDATA\[([\s\S]*?)\]\]>|([\s\S]*?))\s*<\/ac:parameter>/
+    );
+  } else if (
+    macro.name === "code" &&
+    /<ac:parameter[^>]*ac:name="language"[^>]*>\s*mermaid\s*<\/ac:parameter>/i.test(
+      macro.body
+    )
+  ) {
+    match = macro.body.match(
+      /<ac:plain-text-body>\s*(?:<!\[CDATA\[([\s\S]*?)\]\]>|([\s\S]*?))\s*<\/ac:plain-text-body>/
+    );
   }
 
-  return extractedDiagrams;
+  if (!match) return null;
+
+  // Code outside CDATA is escaped XML text
+  const code =
+    match[1] !== undefined
+      ? match[1]
+      : (match[2] || "")
+          .replace(/&lt;/g, "<")
+          .replace(/&gt;/g, ">")
+          .replace(/&quot;/g, '"')
+          .replace(/&amp;/g, "&");
+
+  return code.trim() || null;
+}
+
+/**
+ * Extract diagrams from Confluence storage format
+ * Numbering follows the Mermaid macros in document order, the same order
+ * ConfluenceApi.convertMermaidMacros uses for the diagram filenames
+ * @param {string} storage - The storage format content
+ * @returns {DiagramData[]} Array of extracted diagrams
+ */
+export function getDiagramConfluenceStyles(storage) {
+  return findStructuredMacros(storage)
+    .filter((macro) => macro.code)
+    .map((macro, index) => ({
+      filename: `k-tool-diagram-${index + 1}`,
+      macroId: (111 + index).toString(),
+      diagramCode: macro.code,
+    }));
 }
 
 /**
@@ -154,15 +237,18 @@ export async function saveDiagramToAPI(diagram, pageId) {
       png: diagram.png || "",
     };
 
-    const response = await fetch(`/rest/mermaidrest/1.0/mermaid/${pageId}`, {
-      method: "POST",
-      headers: {
-        Accept: "application/json, text/javascript, */*; q=0.01",
-        "Content-Type": "application/json; charset=UTF-8",
-        "X-Requested-With": "XMLHttpRequest",
-      },
-      body: JSON.stringify(payload),
-    });
+    const response = await fetch(
+      `${CONFLUENCE_API_URLS.MERMAID_UPDATE}/${pageId}`,
+      {
+        method: "POST",
+        headers: {
+          Accept: "application/json, text/javascript, */*; q=0.01",
+          "Content-Type": "application/json; charset=UTF-8",
+          "X-Requested-With": "XMLHttpRequest",
+        },
+        body: JSON.stringify(payload),
+      }
+    );
 
     if (!response.ok) {
       const errorText = await response.text();
@@ -186,9 +272,15 @@ export async function saveDiagramToAPI(diagram, pageId) {
  * Process all extracted diagrams and save them to API sequentially - EXACT copy from extension
  * @param {string} pageId - The page ID
  * @param {DiagramData[]} extractedDiagrams - Array of diagrams to process
+ * @param {function(DiagramData, string): Promise<boolean>} saveDiagram - Saver of one
+ *   rendered diagram, the Mermaid plugin API by default
  * @returns {Promise<{success: number, total: number, errors: string[]}>} Processing result
  */
-export async function processAndSaveDiagrams(pageId, extractedDiagrams) {
+export async function processAndSaveDiagrams(
+  pageId,
+  extractedDiagrams,
+  saveDiagram = saveDiagramToAPI
+) {
   if (extractedDiagrams.length === 0) {
     console.log("ℹ️ No diagrams to process");
     return { success: 0, total: 0, errors: [] };
@@ -220,7 +312,7 @@ export async function processAndSaveDiagrams(pageId, extractedDiagrams) {
       );
 
       try {
-        const success = await saveDiagramToAPI(diagram, pageId);
+        const success = await saveDiagram(diagram, pageId);
         if (success) {
           successCount++;
           console.log(
@@ -0,0 +1,200 @@
+// Environments: backend URL, Confluence base URL and Mermaid plugin endpoints
+// The active environment applies everywhere, a site (origin) can pin another one
+import {
+  API_PATHS,
+  API_URLS,
+  CONFLUENCE_API_URLS,
+  DEFAULT_ENVIRONMENTS,
+  DEFAULT_SETTINGS,
+} from "./constants.js";
+
+export class EnvironmentManager {
+  /**
+   * Get all environments of the settings
+   * @param {Object} settings - Settings object
+   * @returns {Array<Object>} Environments, the built-in ones when none were edited
+   */
+  static getEnvironments(settings) {
+    return settings.environments?.length
+      ? settings.environments
+      : DEFAULT_ENVIRONMENTS;
+  }
+
+  /**
+   * Check if an environment is one of the built-in environments
+   * @param {string} environmentId - Environment ID
+   * @returns {boolean} True for built-in environments
+   */
+  static isBuiltIn(environmentId) {
+    return DEFAULT_ENVIRONMENTS.some(
+      (environment) => environment.id === environmentId
+    );
+  }
+
+  /**
+   * Get the environment used on a site
+   * @param {Object} settings - Settings object
+   * @param {string} origin - Origin of the Confluence page
+   * @returns {Object} Environment, confluenceBaseUrl defaults to the origin
+   */
+  static resolveEnvironment(settings, origin) {
+    const { activeEnvironmentId, siteEnvironments } = {
+      ...DEFAULT_SETTINGS,
+      ...settings,
+    };
+    const environments = this.getEnvironments(settings);
+    const environmentId = siteEnvironments?.[origin] || activeEnvironmentId;
+    const environment =
+      environments.find((item) => item.id === environmentId) ||
+      environments[0];
+
+    return {
+      ...environment,
+      confluenceBaseUrl: environment.confluenceBaseUrl || origin,
+    };
+  }
+
+  /**
+   * Point API_URLS and CONFLUENCE_API_URLS to an environment
+   * @param {Object} environment - Environment from resolveEnvironment
+   */
+  static applyEnvironment(environment) {
+    Object.assign(API_URLS, this.buildApiUrls(environment));
+    Object.assign(
+      CONFLUENCE_API_URLS,
+      this.buildConfluenceApiUrls(environment)
+    );
+    console.log(
+      `🌐 Environment "${environment.name}":`,
+      environment.backendUrl,
+      environment.confluenceBaseUrl
+    );
+  }
+
+  /**
+   * Build the backend endpoints of an environment
+   * @param {Object} environment - Environment
+   * @returns {Object} Same keys as API_PATHS
+   */
+  static buildApiUrls(environment) {
+    const rootUrl = this.trimUrl(environment.backendUrl);
+    return Object.fromEntries(
+      Object.entries(API_PATHS).map(([name, path]) => [
+        name,
+        `${rootUrl}${path}`,
+      ])
+    );
+  }
+
+  /**
+   * Build the Mermaid plugin and TinyMCE endpoints of an environment
+   * @param {Object} environment - Environment with a confluenceBaseUrl
+   * @returns {Object} CONFLUENCE_API_URLS
+   */
+  static buildConfluenceApiUrls(environment) {
+    const baseUrl = this.trimUrl(environment.confluenceBaseUrl);
+    const mermaidUrl = `${baseUrl}${this.trimUrl(environment.mermaidRestPath)}`;
+
+    return {
+      MERMAID_DIAGRAM: `${mermaidUrl}/diagram`,
+      MERMAID_SAVE: `${mermaidUrl}/save`,
+      MERMAID_UPDATE: mermaidUrl, // /{pageId}
+      MERMAID_EDIT_REFERER: `${baseUrl}${environment.mermaidEditorPath}`,
+      TINYMCE_PLACEHOLDER: `${baseUrl}/rest/tinymce/1/macro/placeholder`,
+    };
+  }
+
+  /**
+   * Get the host permission pattern of a URL
+   * @param {string} url - URL
+   * @returns {string|null} Origin pattern (https://host/*) or null if invalid
+   */
+  static getOriginPattern(url) {
+    try {
+      const { origin, protocol } = new URL(url);
+      return /^https?:$/.test(protocol) ? `${origin}/*` : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check that the backend and Confluence of an environment answer
+   * Needs host permissions for both origins, see getOriginPattern
+   * @param {Object} environment - Environment from resolveEnvironment
+   * @returns {Promise<{backend: Object, confluence: Object}>} Probe results
+   *   { url, ok, status, message } for each
+   */
+  static async testConnection(environment) {
+    // Unknown job IDs are answered with an error, which still proves the backend is up
+    const backendUrl = `${this.buildApiUrls(environment).GEN_DOC_STATUS}?job_id=ping`;
+
+    // Confluence Cloud serves the REST API below /wiki
+    let confluenceBaseUrl = this.trimUrl(environment.confluenceBaseUrl);
+    if (
+      /\.atlassian\.net$/.test(this.getHostname(confluenceBaseUrl)) &&
+      !/\/wiki$/.test(confluenceBaseUrl)
+    ) {
+      confluenceBaseUrl += "/wiki";
+    }
+
+    const [backend, confluence] = await Promise.all([
+      this.probe(backendUrl, { credentials: "omit" }),
+      confluenceBaseUrl
+        ? this.probe(`${confluenceBaseUrl}/rest/api/space?limit=1`, {
+            credentials: "include",
+          })
+        : {
+            url: null,
+            ok: false,
+            status: null,
+            message: "Chưa có URL Confluence",
+          },
+    ]);
+
+    if (confluence.status === 401 || confluence.status === 403) {
+      confluence.message = "Kết nối được nhưng chưa đăng nhập Confluence";
+    }
+    return { backend, confluence };
+  }
+
+  /**
+   * Send a GET request and describe the answer
+   * @param {string} url - URL
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Object>} { url, ok, status, message }
+   */
+  static async probe(url, options = {}) {
+    try {
+      const response = await fetch(url, {
+        ...options,
+        headers: { Accept: "application/json" },
+      });
+      return {
+        url,
+        ok: response.status < 500,
+        status: response.status,
+        message: `HTTP ${response.status}`,
+      };
+    } catch (error) {
+      return {
+        url,
+        ok: false,
+        status: null,
+        message: `Không kết nối được: ${error.message}`,
+      };
+    }
+  }
+
+  static trimUrl(url) {
+    return (url || "").trim().replace(/\/+$/, "");
+  }
+
+  static getHostname(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return "";
+    }
+  }
+}
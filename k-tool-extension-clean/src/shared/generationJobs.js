@@ -0,0 +1,150 @@
+// Persistent store for document generation jobs
+// Shared by the content script (job list UI) and the background service worker (polling)
+import {
+  GENERATION_JOBS_KEY,
+  GENERATION_JOB_POLLING,
+  GENERATION_JOB_STATUS,
+} from "./constants.js";
+
+/**
+ * @typedef {Object} GenerationJob
+ * @property {string} id - Backend job id
+ * @property {string} status - One of GENERATION_JOB_STATUS
+ * @property {string} baUrl - BA document URL
+ * @property {string} baTitle - BA document title
+ * @property {string} templateUrl - Template page URL
+ * @property {string} templateStorageFormat - Template storage format sent with the job
+ * @property {number} startedAt - Start timestamp
+ * @property {number} updatedAt - Last update timestamp
+ * @property {number|null} finishedAt - Finish timestamp
+ * @property {Object} payloadSummary - Short summary of the payload sent to GEN_DOC
+ * @property {{status: string, result: string}} endpoints - Status/result endpoints
+ * @property {number} attempts - Number of status checks done so far
+ * @property {string} progressMessage - Last progress message from backend
+ * @property {string|null} error - Error message if the job failed
+ * @property {Object|null} result - Generated document when done
+ */
+
+export class GenerationJobStore {
+  // Tail of the pending writes; every read-modify-write of the job list is
+  // chained here so concurrent updates from the background runner don't
+  // overwrite each other
+  static writeQueue = Promise.resolve();
+
+  /**
+   * Get all stored jobs, newest first
+   * @returns {Promise<GenerationJob[]>} Jobs
+   */
+  static async getJobs() {
+    try {
+      const result = await chrome.storage.local.get([GENERATION_JOBS_KEY]);
+      const jobs = result[GENERATION_JOBS_KEY] || [];
+      return jobs.sort((a, b) => b.startedAt - a.startedAt);
+    } catch (error) {
+      console.error("❌ Error loading generation jobs:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Get a single job by id
+   * @param {string} jobId - Job id
+   * @returns {Promise<GenerationJob|null>} Job or null
+   */
+  static async getJob(jobId) {
+    const jobs = await this.getJobs();
+    return jobs.find((job) => job.id === jobId) || null;
+  }
+
+  /**
+   * Get jobs that are still running on the backend
+   * @returns {Promise<GenerationJob[]>} Running jobs
+   */
+  static async getRunningJobs() {
+    const jobs = await this.getJobs();
+    return jobs.filter((job) => job.status === GENERATION_JOB_STATUS.RUNNING);
+  }
+
+  /**
+   * Insert or replace a job, keeping only the most recent jobs
+   * @param {GenerationJob} job - Job to save
+   * @returns {Promise<GenerationJob>} Saved job
+   */
+  static async saveJob(job) {
+    return this.enqueueWrite(async () => {
+      const jobs = (await this.getJobs()).filter((item) => item.id !== job.id);
+      jobs.unshift({ ...job, updatedAt: Date.now() });
+
+      await this.writeJobs(jobs);
+      return jobs[0];
+    });
+  }
+
+  /**
+   * Merge changes into an existing job
+   * @param {string} jobId - Job id
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<GenerationJob|null>} Updated job or null if not found
+   */
+  static async updateJob(jobId, changes) {
+    return this.enqueueWrite(async () => {
+      const jobs = await this.getJobs();
+      const index = jobs.findIndex((job) => job.id === jobId);
+      if (index === -1) {
+        return null;
+      }
+
+      jobs[index] = { ...jobs[index], ...changes, updatedAt: Date.now() };
+      await this.writeJobs(jobs);
+      return jobs[index];
+    });
+  }
+
+  /**
+   * Remove a job from the store
+   * @param {string} jobId - Job id
+   * @returns {Promise<boolean>} Success status
+   */
+  static async removeJob(jobId) {
+    try {
+      await this.enqueueWrite(async () => {
+        const jobs = await this.getJobs();
+        await this.writeJobs(jobs.filter((job) => job.id !== jobId));
+      });
+      return true;
+    } catch (error) {
+      console.error("❌ Error removing generation job:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Run a read-modify-write of the job list after all pending ones finish
+   * @param {Function} mutate - Async function that reads and writes the jobs
+   * @returns {Promise<*>} Result of mutate
+   */
+  static enqueueWrite(mutate) {
+    const result = this.writeQueue.then(mutate);
+    // Keep the queue alive when one write fails
+    this.writeQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Persist jobs, dropping the oldest finished ones above the limit
+   * Running jobs are never dropped
+   * @param {GenerationJob[]} jobs - Jobs sorted newest first
+   */
+  static async writeJobs(jobs) {
+    let finishedCount = 0;
+    const keptJobs = jobs.filter((job) => {
+      if (job.status === GENERATION_JOB_STATUS.RUNNING) {
+        return true;
+      }
+      finishedCount++;
+      return finishedCount <= GENERATION_JOB_POLLING.MAX_STORED_JOBS;
+    });
+
+    await chrome.storage.local.set({ [GENERATION_JOBS_KEY]: keptJobs });
+  }
+}
@@ -0,0 +1,382 @@
+// Mock backend for development and demos
+// Answers every backend endpoint with deterministic fixtures inside the extension,
+// so generate -> edit -> publish runs against a Confluence without an AI server.
+// Switched on with the mockBackend setting, ApiClient.request routes calls here.
+// Generation jobs are kept in chrome.storage.local because the content script
+// submits them and the background polls them.
+import {
+  API_PATHS,
+  MOCK_BACKEND,
+  MOCK_BACKEND_JOBS_KEY,
+  PLACEHOLDER_MODES,
+  PLACEHOLDER_TYPES,
+} from "./constants.js";
+import { PlaceholderGrammar } from "./placeholderGrammar.js";
+import { StorageFormatSanitizer } from "./storageFormatSanitizer.js";
+import { StorageManager } from "../content/utils/storageManager.js";
+
+export class MockBackend {
+  /**
+   * Check if the mock backend is switched on in the settings
+   * @returns {Promise<boolean>} True when backend calls must not leave the extension
+   */
+  static async isEnabled() {
+    const settings = await StorageManager.getSettings();
+    return !!settings.mockBackend;
+  }
+
+  /**
+   * Answer a backend request
+   * @param {string} url - Request URL, matched on the API_PATHS endpoint
+   * @param {Object} options - Fetch options (method, body)
+   * @returns {Promise<Object>} Same shape as ApiClient.request:
+   *   { success, data } or { success: false, error, status }
+   */
+  static async request(url, options = {}) {
+    const { pathname, searchParams } = new URL(url);
+    const endpoint = Object.keys(API_PATHS).find((name) =>
+      pathname.endsWith(API_PATHS[name])
+    );
+    const payload = options.body ? JSON.parse(options.body) : {};
+
+    console.log(`🧪 Mock backend: ${endpoint || pathname}`);
+    await new Promise((resolve) => setTimeout(resolve, MOCK_BACKEND.LATENCY_MS));
+
+    try {
+      const data = await this.answer(endpoint, payload, searchParams);
+      if (data === undefined) {
+        return {
+          success: false,
+          error: `Mock backend has no fixture for ${pathname}`,
+          status: 404,
+        };
+      }
+      return { success: true, data };
+    } catch (error) {
+      console.error("❌ Mock backend error:", error);
+      return { success: false, error: error.message, status: 500 };
+    }
+  }
+
+  /**
+   * Build the fixture of an endpoint
+   * @param {string} endpoint - Key of API_PATHS
+   * @param {Object} payload - Request body
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Promise<Object|string|undefined>} Response data, undefined if unknown
+   */
+  static async answer(endpoint, payload, params) {
+    switch (endpoint) {
+      case "GEN_DOC":
+        return await this.startJob(payload);
+      case "GEN_DOC_STATUS":
+        return await this.getJobStatus(params.get("job_id"));
+      case "GEN_DOC_RESULT":
+        return { result: (await this.getJob(params.get("job_id"))).result };
+      case "GEN_DOC_CANCEL":
+        await this.updateJob(payload.job_id, { cancelled: true });
+        return { success: true };
+      case "REGEN_SECTION": {
+        const note = this.escapeXml(
+          `Regenerated by the mock backend: ${payload.instruction || "-"}`
+        );
+        return {
+          section_storage_format: `${payload.current_section || ""}<p><em>${note}</em></p>`,
+        };
+      }
+      case "EDIT_TEXT":
+        return {
+          edited_text: `${payload.text || ""} (${payload.instruction || "edited"})`,
+        };
+      case "EDIT_HTML_CONTENT":
+        return this.editHtml(payload);
+      case "EDIT_DIAGRAM":
+        return {
+          success: true,
+          edited_diagram: this.editMermaid(
+            payload.diagram_code,
+            payload.user_request
+          ),
+        };
+      case "EDIT_MERMAID":
+        return this.editMermaid(payload.diagram_code, payload.prompt);
+      case "CONVERT_HTML_TO_XHTML":
+        return {
+          xhtml_content: StorageFormatSanitizer.sanitize(payload.content || ""),
+        };
+      case "FIX_XHTML":
+        return {
+          fixed_xhtml: StorageFormatSanitizer.sanitize(
+            payload.xhtml_content || ""
+          ),
+        };
+      case "VALIDATE_KEY":
+        return { valid: true };
+      default:
+        return undefined;
+    }
+  }
+
+  // ========== GENERATION JOBS ==========
+
+  /**
+   * Store a job whose result is the template filled with fixtures
+   * @param {Object} payload - GEN_DOC payload
+   * @returns {Promise<{job_id: string}>} Job id
+   */
+  static async startJob(payload) {
+    const jobs = await this.getJobs();
+    const mappings = this.getMappings(payload);
+    const job = {
+      id: `mock-${Date.now()}`,
+      createdAt: Date.now(),
+      cancelled: false,
+      placeholders: mappings
+        .filter((mapping) => mapping.mode === PLACEHOLDER_MODES.AI)
+        .map((mapping) => mapping.placeholder),
+      result: { full_storage_format: this.fillTemplate(payload, mappings) },
+    };
+
+    // Only the latest jobs are kept, results can be large
+    const keptJobs = Object.values(jobs)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, MOCK_BACKEND.MAX_JOBS - 1);
+    await chrome.storage.local.set({
+      [MOCK_BACKEND_JOBS_KEY]: Object.fromEntries(
+        [job, ...keptJobs].map((item) => [item.id, item])
+      ),
+    });
+    return { job_id: job.id };
+  }
+
+  /**
+   * Report progress from the time elapsed since the job started
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object>} Status in the backend format
+   */
+  static async getJobStatus(jobId) {
+    const job = await this.getJob(jobId);
+    if (job.cancelled) {
+      return { status: "cancelled" };
+    }
+
+    const ratio = (Date.now() - job.createdAt) / MOCK_BACKEND.JOB_DURATION_MS;
+    if (ratio >= 1) {
+      return { status: "done", progress: 100 };
+    }
+
+    const total = job.placeholders.length;
+    const completed = Math.floor(total * ratio);
+    return {
+      status: "running",
+      progress: Math.round(ratio * 100),
+      completed_placeholders: completed,
+      total_placeholders: total,
+      current_placeholder: job.placeholders[completed] || "",
+      progress_message: "Mock backend is filling the template",
+    };
+  }
+
+  static async getJobs() {
+    const result = await chrome.storage.local.get([MOCK_BACKEND_JOBS_KEY]);
+    return result[MOCK_BACKEND_JOBS_KEY] || {};
+  }
+
+  static async getJob(jobId) {
+    const job = (await this.getJobs())[jobId];
+    if (!job) {
+      throw new Error(`Mock job ${jobId} not found`);
+    }
+    return job;
+  }
+
+  static async updateJob(jobId, updates) {
+    const jobs = await this.getJobs();
+    if (!jobs[jobId]) {
+      throw new Error(`Mock job ${jobId} not found`);
+    }
+    jobs[jobId] = { ...jobs[jobId], ...updates };
+    await chrome.storage.local.set({ [MOCK_BACKEND_JOBS_KEY]: jobs });
+  }
+
+  // ========== FIXTURES ==========
+
+  /**
+   * Get the placeholder mappings of a payload
+   * @param {Object} payload - GEN_DOC payload
+   * @returns {Array<Object>} Mappings { placeholder, mode, value }
+   */
+  static getMappings(payload) {
+    if (payload.placeholder_mappings?.length) {
+      return payload.placeholder_mappings;
+    }
+    return (payload.placeholders || []).map((placeholder) => ({
+      placeholder,
+      mode: PLACEHOLDER_MODES.AI,
+    }));
+  }
+
+  /**
+   * Replace the placeholders of the template with content of their type
+   * @param {Object} payload - GEN_DOC payload
+   * @param {Array<Object>} mappings - Placeholder mappings
+   * @returns {string} Storage format
+   */
+  static fillTemplate(payload, mappings) {
+    const descriptors = payload.placeholder_descriptors || [];
+    const sourceTitle = payload.ba_sources?.[0]?.title || "BA document";
+
+    return mappings.reduce((storage, mapping) => {
+      if (mapping.mode === PLACEHOLDER_MODES.SKIP) {
+        return storage;
+      }
+
+      const descriptor =
+        descriptors.find((item) => item.token === mapping.placeholder) ||
+        PlaceholderGrammar.parse(mapping.placeholder);
+      const content =
+        mapping.mode === PLACEHOLDER_MODES.PIN
+          ? { inline: this.escapeXml(mapping.value || "") }
+          : this.buildContent(descriptor, sourceTitle);
+      return this.replaceToken(storage, mapping.placeholder, content);
+    }, payload.original_storage_format || "");
+  }
+
+  /**
+   * Build fixture content for a placeholder
+   * @param {Object} descriptor - Placeholder descriptor, see PlaceholderGrammar
+   * @param {string} sourceTitle - Title of the first BA source
+   * @returns {{inline: string, block?: string}} Text for inline tokens,
+   *   block content for tokens that are alone in a paragraph
+   */
+  static buildContent(descriptor, sourceTitle) {
+    const name = this.escapeXml(descriptor.name);
+    const source = this.escapeXml(sourceTitle);
+    const inline = `${name} (mock content from ${source})`;
+
+    switch (descriptor.type) {
+      case PLACEHOLDER_TYPES.TABLE:
+        return {
+          inline,
+          block:
+            "<table><tbody>" +
+            "<tr><th>#</th><th>Item</th><th>Description</th></tr>" +
+            [1, 2, 3]
+              .map(
+                (index) =>
+                  `<tr><td>${index}</td><td>${name} ${index}</td><td>Mock row from ${source}</td></tr>`
+              )
+              .join("") +
+            "</tbody></table>",
+        };
+      case PLACEHOLDER_TYPES.LIST:
+        return {
+          inline,
+          block: `<ul>${[1, 2, 3]
+            .map((index) => `<li>${name} item ${index}</li>`)
+            .join("")}</ul>`,
+        };
+      case PLACEHOLDER_TYPES.MERMAID:
+        return {
+          inline,
+          block:
+            '<ac:structured-macro ac:name="mermaid" ac:schema-version="1">' +
+            `<ac:parameter ac:name="code">graph TD\n  A[${name}] --&gt; B[${source}]\n  B --&gt; C[Done]</ac:parameter>` +
+            "</ac:structured-macro>",
+        };
+      case PLACEHOLDER_TYPES.DATE:
+        return { inline: this.formatDate(new Date(), descriptor.format) };
+      default:
+        return { inline, block: `<p>${inline}</p>` };
+    }
+  }
+
+  /**
+   * Replace a placeholder token, raw or entity-encoded
+   * A token alone in a paragraph is replaced with the block content
+   * @param {string} storage - Storage format
+   * @param {string} token - Placeholder token
+   * @param {{inline: string, block?: string}} content - Replacement
+   * @returns {string} Storage format
+   */
+  static replaceToken(storage, token, content) {
+    const encodedToken = token
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+
+    return [...new Set([token, encodedToken])].reduce((result, form) => {
+      const pattern = this.escapeRegExp(form);
+      return result
+        .replace(
+          new RegExp(`<p>\\s*${pattern}\\s*</p>`, "g"),
+          () => content.block || `<p>${content.inline}</p>`
+        )
+        .replace(new RegExp(pattern, "g"), () => content.inline);
+    }, storage);
+  }
+
+  /**
+   * Mark the selected text of an HTML fragment as edited
+   * @param {Object} payload - html_content, selected_text, prompt
+   * @returns {string} Edited HTML
+   */
+  static editHtml(payload) {
+    const html = payload.html_content || "";
+    const note = `<em>(${this.escapeXml(payload.prompt || "edited")})</em>`;
+    const selected = payload.selected_text || "";
+
+    return selected && html.includes(selected)
+      ? html.replace(selected, () => `${selected} ${note}`)
+      : `${html}<p>${note}</p>`;
+  }
+
+  /**
+   * Add the request to a Mermaid diagram as a comment, and as a node for flowcharts
+   * @param {string} code - Mermaid code
+   * @param {string} request - Edit request
+   * @returns {string} Edited Mermaid code
+   */
+  static editMermaid(code, request) {
+    const text = (request || "edited").replace(/["\n\r]/g, " ").trim();
+    const lines = (code || "graph TD").trim().split("\n");
+    const isFlowchart = /^(graph|flowchart)\b/i.test(lines[0].trim());
+
+    return [
+      lines[0],
+      `  %% Mock edit: ${text}`,
+      ...lines.slice(1),
+      ...(isFlowchart ? [`  mockEdit["${text.slice(0, 40)}"]`] : []),
+    ].join("\n");
+  }
+
+  /**
+   * Format a date with the placeholder date tokens (yyyy, MM, dd, HH, mm)
+   * @param {Date} date - Date
+   * @param {string} format - Format, e.g. dd/MM/yyyy
+   * @returns {string} Formatted date
+   */
+  static formatDate(date, format) {
+    const pad = (value) => String(value).padStart(2, "0");
+    const parts = {
+      yyyy: String(date.getFullYear()),
+      MM: pad(date.getMonth() + 1),
+      dd: pad(date.getDate()),
+      HH: pad(date.getHours()),
+      mm: pad(date.getMinutes()),
+    };
+    return format.replace(/yyyy|MM|dd|HH|mm/g, (token) => parts[token]);
+  }
+
+  static escapeXml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  static escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+}
@@ -0,0 +1,184 @@
+// Registry of the AI models a backend offers
+// The backend advertises its models on API_PATHS.MODELS, AI_MODELS is the fallback
+import {
+  AI_FEATURES,
+  AI_MODELS,
+  DEFAULT_FEATURE_MODELS,
+  MODEL_REGISTRY_KEY,
+  MODEL_REGISTRY_TTL_MS,
+} from "./constants.js";
+import { StorageManager } from "../content/utils/storageManager.js";
+
+/**
+ * @typedef {Object} AiModel
+ * @property {string} id - Model id sent to the backend (selectedModel, X-Model)
+ * @property {string} name - Display name
+ * @property {string} provider - Provider name
+ * @property {string} description - Short description
+ * @property {number|null} contextWindow - Context size in tokens
+ * @property {boolean} vision - Accepts images, false when unknown
+ * @property {string|null} costTier - "low", "medium" or "high"
+ * @property {string[]|null} features - AI_FEATURES the model may be used for, null for all
+ */
+
+export class ModelRegistry {
+  /**
+   * Get the models of a backend
+   * The list is cached per models URL for MODEL_REGISTRY_TTL_MS
+   * @param {string} modelsUrl - Models endpoint (API_URLS.MODELS of the environment)
+   * @param {Object} options - { refresh: skip the cache }
+   * @returns {Promise<{models: AiModel[], source: string}>} source is "backend",
+   *   "cache" or "fallback"
+   */
+  static async getModels(modelsUrl, { refresh = false } = {}) {
+    const cache = await this.getCache();
+    const cached = cache[modelsUrl];
+    if (
+      !refresh &&
+      cached &&
+      Date.now() - cached.fetchedAt < MODEL_REGISTRY_TTL_MS
+    ) {
+      return { models: cached.models, source: "cache" };
+    }
+
+    try {
+      const models = await this.fetchModels(modelsUrl);
+      await chrome.storage.local.set({
+        [MODEL_REGISTRY_KEY]: {
+          ...cache,
+          [modelsUrl]: { fetchedAt: Date.now(), models },
+        },
+      });
+      return { models, source: "backend" };
+    } catch (error) {
+      console.warn("⚠️ Could not load models from backend:", error.message);
+      // An expired list of this backend is still better than the built-in one
+      return cached
+        ? { models: cached.models, source: "cache" }
+        : { models: this.getFallbackModels(), source: "fallback" };
+    }
+  }
+
+  /**
+   * Load the models advertised by a backend
+   * @param {string} modelsUrl - Models endpoint
+   * @returns {Promise<AiModel[]>} Models
+   */
+  static async fetchModels(modelsUrl) {
+    const response = await fetch(modelsUrl, {
+      headers: {
+        Accept: "application/json",
+        "X-Client-Version": chrome.runtime.getManifest().version,
+      },
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    // { models: [...] } or a plain array
+    const data = await response.json();
+    const models = (Array.isArray(data) ? data : data.models || [])
+      .map((model) => this.normalizeModel(model))
+      .filter(Boolean);
+    if (models.length === 0) {
+      throw new Error("No models advertised");
+    }
+    return models;
+  }
+
+  /**
+   * Read a model of the backend list, snake_case or camelCase fields
+   * @param {Object} model - Model as sent by the backend
+   * @returns {AiModel|null} Model, null without id
+   */
+  static normalizeModel(model) {
+    if (!model?.id) return null;
+
+    const contextWindow = Number(model.context_window ?? model.contextWindow);
+    return {
+      id: String(model.id),
+      name: model.name || String(model.id),
+      provider: model.provider || "",
+      description: model.description || "",
+      contextWindow: contextWindow > 0 ? contextWindow : null,
+      vision: !!(model.vision ?? model.supports_vision),
+      costTier: model.cost_tier ?? model.costTier ?? null,
+      features: Array.isArray(model.features) ? model.features : null,
+    };
+  }
+
+  /**
+   * Get the built-in models
+   * @returns {AiModel[]} Models of AI_MODELS
+   */
+  static getFallbackModels() {
+    return Object.entries(AI_MODELS).map(([id, model]) =>
+      this.normalizeModel({ id, ...model })
+    );
+  }
+
+  /**
+   * Get the models that may be used for a feature
+   * @param {AiModel[]} models - Models
+   * @param {string} feature - One of AI_FEATURES
+   * @returns {AiModel[]} Models
+   */
+  static getModelsForFeature(models, feature) {
+    return models.filter(
+      (model) => !model.features || model.features.includes(feature)
+    );
+  }
+
+  /**
+   * Get the model to use for a feature
+   * @param {Object} settings - Settings object
+   * @param {string} feature - One of AI_FEATURES
+   * @returns {string} Model id, the default model of the feature or the model
+   *   of the active profile when the feature has none
+   */
+  static resolveFeatureModel(settings, feature = AI_FEATURES.GENERATE) {
+    const profileModel =
+      StorageManager.resolveProfileSettings(settings).selectedModel;
+    if (feature === AI_FEATURES.GENERATE) {
+      return profileModel;
+    }
+    return (
+      settings.featureModels?.[feature] ||
+      DEFAULT_FEATURE_MODELS[feature] ||
+      profileModel
+    );
+  }
+
+  /**
+   * Build a one-line label of a model and its capabilities
+   * @param {AiModel} model - Model
+   * @returns {string} e.g. "Google - Gemini 2.0 Flash · 1M · 👁️ · $"
+   */
+  static describeModel(model) {
+    const costs = { low: "$", medium: "$$", high: "$$$" };
+    return [
+      model.provider ? `${model.provider} - ${model.name}` : model.name,
+      model.contextWindow && this.formatTokens(model.contextWindow),
+      model.vision && "👁️",
+      costs[model.costTier],
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  static formatTokens(tokens) {
+    return tokens >= 1000000
+      ? `${Math.round(tokens / 100000) / 10}M`
+      : `${Math.round(tokens / 1000)}k`;
+  }
+
+  static async getCache() {
+    try {
+      const result = await chrome.storage.local.get([MODEL_REGISTRY_KEY]);
+      return result[MODEL_REGISTRY_KEY] || {};
+    } catch (error) {
+      console.error("Error loading model registry cache:", error);
+      return {};
+    }
+  }
+}
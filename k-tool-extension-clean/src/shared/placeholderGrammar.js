@@ -0,0 +1,328 @@
+// Typed placeholder grammar for templates
+//
+//   <<Name>>                     free text (default)
+//   <<Name:table>>               a table
+//   <<Flow:mermaid>>             a Mermaid diagram
+//   <<Date:date|dd/MM/yyyy>>     a date in the given format
+//   <<Items:list>>               a bullet/numbered list
+//   <<Owner=Team A>>             any of the above with a default value
+//
+// The same grammar applies to {{...}} tokens.
+import { DEFAULT_DATE_FORMAT, PLACEHOLDER_TYPES } from "./constants.js";
+
+/**
+ * @typedef {Object} PlaceholderDescriptor
+ * @property {string} token - Token as written in the template, e.g. "<<Flow:mermaid>>"
+ * @property {string} name - Placeholder name
+ * @property {string} type - One of PLACEHOLDER_TYPES
+ * @property {string} format - Format (dates only)
+ * @property {string|null} defaultValue - Default value, null if none
+ * @property {string} heading - Nearest heading before the token in the template
+ * @property {number} baselineCount - Elements of the requested type already in the template section
+ * @property {string|null} error - Grammar error, null if valid
+ */
+
+export class PlaceholderGrammar {
+  // Raw <<...>>, entity-encoded &lt;&lt;...&gt;&gt; and {{...}} tokens
+  static TOKEN_PATTERN =
+    /<<[^<>]+>>|&lt;&lt;(?:(?!&gt;&gt;)[\s\S])+?&gt;&gt;|\{\{[^{}]+\}\}/g;
+
+  /**
+   * Find the unique placeholder tokens of a storage format, in document order
+   * Entity-encoded tokens are decoded, so "&lt;&lt;Name&gt;&gt;" gives "<<Name>>"
+   * @param {string} storageFormat - Storage format
+   * @returns {Array<string>} Tokens
+   */
+  static extractTokens(storageFormat) {
+    const tokens = [...(storageFormat || "").matchAll(this.TOKEN_PATTERN)].map(
+      (match) => this.decodeEntities(match[0])
+    );
+    return [...new Set(tokens)];
+  }
+
+  /**
+   * Parse a single placeholder token
+   * @param {string} token - "<<...>>" or "{{...}}" token
+   * @returns {PlaceholderDescriptor} Descriptor (heading is empty)
+   */
+  static parse(token) {
+    const body = token
+      .replace(/^(<<|\{\{)/, "")
+      .replace(/(>>|\}\})$/, "")
+      .trim();
+
+    // Default value is everything after the first "="
+    const equalsIndex = body.indexOf("=");
+    const definition = equalsIndex === -1 ? body : body.slice(0, equalsIndex);
+    const defaultValue =
+      equalsIndex === -1 ? null : body.slice(equalsIndex + 1).trim();
+
+    const [namePart, typePart = ""] = definition.split(/:(.*)/s);
+    const [rawType, ...formatParts] = typePart.split("|");
+    const type = rawType.trim().toLowerCase() || PLACEHOLDER_TYPES.TEXT;
+    const knownType = Object.values(PLACEHOLDER_TYPES).includes(type);
+
+    let format = formatParts.join("|").trim();
+    if (type === PLACEHOLDER_TYPES.DATE && !format) {
+      format = DEFAULT_DATE_FORMAT;
+    }
+
+    return {
+      token,
+      name: namePart.trim(),
+      type: knownType ? type : PLACEHOLDER_TYPES.TEXT,
+      format,
+      defaultValue,
+      heading: "",
+      baselineCount: 0,
+      error: knownType ? null : `Unknown placeholder type "${type}"`,
+    };
+  }
+
+  /**
+   * Extract descriptors for every unique placeholder of a template
+   * @param {string} storageFormat - Template storage format
+   * @returns {PlaceholderDescriptor[]} Descriptors with their section heading
+   */
+  static extractDescriptors(storageFormat) {
+    const descriptors = new Map();
+    const headingPattern = /<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi;
+
+    // Headings that are placeholders themselves are rewritten by the AI,
+    // so they cannot be used to find the section again in the output
+    const headings = [...storageFormat.matchAll(headingPattern)]
+      .map((match) => ({ index: match.index, text: this.toText(match[1]) }))
+      .filter((heading) => heading.text && !/<<|\{\{/.test(heading.text));
+
+    for (const match of storageFormat.matchAll(this.TOKEN_PATTERN)) {
+      const token = this.decodeEntities(match[0]);
+      if (descriptors.has(token)) continue;
+
+      const descriptor = this.parse(token);
+      const previousHeadings = headings.filter(
+        (heading) => heading.index < match.index
+      );
+      descriptor.heading = previousHeadings.length
+        ? previousHeadings[previousHeadings.length - 1].text
+        : "";
+      // Tables/lists already in the template must not count as generated ones
+      descriptor.baselineCount = this.countType(
+        this.findSection(storageFormat, descriptor.heading) || "",
+        descriptor
+      );
+
+      descriptors.set(token, descriptor);
+    }
+
+    return [...descriptors.values()];
+  }
+
+  /**
+   * Check that the generated document produced the requested element type
+   * in each typed placeholder's section
+   * @param {string} generatedStorage - Generated full_storage_format
+   * @param {PlaceholderDescriptor[]} descriptors - Template descriptors
+   * @param {Object} options - { skipped: Array<string> } tokens the user chose to skip
+   * @returns {Array<Object>} Issues { token, name, type, heading, message }
+   */
+  static validateOutput(generatedStorage, descriptors, options = {}) {
+    const skipped = options.skipped || [];
+    const issues = [];
+
+    descriptors.forEach((descriptor) => {
+      if (
+        descriptor.type === PLACEHOLDER_TYPES.TEXT ||
+        skipped.includes(descriptor.token)
+      ) {
+        return;
+      }
+
+      const section = this.findSection(generatedStorage, descriptor.heading);
+      if (section === null) {
+        issues.push({
+          ...this.issueBase(descriptor),
+          message: `Section "${descriptor.heading}" not found in generated document`,
+        });
+        return;
+      }
+
+      if (!this.sectionHasType(section, descriptor)) {
+        issues.push({
+          ...this.issueBase(descriptor),
+          message: this.describeMissingType(descriptor),
+        });
+      }
+    });
+
+    return issues;
+  }
+
+  static issueBase(descriptor) {
+    return {
+      token: descriptor.token,
+      name: descriptor.name,
+      type: descriptor.type,
+      heading: descriptor.heading,
+    };
+  }
+
+  /**
+   * Get the storage format of the section that starts at a heading
+   * The section ends at the next heading of the same or higher level
+   * @param {string} storage - Storage format
+   * @param {string} headingText - Heading text, empty for the whole document
+   * @returns {string|null} Section content, null if the heading is missing
+   */
+  static findSection(storage, headingText) {
+    if (!headingText) {
+      return storage;
+    }
+
+    const normalizedTarget = headingText.toLowerCase();
+    const section = this.getSections(storage).find(
+      (item) => item.text.toLowerCase() === normalizedTarget
+    );
+
+    return section
+      ? storage.substring(section.contentStart, section.end)
+      : null;
+  }
+
+  /**
+   * Get every heading-delimited section of a document, in document order
+   * A section runs from its heading to the next heading of the same or higher level,
+   * so it includes its sub-sections
+   * @param {string} storage - Storage format
+   * @returns {Array<{level: number, text: string, start: number, contentStart: number, end: number}>} Sections
+   */
+  static getSections(storage) {
+    const headingPattern = /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi;
+    const headings = [...storage.matchAll(headingPattern)];
+
+    return headings.map((match, index) => {
+      const level = Number(match[1]);
+      const next = headings
+        .slice(index + 1)
+        .find((candidate) => Number(candidate[1]) <= level);
+
+      return {
+        level,
+        text: this.toText(match[2]),
+        start: match.index,
+        contentStart: match.index + match[0].length,
+        end: next ? next.index : storage.length,
+      };
+    });
+  }
+
+  /**
+   * Check whether a section contains the element type of a descriptor,
+   * on top of what the template section already had
+   * @param {string} section - Section storage format
+   * @param {PlaceholderDescriptor} descriptor - Descriptor
+   * @returns {boolean} True if the type is present
+   */
+  static sectionHasType(section, descriptor) {
+    if (descriptor.type === PLACEHOLDER_TYPES.DATE) {
+      return this.dateFormatToRegex(descriptor.format).test(
+        this.toText(section)
+      );
+    }
+    return (
+      this.countType(section, descriptor) > (descriptor.baselineCount || 0)
+    );
+  }
+
+  /**
+   * Count elements of the descriptor type in a section
+   * @param {string} section - Section storage format
+   * @param {PlaceholderDescriptor} descriptor - Descriptor
+   * @returns {number} Element count (0 for text and date)
+   */
+  static countType(section, descriptor) {
+    const count = (pattern) => (section.match(pattern) || []).length;
+
+    switch (descriptor.type) {
+      case PLACEHOLDER_TYPES.TABLE:
+        return count(/<table[\s>]/gi);
+      case PLACEHOLDER_TYPES.MERMAID:
+        return (
+          count(/<ac:structured-macro[^>]*ac:name="mermaid(-cloud)?"/gi) +
+          count(/<ac:parameter[^>]*ac:name="language"[^>]*>\s*mermaid\s*</gi)
+        );
+      case PLACEHOLDER_TYPES.LIST:
+        return count(/<(ul|ol)[\s>]/gi);
+      default:
+        return 0;
+    }
+  }
+
+  static describeMissingType(descriptor) {
+    switch (descriptor.type) {
+      case PLACEHOLDER_TYPES.TABLE:
+        return "Expected a table but none was generated";
+      case PLACEHOLDER_TYPES.MERMAID:
+        return "Expected a Mermaid diagram but none was generated";
+      case PLACEHOLDER_TYPES.LIST:
+        return "Expected a list but none was generated";
+      case PLACEHOLDER_TYPES.DATE:
+        return `Expected a date in format ${descriptor.format}`;
+      default:
+        return "Unexpected content";
+    }
+  }
+
+  /**
+   * Convert a date format (dd/MM/yyyy, yyyy-MM-dd HH:mm, ...) to a RegExp
+   * @param {string} format - Date format
+   * @returns {RegExp} Pattern matching dates in that format
+   */
+  static dateFormatToRegex(format) {
+    const tokens = {
+      yyyy: "\\d{4}",
+      yy: "\\d{2}",
+      MM: "\\d{2}",
+      M: "\\d{1,2}",
+      dd: "\\d{2}",
+      d: "\\d{1,2}",
+      HH: "\\d{2}",
+      H: "\\d{1,2}",
+      mm: "\\d{2}",
+      ss: "\\d{2}",
+    };
+
+    const pattern = (format || DEFAULT_DATE_FORMAT)
+      .split(/(yyyy|yy|MM|M|dd|d|HH|H|mm|ss)/)
+      .map((part) =>
+        tokens[part] !== undefined
+          ? tokens[part]
+          : part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+      )
+      .join("");
+
+    return new RegExp(`(^|\\D)${pattern}(\\D|$)`);
+  }
+
+  /**
+   * Strip tags and decode basic entities
+   * @param {string} html - HTML fragment
+   * @returns {string} Plain text
+   */
+  static toText(html) {
+    // Raw <<tokens>> are not tags, keep them
+    return this.decodeEntities(
+      html.replace(/(?<!<)<\/?[a-zA-Z][^<>]*>(?!>)/g, "")
+    )
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  static decodeEntities(text) {
+    return text
+      .replace(/&nbsp;/g, " ")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, "&");
+  }
+}
@@ -0,0 +1,284 @@
+// Encrypted store for secrets (API key), kept out of the synced settings
+// Secrets are saved in chrome.storage.local encrypted with AES-GCM, the key is derived
+// from a user passphrase with PBKDF2. While unlocked, the key and the decrypted secrets
+// are kept in chrome.storage.session (memory only, cleared when the browser closes).
+// Content scripts cannot read chrome.storage.session and ask the background instead.
+import {
+  EXTENSION_SETTINGS_KEY,
+  SECRET_KDF_ITERATIONS,
+  SECRET_LEGACY_KEY,
+  SECRET_SESSION_KEY,
+  SECRET_STORE_KEY,
+} from "./constants.js";
+
+export class SecretStore {
+  static MIN_PASSPHRASE_LENGTH = 8;
+
+  /**
+   * Get the state of the store
+   * @returns {Promise<{configured: boolean, unlocked: boolean}>} configured when
+   *   secrets were encrypted with a passphrase, unlocked when they can be read
+   */
+  static async getStatus() {
+    const [vault, session] = await Promise.all([
+      this.getVault(),
+      this.getSession(),
+    ]);
+    return { configured: !!vault, unlocked: !!vault && !!session };
+  }
+
+  /**
+   * Encrypt secrets with a new passphrase, replacing any saved secrets
+   * The store stays unlocked afterwards
+   * @param {string} passphrase - Passphrase chosen by the user
+   * @param {Object} secrets - Secrets, e.g. { apiKey }
+   */
+  static async setup(passphrase, secrets) {
+    if ((passphrase || "").length < this.MIN_PASSPHRASE_LENGTH) {
+      throw new Error(
+        `Passphrase phải có ít nhất ${this.MIN_PASSPHRASE_LENGTH} ký tự`
+      );
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(passphrase, salt, SECRET_KDF_ITERATIONS);
+    const vault = {
+      salt: this.toBase64(salt),
+      iterations: SECRET_KDF_ITERATIONS,
+      ...(await this.encrypt(key, secrets)),
+    };
+
+    await chrome.storage.local.set({ [SECRET_STORE_KEY]: vault });
+    await chrome.storage.local.remove(SECRET_LEGACY_KEY);
+    await this.saveSession(key, secrets);
+    console.log("🔐 Secrets encrypted");
+  }
+
+  /**
+   * Decrypt the secrets for this browser session
+   * @param {string} passphrase - Passphrase
+   * @returns {Promise<Object>} Secrets
+   */
+  static async unlock(passphrase) {
+    const vault = await this.getVault();
+    if (!vault) {
+      throw new Error("Chưa có API key được mã hóa");
+    }
+
+    const key = await this.deriveKey(
+      passphrase,
+      this.fromBase64(vault.salt),
+      vault.iterations
+    );
+    let secrets;
+    try {
+      secrets = await this.decrypt(key, vault);
+    } catch {
+      // AES-GCM authentication fails when the key is wrong
+      throw new Error("Passphrase không đúng");
+    }
+
+    await this.saveSession(key, secrets);
+    console.log("🔓 Secrets unlocked");
+    return secrets;
+  }
+
+  /**
+   * Forget the decrypted secrets, the passphrase is needed again
+   */
+  static async lock() {
+    await chrome.storage.session.remove(SECRET_SESSION_KEY);
+    console.log("🔒 Secrets locked");
+  }
+
+  /**
+   * Delete the encrypted secrets (forgotten passphrase)
+   */
+  static async reset() {
+    await chrome.storage.local.remove(SECRET_STORE_KEY);
+    await this.lock();
+  }
+
+  /**
+   * Get the decrypted secrets
+   * @returns {Promise<Object|null>} Secrets, null while locked
+   */
+  static async getSecrets() {
+    return (await this.getSession())?.secrets || null;
+  }
+
+  /**
+   * Encrypt and save new secrets with the key of the unlocked session
+   * @param {Object} secrets - Secrets, e.g. { apiKey }
+   */
+  static async saveSecrets(secrets) {
+    const [vault, session] = await Promise.all([
+      this.getVault(),
+      this.getSession(),
+    ]);
+    if (!vault || !session) {
+      throw new Error("API key đang bị khóa");
+    }
+
+    const key = await this.importKey(session.key);
+    await chrome.storage.local.set({
+      [SECRET_STORE_KEY]: { ...vault, ...(await this.encrypt(key, secrets)) },
+    });
+    await chrome.storage.session.set({
+      [SECRET_SESSION_KEY]: { ...session, secrets },
+    });
+  }
+
+  /**
+   * Get the API key from any context
+   * Content scripts get it from the background, see the "getApiKey" message
+   * @returns {Promise<{apiKey: string, locked: boolean}>} Key, empty while locked
+   */
+  static async getApiKey() {
+    if (!this.canReadSession()) {
+      const response = await chrome.runtime.sendMessage({
+        action: "getApiKey",
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || "Không đọc được API key");
+      }
+      return { apiKey: response.apiKey, locked: response.locked };
+    }
+
+    const status = await this.getStatus();
+    if (status.configured) {
+      const secrets = await this.getSecrets();
+      return { apiKey: secrets?.apiKey || "", locked: !status.unlocked };
+    }
+
+    // Keys saved before encryption was set up stay plain until a passphrase is set
+    return { apiKey: await this.getLegacyApiKey(), locked: false };
+  }
+
+  /**
+   * Move a plain API key out of the synced settings, so it stops syncing to
+   * every browser of the user. It is kept in chrome.storage.local until a
+   * passphrase encrypts it, or dropped if secrets are already encrypted
+   */
+  static async migrateLegacyApiKey() {
+    const result = await chrome.storage.sync.get([EXTENSION_SETTINGS_KEY]);
+    const { apiKey, ...settings } = result[EXTENSION_SETTINGS_KEY] || {};
+    if (apiKey === undefined) return;
+
+    const keep =
+      apiKey && !(await this.getVault()) && !(await this.getLegacyApiKey());
+    if (keep) {
+      await chrome.storage.local.set({ [SECRET_LEGACY_KEY]: apiKey });
+    }
+    await chrome.storage.sync.set({ [EXTENSION_SETTINGS_KEY]: settings });
+    console.log("🔐 Plain API key moved out of synced settings");
+  }
+
+  /**
+   * Get the plain API key saved before a passphrase was set
+   * @returns {Promise<string>} Key, empty if there is none
+   */
+  static async getLegacyApiKey() {
+    const result = await chrome.storage.local.get([SECRET_LEGACY_KEY]);
+    return result[SECRET_LEGACY_KEY] || "";
+  }
+
+  /**
+   * Check if chrome.storage.session is readable (extension pages and background)
+   * @returns {boolean} False in content scripts
+   */
+  static canReadSession() {
+    return globalThis.location?.protocol === "chrome-extension:";
+  }
+
+  // ========== STORAGE ==========
+
+  static async getVault() {
+    const result = await chrome.storage.local.get([SECRET_STORE_KEY]);
+    return result[SECRET_STORE_KEY] || null;
+  }
+
+  static async getSession() {
+    const result = await chrome.storage.session.get([SECRET_SESSION_KEY]);
+    return result[SECRET_SESSION_KEY] || null;
+  }
+
+  static async saveSession(key, secrets) {
+    const rawKey = await crypto.subtle.exportKey("raw", key);
+    await chrome.storage.session.set({
+      [SECRET_SESSION_KEY]: {
+        key: this.toBase64(new Uint8Array(rawKey)),
+        secrets,
+      },
+    });
+  }
+
+  // ========== CRYPTO ==========
+
+  /**
+   * Derive the AES-GCM key of a passphrase
+   * @param {string} passphrase - Passphrase
+   * @param {Uint8Array} salt - Random salt of the vault
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<CryptoKey>} Key (extractable, to keep it in the session)
+   */
+  static async deriveKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveKey"]
+    );
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+      baseKey,
+      { name: "AES-GCM", length: 256 },
+      true,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  static importKey(base64Key) {
+    return crypto.subtle.importKey(
+      "raw",
+      this.fromBase64(base64Key),
+      "AES-GCM",
+      true,
+      ["encrypt", "decrypt"]
+    );
+  }
+
+  /**
+   * Encrypt secrets
+   * @param {CryptoKey} key - AES-GCM key
+   * @param {Object} secrets - Secrets
+   * @returns {Promise<{iv: string, data: string}>} Base64 IV and ciphertext
+   */
+  static async encrypt(key, secrets) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(secrets))
+    );
+    return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+  }
+
+  static async decrypt(key, { iv, data }) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: this.fromBase64(iv) },
+      key,
+      this.fromBase64(data)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  static toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  static fromBase64(base64) {
+    return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  }
+}
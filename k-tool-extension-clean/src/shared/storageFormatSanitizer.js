@@ -0,0 +1,524 @@
+// Storage format sanitizer used before publishing to Confluence
+// The content is parsed into a tree, repaired and serialized again,
+// so CDATA sections and code whitespace come out exactly as they went in
+import { HTML_ENTITIES } from "./constants.js";
+
+const XML_ENTITIES = { amp: 38, lt: 60, gt: 62, quot: 34, apos: 39 };
+
+const VOID_ELEMENTS = [
+  "br",
+  "hr",
+  "img",
+  "input",
+  "meta",
+  "link",
+  "area",
+  "base",
+  "col",
+  "embed",
+  "source",
+  "track",
+  "wbr",
+];
+
+// Whitespace is kept verbatim inside these elements
+const PRESERVE_WHITESPACE = [
+  "pre",
+  "code",
+  "ac:plain-text-body",
+  "ac:parameter",
+];
+
+// Whitespace next to these elements is not significant
+const BLOCK_ELEMENTS = [
+  "p",
+  "div",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "table",
+  "colgroup",
+  "col",
+  "caption",
+  "thead",
+  "tbody",
+  "tfoot",
+  "tr",
+  "td",
+  "th",
+  "ul",
+  "ol",
+  "li",
+  "blockquote",
+  "pre",
+  "hr",
+  "ac:layout",
+  "ac:layout-section",
+  "ac:layout-cell",
+  "ac:rich-text-body",
+  "ac:plain-text-body",
+  "ac:parameter",
+  "ac:task-list",
+  "ac:task",
+];
+
+// Leading/trailing whitespace of these elements belongs to the surrounding text
+const INLINE_ELEMENTS = [
+  "a",
+  "span",
+  "strong",
+  "b",
+  "em",
+  "i",
+  "u",
+  "s",
+  "del",
+  "sub",
+  "sup",
+  "small",
+  "font",
+  "code",
+  "ac:link",
+  "ac:link-body",
+];
+
+// Formatting without content renders nothing, everything else may be meaningful
+const REMOVE_WHEN_EMPTY = [
+  "span",
+  "strong",
+  "b",
+  "em",
+  "i",
+  "u",
+  "s",
+  "sub",
+  "sup",
+  "small",
+  "font",
+];
+
+// Elements a <p> cannot contain, the paragraph is unwrapped instead
+const PARAGRAPH_BREAKERS = [
+  "p",
+  "div",
+  "table",
+  "ul",
+  "ol",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "blockquote",
+  "pre",
+  "hr",
+  "ac:layout",
+];
+
+// Opening one of these closes an open element of the listed names, as in HTML
+// (<p>a<p>b, <li>a<li>b), unless a scope boundary comes first
+const IMPLICITLY_CLOSED = {
+  p: ["p"],
+  li: ["li"],
+  tr: ["tr"],
+  td: ["td", "th"],
+  th: ["td", "th"],
+};
+const SCOPE_BOUNDARIES = [
+  "ul",
+  "ol",
+  "table",
+  "div",
+  "blockquote",
+  "ac:structured-macro",
+  "ac:rich-text-body",
+  "ac:layout-cell",
+];
+
+// Windows-1252 characters for bytes 0x80-0x9F, used to undo double-encoded UTF-8
+const CP1252_BYTES = {
+  "€": 0x80,
+  "‚": 0x82,
+  "ƒ": 0x83,
+  "„": 0x84,
+  "…": 0x85,
+  "†": 0x86,
+  "‡": 0x87,
+  "ˆ": 0x88,
+  "‰": 0x89,
+  "Š": 0x8a,
+  "‹": 0x8b,
+  "Œ": 0x8c,
+  "Ž": 0x8e,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "˜": 0x98,
+  "™": 0x99,
+  "š": 0x9a,
+  "›": 0x9b,
+  "œ": 0x9c,
+  "ž": 0x9e,
+  "Ÿ": 0x9f,
+};
+const MOJIBAKE_PATTERN = new RegExp(
+  `(?:[\\u00C2-\\u00F4][\\u0080-\\u00BF${Object.keys(CP1252_BYTES).join(
+    ""
+  )}]{1,3})+`,
+  "g"
+);
+// Repaired text must look like Latin/Vietnamese text, otherwise it is left alone
+const REPAIRED_TEXT_PATTERN =
+  /^[\u0020-\u024F\u1E00-\u1EFF\u2000-\u206F\u20A0-\u20CF\u2100-\u214F]*$/;
+
+/**
+ * @typedef {Object} StorageNode
+ * @property {string} type - element | text | cdata | comment
+ * @property {string} name - Element name (elements only)
+ * @property {Array<{name: string, value: string}>} attributes - Decoded attributes (elements only)
+ * @property {StorageNode[]} children - Child nodes (elements only)
+ * @property {boolean} selfClosing - Written as <tag/> (elements only)
+ * @property {string} text - Decoded text, raw CDATA or comment content
+ */
+
+export class StorageFormatSanitizer {
+  /**
+   * Sanitize storage format for the Confluence API
+   * @param {string} content - Generated storage format
+   * @returns {string} Well-formed storage format
+   */
+  static sanitize(content) {
+    console.log("🧹 Sanitizing storage format...");
+
+    const root = this.parse(this.cleanSource(content || ""));
+    this.normalizeTree(root);
+    const sanitized = this.serialize(root.children).trim();
+
+    console.log(
+      `✅ Storage format sanitized: ${content?.length || 0} -> ${
+        sanitized.length
+      } chars`
+    );
+    return sanitized;
+  }
+
+  /**
+   * Remove what is never part of the document: code fences around AI output,
+   * BOM, characters XML does not allow
+   * @param {string} content - Raw content
+   * @returns {string} Cleaned content
+   */
+  static cleanSource(content) {
+    return content
+      .replace(/^\uFEFF/, "")
+      .replace(/^\s*```[\w-]*[ \t]*\n?/, "")
+      .replace(/\n?```\s*$/, "")
+      .replace(/\r\n?/g, "\n")
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, "");
+  }
+
+  /**
+   * Parse storage format into a tree, repairing what a browser would:
+   * unclosed elements are closed with their parent or by the next sibling of
+   * the same kind (paragraphs, list items, rows, cells), stray closing tags
+   * are dropped and void elements never get children
+   * @param {string} content - Storage format
+   * @returns {StorageNode} Root element named "#root"
+   */
+  static parse(content) {
+    const root = this.createElement("#root", [], false);
+    const stack = [root];
+    const tokenPattern =
+      /<!\[CDATA\[([\s\S]*?)\]\]>|<!--([\s\S]*?)-->|<[?!][^>]*>|<\/([a-zA-Z][\w:.-]*)\s*>|<([a-zA-Z][\w:.-]*)((?:\s+[^\s=<>\/"']+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+    let lastIndex = 0;
+
+    const current = () => stack[stack.length - 1];
+    const addText = (text) => {
+      if (text) {
+        current().children.push({ type: "text", text: this.decodeText(text) });
+      }
+    };
+
+    for (const match of content.matchAll(tokenPattern)) {
+      addText(content.substring(lastIndex, match.index));
+      lastIndex = match.index + match[0].length;
+
+      const [, cdata, comment, closeName, openName, attributes, selfClosing] =
+        match;
+
+      if (cdata !== undefined) {
+        current().children.push({ type: "cdata", text: cdata });
+      } else if (comment !== undefined) {
+        current().children.push({ type: "comment", text: comment });
+      } else if (closeName) {
+        const name = this.normalizeName(closeName);
+        const index = stack.map((element) => element.name).lastIndexOf(name);
+        if (index > 0) {
+          stack.length = index;
+        }
+      } else if (openName) {
+        const name = this.normalizeName(openName);
+        this.closeImpliedElements(stack, name);
+        const element = this.createElement(
+          name,
+          this.parseAttributes(attributes),
+          Boolean(selfClosing)
+        );
+        current().children.push(element);
+        if (!selfClosing && !VOID_ELEMENTS.includes(name)) {
+          stack.push(element);
+        }
+      }
+      // Processing instructions and doctypes are dropped
+    }
+
+    addText(content.substring(lastIndex));
+    return root;
+  }
+
+  /**
+   * Close the element an opening tag implicitly ends, e.g. the open <li> of <li>
+   * @param {StorageNode[]} stack - Open elements, root first
+   * @param {string} name - Name of the element being opened
+   */
+  static closeImpliedElements(stack, name) {
+    const closes = IMPLICITLY_CLOSED[name];
+    if (!closes) return;
+
+    for (let index = stack.length - 1; index > 0; index--) {
+      const openName = stack[index].name;
+      if (closes.includes(openName)) {
+        stack.length = index;
+        return;
+      }
+      if (SCOPE_BOUNDARIES.includes(openName)) return;
+    }
+  }
+
+  static createElement(name, attributes, selfClosing) {
+    return { type: "element", name, attributes, children: [], selfClosing };
+  }
+
+  /**
+   * HTML element names are lower case in XHTML, namespaced names are kept
+   */
+  static normalizeName(name) {
+    return name.includes(":") ? name : name.toLowerCase();
+  }
+
+  /**
+   * Parse attributes, quoted or not; the first of duplicated attributes wins
+   * @param {string} attributes - Raw attribute string
+   * @returns {Array<{name: string, value: string}>} Decoded attributes
+   */
+  static parseAttributes(attributes) {
+    const result = [];
+    const pattern =
+      /([^\s=<>\/"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+    for (const match of (attributes || "").matchAll(pattern)) {
+      const name = match[1];
+      if (result.some((attribute) => attribute.name === name)) continue;
+
+      // A valueless attribute (e.g. <input checked>) becomes checked="checked"
+      const value = match[2] ?? match[3] ?? match[4] ?? name;
+      result.push({ name, value: this.decodeText(value) });
+    }
+
+    return result;
+  }
+
+  /**
+   * Decode entities and repair double-encoded UTF-8, then normalize to NFC
+   * so Vietnamese diacritics are always composed characters
+   * Unknown named entities are kept as literal text
+   * @param {string} text - Raw text
+   * @returns {string} Decoded text
+   */
+  static decodeText(text) {
+    const decoded = text.replace(
+      /&(?:#(\d+)|#x([0-9a-fA-F]+)|([a-zA-Z][a-zA-Z0-9]*));/g,
+      (match, decimal, hex, name) => {
+        const code = decimal
+          ? parseInt(decimal, 10)
+          : hex
+          ? parseInt(hex, 16)
+          : XML_ENTITIES[name] ?? HTML_ENTITIES[name];
+
+        return code !== undefined && this.isXmlChar(code)
+          ? String.fromCodePoint(code)
+          : match;
+      }
+    );
+
+    return this.repairMojibake(decoded).normalize("NFC");
+  }
+
+  /**
+   * Undo UTF-8 text that was decoded as Windows-1252 ("Ä‘" -> "đ", "â€™" -> "’")
+   * @param {string} text - Text
+   * @returns {string} Repaired text
+   */
+  static repairMojibake(text) {
+    if (!/[\u00C2-\u00F4]/.test(text)) return text;
+
+    return text.replace(MOJIBAKE_PATTERN, (run) => {
+      const bytes = [...run].map(
+        (char) => CP1252_BYTES[char] ?? char.charCodeAt(0)
+      );
+
+      try {
+        const repaired = new TextDecoder("utf-8", { fatal: true }).decode(
+          new Uint8Array(bytes)
+        );
+        return REPAIRED_TEXT_PATTERN.test(repaired) ? repaired : run;
+      } catch (error) {
+        return run;
+      }
+    });
+  }
+
+  static isXmlChar(code) {
+    return (
+      code === 0x9 ||
+      code === 0xa ||
+      code === 0xd ||
+      (code >= 0x20 && code <= 0xd7ff) ||
+      (code >= 0xe000 && code <= 0xfffd) ||
+      (code >= 0x10000 && code <= 0x10ffff)
+    );
+  }
+
+  /**
+   * Repair the tree bottom-up: drop empty formatting, unwrap paragraphs
+   * holding block content and collapse insignificant whitespace
+   * @param {StorageNode} element - Element to normalize
+   * @param {boolean} preserve - Inside an element that keeps its whitespace
+   */
+  static normalizeTree(element, preserve = false) {
+    const keepWhitespace =
+      preserve || PRESERVE_WHITESPACE.includes(element.name);
+
+    element.children.forEach((child) => {
+      if (child.type === "element") {
+        this.normalizeTree(child, keepWhitespace);
+      }
+    });
+
+    element.children = element.children
+      .filter(
+        (child) =>
+          !(
+            child.type === "element" &&
+            REMOVE_WHEN_EMPTY.includes(child.name) &&
+            child.children.length === 0 &&
+            !child.attributes.some((attribute) => attribute.name === "id")
+          )
+      )
+      .flatMap((child) =>
+        child.type === "element" &&
+        child.name === "p" &&
+        child.children.some(
+          (grandChild) =>
+            grandChild.type === "element" &&
+            PARAGRAPH_BREAKERS.includes(grandChild.name)
+        )
+          ? child.children
+          : [child]
+      );
+
+    if (!keepWhitespace) {
+      this.collapseWhitespace(element);
+    }
+  }
+
+  /**
+   * Collapse whitespace runs of the text children of an element, trimming
+   * it at block boundaries where it would not render anyway
+   * @param {StorageNode} element - Element whose text children are collapsed
+   */
+  static collapseWhitespace(element) {
+    const isBlock = (node) =>
+      node?.type === "element" && BLOCK_ELEMENTS.includes(node.name);
+    const isInline = INLINE_ELEMENTS.includes(element.name);
+    const children = element.children;
+
+    element.children = children
+      .map((child, index) => {
+        if (child.type !== "text") return child;
+
+        const previous = children[index - 1];
+        const next = children[index + 1];
+        let text = child.text.replace(/[ \t\n\r\f]+/g, " ");
+
+        if (previous ? isBlock(previous) : !isInline) {
+          text = text.replace(/^ /, "");
+        }
+        if (next ? isBlock(next) : !isInline) {
+          text = text.replace(/ $/, "");
+        }
+        return { ...child, text };
+      })
+      .filter((child) => child.type !== "text" || child.text);
+  }
+
+  /**
+   * Serialize nodes back to storage format
+   * @param {StorageNode[]} nodes - Nodes
+   * @returns {string} Storage format
+   */
+  static serialize(nodes) {
+    return nodes
+      .map((node) => {
+        switch (node.type) {
+          case "text":
+            return this.escapeText(node.text);
+          case "cdata":
+            return `<![CDATA[${node.text}]]>`;
+          case "comment":
+            return `<!--${node.text}-->`;
+          default: {
+            const attributes = node.attributes
+              .map(
+                (attribute) =>
+                  ` ${attribute.name}="${this.escapeAttribute(
+                    attribute.value
+                  )}"`
+              )
+              .join("");
+
+            if (node.selfClosing || VOID_ELEMENTS.includes(node.name)) {
+              return `<${node.name}${attributes} />`;
+            }
+            return `<${node.name}${attributes}>${this.serialize(
+              node.children
+            )}</${node.name}>`;
+          }
+        }
+      })
+      .join("");
+  }
+
+  static escapeText(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/\u00A0/g, "&nbsp;");
+  }
+
+  static escapeAttribute(value) {
+    return value
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/"/g, "&quot;");
+  }
+}
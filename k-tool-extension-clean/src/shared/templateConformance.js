@@ -0,0 +1,321 @@
+// Compares a generated document with the template it was generated from
+// and reports where the AI broke the template skeleton
+import { PlaceholderGrammar } from "./placeholderGrammar.js";
+
+/**
+ * @typedef {Object} ConformanceItem
+ * @property {string} id - Unique id inside the report
+ * @property {string} check - tokens | headings | tables | cells | types
+ * @property {string} severity - error | warning
+ * @property {string} message - Human readable message
+ * @property {Object|null} target - Where to scroll in the preview:
+ *   { kind: "text", text } | { kind: "heading", text } | { kind: "table", index } | { kind: "cell", index }
+ */
+
+export class TemplateConformanceChecker {
+  static CHECKS = {
+    tokens: "All placeholders filled",
+    headings: "Template headings kept in order",
+    tables: "Template tables kept",
+    cells: "No empty table cells",
+    types: "Typed placeholders produced the right element",
+  };
+
+  /**
+   * Check a generated document against its template
+   * @param {string} templateStorage - Template storage format (clonedTemplate.originalStorageFormat)
+   * @param {string} generatedStorage - Generated storage format
+   * @param {Object} options - { skipped, required, descriptors }
+   * @returns {{checks: Array<Object>, items: ConformanceItem[], summary: Object}} Report
+   */
+  static check(templateStorage, generatedStorage, options = {}) {
+    const skipped = options.skipped || [];
+    const required = options.required || [];
+
+    const items = [
+      ...this.checkTokens(generatedStorage, skipped, required),
+      ...this.checkHeadings(templateStorage, generatedStorage),
+      ...this.checkTables(templateStorage, generatedStorage),
+      ...this.checkEmptyCells(generatedStorage),
+      ...this.checkTypes(generatedStorage, options.descriptors || [], skipped),
+    ].map((item, index) => ({ ...item, id: `conformance-${index}` }));
+
+    const checks = Object.entries(this.CHECKS).map(([id, label]) => ({
+      id,
+      label,
+      passed: !items.some((item) => item.check === id),
+      count: items.filter((item) => item.check === id).length,
+    }));
+
+    const templateAnalysis = {
+      emptyTableCells: this.findEmptyCells(templateStorage).length,
+      emptyParagraphs: this.countEmptyParagraphs(templateStorage),
+    };
+
+    return {
+      checks,
+      items,
+      summary: {
+        errors: items.filter((item) => item.severity === "error").length,
+        warnings: items.filter((item) => item.severity === "warning").length,
+        templateEmptyTableCells: templateAnalysis.emptyTableCells,
+        generatedEmptyTableCells: this.findEmptyCells(generatedStorage).length,
+        generatedEmptyParagraphs: this.countEmptyParagraphs(generatedStorage),
+      },
+    };
+  }
+
+  /**
+   * Report placeholder tokens still present in the generated document
+   */
+  static checkTokens(generatedStorage, skipped, required) {
+    return PlaceholderGrammar.extractTokens(generatedStorage)
+      .filter((token) => !skipped.includes(token))
+      .map((token) => ({
+        check: "tokens",
+        severity: required.includes(token) ? "error" : "warning",
+        message: `${token} was not filled${
+          required.includes(token) ? " (required)" : ""
+        }`,
+        target: { kind: "text", text: token },
+      }));
+  }
+
+  /**
+   * Report template headings that are missing or out of order
+   * Headings containing placeholders are ignored since the AI rewrites them
+   */
+  static checkHeadings(templateStorage, generatedStorage) {
+    const templateHeadings = this.extractHeadings(templateStorage).filter(
+      (heading) => !/<<|\{\{/.test(heading)
+    );
+    const generatedHeadings = this.extractHeadings(generatedStorage);
+    const normalize = (text) => text.toLowerCase();
+    const generatedSet = new Set(generatedHeadings.map(normalize));
+
+    const items = [];
+    const presentHeadings = [];
+
+    templateHeadings.forEach((heading, index) => {
+      if (generatedSet.has(normalize(heading))) {
+        presentHeadings.push(heading);
+        return;
+      }
+
+      // Point at the closest earlier heading that still exists
+      const previous = templateHeadings
+        .slice(0, index)
+        .reverse()
+        .find((item) => generatedSet.has(normalize(item)));
+
+      items.push({
+        check: "headings",
+        severity: "error",
+        message: `Heading "${heading}" is missing${
+          previous ? ` (expected after "${previous}")` : ""
+        }`,
+        target: previous ? { kind: "heading", text: previous } : null,
+      });
+    });
+
+    // Headings present in both but not part of the longest common order are reordered
+    const inOrder = new Set(
+      this.longestCommonSubsequence(
+        presentHeadings.map(normalize),
+        generatedHeadings.map(normalize)
+      )
+    );
+    presentHeadings
+      .filter((heading) => !inOrder.has(normalize(heading)))
+      .forEach((heading) => {
+        items.push({
+          check: "headings",
+          severity: "warning",
+          message: `Heading "${heading}" was moved`,
+          target: { kind: "heading", text: heading },
+        });
+      });
+
+    return items;
+  }
+
+  /**
+   * Report template tables that no longer exist in the generated document
+   * Tables are matched by their header row text
+   */
+  static checkTables(templateStorage, generatedStorage) {
+    const unmatched = this.extractTables(generatedStorage);
+    const templateTables = this.extractTables(templateStorage);
+    const takeMatch = (predicate) => {
+      const index = unmatched.findIndex(predicate);
+      if (index === -1) return false;
+      unmatched.splice(index, 1);
+      return true;
+    };
+
+    // Headers with placeholders are rewritten by the AI, match those last by position
+    const hasToken = (table) => /<<|\{\{/.test(table.signature);
+    const missing = templateTables.filter(
+      (table) =>
+        !hasToken(table) &&
+        !takeMatch((candidate) => candidate.signature === table.signature)
+    );
+    templateTables.filter(hasToken).forEach((table) => {
+      const matched =
+        takeMatch((candidate) => candidate.heading === table.heading) ||
+        takeMatch(() => true);
+      if (!matched) missing.push(table);
+    });
+
+    return missing.map((table) => ({
+      check: "tables",
+      severity: "error",
+      message: `Table ${
+        table.signature ? `with columns "${table.signature}"` : "(no header)"
+      } was deleted${table.heading ? ` from "${table.heading}"` : ""}`,
+      target: table.heading ? { kind: "heading", text: table.heading } : null,
+    }));
+  }
+
+  /**
+   * Report table cells that are still empty, one item per table
+   */
+  static checkEmptyCells(generatedStorage) {
+    const byTable = new Map();
+
+    this.findEmptyCells(generatedStorage).forEach((cell) => {
+      if (!byTable.has(cell.tableIndex)) {
+        byTable.set(cell.tableIndex, []);
+      }
+      byTable.get(cell.tableIndex).push(cell);
+    });
+
+    return [...byTable.entries()].map(([tableIndex, cells]) => ({
+      check: "cells",
+      severity: "warning",
+      message: `Table ${tableIndex + 1} has ${cells.length} empty cell(s)`,
+      target: { kind: "cell", index: cells[0].cellIndex },
+    }));
+  }
+
+  /**
+   * Report typed placeholders that did not produce the requested element
+   */
+  static checkTypes(generatedStorage, descriptors, skipped) {
+    return PlaceholderGrammar.validateOutput(generatedStorage, descriptors, {
+      skipped,
+    }).map((issue) => ({
+      check: "types",
+      severity: "warning",
+      message: `${issue.token}: ${issue.message}`,
+      target: issue.heading ? { kind: "heading", text: issue.heading } : null,
+    }));
+  }
+
+  /**
+   * Get heading texts in document order
+   * @param {string} storage - Storage format
+   * @returns {Array<string>} Heading texts
+   */
+  static extractHeadings(storage) {
+    return [...storage.matchAll(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi)]
+      .map((match) => PlaceholderGrammar.toText(match[2]))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get tables with their header signature and the heading they sit under
+   * @param {string} storage - Storage format
+   * @returns {Array<{signature: string, heading: string}>} Tables in document order
+   */
+  static extractTables(storage) {
+    const tables = [];
+    const pattern = /<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>|<table[\s>][\s\S]*?<\/table>/gi;
+    let currentHeading = "";
+
+    for (const match of storage.matchAll(pattern)) {
+      if (match[1] !== undefined) {
+        currentHeading = PlaceholderGrammar.toText(match[1]);
+        continue;
+      }
+
+      const firstRow = (match[0].match(/<tr[\s>][\s\S]*?<\/tr>/i) || [""])[0];
+      const signature = [...firstRow.matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)]
+        .map((cell) => PlaceholderGrammar.toText(cell[1]))
+        .join(" | ");
+
+      tables.push({ signature, heading: currentHeading });
+    }
+
+    return tables;
+  }
+
+  /**
+   * Find empty <td> cells (same rule as extractTemplateStructure)
+   * @param {string} storage - Storage format
+   * @returns {Array<{cellIndex: number, tableIndex: number}>} cellIndex counts every <td> in the document
+   */
+  static findEmptyCells(storage) {
+    const cells = [];
+    const pattern = /<table[\s>]|<td[^>]*>([\s\S]*?)<\/td>|<td[^>]*\/>/gi;
+    let tableIndex = -1;
+    let cellIndex = 0;
+
+    for (const match of storage.matchAll(pattern)) {
+      if (/^<table/i.test(match[0])) {
+        tableIndex++;
+        continue;
+      }
+
+      const text = PlaceholderGrammar.toText(match[1] || "");
+      const hasMedia = /<(ac:|ri:|img)/i.test(match[1] || "");
+      if (!text && !hasMedia) {
+        cells.push({ cellIndex, tableIndex: Math.max(tableIndex, 0) });
+      }
+      cellIndex++;
+    }
+
+    return cells;
+  }
+
+  static countEmptyParagraphs(storage) {
+    return (storage.match(/<p[^>]*>\s*<\/p>/g) || []).length;
+  }
+
+  /**
+   * Longest common subsequence of two string arrays
+   * @param {Array<string>} a - First sequence
+   * @param {Array<string>} b - Second sequence
+   * @returns {Array<string>} Common subsequence
+   */
+  static longestCommonSubsequence(a, b) {
+    const lengths = Array.from({ length: a.length + 1 }, () =>
+      new Array(b.length + 1).fill(0)
+    );
+
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] =
+          a[i] === b[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        result.push(a[i]);
+        i++;
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+    return result;
+  }
+}
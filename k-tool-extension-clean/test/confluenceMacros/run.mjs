@@ -0,0 +1,91 @@
+// Round-trip check of the Confluence macro nodes of the Rich Text tab
+// Every cases/<name>.xml is loaded into a TipTap editor the way TipTapEditor
+// does it and must come back from the editor unchanged.
+// Text goes through the HTML parser, cases spell entities the way it writes them
+// (e.g. a literal " rather than &quot; in text)
+import { readdirSync, readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { JSDOM } from "jsdom";
+
+// TipTap and ProseMirror need a DOM, it has to exist before they are loaded
+const { window } = new JSDOM("<!DOCTYPE html><html><body></body></html>");
+const globals = [
+  "window",
+  "document",
+  "navigator",
+  "Node",
+  "Element",
+  "HTMLElement",
+  "DOMParser",
+  "MutationObserver",
+  "getComputedStyle",
+];
+for (const name of globals) {
+  Object.defineProperty(globalThis, name, {
+    value: name === "window" ? window : window[name],
+    configurable: true,
+    writable: true,
+  });
+}
+
+const { Editor } = await import("@tiptap/core");
+const { default: StarterKit } = await import("@tiptap/starter-kit");
+const { Table } = await import("@tiptap/extension-table");
+const { TableRow } = await import("@tiptap/extension-table-row");
+const { TableHeader } = await import("@tiptap/extension-table-header");
+const { TableCell } = await import("@tiptap/extension-table-cell");
+const { Link } = await import("@tiptap/extension-link");
+const { Underline } = await import("@tiptap/extension-underline");
+const { ConfluenceMacros, prepareStorageFormat, restoreStorageFormat } =
+  await import("../../src/content/richTextEditor/confluenceMacros.js");
+
+const casesDir = join(dirname(fileURLToPath(import.meta.url)), "cases");
+
+const editor = new Editor({
+  element: document.createElement("div"),
+  extensions: [
+    StarterKit.configure({
+      table: false,
+      link: false,
+      underline: false,
+      trailingNode: false,
+    }),
+    Table,
+    TableRow,
+    TableHeader,
+    TableCell,
+    Link.configure({ openOnClick: false }),
+    Underline,
+    ...ConfluenceMacros,
+  ],
+  content: "",
+  parseOptions: { preserveWhitespace: "full" },
+});
+
+let failed = 0;
+const cases = readdirSync(casesDir).filter((file) => file.endsWith(".xml"));
+for (const file of cases) {
+  const name = file.replace(/\.xml$/, "");
+  const storage = readFileSync(join(casesDir, file), "utf8").replace(/\n$/, "");
+
+  editor.commands.setContent(prepareStorageFormat(storage), {
+    parseOptions: { preserveWhitespace: "full" },
+  });
+  const output = restoreStorageFormat(editor.getHTML());
+
+  if (output === storage) {
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${name}`);
+    console.log(`   expected: ${JSON.stringify(storage)}`);
+    console.log(`   actual:   ${JSON.stringify(output)}`);
+  }
+}
+
+editor.destroy();
+console.log(
+  `${cases.length - failed}/${cases.length} macro round-trip case(s) passed`,
+);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,55 @@
+// Golden-file check of StorageFormatSanitizer
+// Every cases/<name>.input.xml is sanitized and compared with cases/<name>.expected.xml
+// Run with --update to write the expected files from the current output
+import { readdirSync, readFileSync, writeFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+import { StorageFormatSanitizer } from "../../src/shared/storageFormatSanitizer.js";
+
+const casesDir = join(dirname(fileURLToPath(import.meta.url)), "cases");
+const update = process.argv.includes("--update");
+
+// The sanitizer logs every run
+const log = console.log;
+console.log = () => {};
+
+let failed = 0;
+const inputs = readdirSync(casesDir).filter((file) =>
+  file.endsWith(".input.xml")
+);
+for (const inputFile of inputs) {
+  const name = inputFile.replace(/\.input\.xml$/, "");
+  const expectedFile = join(casesDir, `${name}.expected.xml`);
+  const output = StorageFormatSanitizer.sanitize(
+    readFileSync(join(casesDir, inputFile), "utf8")
+  );
+
+  if (update) {
+    writeFileSync(expectedFile, `${output}\n`);
+    log(`📝 ${name}`);
+    continue;
+  }
+
+  let expected = null;
+  try {
+    expected = readFileSync(expectedFile, "utf8").replace(/\n$/, "");
+  } catch {
+    // Reported as a failure below
+  }
+
+  if (output === expected) {
+    log(`✅ ${name}`);
+  } else {
+    failed++;
+    log(`❌ ${name}`);
+    log(`   expected: ${JSON.stringify(expected)}`);
+    log(`   actual:   ${JSON.stringify(output)}`);
+  }
+}
+
+log(
+  update
+    ? `Updated ${inputs.length} expected file(s)`
+    : `${inputs.length - failed}/${inputs.length} sanitizer case(s) passed`
+);
+process.exitCode = failed ? 1 : 0;